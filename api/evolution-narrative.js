@@ -0,0 +1,66 @@
+import { createLlmProvider, llmConfigFromEnv } from '../lib/llm-providers.js';
+import { buildEvolutionPrompt } from '../lib/evolution-narrative.js';
+
+const SYSTEM_PROMPT = 'You are a professional community intelligence analyst. Tell the story of how a community changed, grounded in the figures provided.';
+
+// The prompt asks for up to 180 words, about 250 tokens; the provider default is sized for shorter answers.
+// A larger LLM_MAX_TOKENS still wins, so this is a floor rather than a cap.
+const NARRATIVE_MAX_TOKENS = 400;
+
+/**
+ * POST /api/evolution-narrative
+ * Body: { context, question? }
+ *   context:  buildEvolutionContext() output for the selected versions (counts, topic and user names; no message text)
+ *   question: the analyst's question, when the comparison answers one
+ * Returns { success, narrative, provider, model }. The backend is chosen like /api/openai-enhance (LLM_* variables).
+ */
+export function createNarrativeHandler({ provider } = {}) {
+    return async function handler(req, res) {
+        // CORS headers
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+        if (req.method === 'OPTIONS') {
+            res.status(200).end();
+            return;
+        }
+
+        if (req.method !== 'POST') {
+            res.status(405).json({ error: 'Method not allowed' });
+            return;
+        }
+
+        const { context, question = '' } = req.body || {};
+
+        if (!context || !Array.isArray(context.versions) || context.versions.length < 2) {
+            res.status(400).json({ success: false, error: 'context must describe at least two versions' });
+            return;
+        }
+
+        try {
+            const llm = provider || createLlmProvider(llmConfigFromEnv());
+            const completion = await llm.complete({
+                system: SYSTEM_PROMPT,
+                prompt: buildEvolutionPrompt(context, question),
+                maxTokens: Math.max(NARRATIVE_MAX_TOKENS, llm.maxTokens ?? 0)
+            });
+
+            res.status(200).json({
+                success: true,
+                narrative: completion.text,
+                provider: completion.provider,
+                model: completion.model
+            });
+
+        } catch (error) {
+            console.error('Evolution narrative failed:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    };
+}
+
+export default createNarrativeHandler();
@@ -1,23 +1,145 @@
-export default async function handler(req, res) {
-    // CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-    if (req.method === 'OPTIONS') {
-        res.status(200).end();
-        return;
-    }
+import { createLlmProvider, llmConfigFromEnv } from '../lib/llm-providers.js';
+import { extractCitations, formatEvidenceForPrompt } from '../lib/answer-grounding.js';
+import { formatServerSentEvent, SSE_HEADERS } from '../lib/server-sent-events.js';
 
-    if (req.method !== 'POST') {
-        res.status(405).json({ error: 'Method not allowed' });
-        return;
-    }
+const SYSTEM_PROMPT = 'You are a professional community intelligence analyst. Provide clear, actionable insights based on conversation data.';
+
+/**
+ * POST /api/openai-enhance
+ * Body: { question, context: { messageCount, topicCount, activeUsers, topics, evidence? }, conversation?, stream? }
+ *   evidence:     the messages retrieved for the question ({ messageId, userName, topicName, timestamp, text }),
+ *                 which the answer cites as [#messageId]
+ *   conversation: for follow-ups, { followUp, history: [{ question, answer }], carried } where `question`
+ *                 is the follow-up resolved against the conversation and `followUp` is what the analyst typed
+ *   stream:       true to receive the answer as Server-Sent Events while the model writes it:
+ *                 `token` events ({ text }), then one `done` event with the JSON body below, or an `error` event ({ error })
+ * Returns { success, insights, citations, provider, model }; citations only lists IDs that were in the evidence.
+ * A stream whose client disconnects aborts the model request.
+ * The model backend comes from the LLM_* environment variables (see lib/llm-providers.js) unless a provider is injected.
+ */
+export function createEnhanceHandler({ provider } = {}) {
+    return async function handler(req, res) {
+        // CORS headers
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+        if (req.method === 'OPTIONS') {
+            res.status(200).end();
+            return;
+        }
+
+        if (req.method !== 'POST') {
+            res.status(405).json({ error: 'Method not allowed' });
+            return;
+        }
+
+        const { question, context, conversation = null, stream = false } = req.body || {};
+
+        if (!question || typeof question !== 'string') {
+            res.status(400).json({ success: false, error: 'question is required' });
+            return;
+        }
+
+        if (!context || !Array.isArray(context.topics)) {
+            res.status(400).json({ success: false, error: 'context with a topics array is required' });
+            return;
+        }
+
+        if (context.evidence !== undefined && !Array.isArray(context.evidence)) {
+            res.status(400).json({ success: false, error: 'context.evidence must be an array of messages' });
+            return;
+        }
+
+        if (conversation && !Array.isArray(conversation.history)) {
+            res.status(400).json({ success: false, error: 'conversation.history must be an array of { question, answer }' });
+            return;
+        }
+
+        if (stream) {
+            await streamEnhancement(provider, req, res, question, context, conversation);
+            return;
+        }
+
+        try {
+            const llm = provider || createLlmProvider(llmConfigFromEnv());
+            const completion = await llm.complete({ system: SYSTEM_PROMPT, prompt: buildEnhancePrompt(question, context, conversation) });
+
+            res.status(200).json(enhancementBody(completion, context));
+
+        } catch (error) {
+            console.error('AI enhancement failed:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    };
+}
+
+// Headers go out before the model is called, so failures after that point arrive as an `error` event
+async function streamEnhancement(provider, req, res, question, context, conversation) {
+    const controller = new AbortController();
+    res.on?.('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+
+    res.status(200);
+    Object.entries(SSE_HEADERS).forEach(([name, value]) => res.setHeader(name, value));
+    res.flushHeaders?.();
 
     try {
-        const { question, context } = req.body;
-        
-        const prompt = `You are an expert community analyst. Based on the topic tree data provided, answer this question with deep insights:
+        const llm = provider || createLlmProvider(llmConfigFromEnv());
+        const completion = await llm.complete({
+            system: SYSTEM_PROMPT,
+            prompt: buildEnhancePrompt(question, context, conversation),
+            signal: controller.signal,
+            onToken: text => res.write(formatServerSentEvent('token', { text }))
+        });
+        res.write(formatServerSentEvent('done', enhancementBody(completion, context)));
+    } catch (error) {
+        if (controller.signal.aborted) {
+            console.log('AI enhancement stream cancelled by the client');
+        } else {
+            console.error('AI enhancement failed:', error);
+            res.write(formatServerSentEvent('error', { success: false, error: error.message }));
+        }
+    }
+    res.end();
+}
+
+function enhancementBody(completion, context) {
+    return {
+        success: true,
+        insights: completion.text,
+        citations: extractCitations(completion.text, context.evidence || []),
+        provider: completion.provider,
+        model: completion.model
+    };
+}
+
+/**
+ * The analyst prompt for a question, the client's topic summary, any retrieved messages and, for follow-ups,
+ * the conversation so far.
+ */
+export function buildEnhancePrompt(question, context, conversation = null) {
+    const evidence = context.evidence || [];
+    const grounding = evidence.length > 0 ? `
+
+Relevant Messages:
+${formatEvidenceForPrompt(evidence)}
+
+Base your answer on these messages and cite the ones you rely on by ID in square brackets, for example [#${evidence[0].messageId}]. Only cite IDs listed above; if the messages do not answer the question, say so.` : '';
+    const history = conversation?.history?.length > 0 ? `
+
+Conversation So Far:
+${conversation.history.map(turn => `Q: ${turn.question}\nA: ${String(turn.answer || '').replace(/\s+/g, ' ').trim()}`).join('\n')}
+
+This is a follow-up${conversation.followUp && conversation.followUp !== question ? `, asked as "${conversation.followUp}"` : ''}${conversation.carried?.length > 0 ? `; it keeps the earlier ${conversation.carried.join(', ')}` : ''}. Build on the earlier answers instead of repeating them.` : '';
+
+    return `You are an expert community analyst. Based on the topic tree data provided, answer this question with deep insights:
 
 Question: "${question}"
 
@@ -27,14 +149,14 @@ Context:
 - Users: ${context.activeUsers}
 
 Topic Analysis:
-${context.topics.map(topic => 
+${context.topics.map(topic =>
     `- ${topic.name}: ${topic.messageCount} messages from ${topic.contributorCount} contributors`
 ).join('\n')}
 
 User Engagement:
-${context.topics.map(topic => 
-    `- ${topic.name}: ${topic.contributors.map(c => `${c.username} (${c.messageCount})`).join(', ')}`
-).join('\n')}
+${context.topics.map(topic =>
+    `- ${topic.name}: ${(topic.contributors || []).map(c => `${c.username} (${c.messageCount})`).join(', ')}`
+).join('\n')}${grounding}${history}
 
 Please provide a concise, business-focused analysis that directly answers the question. Focus on:
 1. Specific patterns and behaviors
@@ -43,47 +165,6 @@ Please provide a concise, business-focused analysis that directly answers the qu
 4. Quantified observations where possible
 
 Response format: Provide a single, comprehensive paragraph (maximum 150 words) that directly answers the question.`;
-
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-4',
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are a professional community intelligence analyst. Provide clear, actionable insights based on conversation data.'
-                    },
-                    {
-                        role: 'user', 
-                        content: prompt
-                    }
-                ],
-                max_tokens: 200,
-                temperature: 0.3
-            })
-        });
-
-        if (!response.ok) {
-            throw new Error(`OpenAI API error: ${response.status}`);
-        }
-
-        const data = await response.json();
-        const aiInsights = data.choices[0].message.content;
-        
-        res.status(200).json({ 
-            success: true, 
-            insights: aiInsights.trim() 
-        });
-        
-    } catch (error) {
-        console.error('OpenAI enhancement failed:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: error.message 
-        });
-    }
 }
+
+export default createEnhanceHandler();
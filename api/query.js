@@ -0,0 +1,135 @@
+import { readFile } from 'node:fs/promises';
+import { CefDataSource, RemoteDataSource } from '../lib/data-sources.js';
+import { SILENT_LOGGER } from '../lib/semantic-engine.js';
+import { buildQueryData, listVersions, resolveVersions, runQuery } from '../lib/query-runner.js';
+import { resolveTimeWindow } from '../lib/time-window.js';
+import { parseTaxonomy } from '../lib/topic-categories.js';
+import { DatasetRegistry, parseDatasetConfig } from '../lib/dataset-registry.js';
+
+// Keep a single request within serverless time limits
+const MAX_VERSIONS = 10;
+
+// The dataset config the interface and CLI read, for each dataset's category taxonomy
+const DATASETS_PATH = new URL('../datasets.json', import.meta.url);
+
+/**
+ * POST /api/query
+ * Body: { channelId, versions?, users?, question?, search?, timeWindow?, categories? }
+ *   versions: array of version numbers, or a spec string ('latest', 'all', '1..1757670313'); defaults to latest
+ *   users:    user IDs to filter messages by, as in processTreeLocally
+ *   search:   { query, users, topics, from, to, limit } to run a message search instead of a question
+ *   timeWindow: { preset: 'last_7_days'|'last_30_days'|'custom', from, to, granularity: 'day'|'week' }
+ *   categories: category taxonomy [{ id, name, keywords, tags }]; defaults to the dataset's taxonomy in datasets.json
+ * Returns the per-version analysis results and the multi-version delta.
+ */
+export function createQueryHandler({ dataSource, datasets } = {}) {
+    let datasetsReady = null;
+
+    return async function handler(req, res) {
+        // CORS headers
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+        if (req.method === 'OPTIONS') {
+            res.status(200).end();
+            return;
+        }
+
+        if (req.method !== 'POST') {
+            res.status(405).json({ error: 'Method not allowed' });
+            return;
+        }
+
+        const { channelId, versions, users = [], question = '', search = null, timeWindow = null, categories = null } = req.body || {};
+
+        if (channelId === undefined || channelId === null || Number.isNaN(parseInt(channelId))) {
+            res.status(400).json({ success: false, error: 'channelId is required' });
+            return;
+        }
+
+        if (!Array.isArray(users)) {
+            res.status(400).json({ success: false, error: 'users must be an array of user IDs' });
+            return;
+        }
+
+        if (timeWindow) {
+            try {
+                resolveTimeWindow(timeWindow);
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+                return;
+            }
+        }
+
+        let taxonomy = null;
+        if (categories) {
+            try {
+                taxonomy = parseTaxonomy(categories);
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+                return;
+            }
+        }
+
+        try {
+            const source = dataSource || dataSourceFromEnv();
+            const available = await listVersions(source, channelId);
+
+            let selectedVersions;
+            try {
+                selectedVersions = resolveVersions(Array.isArray(versions) ? versions.join(',') : versions, available);
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+                return;
+            }
+
+            if (selectedVersions.length === 0 || selectedVersions.length > MAX_VERSIONS) {
+                res.status(400).json({
+                    success: false,
+                    error: `Select between 1 and ${MAX_VERSIONS} versions (matched ${selectedVersions.length})`
+                });
+                return;
+            }
+
+            if (!taxonomy) {
+                // Same per-dataset categories as the interface and CLI; read once per function instance
+                datasetsReady = datasetsReady || (datasets ? Promise.resolve(datasets) : loadDatasets().catch(error => {
+                    datasetsReady = null;
+                    throw error;
+                }));
+                taxonomy = (await datasetsReady).taxonomyFor(channelId);
+            }
+
+            const queryData = buildQueryData({ channelId, versions: selectedVersions, users, question, search, timeWindow, categories: taxonomy });
+            const report = await runQuery(source, queryData, { logger: SILENT_LOGGER });
+
+            res.status(200).json({
+                success: true,
+                channelId: String(channelId),
+                ...report
+            });
+
+        } catch (error) {
+            console.error('Topic tree query failed:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    };
+}
+
+function dataSourceFromEnv() {
+    // TOPIC_TREE_BASE_URL points the function at an alternative data-service deployment
+    const baseUrl = process.env.TOPIC_TREE_BASE_URL;
+    return baseUrl
+        ? new RemoteDataSource(baseUrl, { logger: SILENT_LOGGER })
+        : new CefDataSource({ logger: SILENT_LOGGER });
+}
+
+async function loadDatasets() {
+    return new DatasetRegistry(parseDatasetConfig(JSON.parse(await readFile(DATASETS_PATH, 'utf8'))));
+}
+
+export default createQueryHandler();
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Topic Tree CLI
+ * Run the interface's queries from the terminal against the live API or local tree files
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { createDataSource } from '../lib/data-sources.js';
+import { loadTreeFiles } from '../lib/tree-files.js';
+import { SILENT_LOGGER } from '../lib/semantic-engine.js';
+import { buildQueryData, listVersions, resolveVersions, runQuery } from '../lib/query-runner.js';
+import { formatReport, formatReportJson, REPORT_FORMATS } from '../lib/report-formatters.js';
+import { DatasetRegistry, parseDatasetConfig } from '../lib/dataset-registry.js';
+import { TIME_WINDOW_PRESETS } from '../lib/time-window.js';
+import { exportInteractionGraph, GRAPH_EXPORT_FORMATS } from '../lib/interaction-graph.js';
+
+const DEFAULT_DATASETS_PATH = new URL('../datasets.json', import.meta.url);
+
+const USAGE = `Usage: topic-tree <command> [options]
+
+Commands:
+  versions                 List the tree versions of a channel
+  query                    Analyze one or more versions of a channel
+  graph                    Export the reply interaction graph of one version (the last of --versions)
+
+Query options:
+  --channel <id>           Channel ID (optional when a single local channel is loaded)
+  --versions <spec>        latest (default), all, or a list like 1,1757599557 or ranges like 1..1757670313
+  --users <ids>            Comma-separated user IDs to filter messages by
+  --question <text>        Custom question for the semantic analyzers
+  --search <text>          Search message text (keywords or "exact phrase") instead of a question
+  --topics <names>         With --search: comma-separated topic IDs or name fragments
+  --window <preset>        Time-window mode: last_7_days, last_30_days or custom (uses --from/--to)
+  --bucket <day|week>      With --window: activity bucket size (default: by range length)
+  --from <date>            With --search or --window: earliest message date (ISO date or timestamp)
+  --to <date>              With --search or --window: latest message date
+  --format <format>        json (default), markdown, html, topics-csv or contributors-csv; graph takes json, graphml or csv
+  --output <file>          Write to a file instead of stdout
+
+Source options:
+  --source <cef|remote|local>  Data source (default: cef, or local when --trees is given)
+  --base-url <url>             Base URL for the remote source
+  --trees <path>               Tree JSON file or directory; repeat for several
+  --datasets <file>            Dataset config for report titles and categories (default: the bundled datasets.json)
+  --verbose                    Log API and engine activity to stderr
+`;
+
+function parseArgs(argv) {
+    const args = { command: argv[0], trees: [], format: 'json', users: [] };
+    for (let i = 1; i < argv.length; i++) {
+        const flag = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${flag}`);
+            }
+            return argv[++i];
+        };
+
+        switch (flag) {
+            case '--channel': args.channel = next(); break;
+            case '--versions': args.versions = next(); break;
+            case '--users': args.users = next().split(',').map(id => id.trim()).filter(Boolean); break;
+            case '--question': args.question = next(); break;
+            case '--search': args.search = next(); break;
+            case '--topics': args.topics = next().split(',').map(topic => topic.trim()).filter(Boolean); break;
+            case '--from': args.from = next(); break;
+            case '--to': args.to = next(); break;
+            case '--window': args.window = next(); break;
+            case '--bucket': args.bucket = next(); break;
+            case '--format': args.format = next(); break;
+            case '--output': args.output = next(); break;
+            case '--source': args.source = next(); break;
+            case '--base-url': args.baseUrl = next(); break;
+            case '--trees': args.trees.push(next()); break;
+            case '--datasets': args.datasets = next(); break;
+            case '--verbose': args.verbose = true; break;
+            case '--help': args.command = 'help'; break;
+            default:
+                throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    const formats = Object.keys(args.command === 'graph' ? GRAPH_EXPORT_FORMATS : REPORT_FORMATS);
+    if (!formats.includes(args.format)) {
+        throw new Error(`Unknown format: ${args.format}`);
+    }
+    if (args.window !== undefined && !TIME_WINDOW_PRESETS[args.window]) {
+        throw new Error(`Unknown time window: ${args.window} (use ${Object.keys(TIME_WINDOW_PRESETS).join(', ')})`);
+    }
+    if (args.bucket !== undefined && !['day', 'week'].includes(args.bucket)) {
+        throw new Error(`Unknown bucket: ${args.bucket}`);
+    }
+    return args;
+}
+
+async function createSource(args, logger) {
+    const type = args.source || (args.trees.length > 0 ? 'local' : 'cef');
+    const dataSource = createDataSource({ type, baseUrl: args.baseUrl, logger });
+
+    if (type === 'local') {
+        if (args.trees.length === 0) {
+            throw new Error('The local source needs at least one --trees path');
+        }
+        await loadTreeFiles(args.trees, dataSource);
+    }
+    return dataSource;
+}
+
+async function loadDatasets(args) {
+    const config = JSON.parse(await readFile(args.datasets || DEFAULT_DATASETS_PATH, 'utf8'));
+    return new DatasetRegistry(parseDatasetConfig(config));
+}
+
+function resolveChannel(args, dataSource) {
+    if (args.channel) {
+        return args.channel;
+    }
+
+    const channels = dataSource.type === 'local' ? dataSource.listChannels() : [];
+    if (channels.length === 1) {
+        return String(channels[0].channelId);
+    }
+    throw new Error('--channel is required');
+}
+
+// Drop run-time timestamps so repeated runs produce identical, diffable output
+function stableReport(report) {
+    const query = { ...report.query };
+    delete query.timestamp;
+
+    return {
+        ...report,
+        query,
+        results: report.results.map(result => {
+            const metadata = { ...result.metadata };
+            delete metadata.timestamp;
+            return { ...result, metadata };
+        })
+    };
+}
+
+async function emit(output, args) {
+    if (args.output) {
+        await writeFile(args.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.command || args.command === 'help') {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    // stdout carries the report, so activity logs go to stderr
+    const logger = args.verbose ? { log: console.error, warn: console.error, error: console.error } : SILENT_LOGGER;
+    const dataSource = await createSource(args, logger);
+    const channelId = resolveChannel(args, dataSource);
+
+    switch (args.command) {
+        case 'versions': {
+            const versions = await listVersions(dataSource, channelId);
+            if (args.format === 'markdown') {
+                const rows = versions.map(v => `| ${v.version} | ${v.createdAt ? new Date(v.createdAt).toISOString() : 'N/A'} | ${v.messageCount ?? 'N/A'} | ${v.topicCount ?? 'N/A'} |`);
+                await emit(['| Version | Created | Messages | Topics |', '| --- | --- | ---: | ---: |', ...rows, ''].join('\n'), args);
+            } else {
+                await emit(formatReportJson({ channelId, versions }), args);
+            }
+            break;
+        }
+        case 'query': {
+            const versions = resolveVersions(args.versions, await listVersions(dataSource, channelId));
+            if (versions.length === 0) {
+                throw new Error(`No versions match "${args.versions}"`);
+            }
+
+            const search = args.search !== undefined
+                ? { query: args.search, topics: args.topics || [], from: args.from || null, to: args.to || null }
+                : null;
+            const timeWindow = args.window !== undefined
+                ? { preset: args.window, from: args.from || null, to: args.to || null, granularity: args.bucket || 'auto' }
+                : null;
+            const datasets = await loadDatasets(args);
+            const categories = datasets.taxonomyFor(channelId);
+            const queryData = buildQueryData({ channelId, versions, users: args.users, question: args.question, search, timeWindow, categories });
+            const report = stableReport(await runQuery(dataSource, queryData, { logger }));
+            const dataset = datasets.get(channelId);
+            await emit(formatReport(report, args.format, { datasetName: dataset?.name }), args);
+            break;
+        }
+        case 'graph': {
+            const version = resolveVersions(args.versions, await listVersions(dataSource, channelId)).pop();
+            if (version === undefined) {
+                throw new Error(`No versions match "${args.versions}"`);
+            }
+
+            const timeWindow = args.window !== undefined
+                ? { preset: args.window, from: args.from || null, to: args.to || null }
+                : null;
+            const queryData = buildQueryData({ channelId, versions: [version], users: args.users, timeWindow });
+            const report = await runQuery(dataSource, queryData, { logger });
+            await emit(exportInteractionGraph(report.results[0].data.interactions, args.format), args);
+            break;
+        }
+        default:
+            throw new Error(`Unknown command: ${args.command}\n\n${USAGE}`);
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
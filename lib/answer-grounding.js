@@ -0,0 +1,102 @@
+/**
+ * Answer Grounding
+ * Retrieves the messages most relevant to a question so AI answers are built from what people actually wrote,
+ * and parses the [#messageId] citations those answers carry
+ */
+
+import { extractSearchQuery, getMessageText, searchMessages } from './message-search.js';
+
+// [#1001] or [#1001, #1002]
+const CITATION_PATTERN = /\[(#[\w-]+(?:\s*,\s*#?[\w-]+)*)\]/g;
+
+/**
+ * Messages to ground an answer to `question`, ranked by the message search. Options:
+ *   limit         maximum number of messages (default 8)
+ *   maxLength     characters kept per message (default 280)
+ *   getTopicName  topicId → display name
+ * Questions that match no message fall back to the most recent ones, so the model still sees real text.
+ * Returns { method: 'search'|'recent'|'none', query, messages: [{ messageId, userId, userName, topicName, timestamp, text }] }.
+ */
+export function retrieveEvidence(messages, question, options = {}) {
+    const limit = options.limit || 8;
+    const maxLength = options.maxLength || 280;
+    const getTopicName = options.getTopicName || (topicId => `Topic ${topicId}`);
+    const query = extractSearchQuery(question) || String(question || '');
+    const clip = text => text.length > maxLength ? `${text.slice(0, maxLength).trim()}…` : text;
+
+    const search = searchMessages(messages, { query, limit, getTopicName });
+    if (search.results.length > 0) {
+        return {
+            method: 'search',
+            query,
+            messages: search.results.map(result => ({
+                messageId: String(result.messageId),
+                userId: result.userId,
+                userName: result.userName || `User ${result.userId}`,
+                topicName: result.topicName,
+                timestamp: result.timestamp,
+                text: clip(result.text)
+            }))
+        };
+    }
+
+    const recent = messages
+        .filter(message => getMessageText(message).trim())
+        .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+        .slice(0, limit);
+
+    return {
+        method: recent.length > 0 ? 'recent' : 'none',
+        query,
+        messages: recent.map(message => ({
+            messageId: String(message.id),
+            userId: message.fromUserId,
+            userName: message.fromUserName || `User ${message.fromUserId}`,
+            topicName: message.topicId !== undefined && message.topicId !== null && message.topicId !== -1 ? getTopicName(message.topicId) : 'Unassigned',
+            timestamp: message.timestamp || null,
+            text: clip(getMessageText(message))
+        }))
+    };
+}
+
+/**
+ * The evidence as prompt lines: `[#1001] @James_T81 in "Staking" (2025-08-01): text`.
+ */
+export function formatEvidenceForPrompt(evidenceMessages) {
+    return evidenceMessages.map(message => {
+        const date = message.timestamp ? ` (${new Date(message.timestamp * 1000).toISOString().slice(0, 10)})` : '';
+        const text = String(message.text).replace(/\s+/g, ' ').trim();
+        return `[#${message.messageId}] @${message.userName} in "${message.topicName}"${date}: ${text}`;
+    }).join('\n');
+}
+
+/**
+ * Split an answer into text and citation segments: [{ text }, { messageIds: ['1001'] }, ...].
+ */
+export function splitCitations(answer) {
+    const text = String(answer || '');
+    const segments = [];
+    let last = 0;
+
+    for (const match of text.matchAll(CITATION_PATTERN)) {
+        if (match.index > last) {
+            segments.push({ text: text.slice(last, match.index) });
+        }
+        segments.push({ messageIds: match[1].split(',').map(id => id.trim().replace(/^#/, '')) });
+        last = match.index + match[0].length;
+    }
+    if (last < text.length) {
+        segments.push({ text: text.slice(last) });
+    }
+    return segments;
+}
+
+/**
+ * Message IDs an answer cites, in order of first citation. With `evidenceMessages`, IDs the model
+ * was never shown are dropped.
+ */
+export function extractCitations(answer, evidenceMessages = null) {
+    const known = evidenceMessages ? new Set(evidenceMessages.map(message => String(message.messageId))) : null;
+    const cited = splitCitations(answer).flatMap(segment => segment.messageIds || []);
+    return [...new Set(cited)].filter(id => !known || known.has(id));
+}
@@ -0,0 +1,281 @@
+/**
+ * Charts
+ * Dependency-free SVG charts rendered as HTML strings: bars, heatmap, stacked area, lines and networks.
+ * Every mark carries a <title> tooltip; marks given an `onclick` (a JS expression) become links.
+ */
+
+export const PALETTE = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#06b6d4', '#a855f7', '#ec4899', '#84cc16', '#f97316', '#64748b'];
+
+/**
+ * Horizontal bars, largest value setting the scale. Items: { label, value, tooltip?, onclick? }.
+ */
+export function renderBarChart({ items, width = 640, barHeight = 20 }) {
+    const labelWidth = 190;
+    const valueWidth = 48;
+    const gap = 6;
+    const height = items.length * (barHeight + gap) + gap;
+    const max = Math.max(1, ...items.map(item => item.value));
+    const scale = (width - labelWidth - valueWidth) / max;
+
+    const bars = items.map((item, index) => {
+        const y = gap + index * (barHeight + gap);
+        return linkable(item.onclick, `
+            <title>${escapeXml(item.tooltip || `${item.label}: ${item.value}`)}</title>
+            <text class="chart-label" x="${labelWidth - 8}" y="${y + barHeight * 0.7}" text-anchor="end">${escapeXml(truncate(item.label, 28))}</text>
+            <rect class="chart-bar" x="${labelWidth}" y="${y}" width="${round(Math.max(1, item.value * scale))}" height="${barHeight}" fill="${PALETTE[index % PALETTE.length]}" />
+            <text class="chart-value" x="${round(labelWidth + item.value * scale + 6)}" y="${y + barHeight * 0.7}">${item.value}</text>
+        `);
+    }).join('');
+
+    return chart(width, height, bars);
+}
+
+/**
+ * Grid of counts, darker for larger values. Rows and columns: { label, tooltip?, onclick? };
+ * cells: one array per row of { value, tooltip?, onclick? }.
+ */
+export function renderHeatmap({ rows, columns, cells, cellSize = 32 }) {
+    const labelWidth = 150;
+    const headerHeight = 90;
+    // Room on the right for the last slanted column label
+    const width = labelWidth + columns.length * cellSize + 100;
+    const height = headerHeight + rows.length * cellSize + 8;
+    const max = Math.max(1, ...cells.flat().map(cell => cell.value));
+
+    // Column labels are slanted so long topic names fit above narrow cells
+    const header = columns.map((column, index) => {
+        const x = labelWidth + index * cellSize + cellSize / 2;
+        return linkable(column.onclick, `
+            <title>${escapeXml(column.tooltip || column.label)}</title>
+            <text class="chart-label" transform="translate(${x}, ${headerHeight - 6}) rotate(-40)">${escapeXml(truncate(column.label, 18))}</text>
+        `);
+    }).join('');
+
+    const body = rows.map((row, rowIndex) => {
+        const y = headerHeight + rowIndex * cellSize;
+        const label = linkable(row.onclick, `
+            <title>${escapeXml(row.tooltip || row.label)}</title>
+            <text class="chart-label" x="${labelWidth - 8}" y="${y + cellSize * 0.62}" text-anchor="end">${escapeXml(truncate(row.label, 20))}</text>
+        `);
+        const rowCells = cells[rowIndex].map((cell, columnIndex) => linkable(cell.onclick, `
+            <title>${escapeXml(cell.tooltip || String(cell.value))}</title>
+            <rect class="chart-cell" x="${labelWidth + columnIndex * cellSize + 1}" y="${y + 1}" width="${cellSize - 2}" height="${cellSize - 2}"
+                fill="rgba(99, 102, 241, ${cell.value > 0 ? (0.15 + 0.85 * cell.value / max).toFixed(2) : 0.04})" />
+            ${cell.value > 0 ? `<text class="chart-cell-value" x="${labelWidth + columnIndex * cellSize + cellSize / 2}" y="${y + cellSize * 0.62}" text-anchor="middle">${cell.value}</text>` : ''}
+        `)).join('');
+        return label + rowCells;
+    }).join('');
+
+    return chart(width, height, header + body);
+}
+
+/**
+ * Stacked areas over evenly spaced labels, first series at the bottom. Series: { name, values, onclick? }.
+ * A point on each band's upper edge gives that series' value at that label.
+ */
+export function renderStackedArea({ labels, series, width = 640, height = 220 }) {
+    const frame = plotFrame(width, height);
+    const stacked = [];
+    series.forEach((s, index) => {
+        stacked.push(s.values.map((value, i) => value + (index > 0 ? stacked[index - 1][i] : 0)));
+    });
+    const totals = labels.map((_, i) => stacked.length > 0 ? stacked[stacked.length - 1][i] : 0);
+    const { x, y, axes } = scales(frame, labels, Math.max(0, ...totals));
+
+    const areas = series.map((s, index) => {
+        const color = PALETTE[index % PALETTE.length];
+        const top = stacked[index].map((value, i) => `${x(i)},${y(value)}`);
+        const bottom = labels.map((_, i) => `${x(i)},${y(index > 0 ? stacked[index - 1][i] : 0)}`).reverse();
+        const total = s.values.reduce((sum, value) => sum + value, 0);
+        return linkable(s.onclick, `
+            <polygon class="chart-area" points="${[...top, ...bottom].join(' ')}" fill="${color}"><title>${escapeXml(`${s.name}: ${total} in total`)}</title></polygon>
+            ${s.values.map((value, i) => value > 0 ? `
+                <circle class="chart-point" cx="${x(i)}" cy="${y(stacked[index][i])}" r="2.5" fill="${color}"><title>${escapeXml(`${s.name} — ${labels[i]}: ${value} of ${totals[i]}`)}</title></circle>
+            ` : '').join('')}
+        `);
+    }).join('');
+
+    return chart(width, height, axes + areas, legend(series));
+}
+
+/**
+ * One line per series over evenly spaced labels. Series: { name, values, onclick? }.
+ */
+export function renderLineChart({ labels, series, width = 640, height = 220 }) {
+    const frame = plotFrame(width, height);
+    const { x, y, axes } = scales(frame, labels, Math.max(0, ...series.flatMap(s => s.values)));
+
+    const lines = series.map((s, seriesIndex) => {
+        const color = PALETTE[seriesIndex % PALETTE.length];
+        const points = s.values.map((value, index) => `${x(index)},${y(value)}`).join(' ');
+        return linkable(s.onclick, `
+            <polyline class="chart-line" points="${points}" stroke="${color}" />
+            ${s.values.map((value, index) => `
+                <circle class="chart-point" cx="${x(index)}" cy="${y(value)}" r="3" fill="${color}"><title>${escapeXml(`${s.name} — ${labels[index]}: ${value}`)}</title></circle>
+            `).join('')}
+        `);
+    }).join('');
+
+    return chart(width, height, axes + lines, legend(series));
+}
+
+/**
+ * Nodes joined by weighted edges, placed by a force layout. Nodes: { id, label, value, group, tooltip?, onclick? },
+ * sized by value and coloured by group (numbered from 1); edges: { source, target, weight, tooltip? }.
+ * Groups: { name } per group number, for the legend.
+ */
+export function renderNetwork({ nodes, edges, groups = [], width = 640, height = 420 }) {
+    const positions = layoutNetwork(nodes, edges, width, height);
+    const maxValue = Math.max(1, ...nodes.map(node => node.value));
+    const maxWeight = Math.max(1, ...edges.map(edge => edge.weight));
+    const radius = node => round(5 + 11 * Math.sqrt(node.value / maxValue));
+
+    const lines = edges.map(edge => {
+        const from = positions.get(edge.source);
+        const to = positions.get(edge.target);
+        return `
+            <line class="chart-edge" x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" stroke-width="${round(1 + 4 * edge.weight / maxWeight)}">
+                <title>${escapeXml(edge.tooltip || `${edge.source} — ${edge.target}: ${edge.weight}`)}</title>
+            </line>
+        `;
+    }).join('');
+
+    const marks = nodes.map(node => {
+        const { x, y } = positions.get(node.id);
+        return linkable(node.onclick, `
+            <title>${escapeXml(node.tooltip || `${node.label}: ${node.value}`)}</title>
+            <circle class="chart-node" cx="${x}" cy="${y}" r="${radius(node)}" fill="${PALETTE[(node.group - 1) % PALETTE.length]}" />
+            <text class="chart-label" x="${x}" y="${round(y + radius(node) + 11)}" text-anchor="middle">${escapeXml(truncate(node.label, 16))}</text>
+        `);
+    }).join('');
+
+    return chart(width, height, lines + marks, groups.length > 0 ? legend(groups) : '');
+}
+
+// Fruchterman–Reingold from a circle in input order, so the same graph is always drawn the same way
+function layoutNetwork(nodes, edges, width, height) {
+    const margin = 36;
+    const centre = { x: width / 2, y: height / 2 };
+    const ideal = 0.6 * Math.sqrt((width - 2 * margin) * (height - 2 * margin) / Math.max(1, nodes.length));
+    const positions = new Map(nodes.map((node, index) => {
+        const angle = 2 * Math.PI * index / nodes.length;
+        return [node.id, { x: centre.x + (width / 4) * Math.cos(angle), y: centre.y + (height / 4) * Math.sin(angle) }];
+    }));
+    if (nodes.length === 1) {
+        positions.set(nodes[0].id, { ...centre });
+    }
+
+    let temperature = width / 10;
+    for (let iteration = 0; iteration < 200; iteration++) {
+        const shift = new Map(nodes.map(node => [node.id, { x: 0, y: 0 }]));
+        const push = (a, b, force) => {
+            const dx = positions.get(a).x - positions.get(b).x;
+            const dy = positions.get(a).y - positions.get(b).y;
+            const distance = Math.max(0.01, Math.hypot(dx, dy));
+            shift.get(a).x += dx / distance * force(distance);
+            shift.get(a).y += dy / distance * force(distance);
+            shift.get(b).x -= dx / distance * force(distance);
+            shift.get(b).y -= dy / distance * force(distance);
+        };
+
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                push(nodes[i].id, nodes[j].id, distance => ideal * ideal / distance);
+            }
+        }
+        edges.forEach(edge => push(edge.source, edge.target, distance => -distance * distance / ideal * (1 + Math.log(edge.weight))));
+
+        nodes.forEach(node => {
+            const position = positions.get(node.id);
+            const move = shift.get(node.id);
+            // A little gravity keeps unconnected nodes from drifting to the edges
+            move.x += (centre.x - position.x) * 0.3;
+            move.y += (centre.y - position.y) * 0.3;
+            const length = Math.max(0.01, Math.hypot(move.x, move.y));
+            position.x = Math.min(width - margin, Math.max(margin, position.x + move.x / length * Math.min(length, temperature)));
+            position.y = Math.min(height - margin, Math.max(margin, position.y + move.y / length * Math.min(length, temperature)));
+        });
+        temperature = Math.max(1, temperature * 0.97);
+    }
+
+    positions.forEach(position => {
+        position.x = round(position.x);
+        position.y = round(position.y);
+    });
+    return positions;
+}
+
+function plotFrame(width, height) {
+    return { left: 40, right: width - 16, top: 12, bottom: height - 28, width, height };
+}
+
+// Shared x/y scales and axes for the line and area charts
+function scales(frame, labels, maxValue) {
+    const max = niceMax(maxValue);
+    const plotWidth = frame.right - frame.left;
+    const plotHeight = frame.bottom - frame.top;
+    const x = index => round(frame.left + (labels.length > 1 ? index * plotWidth / (labels.length - 1) : plotWidth / 2));
+    const y = value => round(frame.bottom - (max > 0 ? value / max * plotHeight : 0));
+
+    const grid = [0, max / 2, max].map(value => `
+        <line class="chart-grid" x1="${frame.left}" x2="${frame.right}" y1="${y(value)}" y2="${y(value)}" />
+        <text class="chart-axis" x="${frame.left - 6}" y="${y(value) + 4}" text-anchor="end">${Number.isInteger(value) ? value : value.toFixed(1)}</text>
+    `).join('');
+
+    // Keep at most eight x labels so dozens of versions or days stay readable
+    const step = Math.ceil(labels.length / 8);
+    const xLabels = labels.map((label, index) => index % step === 0 || index === labels.length - 1
+        ? `<text class="chart-axis" x="${x(index)}" y="${frame.height - 8}" text-anchor="middle">${escapeXml(label)}</text>`
+        : '').join('');
+
+    return { x, y, axes: grid + xLabels };
+}
+
+function chart(width, height, content, legendHtml = '') {
+    return `
+        <div class="chart">
+            <svg viewBox="0 0 ${width} ${height}" role="img" preserveAspectRatio="xMidYMid meet">
+                ${content}
+            </svg>
+            ${legendHtml}
+        </div>
+    `;
+}
+
+function legend(series) {
+    return `
+        <ul class="chart-legend">
+            ${series.map((s, index) => `<li><span class="chart-swatch" style="background: ${PALETTE[index % PALETTE.length]}"></span>${escapeXml(s.name)}</li>`).join('')}
+        </ul>
+    `;
+}
+
+function linkable(onclick, content) {
+    return onclick ? `<g class="chart-link" onclick="${escapeXml(onclick)}">${content}</g>` : `<g>${content}</g>`;
+}
+
+// Round the axis maximum up to 1, 2 or 5 times a power of ten
+function niceMax(value) {
+    if (value <= 0) {
+        return 0;
+    }
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    return [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= value);
+}
+
+function truncate(text, maxLength) {
+    const value = String(text);
+    return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,231 @@
+/**
+ * Conversation Session
+ * Memory for follow-up questions: earlier questions and answers, plus the dataset, version, user and topic scope
+ * they ran against, so "and what about in version 3?" or "show me their messages" resolve to a complete query
+ */
+
+import { parseQuestionIntent } from './question-intent.js';
+
+// Turns sent along with a follow-up to the LLM
+export const FOLLOW_UP_HISTORY_TURNS = 4;
+
+const VERSION_NUMBER = /\b(?:in|for|at|from)?\s*(?:version|v)\s*#?(\d+)\b/gi;
+const VERSION_WORDS = [
+    { pattern: /\b(?:in|for|at|from)?\s*(?:the\s+)?(?:latest|newest|most recent|last|current)\s+version\b/gi, pick: 'latest' },
+    { pattern: /\b(?:in|for|at|from)?\s*(?:the\s+)?(?:first|earliest|oldest)\s+version\b/gi, pick: 'first' },
+    { pattern: /\b(?:in|for|at|from)?\s*(?:the\s+)?(?:previous|prior|earlier)\s+version\b/gi, pick: 'previous' },
+    { pattern: /\b(?:in|for|at|across|over)?\s*(?:all|every|each)(?:\s+the)?\s+versions?\b/gi, pick: 'all' }
+];
+const USER_REFERENCE = /\b(?:both of them|the two of them|those users|these users|those people|they|them|their|theirs|he|him|his|she|her|hers)\b/i;
+const EVERYONE = /\b(?:everyone|everybody|all users|the whole community)\b/i;
+const TOPIC_REFERENCE = /\b(?:that|this|the same|those|these)\s+topics?\b/i;
+// "show me their messages", "list the messages about staking", "what did they say"
+const MESSAGE_REQUEST = /\b(?:(?:show|list|give|see|read|pull up|quote)\b[^?]*\bmessages?|what (?:did|do|does) (?:they|them|he|she|@?\w+) (?:say|write|post))\b/i;
+const MESSAGE_SUBJECT = /\bmessages?\s+(?:about|on|regarding|mentioning)\s+(.+?)[?.!]*$/i;
+// Words a follow-up can consist of entirely and still mean "the same question"
+const FILLER = /^(?:and|but|so|ok|okay|what|how|about|in|for|at|on|the|same|then|now|there|again|instead|too|also|with|it|is|was|that|look|like|[\s?.!,])*$/i;
+
+export class ConversationSession {
+    constructor(options = {}) {
+        this.maxTurns = options.maxTurns || 20;
+        this.reset();
+    }
+
+    /**
+     * Start a new conversation from a query's scope ({ dataset, versions, users }); a null scope ends it.
+     */
+    reset(scope = null) {
+        this.turns = [];
+        this.initialScope = scope ? normalizeScope(scope) : null;
+        this.scope = this.initialScope;
+    }
+
+    get active() {
+        return this.scope !== null;
+    }
+
+    /**
+     * Resolve a follow-up against the conversation so far. Context:
+     *   availableVersions  every version number of the dataset, oldest first
+     *   users              [{ userId, userName }] known to the dataset
+     *   topics             [{ id, name }] of the latest results
+     *
+     * Returns { question, standalone, type: 'custom_query'|'message_search', search?, scope, focus, carried }.
+     * `standalone` is the question with references spelled out; `carried` describes what came from earlier turns.
+     */
+    resolve(question, context = {}) {
+        if (!this.active) {
+            throw new Error('Run a query before asking a follow-up question');
+        }
+
+        const original = String(question || '').trim();
+        const previous = this.turns[this.turns.length - 1] || null;
+        const carried = [];
+        let text = original;
+
+        // Versions: "version 3" is the third version when no version has that number
+        const available = (context.availableVersions || []).map(Number).sort((a, b) => a - b);
+        const versions = [];
+        text = text.replace(VERSION_NUMBER, (match, number) => {
+            const value = Number(number);
+            const version = available.includes(value) ? value : available[value - 1];
+            if (version === undefined) {
+                throw new Error(`Version ${number} is not available`);
+            }
+            versions.push(version);
+            return ' ';
+        });
+        VERSION_WORDS.forEach(({ pattern, pick }) => {
+            text = text.replace(pattern, () => {
+                versions.push(...this.pickVersions(pick, available));
+                return ' ';
+            });
+        });
+
+        const scope = {
+            ...this.scope,
+            versions: versions.length > 0 ? [...new Set(versions)].sort((a, b) => a - b) : this.scope.versions
+        };
+        if (versions.length === 0) {
+            carried.push(`versions ${scope.versions.join(', ')}`);
+        }
+
+        // Users and topics the follow-up names itself
+        const intent = parseQuestionIntent(text, { users: context.users || [], topics: context.topics || [] });
+        let focusUsers = intent.users.map(user => ({ userId: String(user.userId), userName: user.userName }));
+        let focusTopics = intent.topics.map(topic => topic.name);
+
+        // "they", "their", "him" refer to the users the conversation was last about
+        const previousUsers = previous?.focus.users || [];
+        if (focusUsers.length === 0 && previousUsers.length > 0 && USER_REFERENCE.test(text)) {
+            focusUsers = previousUsers;
+            text = text.replace(new RegExp(USER_REFERENCE.source, 'gi'), () => previousUsers.map(user => `@${user.userName}`).join(' and '));
+            carried.push(`users ${previousUsers.map(user => `@${user.userName}`).join(', ')}`);
+        }
+
+        const previousTopics = previous?.focus.topics || [];
+        if (focusTopics.length === 0 && previousTopics.length > 0 && TOPIC_REFERENCE.test(text)) {
+            focusTopics = previousTopics;
+            text = text.replace(new RegExp(TOPIC_REFERENCE.source, 'gi'), () => previousTopics.map(name => `"${name}"`).join(' and '));
+            carried.push(`topics ${previousTopics.map(name => `"${name}"`).join(', ')}`);
+        }
+
+        if (focusUsers.length > 0) {
+            scope.users = focusUsers.map(user => user.userId);
+        } else if (EVERYONE.test(text)) {
+            scope.users = [];
+        } else if (scope.users.length > 0) {
+            carried.push(`user filter (${scope.users.length})`);
+        }
+
+        text = text.replace(/\s+/g, ' ').trim();
+
+        // "and what about in version 3?" repeats the previous question in the new scope
+        const withoutNames = focusUsers.reduce((rest, user) => rest.replace(new RegExp(`@*${escapeRegExp(user.userName)}`, 'gi'), ' '), text);
+        let standalone = text;
+        if (previous && FILLER.test(withoutNames)) {
+            standalone = previous.standalone;
+            carried.push(`question "${previous.standalone}"`);
+        }
+
+        const resolution = {
+            question: original,
+            standalone,
+            type: 'custom_query',
+            scope,
+            focus: {
+                users: focusUsers.length > 0 ? focusUsers : previousUsers,
+                topics: focusTopics.length > 0 ? focusTopics : previousTopics
+            },
+            carried
+        };
+
+        if (MESSAGE_REQUEST.test(original)) {
+            resolution.type = 'message_search';
+            resolution.search = {
+                query: (original.match(MESSAGE_SUBJECT) || [])[1]?.trim() || '',
+                users: [],
+                topics: focusTopics
+            };
+        }
+
+        return resolution;
+    }
+
+    pickVersions(pick, available) {
+        const scoped = this.scope.versions;
+        switch (pick) {
+            case 'latest':
+                return available.slice(-1);
+            case 'first':
+                return available.slice(0, 1);
+            case 'previous': {
+                const earlier = available.filter(version => version < Math.min(...scoped));
+                return earlier.length > 0 ? earlier.slice(-1) : scoped.slice(0, 1);
+            }
+            default:
+                return this.initialScope.versions;
+        }
+    }
+
+    /**
+     * Remember a turn and move the scope to it. `resolution` is what resolve() returned, or
+     * { question, scope } for the query that opened the conversation; `results` are its per-version results.
+     * Users and topics the analysis itself resolved become the focus for the next "they" or "that topic".
+     */
+    record(resolution, results) {
+        const valid = (results || []).filter(Boolean);
+        const intent = valid.map(result => result.intent).filter(Boolean).pop();
+        const focus = {
+            users: intent?.users.length > 0
+                ? intent.users.map(user => ({ userId: String(user.userId), userName: user.userName }))
+                : resolution.focus?.users || [],
+            topics: intent?.topics.length > 0 ? [...new Set(intent.topics.map(topic => topic.name))] : resolution.focus?.topics || []
+        };
+
+        const turn = {
+            question: resolution.question,
+            standalone: resolution.standalone || resolution.question,
+            type: resolution.type || 'custom_query',
+            scope: normalizeScope(resolution.scope || this.scope),
+            carried: resolution.carried || [],
+            focus,
+            answer: summarizeAnswer(valid)
+        };
+
+        this.turns.push(turn);
+        this.turns = this.turns.slice(-this.maxTurns);
+        this.scope = turn.scope;
+        return turn;
+    }
+
+    /**
+     * The last turns as { question, answer } pairs, oldest first, for the LLM prompt.
+     */
+    history(limit = FOLLOW_UP_HISTORY_TURNS) {
+        return this.turns.slice(-limit).map(turn => ({ question: turn.question, answer: turn.answer }));
+    }
+}
+
+/**
+ * One answer text for a turn's results: each version's AI answer, or its summary and first insights.
+ */
+export function summarizeAnswer(results, maxLength = 600) {
+    const answers = results.map(result => {
+        const text = result.aiSummary || [result.summary, ...(result.insights || []).slice(0, 3)].filter(Boolean).join('. ');
+        return results.length > 1 ? `Version ${result.version}: ${text}` : text;
+    }).join('\n');
+    return answers.length > maxLength ? `${answers.slice(0, maxLength).trim()}…` : answers;
+}
+
+function normalizeScope(scope) {
+    return {
+        dataset: scope.dataset !== undefined && scope.dataset !== null ? String(scope.dataset) : null,
+        versions: (scope.versions || []).map(Number).sort((a, b) => a - b),
+        users: (scope.users || []).map(String)
+    };
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,176 @@
+/**
+ * Conversation Threads
+ * Reply trees built from a tree's conversationThreads, rootMessageIds and replyToMessageId links
+ */
+
+import { getMessageText } from './message-search.js';
+
+/**
+ * Build every thread in a tree, most recently active first. Options:
+ *   users         only keep threads in which one of these user IDs took part
+ *   getTopicName  topicId → display name
+ */
+export function buildThreads(treeData, options = {}) {
+    const messages = treeData?.messages || {};
+    const getTopicName = options.getTopicName || (topicId => `Topic ${topicId}`);
+    const userIds = (options.users || []).map(String);
+
+    const threads = collectThreadMembers(treeData)
+        .map(({ rootMessageId, messageIds }) => buildThread(rootMessageId, messageIds, messages, getTopicName))
+        .filter(Boolean)
+        .filter(thread => userIds.length === 0 || thread.participants.some(p => userIds.includes(String(p.userId))));
+
+    threads.sort((a, b) => (b.lastActivityAt || 0) - (a.lastActivityAt || 0));
+    return threads;
+}
+
+/**
+ * Threads touching a topic: the thread's main topic, or any message in it assigned to the topic.
+ */
+export function threadsForTopic(threads, topicId) {
+    return threads.filter(thread => thread.topics.some(topic => String(topic.topicId) === String(topicId)));
+}
+
+/**
+ * Thread counts keyed by topic ID, as threadsForTopic would return them.
+ */
+export function countThreadsByTopic(threads) {
+    const counts = new Map();
+    threads.forEach(thread => {
+        thread.topics.forEach(topic => counts.set(topic.topicId, (counts.get(topic.topicId) || 0) + 1));
+    });
+    return counts;
+}
+
+// Prefer the tree's own thread index; fall back to following replyToMessageId chains
+function collectThreadMembers(treeData) {
+    const messages = treeData?.messages || {};
+    const members = new Map();
+
+    Object.values(treeData?.conversationThreads || {}).forEach(thread => {
+        members.set(String(thread.rootMessageId), new Set((thread.messageIds || []).map(String)));
+    });
+
+    // Root messages without a thread entry are threads with no replies yet
+    (treeData?.rootMessageIds || []).forEach(rootId => {
+        if (!members.has(String(rootId))) {
+            members.set(String(rootId), new Set([String(rootId)]));
+        }
+    });
+
+    if (!treeData?.conversationThreads) {
+        Object.values(messages).forEach(message => {
+            const rootId = findRootId(message, messages);
+            if (!members.has(rootId)) {
+                members.set(rootId, new Set());
+            }
+            members.get(rootId).add(String(message.id));
+        });
+    }
+
+    return Array.from(members, ([rootMessageId, messageIds]) => ({
+        rootMessageId,
+        messageIds: [rootMessageId, ...Array.from(messageIds).filter(id => id !== rootMessageId)]
+    }));
+}
+
+function findRootId(message, messages) {
+    const seen = new Set();
+    let current = message;
+    while (current.replyToMessageId !== undefined && current.replyToMessageId !== null &&
+        messages[current.replyToMessageId] && !seen.has(String(current.id))) {
+        seen.add(String(current.id));
+        current = messages[current.replyToMessageId];
+    }
+    return String(current.id);
+}
+
+function buildThread(rootMessageId, messageIds, messages, getTopicName) {
+    const threadMessages = messageIds.map(id => messages[id]).filter(Boolean);
+    const root = messages[rootMessageId];
+    if (!root) {
+        return null;
+    }
+
+    const nodes = new Map(threadMessages.map(message => [String(message.id), toNode(message, getTopicName)]));
+    const rootNode = nodes.get(String(root.id));
+
+    // Replies whose parent is missing from the thread hang off the root
+    threadMessages.forEach(message => {
+        if (String(message.id) === String(root.id)) {
+            return;
+        }
+        const parentId = String(message.replyToMessageId);
+        const parent = (parentId !== String(message.id) && nodes.get(parentId)) || rootNode;
+        parent.replies.push(nodes.get(String(message.id)));
+    });
+    nodes.forEach(node => node.replies.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0)));
+    assignDepth(rootNode, 0);
+
+    const participants = new Map();
+    const topics = new Map();
+    threadMessages.forEach(message => {
+        const participant = participants.get(String(message.fromUserId)) ||
+            { userId: message.fromUserId, userName: message.fromUserName || `User ${message.fromUserId}`, messageCount: 0 };
+        participant.messageCount++;
+        participants.set(String(message.fromUserId), participant);
+
+        if (isAssignedTopic(message.topicId)) {
+            const topic = topics.get(message.topicId) || { topicId: message.topicId, name: getTopicName(message.topicId), messageCount: 0 };
+            topic.messageCount++;
+            topics.set(message.topicId, topic);
+        }
+    });
+
+    let startedAt = null;
+    let lastActivityAt = null;
+    threadMessages.forEach(message => {
+        if (!message.timestamp) {
+            return;
+        }
+        startedAt = startedAt === null ? message.timestamp : Math.min(startedAt, message.timestamp);
+        lastActivityAt = lastActivityAt === null ? message.timestamp : Math.max(lastActivityAt, message.timestamp);
+    });
+    const sortedTopics = Array.from(topics.values()).sort((a, b) => b.messageCount - a.messageCount);
+
+    return {
+        rootMessageId: root.id,
+        root: rootNode,
+        messageCount: threadMessages.length,
+        replyCount: threadMessages.length - 1,
+        depth: maxDepth(rootNode),
+        participants: Array.from(participants.values()).sort((a, b) => b.messageCount - a.messageCount),
+        topics: sortedTopics,
+        // The root's own topic wins, since it is what the thread was started about
+        primaryTopicId: isAssignedTopic(root.topicId) ? root.topicId : (sortedTopics[0]?.topicId ?? null),
+        startedAt,
+        lastActivityAt
+    };
+}
+
+function toNode(message, getTopicName) {
+    return {
+        messageId: message.id,
+        userId: message.fromUserId,
+        userName: message.fromUserName || `User ${message.fromUserId}`,
+        topicId: isAssignedTopic(message.topicId) ? message.topicId : null,
+        topicName: isAssignedTopic(message.topicId) ? getTopicName(message.topicId) : 'Unassigned',
+        timestamp: message.timestamp || null,
+        text: getMessageText(message),
+        depth: 0,
+        replies: []
+    };
+}
+
+function assignDepth(node, depth) {
+    node.depth = depth;
+    node.replies.forEach(reply => assignDepth(reply, depth + 1));
+}
+
+function maxDepth(node) {
+    return node.replies.reduce((deepest, reply) => Math.max(deepest, maxDepth(reply)), node.depth);
+}
+
+function isAssignedTopic(topicId) {
+    return topicId !== undefined && topicId !== null && topicId !== -1;
+}
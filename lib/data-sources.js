@@ -0,0 +1,240 @@
+/**
+ * Topic Tree Data Sources
+ * Pluggable backends that answer the topic tree endpoints used by the interface
+ */
+
+export const DEFAULT_CEF_BASE_URL = 'https://compute-1.testnet.cere.network/engine/data-service/2606/query';
+
+// Channel ID assigned to local tree files that do not carry their own
+export const LOCAL_CHANNEL_ID = 0;
+
+// Hosts a shared link may point the interface at; anything else has to be configured or typed in by the user
+export const KNOWN_REMOTE_HOSTS = [new URL(DEFAULT_CEF_BASE_URL).hostname, 'localhost', '127.0.0.1'];
+
+/**
+ * Any server that speaks the CEF.AI data-service protocol: POST `{params}` to `${baseUrl}/${endpoint}`.
+ * Use this directly to point the interface at a mock server or an alternative deployment.
+ */
+export class RemoteDataSource {
+    constructor(baseUrl, options = {}) {
+        if (!baseUrl) {
+            throw new Error('RemoteDataSource requires a base URL');
+        }
+
+        this.type = 'remote';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.label = options.label || this.baseUrl;
+        this.fetchImpl = options.fetch || ((...args) => fetch(...args));
+        this.logger = options.logger || console;
+    }
+
+    describeEndpoint(endpoint) {
+        return `${this.baseUrl}/${endpoint}`;
+    }
+
+    async query(endpoint, params) {
+        // Correct URL format: append endpoint to base URL
+        const url = this.describeEndpoint(endpoint);
+        const payload = {
+            params: params
+        };
+
+        try {
+            const response = await this.fetchImpl(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(payload)
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                this.logger.error('❌ Response error:', errorText);
+                throw new Error(`API call failed: ${response.status} ${response.statusText} - ${errorText}`);
+            }
+
+            const data = await response.json();
+
+            if (data.error) {
+                this.logger.error('❌ API Error:', data.error);
+                throw new Error(data.error.message || 'API returned an error');
+            }
+
+            // Handle nested result structure from API
+            return unwrapApiResult(data);
+        } catch (error) {
+            this.logger.error('💥 API Call Exception:', error);
+            throw error;
+        }
+    }
+}
+
+/**
+ * The live CEF.AI testnet endpoint the interface has always used.
+ */
+export class CefDataSource extends RemoteDataSource {
+    constructor(options = {}) {
+        super(options.baseUrl || DEFAULT_CEF_BASE_URL, {
+            label: 'CEF.AI (testnet)',
+            ...options
+        });
+        this.type = 'cef';
+    }
+}
+
+/**
+ * In-memory source fed with transcript/tree JSON documents, for offline development, demos and tests.
+ * Documents can be raw API responses, the nested `result.result.data` envelope, or a bare tree.
+ */
+export class LocalTreeDataSource {
+    constructor(documents = [], options = {}) {
+        this.type = 'local';
+        this.label = 'Local tree files';
+        this.logger = options.logger || console;
+        this.channels = new Map(); // channelId -> Map(version -> { channelId, version, tree, metadata })
+
+        documents.forEach(json => this.addTree(json));
+    }
+
+    addTree(json, defaults = {}) {
+        const source = unwrapApiResult(typeof json === 'string' ? JSON.parse(json) : json);
+        const tree = source.tree || source;
+
+        if (!tree || !tree.messages) {
+            throw new Error(defaults.name ? `Tree file ${defaults.name} has no messages` : 'Tree file has no messages');
+        }
+
+        const channelId = normalizeId(source.channelId ?? tree.channelId ?? defaults.channelId ?? LOCAL_CHANNEL_ID);
+        if (!this.channels.has(channelId)) {
+            this.channels.set(channelId, new Map());
+        }
+
+        const versions = this.channels.get(channelId);
+        const version = normalizeId(source.version ?? tree.version ?? defaults.version ?? versions.size + 1);
+
+        versions.set(version, {
+            channelId: channelId,
+            version: version,
+            name: defaults.name || source.name || null,
+            tree: tree,
+            metadata: source.metadata || { operation: { name: 'local-file' } }
+        });
+
+        this.logger.log(`📂 Loaded local tree for channel ${channelId}, version ${version}:`, Object.keys(tree.messages).length, 'messages');
+        return { channelId, version };
+    }
+
+    listChannels() {
+        return Array.from(this.channels.entries()).map(([channelId, versions]) => ({
+            channelId: channelId,
+            name: Array.from(versions.values()).find(entry => entry.name)?.name || null,
+            versionCount: versions.size
+        }));
+    }
+
+    describeEndpoint(endpoint) {
+        return `local://${endpoint}`;
+    }
+
+    async query(endpoint, params) {
+        const versions = this.channels.get(normalizeId(params.channelId));
+        if (!versions) {
+            throw new Error(`No local tree loaded for channel ${params.channelId}`);
+        }
+
+        if (endpoint === 'get_topic_tree_versions_by_channel') {
+            return {
+                channelId: normalizeId(params.channelId),
+                versions: Array.from(versions.values()).map(entry => ({
+                    version: entry.version,
+                    createdAt: entry.tree.createdAt || null,
+                    messageCount: Object.keys(entry.tree.messages).length,
+                    topicCount: entry.tree.topics ? Object.keys(entry.tree.topics).length : 0
+                }))
+            };
+        }
+
+        const entry = versions.get(normalizeId(params.version));
+        if (!entry) {
+            throw new Error(`No local tree loaded for channel ${params.channelId}, version ${params.version}`);
+        }
+
+        switch (endpoint) {
+            case 'get_topic_tree_by_channel_and_version':
+                return this.buildTreeResponse(entry, entry.tree);
+            case 'get_topic_tree_by_channel_and_user':
+                return this.buildTreeResponse(entry, filterTreeByUsers(entry.tree, [params.userId]));
+            case 'get_topic_tree_by_channel_and_users':
+                return this.buildTreeResponse(entry, filterTreeByUsers(entry.tree, String(params.userIds).split(',')));
+            default:
+                throw new Error(`Unsupported endpoint for local data source: ${endpoint}`);
+        }
+    }
+
+    buildTreeResponse(entry, tree) {
+        return {
+            channelId: entry.channelId,
+            version: entry.version,
+            tree: tree,
+            metadata: entry.metadata
+        };
+    }
+}
+
+/**
+ * Build a data source from a plain config object, e.g. `{ type: 'remote', baseUrl: 'http://localhost:3001' }`.
+ */
+export function createDataSource(config = {}) {
+    switch (config.type) {
+        case 'local':
+            return new LocalTreeDataSource(config.documents || [], config);
+        case 'remote':
+            return new RemoteDataSource(config.baseUrl, config);
+        case 'cef':
+        default:
+            return new CefDataSource(config);
+    }
+}
+
+/**
+ * Whether a base URL taken from outside the user's own input (a shared link) may be used: http(s) only,
+ * on one of the known hosts or the extra `allowedHosts` the deployment configured.
+ */
+export function isAllowedRemoteUrl(baseUrl, allowedHosts = []) {
+    let url;
+    try {
+        url = new URL(baseUrl);
+    } catch (error) {
+        return false;
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return false;
+    }
+
+    const hosts = [...KNOWN_REMOTE_HOSTS, ...allowedHosts].map(host => String(host).toLowerCase());
+    return hosts.includes(url.hostname.toLowerCase()) || hosts.includes(url.host.toLowerCase());
+}
+
+export function unwrapApiResult(data) {
+    return data?.result?.result?.data || data?.result || data;
+}
+
+function filterTreeByUsers(tree, userIds) {
+    const ids = userIds.map(id => parseInt(id));
+    const messages = {};
+
+    Object.entries(tree.messages).forEach(([messageId, message]) => {
+        if (ids.includes(message.fromUserId)) {
+            messages[messageId] = message;
+        }
+    });
+
+    return { ...tree, messages };
+}
+
+function normalizeId(value) {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) ? value : parsed;
+}
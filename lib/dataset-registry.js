@@ -0,0 +1,164 @@
+/**
+ * Dataset Registry
+ * Communities the interface can query, loaded from datasets.json and extended by what the data source reports
+ */
+
+import { resolveVersions } from './query-runner.js';
+import { DEFAULT_CATEGORIES, parseTaxonomy, mergeTaxonomy } from './topic-categories.js';
+
+export const DEFAULT_DATASET_CONFIG_URL = 'datasets.json';
+
+export class DatasetRegistry {
+    constructor(config = {}) {
+        this.datasets = new Map();
+        this.defaultChannelId = config.defaultDataset !== undefined && config.defaultDataset !== null
+            ? String(config.defaultDataset)
+            : null;
+        // A top-level "categories" array replaces the built-in taxonomy for every dataset
+        this.categories = config.categories ? parseTaxonomy(config.categories) : DEFAULT_CATEGORIES;
+
+        (config.datasets || []).forEach(dataset => this.register(dataset));
+    }
+
+    /**
+     * Add or update a dataset. Fields missing from `dataset` keep their current value, so
+     * a channel discovered from the data source never drops the name configured for it.
+     */
+    register(dataset) {
+        const channelId = String(dataset.channelId);
+        const existing = this.datasets.get(channelId) || {};
+        const entry = {
+            channelId: channelId,
+            name: dataset.name || existing.name || `Channel ${channelId}`,
+            description: dataset.description || existing.description || '',
+            github: dataset.github || existing.github || null,
+            defaultVersions: dataset.defaultVersions ?? existing.defaultVersions ?? null,
+            categories: dataset.categories ?? existing.categories ?? null,
+            origin: existing.origin || dataset.origin || 'config'
+        };
+
+        this.datasets.set(channelId, entry);
+        return entry;
+    }
+
+    get(channelId) {
+        return this.datasets.get(String(channelId)) || null;
+    }
+
+    has(channelId) {
+        return this.datasets.has(String(channelId));
+    }
+
+    list() {
+        return Array.from(this.datasets.values());
+    }
+
+    /**
+     * Register the channels a data source can list (local tree files). Returns the newly added entries.
+     */
+    discoverFrom(dataSource) {
+        if (typeof dataSource?.listChannels !== 'function') {
+            return [];
+        }
+
+        return dataSource.listChannels()
+            .filter(channel => !this.has(channel.channelId))
+            .map(channel => this.register({
+                channelId: channel.channelId,
+                name: channel.name || `Local Channel ${channel.channelId}`,
+                description: `Local tree file with ${channel.versionCount} version(s)`,
+                origin: dataSource.type
+            }));
+    }
+
+    /**
+     * The category taxonomy for a dataset: the shared taxonomy with the dataset's own category edits applied.
+     */
+    taxonomyFor(channelId) {
+        const dataset = this.get(channelId);
+        return dataset?.categories ? mergeTaxonomy(this.categories, dataset.categories) : this.categories;
+    }
+
+    /**
+     * Versions to pre-select for a dataset: its configured `defaultVersions` spec, or the first,
+     * middle and latest versions when none is configured or none of the configured ones exist.
+     */
+    defaultVersionsFor(channelId, availableVersions, maxVersions = 3) {
+        const dataset = this.get(channelId);
+        const spec = Array.isArray(dataset?.defaultVersions) ? dataset.defaultVersions.join(',') : dataset?.defaultVersions;
+
+        if (spec) {
+            try {
+                const versions = resolveVersions(spec, availableVersions);
+                if (versions.length > 0) {
+                    return versions.slice(-maxVersions);
+                }
+            } catch (error) {
+                // A configured version was removed upstream; fall back to the spread below
+            }
+        }
+        return spreadVersions(availableVersions, maxVersions);
+    }
+}
+
+/**
+ * Validate a parsed datasets.json document. Throws on the first problem found.
+ */
+export function parseDatasetConfig(config) {
+    if (!config || !Array.isArray(config.datasets)) {
+        throw new Error('Dataset config must have a "datasets" array');
+    }
+
+    const seen = new Set();
+    config.datasets.forEach((dataset, index) => {
+        if (dataset.channelId === undefined || dataset.channelId === null || dataset.channelId === '') {
+            throw new Error(`Dataset config entry ${index} is missing channelId`);
+        }
+        if (!dataset.name) {
+            throw new Error(`Dataset config entry ${index} (${dataset.channelId}) is missing name`);
+        }
+        if (seen.has(String(dataset.channelId))) {
+            throw new Error(`Dataset config lists channel ${dataset.channelId} twice`);
+        }
+        seen.add(String(dataset.channelId));
+    });
+
+    const categories = config.categories ? parseTaxonomy(config.categories) : DEFAULT_CATEGORIES;
+    config.datasets.filter(dataset => dataset.categories).forEach(dataset => {
+        try {
+            mergeTaxonomy(categories, dataset.categories);
+        } catch (error) {
+            throw new Error(`Dataset config entry ${dataset.channelId} has invalid categories: ${error.message}`);
+        }
+    });
+
+    if (config.defaultDataset !== undefined && config.defaultDataset !== null && !seen.has(String(config.defaultDataset))) {
+        throw new Error(`Dataset config default ${config.defaultDataset} is not one of its datasets`);
+    }
+
+    return config;
+}
+
+export async function loadDatasetRegistry(url = DEFAULT_DATASET_CONFIG_URL, options = {}) {
+    const fetchImpl = options.fetch || ((...args) => fetch(...args));
+    const response = await fetchImpl(url);
+
+    if (!response.ok) {
+        throw new Error(`Failed to load dataset config ${url}: ${response.status} ${response.statusText}`);
+    }
+    return new DatasetRegistry(parseDatasetConfig(await response.json()));
+}
+
+// First, middle and latest: the interface's long-standing default comparison
+export function spreadVersions(availableVersions, maxVersions = 3) {
+    const versions = availableVersions.map(v => v.version);
+    if (versions.length < maxVersions || maxVersions <= 1) {
+        return versions.slice(-1);
+    }
+
+    const picked = [];
+    for (let i = 0; i < maxVersions; i++) {
+        picked.push(versions[Math.round(i * (versions.length - 1) / (maxVersions - 1))]);
+    }
+    return [...new Set(picked)];
+}
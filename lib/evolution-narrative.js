@@ -0,0 +1,211 @@
+/**
+ * Evolution Narrative
+ * A compact cross-version context (what changed, what emerged, who drove it) built from per-version results
+ * and their delta, the prompt that turns it into an AI narrative, and a local narrative for when no model answers
+ */
+
+import { describeEvolutionEvent } from './topic-alignment.js';
+import { formatSignedNumber } from './version-delta.js';
+import { formatVersionLabel } from './version-timeline.js';
+
+/**
+ * Summarize results (any order) and their computeMultiVersionDelta() output. Options:
+ *   topicLimit        top topics per version and topic changes kept (default 5 and 8)
+ *   contributorLimit  contributors kept as drivers, newcomers and departures (default 5)
+ *
+ * Returns { versions, changes, topicChanges, topicGrowth, drivers, newcomers, departed, categories, sentiment }, or null without a delta.
+ * topicChanges are per pair of consecutive versions; topicGrowth follows each topic from its first to its last appearance.
+ * Only counts, names and labels are included: no message text leaves the browser.
+ */
+export function buildEvolutionContext(results, delta, options = {}) {
+    if (!delta) {
+        return null;
+    }
+    const topicLimit = options.topicLimit ?? 5;
+    const contributorLimit = options.contributorLimit ?? 5;
+    const sorted = results.filter(result => result && result.data).sort((a, b) => a.version - b.version);
+    const byVersion = new Map(sorted.map(result => [result.version, result]));
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+
+    const topicChanges = (delta.evolution?.transitions || [])
+        .flatMap(transition => transition.events
+            .filter(event => event.type !== 'stable')
+            .map(event => ({
+                type: event.type,
+                from: transition.from,
+                to: transition.to,
+                description: describeEvolutionEvent(event),
+                change: event.change,
+                // The people behind a topic that appeared or grew
+                contributors: ['new', 'grew', 'split', 'merged', 'renamed'].includes(event.type)
+                    ? topContributors(byVersion.get(transition.to), event.to.map(topic => topic.id), 3)
+                    : []
+            })))
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+        .slice(0, topicLimit + 3);
+
+    const topicGrowth = (delta.evolution?.lineages || [])
+        .map(lineage => {
+            const cells = lineage.cells.filter(Boolean);
+            return { name: cells[cells.length - 1].name, from: cells[0].messageCount, to: cells[cells.length - 1].messageCount };
+        })
+        .map(topic => ({ ...topic, change: topic.to - topic.from }))
+        .filter(topic => topic.change !== 0)
+        .sort((a, b) => b.change - a.change)
+        .slice(0, topicLimit);
+
+    const before = contributorTotals(first);
+    const after = contributorTotals(last);
+    const drivers = Array.from(after.values())
+        .map(user => ({ userName: user.userName, from: before.get(user.userName)?.messageCount || 0, to: user.messageCount, topics: user.topics }))
+        .map(user => ({ ...user, change: user.to - user.from }))
+        .filter(user => user.change > 0)
+        .sort((a, b) => b.change - a.change || a.userName.localeCompare(b.userName))
+        .slice(0, contributorLimit)
+        .map(user => ({ ...user, topics: topTopicNames(user.topics, 2) }));
+
+    return {
+        versions: sorted.map(result => ({
+            version: result.version,
+            label: formatVersionLabel(result.version),
+            messageCount: result.data.messageCount,
+            topicCount: result.data.topicCount,
+            activeUsers: result.data.activeUsers,
+            topTopics: (result.data.topics || []).slice(0, topicLimit).map(topic => ({ name: topic.name, messageCount: topic.messageCount })),
+            sentiment: result.data.sentiment?.overall.label || null
+        })),
+        changes: delta.changes,
+        topicChanges,
+        topicGrowth,
+        drivers,
+        newcomers: Array.from(after.keys()).filter(name => !before.has(name)).slice(0, contributorLimit),
+        departed: Array.from(before.keys()).filter(name => !after.has(name)).slice(0, contributorLimit),
+        categories: (delta.categories || [])
+            .filter(category => category.change !== 0)
+            .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+            .slice(0, 3)
+            .map(category => ({ name: category.name, from: category.counts[0], to: category.counts[category.counts.length - 1], change: category.change })),
+        sentiment: delta.sentiment ? {
+            from: delta.sentiment.rows[0].label,
+            to: delta.sentiment.rows[delta.sentiment.rows.length - 1].label,
+            change: delta.sentiment.change
+        } : null
+    };
+}
+
+/**
+ * The prompt asking a model for the narrative; `question` is the analyst's question when there is one.
+ */
+export function buildEvolutionPrompt(context, question = '') {
+    const first = context.versions[0];
+    const last = context.versions[context.versions.length - 1];
+    const list = (items, empty = 'none') => items.length > 0 ? items.join('\n') : empty;
+
+    return `You are an expert community analyst. These are snapshots of one community's topic tree, oldest first. Explain how the community evolved between them.
+${question ? `\nThe analyst asked: "${question}"\n` : ''}
+Versions:
+${context.versions.map(version => `- ${version.label}: ${version.messageCount} messages, ${version.topicCount} topics, ${version.activeUsers} users; ` +
+    `top topics ${version.topTopics.map(topic => `"${topic.name}" (${topic.messageCount})`).join(', ') || 'none'}${version.sentiment ? `; mood ${version.sentiment}` : ''}`).join('\n')}
+
+Overall change (${first.label} → ${last.label}): ${formatSignedNumber(context.changes.messages)} messages, ${formatSignedNumber(context.changes.topics)} topics, ${formatSignedNumber(context.changes.users)} users
+
+Topic changes:
+${list(context.topicChanges.map(change => `- ${change.type} (${formatVersionLabel(change.from)} → ${formatVersionLabel(change.to)}): ${change.description}` +
+    `${change.contributors.length > 0 ? `; led by ${change.contributors.join(', ')}` : ''}`))}
+
+Topic growth from first to last appearance:
+${list(context.topicGrowth.map(topic => `- "${topic.name}": ${topic.from} → ${topic.to} messages`))}
+
+Contributors driving the change:
+${list(context.drivers.map(user => `- ${user.userName}: ${user.from} → ${user.to} messages${user.topics.length > 0 ? `, mostly in "${user.topics.join('", "')}"` : ''}`))}
+Newcomers: ${context.newcomers.join(', ') || 'none'}
+No longer posting: ${context.departed.join(', ') || 'none'}
+${context.categories.length > 0 ? `Category shifts: ${context.categories.map(category => `${category.name} ${category.from} → ${category.to}`).join(', ')}\n` : ''}${context.sentiment ? `Mood: ${context.sentiment.from} → ${context.sentiment.to}\n` : ''}
+Write a narrative of what changed overall, which topics emerged, grew or faded, and who drove it. Use only the figures above and name topics and users exactly as written.
+
+Response format: Three short paragraphs (maximum 180 words in total).`;
+}
+
+/**
+ * A plain narrative from the context alone, shown until (or instead of) the AI narrative.
+ */
+export function describeEvolution(context) {
+    if (!context) {
+        return '';
+    }
+    const first = context.versions[0];
+    const last = context.versions[context.versions.length - 1];
+    const paragraphs = [];
+
+    const fromTo = (from, to, noun) => from === to ? `a steady ${to} ${noun}` : `${from} to ${to} ${noun}`;
+    paragraphs.push(`Between ${first.label} and ${last.label} the community went from ${first.messageCount} to ${last.messageCount} messages ` +
+        `(${formatSignedNumber(context.changes.messages)}), with ${fromTo(first.topicCount, last.topicCount, 'topics')} and ` +
+        `${fromTo(first.activeUsers, last.activeUsers, 'active users')}.` +
+        (context.sentiment && context.sentiment.from !== context.sentiment.to ? ` The mood moved from ${context.sentiment.from} to ${context.sentiment.to}.` : ''));
+
+    const topics = [];
+    const [grewMost, ...alsoGrew] = context.topicGrowth.filter(topic => topic.change > 0);
+    if (grewMost) {
+        topics.push(`"${grewMost.name}" grew the most (${grewMost.from} → ${grewMost.to} messages)` +
+            `${alsoGrew.length > 0 ? `, followed by ${alsoGrew.slice(0, 2).map(topic => `"${topic.name}" (${topic.from} → ${topic.to})`).join(' and ')}` : ''}.`);
+    }
+    context.topicChanges.filter(change => change.type === 'new').forEach(change => {
+        topics.push(`${change.description.replace(/ \(/, ` emerged in ${formatVersionLabel(change.to)} (`)}` +
+            `${change.contributors.length > 0 ? `, started by ${change.contributors.join(', ')}` : ''}.`);
+    });
+    context.topicChanges.filter(change => change.type === 'died').forEach(change => {
+        topics.push(`${change.description.replace(/ \(/, ` faded after ${formatVersionLabel(change.from)} (`)}.`);
+    });
+    context.topicChanges.filter(change => ['renamed', 'merged', 'split'].includes(change.type)).forEach(change => {
+        topics.push(`${change.description} (${change.type} in ${formatVersionLabel(change.to)}).`);
+    });
+    if (topics.length > 0) {
+        paragraphs.push(topics.join(' '));
+    }
+
+    const people = [];
+    if (context.drivers.length > 0) {
+        people.push(`Most of the new activity came from ${context.drivers.slice(0, 3).map(user =>
+            `${user.userName} (${formatSignedNumber(user.change)}${user.topics.length > 0 ? `, mostly in "${user.topics[0]}"` : ''})`).join(', ')}.`);
+    }
+    if (context.newcomers.length > 0) {
+        people.push(`New voices: ${context.newcomers.join(', ')}.`);
+    }
+    if (context.departed.length > 0) {
+        people.push(`No longer posting: ${context.departed.join(', ')}.`);
+    }
+    if (people.length > 0) {
+        paragraphs.push(people.join(' '));
+    }
+
+    return paragraphs.join('\n\n');
+}
+
+// Messages per contributor across a result's topics, with the topics they post in
+function contributorTotals(result) {
+    const totals = new Map();
+    (result?.data?.topics || []).forEach(topic => {
+        (topic.contributors || []).forEach(contributor => {
+            const entry = totals.get(contributor.username) || { userName: contributor.username, messageCount: 0, topics: new Map() };
+            entry.messageCount += contributor.messageCount;
+            entry.topics.set(topic.name, (entry.topics.get(topic.name) || 0) + contributor.messageCount);
+            totals.set(contributor.username, entry);
+        });
+    });
+    return totals;
+}
+
+function topContributors(result, topicIds, limit) {
+    const counts = new Map();
+    (result?.data?.topics || [])
+        .filter(topic => topicIds.includes(topic.id))
+        .forEach(topic => (topic.contributors || []).forEach(contributor => {
+            counts.set(contributor.username, (counts.get(contributor.username) || 0) + contributor.messageCount);
+        }));
+    return Array.from(counts).sort((a, b) => b[1] - a[1]).slice(0, limit).map(([name]) => name);
+}
+
+function topTopicNames(topics, limit) {
+    return Array.from(topics).sort((a, b) => b[1] - a[1]).slice(0, limit).map(([name]) => name);
+}
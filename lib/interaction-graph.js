@@ -0,0 +1,489 @@
+/**
+ * Interaction Graph
+ * Who replies to whom, from replyToMessageId: centrality to find influencers and bridge users,
+ * Louvain community detection to find clusters, and JSON, GraphML and CSV exports
+ */
+
+export const GRAPH_EXPORT_FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json' },
+    graphml: { extension: 'graphml', mimeType: 'application/xml' },
+    csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_ITERATIONS = 50;
+
+/**
+ * Reply graph of the given messages. Parents are looked up among the same messages, so pass the whole
+ * (time-filtered) tree rather than one user's messages. Options:
+ *   users         keep only edges touching one of these user IDs, and those users' neighbours
+ *   getTopicName  topicId → display name, for each community's main topics
+ * Returns { nodes, edges, communities, modularity, replyCount }. Edges are undirected, with the replies
+ * each way kept as sourceReplies (source → target) and targetReplies.
+ */
+export function buildInteractionGraph(messages, options = {}) {
+    const getTopicName = options.getTopicName || (topicId => `Topic ${topicId}`);
+    const selected = new Set((options.users || []).map(String));
+    const byId = new Map(messages.map(message => [String(message.id), message]));
+    const people = new Map();
+    const person = (message) => {
+        const userId = String(message.fromUserId);
+        if (!people.has(userId)) {
+            people.set(userId, { userId, userName: message.fromUserName || `User ${userId}`, messageCount: 0, repliesSent: 0, repliesReceived: 0, topicCounts: new Map() });
+        }
+        return people.get(userId);
+    };
+
+    messages.forEach(message => {
+        if (message.fromUserId === undefined || message.fromUserId === null) {
+            return;
+        }
+        const entry = person(message);
+        entry.messageCount++;
+        if (message.topicId !== undefined && message.topicId !== null && message.topicId !== -1) {
+            entry.topicCounts.set(message.topicId, (entry.topicCounts.get(message.topicId) || 0) + 1);
+        }
+    });
+
+    const edges = new Map();
+    let replyCount = 0;
+    messages.forEach(message => {
+        const parent = message.replyToMessageId !== undefined && message.replyToMessageId !== null
+            ? byId.get(String(message.replyToMessageId))
+            : null;
+        if (!parent || !people.has(String(message.fromUserId)) || !people.has(String(parent.fromUserId))) {
+            return;
+        }
+        const from = String(message.fromUserId);
+        const to = String(parent.fromUserId);
+        if (from === to || (selected.size > 0 && !selected.has(from) && !selected.has(to))) {
+            return;
+        }
+
+        const [source, target] = from < to ? [from, to] : [to, from];
+        const key = `${source}\u0000${target}`;
+        if (!edges.has(key)) {
+            edges.set(key, { source, target, weight: 0, sourceReplies: 0, targetReplies: 0 });
+        }
+        const edge = edges.get(key);
+        edge.weight++;
+        edge[from === source ? 'sourceReplies' : 'targetReplies']++;
+        people.get(from).repliesSent++;
+        people.get(to).repliesReceived++;
+        replyCount++;
+    });
+
+    // With a user filter, the graph is the selected users' neighbourhood
+    const edgeList = Array.from(edges.values());
+    const nodeIds = Array.from(people.keys())
+        .filter(userId => selected.size === 0 || selected.has(userId) || edgeList.some(edge => edge.source === userId || edge.target === userId))
+        .sort();
+
+    const adjacency = new Map(nodeIds.map(userId => [userId, new Map()]));
+    edgeList.forEach(edge => {
+        adjacency.get(edge.source).set(edge.target, edge.weight);
+        adjacency.get(edge.target).set(edge.source, edge.weight);
+    });
+
+    const pagerank = computePageRank(nodeIds, edgeList);
+    const betweenness = computeBetweenness(nodeIds, adjacency);
+    const { membership, modularity } = detectCommunities(nodeIds, adjacency);
+
+    const nodes = nodeIds.map(userId => {
+        const { topicCounts, ...entry } = people.get(userId);
+        const neighbours = Array.from(adjacency.get(userId).keys());
+        return {
+            ...entry,
+            degree: neighbours.length,
+            strength: Array.from(adjacency.get(userId).values()).reduce((sum, weight) => sum + weight, 0),
+            pagerank: round(pagerank.get(userId)),
+            betweenness: round(betweenness.get(userId)),
+            community: membership.get(userId),
+            // Other communities this user talks to directly
+            bridgesTo: new Set(neighbours.map(neighbour => membership.get(neighbour)).filter(community => community !== membership.get(userId))).size,
+            topicCounts
+        };
+    });
+
+    const communities = summarizeCommunities(nodes, edgeList, getTopicName);
+    const renumber = new Map(communities.map(community => [community.previousId, community.id]));
+
+    return {
+        nodes: nodes
+            .map(({ topicCounts, ...node }) => ({ ...node, community: renumber.get(node.community) }))
+            .sort((a, b) => b.pagerank - a.pagerank || b.strength - a.strength || a.userName.localeCompare(b.userName)),
+        edges: edgeList.sort((a, b) => b.weight - a.weight || a.source.localeCompare(b.source) || a.target.localeCompare(b.target)),
+        communities: communities.map(({ previousId, ...community }) => community),
+        modularity: round(modularity),
+        replyCount
+    };
+}
+
+/**
+ * Short findings for insights: clusters, the most influential users and the bridges between clusters.
+ */
+export function describeInteractionGraph(graph, options = {}) {
+    const limit = options.limit ?? 3;
+    if (graph.edges.length === 0) {
+        return ['No replies between different users, so there is no interaction network'];
+    }
+
+    const findings = [
+        `Interaction network: ${graph.nodes.length} users linked by ${graph.replyCount} replies in ${graph.communities.length} communit${graph.communities.length === 1 ? 'y' : 'ies'} (modularity ${graph.modularity})`
+    ];
+    const influencers = findInfluencers(graph, limit);
+    if (influencers.length > 0) {
+        findings.push(`Most influential: ${influencers.map(node => `@${node.userName} (${node.repliesReceived} replies received)`).join(', ')}`);
+    }
+    const bridges = findBridges(graph, limit);
+    if (bridges.length > 0) {
+        findings.push(`Bridge users: ${bridges.map(node => `@${node.userName} (links ${node.bridgesTo + 1} communities)`).join(', ')}`);
+    }
+    graph.communities.filter(community => community.size > 1).slice(0, limit).forEach(community => {
+        findings.push(`Community ${community.id}: ${community.members.slice(0, 5).map(member => `@${member.userName}`).join(', ')}` +
+            (community.topics.length > 0 ? ` — mostly "${community.topics[0].name}"` : ''));
+    });
+    return findings;
+}
+
+// Influence is PageRank over replies: being replied to by people who are replied to themselves
+export function findInfluencers(graph, limit = 5) {
+    return graph.nodes.filter(node => node.repliesReceived > 0).slice(0, limit);
+}
+
+// Bridges sit on the shortest paths between others and reach into other communities
+export function findBridges(graph, limit = 5) {
+    return graph.nodes
+        .filter(node => node.betweenness > 0 && node.bridgesTo > 0)
+        .sort((a, b) => b.betweenness - a.betweenness || b.bridgesTo - a.bridgesTo)
+        .slice(0, limit);
+}
+
+/**
+ * How two users interact directly: replies each way, shared neighbours and whether they share a community.
+ */
+export function describePairInteraction(graph, userIdA, userIdB) {
+    const [a, b] = [String(userIdA), String(userIdB)];
+    const nodeA = graph.nodes.find(node => node.userId === a);
+    const nodeB = graph.nodes.find(node => node.userId === b);
+    if (!nodeA || !nodeB) {
+        return null;
+    }
+
+    const edge = graph.edges.find(e => (e.source === a && e.target === b) || (e.source === b && e.target === a));
+    const neighbours = userId => new Set(graph.edges
+        .filter(e => e.source === userId || e.target === userId)
+        .map(e => e.source === userId ? e.target : e.source));
+    const neighboursB = neighbours(b);
+    const shared = Array.from(neighbours(a)).filter(userId => userId !== b && neighboursB.has(userId));
+
+    return {
+        repliesAToB: edge ? (edge.source === a ? edge.sourceReplies : edge.targetReplies) : 0,
+        repliesBToA: edge ? (edge.source === b ? edge.sourceReplies : edge.targetReplies) : 0,
+        sharedPartners: shared.map(userId => graph.nodes.find(node => node.userId === userId).userName),
+        sameCommunity: nodeA.community === nodeB.community
+    };
+}
+
+/**
+ * Serialize a graph for other tools: 'json' (nodes, edges, communities), 'graphml' (Gephi, yEd, Cytoscape)
+ * or 'csv' (one row per edge).
+ */
+export function exportInteractionGraph(graph, format = 'json') {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(graph, null, 2);
+        case 'graphml':
+            return formatGraphMl(graph);
+        case 'csv':
+            return [
+                'source,source_name,target,target_name,weight,source_replies,target_replies,same_community',
+                ...graph.edges.map(edge => {
+                    const source = graph.nodes.find(node => node.userId === edge.source);
+                    const target = graph.nodes.find(node => node.userId === edge.target);
+                    return [edge.source, source.userName, edge.target, target.userName, edge.weight, edge.sourceReplies, edge.targetReplies, source.community === target.community]
+                        .map(csvCell).join(',');
+                })
+            ].join('\n') + '\n';
+        default:
+            throw new Error(`Unknown graph export format: ${format} (use ${Object.keys(GRAPH_EXPORT_FORMATS).join(', ')})`);
+    }
+}
+
+function formatGraphMl(graph) {
+    const nodeKeys = [
+        ['name', 'userName', 'string'],
+        ['messages', 'messageCount', 'int'],
+        ['replies_sent', 'repliesSent', 'int'],
+        ['replies_received', 'repliesReceived', 'int'],
+        ['pagerank', 'pagerank', 'double'],
+        ['betweenness', 'betweenness', 'double'],
+        ['community', 'community', 'int']
+    ];
+    const edgeKeys = [
+        ['weight', 'weight', 'int'],
+        ['source_replies', 'sourceReplies', 'int'],
+        ['target_replies', 'targetReplies', 'int']
+    ];
+    const keys = (target, list) => list.map(([id, , type]) => `  <key id="${id}" for="${target}" attr.name="${id}" attr.type="${type}"/>`);
+    const data = (item, list) => list.map(([id, field]) => `      <data key="${id}">${escapeXml(item[field])}</data>`);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        ...keys('node', nodeKeys),
+        ...keys('edge', edgeKeys),
+        '  <graph id="interactions" edgedefault="undirected">',
+        ...graph.nodes.flatMap(node => [`    <node id="${escapeXml(node.userId)}">`, ...data(node, nodeKeys), '    </node>']),
+        ...graph.edges.flatMap(edge => [`    <edge source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`, ...data(edge, edgeKeys), '    </edge>']),
+        '  </graph>',
+        '</graphml>',
+        ''
+    ].join('\n');
+}
+
+// Directed, reply-weighted PageRank: a reply passes rank from the replier to the person replied to
+function computePageRank(nodeIds, edges) {
+    const n = nodeIds.length;
+    const outgoing = new Map(nodeIds.map(userId => [userId, []]));
+    edges.forEach(edge => {
+        if (edge.sourceReplies > 0) {
+            outgoing.get(edge.source).push([edge.target, edge.sourceReplies]);
+        }
+        if (edge.targetReplies > 0) {
+            outgoing.get(edge.target).push([edge.source, edge.targetReplies]);
+        }
+    });
+
+    let rank = new Map(nodeIds.map(userId => [userId, 1 / n]));
+    for (let iteration = 0; iteration < PAGERANK_ITERATIONS; iteration++) {
+        const next = new Map(nodeIds.map(userId => [userId, (1 - PAGERANK_DAMPING) / n]));
+        // Users who never reply spread their rank evenly
+        let dangling = 0;
+        nodeIds.forEach(userId => {
+            const links = outgoing.get(userId);
+            const total = links.reduce((sum, [, weight]) => sum + weight, 0);
+            if (total === 0) {
+                dangling += rank.get(userId);
+                return;
+            }
+            links.forEach(([target, weight]) => {
+                next.set(target, next.get(target) + PAGERANK_DAMPING * rank.get(userId) * weight / total);
+            });
+        });
+        nodeIds.forEach(userId => next.set(userId, next.get(userId) + PAGERANK_DAMPING * dangling / n));
+        rank = next;
+    }
+    return rank;
+}
+
+// Brandes' betweenness on the unweighted graph, normalized to 0–1
+function computeBetweenness(nodeIds, adjacency) {
+    const betweenness = new Map(nodeIds.map(userId => [userId, 0]));
+    nodeIds.forEach(source => {
+        const stack = [];
+        const predecessors = new Map(nodeIds.map(userId => [userId, []]));
+        const paths = new Map(nodeIds.map(userId => [userId, 0]));
+        const distance = new Map([[source, 0]]);
+        paths.set(source, 1);
+
+        const queue = [source];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            stack.push(current);
+            adjacency.get(current).forEach((_, neighbour) => {
+                if (!distance.has(neighbour)) {
+                    distance.set(neighbour, distance.get(current) + 1);
+                    queue.push(neighbour);
+                }
+                if (distance.get(neighbour) === distance.get(current) + 1) {
+                    paths.set(neighbour, paths.get(neighbour) + paths.get(current));
+                    predecessors.get(neighbour).push(current);
+                }
+            });
+        }
+
+        const dependency = new Map(nodeIds.map(userId => [userId, 0]));
+        while (stack.length > 0) {
+            const current = stack.pop();
+            predecessors.get(current).forEach(predecessor => {
+                dependency.set(predecessor, dependency.get(predecessor) + paths.get(predecessor) / paths.get(current) * (1 + dependency.get(current)));
+            });
+            if (current !== source) {
+                betweenness.set(current, betweenness.get(current) + dependency.get(current));
+            }
+        }
+    });
+
+    // Each undirected path was counted from both ends
+    const pairs = (nodeIds.length - 1) * (nodeIds.length - 2);
+    nodeIds.forEach(userId => betweenness.set(userId, pairs > 0 ? betweenness.get(userId) / pairs : 0));
+    return betweenness;
+}
+
+/**
+ * Louvain community detection: move each node to the neighbouring community with the best modularity gain,
+ * merge communities into single nodes and repeat until nothing moves. Nodes are visited in ID order,
+ * so the same graph always gives the same communities.
+ */
+function detectCommunities(nodeIds, adjacency) {
+    const membership = new Map(nodeIds.map(userId => [userId, userId]));
+    const totalWeight = Array.from(adjacency.values()).reduce((sum, neighbours) =>
+        sum + Array.from(neighbours.values()).reduce((s, weight) => s + weight, 0), 0) / 2;
+    if (totalWeight === 0) {
+        return { membership, modularity: 0 };
+    }
+
+    // Level graph: nodes are communities of the level below, self-loops hold their internal weight
+    let level = {
+        nodes: nodeIds.slice(),
+        adjacency: new Map(nodeIds.map(userId => [userId, new Map(adjacency.get(userId))])),
+        selfLoops: new Map(nodeIds.map(userId => [userId, 0]))
+    };
+
+    for (;;) {
+        const degree = new Map(level.nodes.map(node => [node,
+            Array.from(level.adjacency.get(node).values()).reduce((sum, weight) => sum + weight, 0) + 2 * level.selfLoops.get(node)]));
+        const community = new Map(level.nodes.map(node => [node, node]));
+        const communityDegree = new Map(degree);
+
+        let moved = false;
+        let improved = true;
+        while (improved) {
+            improved = false;
+            level.nodes.forEach(node => {
+                const current = community.get(node);
+                const weightTo = new Map();
+                level.adjacency.get(node).forEach((weight, neighbour) => {
+                    const target = community.get(neighbour);
+                    weightTo.set(target, (weightTo.get(target) || 0) + weight);
+                });
+
+                communityDegree.set(current, communityDegree.get(current) - degree.get(node));
+                const gain = target => (weightTo.get(target) || 0) - communityDegree.get(target) * degree.get(node) / (2 * totalWeight);
+                let best = current;
+                let bestGain = gain(current);
+                Array.from(weightTo.keys()).sort().forEach(target => {
+                    const candidate = gain(target);
+                    if (candidate > bestGain + 1e-12) {
+                        best = target;
+                        bestGain = candidate;
+                    }
+                });
+                communityDegree.set(best, communityDegree.get(best) + degree.get(node));
+
+                if (best !== current) {
+                    community.set(node, best);
+                    improved = true;
+                    moved = true;
+                }
+            });
+        }
+
+        if (!moved) {
+            break;
+        }
+
+        membership.forEach((node, userId) => membership.set(userId, community.get(node)));
+        level = aggregate(level, community);
+    }
+
+    return { membership, modularity: computeModularity(membership, adjacency, totalWeight) };
+}
+
+function aggregate(level, community) {
+    const nodes = Array.from(new Set(community.values())).sort();
+    const adjacency = new Map(nodes.map(node => [node, new Map()]));
+    const selfLoops = new Map(nodes.map(node => [node, 0]));
+
+    level.nodes.forEach(node => {
+        const from = community.get(node);
+        selfLoops.set(from, selfLoops.get(from) + level.selfLoops.get(node));
+        level.adjacency.get(node).forEach((weight, neighbour) => {
+            const to = community.get(neighbour);
+            if (from === to) {
+                // Each internal edge is seen from both ends
+                selfLoops.set(from, selfLoops.get(from) + weight / 2);
+            } else {
+                adjacency.get(from).set(to, (adjacency.get(from).get(to) || 0) + weight);
+            }
+        });
+    });
+
+    return { nodes, adjacency, selfLoops };
+}
+
+function computeModularity(membership, adjacency, totalWeight) {
+    const internal = new Map();
+    const degrees = new Map();
+    adjacency.forEach((neighbours, userId) => {
+        const community = membership.get(userId);
+        neighbours.forEach((weight, neighbour) => {
+            degrees.set(community, (degrees.get(community) || 0) + weight);
+            if (membership.get(neighbour) === community) {
+                internal.set(community, (internal.get(community) || 0) + weight / 2);
+            }
+        });
+    });
+
+    let modularity = 0;
+    degrees.forEach((degree, community) => {
+        modularity += (internal.get(community) || 0) / totalWeight - Math.pow(degree / (2 * totalWeight), 2);
+    });
+    return modularity;
+}
+
+// Communities numbered from 1, largest first, with their members by influence and their main topics
+function summarizeCommunities(nodes, edges, getTopicName) {
+    const groups = new Map();
+    nodes.forEach(node => {
+        if (!groups.has(node.community)) {
+            groups.set(node.community, []);
+        }
+        groups.get(node.community).push(node);
+    });
+    const communityOf = new Map(nodes.map(node => [node.userId, node.community]));
+
+    return Array.from(groups, ([previousId, members]) => {
+        const topicCounts = new Map();
+        members.forEach(member => member.topicCounts.forEach((count, topicId) => {
+            topicCounts.set(topicId, (topicCounts.get(topicId) || 0) + count);
+        }));
+        const touching = edges.filter(edge => communityOf.get(edge.source) === previousId || communityOf.get(edge.target) === previousId);
+        const internalWeight = touching
+            .filter(edge => communityOf.get(edge.source) === communityOf.get(edge.target))
+            .reduce((sum, edge) => sum + edge.weight, 0);
+
+        return {
+            previousId,
+            size: members.length,
+            members: members
+                .sort((a, b) => b.pagerank - a.pagerank || a.userName.localeCompare(b.userName))
+                .map(member => ({ userId: member.userId, userName: member.userName })),
+            internalWeight,
+            externalWeight: touching.reduce((sum, edge) => sum + edge.weight, 0) - internalWeight,
+            topics: Array.from(topicCounts, ([topicId, messageCount]) => ({ topicId, name: getTopicName(topicId), messageCount }))
+                .sort((a, b) => b.messageCount - a.messageCount)
+                .slice(0, 3)
+        };
+    })
+        .sort((a, b) => b.size - a.size || b.internalWeight - a.internalWeight || a.members[0].userName.localeCompare(b.members[0].userName))
+        .map((community, index) => ({ id: index + 1, ...community }));
+}
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
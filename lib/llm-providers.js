@@ -0,0 +1,256 @@
+/**
+ * LLM Providers
+ * Chat completion backends for the AI enhancement: OpenAI, any OpenAI-compatible server
+ * (a local llama.cpp or Ollama endpoint keeps community data in-house) and a deterministic stub for tests
+ */
+
+import { readServerSentEvents } from './server-sent-events.js';
+
+export const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+// Ollama's OpenAI-compatible API; llama.cpp's server listens on http://localhost:8080/v1
+export const DEFAULT_COMPATIBLE_BASE_URL = 'http://localhost:11434/v1';
+
+export const LLM_DEFAULTS = {
+    provider: 'openai',
+    model: 'gpt-4',
+    maxTokens: 200,
+    temperature: 0.3,
+    // Longest wait for the server to answer, and between chunks of a streamed answer
+    timeoutMs: 30000
+};
+
+/**
+ * Chat completions over the OpenAI API shape: POST `${baseUrl}/chat/completions`.
+ * Without an API key no Authorization header is sent, as local servers expect.
+ * A model name is required, since no model name is served by every compatible server.
+ */
+export class OpenAiCompatibleProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'openai-compatible';
+        if (!options.model && this.name === 'openai-compatible') {
+            throw new Error('The openai-compatible provider requires a model name (LLM_MODEL)');
+        }
+        this.baseUrl = (options.baseUrl || DEFAULT_COMPATIBLE_BASE_URL).replace(/\/+$/, '');
+        this.apiKey = options.apiKey || null;
+        this.model = options.model || LLM_DEFAULTS.model;
+        this.maxTokens = options.maxTokens ?? LLM_DEFAULTS.maxTokens;
+        this.temperature = options.temperature ?? LLM_DEFAULTS.temperature;
+        this.timeoutMs = options.timeoutMs ?? LLM_DEFAULTS.timeoutMs;
+        this.fetchImpl = options.fetch || ((...args) => fetch(...args));
+    }
+
+    /**
+     * Complete a prompt. Returns { text, provider, model, usage }.
+     * With `onToken`, the completion is streamed and each piece of text is passed to it as it arrives;
+     * `signal` aborts the request. The provider's timeout limits the wait for the server and each gap between
+     * streamed chunks, so a long answer that keeps arriving is never cut off.
+     */
+    async complete({ system, prompt, maxTokens, temperature, signal, onToken }) {
+        const timeout = createIdleTimeout(this.timeoutMs, signal);
+        try {
+            return await this.request({ system, prompt, maxTokens, temperature, onToken }, timeout);
+        } finally {
+            timeout.clear();
+        }
+    }
+
+    async request({ system, prompt, maxTokens, temperature, onToken }, timeout) {
+        const response = await this.fetchImpl(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+            },
+            body: JSON.stringify({
+                model: this.model,
+                messages: [
+                    ...(system ? [{ role: 'system', content: system }] : []),
+                    { role: 'user', content: prompt }
+                ],
+                max_tokens: maxTokens ?? this.maxTokens,
+                temperature: temperature ?? this.temperature,
+                ...(onToken ? { stream: true } : {})
+            }),
+            signal: timeout.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`${this.name} API error: ${response.status}`);
+        }
+
+        if (onToken) {
+            return this.readStream(response, onToken, timeout.reset);
+        }
+
+        const data = await response.json();
+        const text = data.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+            throw new Error(`${this.name} returned no completion`);
+        }
+
+        return {
+            text: text.trim(),
+            provider: this.name,
+            model: data.model || this.model,
+            usage: data.usage || null
+        };
+    }
+
+    // Chunks of a streamed completion: `data: { choices: [{ delta: { content } }] }` events, then `data: [DONE]`
+    async readStream(response, onToken, onChunk = () => {}) {
+        let text = '';
+        let model = this.model;
+        let usage = null;
+
+        await readServerSentEvents(response.body, ({ data }) => {
+            onChunk();
+            if (data === '[DONE]') {
+                return;
+            }
+            const chunk = JSON.parse(data);
+            model = chunk.model || model;
+            usage = chunk.usage || usage;
+            const token = chunk.choices?.[0]?.delta?.content;
+            if (token) {
+                text += token;
+                onToken(token);
+            }
+        });
+
+        if (!text) {
+            throw new Error(`${this.name} returned no completion`);
+        }
+
+        return { text: text.trim(), provider: this.name, model, usage };
+    }
+}
+
+/**
+ * OpenAI itself; an API key is required.
+ */
+export class OpenAiProvider extends OpenAiCompatibleProvider {
+    constructor(options = {}) {
+        if (!options.apiKey) {
+            throw new Error('The openai provider requires an API key (LLM_API_KEY or OPENAI_API_KEY)');
+        }
+        super({ ...options, name: 'openai', baseUrl: options.baseUrl || DEFAULT_OPENAI_BASE_URL });
+    }
+}
+
+/**
+ * Answers without any network call: a fixed response, or a summary of the prompt's question and size
+ * citing the first two retrieved messages, identical for identical prompts. For tests and for running the app with no model at all.
+ * Streaming passes the answer to `onToken` word by word.
+ */
+export class StubProvider {
+    constructor(options = {}) {
+        this.name = 'stub';
+        this.model = options.model || 'stub';
+        this.maxTokens = options.maxTokens ?? LLM_DEFAULTS.maxTokens;
+        this.response = options.response || null;
+        this.calls = [];
+    }
+
+    async complete({ system, prompt, maxTokens, signal, onToken }) {
+        this.calls.push({ system, prompt, maxTokens });
+        const question = (prompt.match(/Question:\s*"?([^"\n]*)"?/) || [])[1] || 'the question';
+        const lines = prompt.split('\n').filter(line => line.trim().startsWith('- ')).length;
+        const cited = Array.from(prompt.matchAll(/^\[#([\w-]+)\]/gm), match => `[#${match[1]}]`).slice(0, 2);
+        const text = this.response || `Stub analysis of "${question}" from ${lines} context lines.${cited.length > 0 ? ` See ${cited.join(' and ')}.` : ''}`;
+
+        if (onToken) {
+            for (const token of text.match(/\S+\s*/g) || []) {
+                if (signal?.aborted) {
+                    throw new Error('The stub completion was aborted');
+                }
+                onToken(token);
+            }
+        }
+
+        return {
+            text,
+            provider: this.name,
+            model: this.model,
+            usage: null
+        };
+    }
+}
+
+/**
+ * Build a provider from a plain config object, e.g. `{ provider: 'openai-compatible', baseUrl: 'http://localhost:8080/v1' }`.
+ */
+export function createLlmProvider(config = {}) {
+    switch (config.provider || LLM_DEFAULTS.provider) {
+        case 'openai':
+            return new OpenAiProvider(config);
+        case 'openai-compatible':
+            return new OpenAiCompatibleProvider(config);
+        case 'stub':
+            return new StubProvider(config);
+        default:
+            throw new Error(`Unknown LLM provider: ${config.provider} (use openai, openai-compatible or stub)`);
+    }
+}
+
+/**
+ * Provider config from environment variables:
+ *   LLM_PROVIDER     openai (default), openai-compatible or stub
+ *   LLM_MODEL        model name (default gpt-4 for openai; required for openai-compatible)
+ *   LLM_BASE_URL     API base URL (defaults: OpenAI, or Ollama's local endpoint for openai-compatible)
+ *   LLM_API_KEY      API key; OPENAI_API_KEY is still read for the openai provider
+ *   LLM_MAX_TOKENS, LLM_TEMPERATURE   completion limits
+ *   LLM_TIMEOUT_MS   longest wait for the server, and between streamed chunks
+ *   LLM_STUB_RESPONSE  fixed answer for the stub provider
+ */
+export function llmConfigFromEnv(env = process.env) {
+    const provider = env.LLM_PROVIDER || LLM_DEFAULTS.provider;
+    const number = (name, parse) => {
+        if (env[name] === undefined || env[name] === '') {
+            return undefined;
+        }
+        const value = parse(env[name]);
+        if (Number.isNaN(value)) {
+            throw new Error(`${name} must be a number`);
+        }
+        return value;
+    };
+
+    return {
+        provider,
+        model: env.LLM_MODEL || { openai: LLM_DEFAULTS.model, stub: 'stub' }[provider] || null,
+        ...(env.LLM_BASE_URL ? { baseUrl: env.LLM_BASE_URL } : {}),
+        apiKey: env.LLM_API_KEY || (provider === 'openai' ? env.OPENAI_API_KEY : undefined) || null,
+        maxTokens: number('LLM_MAX_TOKENS', value => parseInt(value)) ?? LLM_DEFAULTS.maxTokens,
+        temperature: number('LLM_TEMPERATURE', parseFloat) ?? LLM_DEFAULTS.temperature,
+        timeoutMs: number('LLM_TIMEOUT_MS', value => parseInt(value)) ?? LLM_DEFAULTS.timeoutMs,
+        ...(env.LLM_STUB_RESPONSE ? { response: env.LLM_STUB_RESPONSE } : {})
+    };
+}
+
+// An AbortSignal that fires after `ms` without a reset(), or as soon as `signal` aborts
+function createIdleTimeout(ms, signal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+    let timer = null;
+
+    const reset = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(new DOMException(`No response from the model for ${ms} ms`, 'TimeoutError')), ms);
+    };
+
+    if (signal?.aborted) {
+        abort();
+    } else {
+        signal?.addEventListener('abort', abort, { once: true });
+    }
+    reset();
+
+    return {
+        signal: controller.signal,
+        reset,
+        clear: () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abort);
+        }
+    };
+}
@@ -0,0 +1,248 @@
+/**
+ * Message Search
+ * Keyword and phrase search over a tree's messages with user, topic and time filters
+ */
+
+const STOPWORDS = new Set([
+    'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'has', 'have',
+    'how', 'i', 'in', 'is', 'it', 'its', 'me', 'of', 'on', 'or', 'our', 'people', 'say', 'said', 'so', 'that', 'the',
+    'their', 'them', 'they', 'this', 'to', 'us', 'was', 'we', 'were', 'what', 'when', 'who', 'with', 'you'
+]);
+
+const DAY = 24 * 60 * 60;
+
+// "What did people say about staking?" → "staking"
+const SEARCH_QUESTION_PATTERN = /\b(?:say|said|saying|says|talk(?:ed|ing|s)?|discuss(?:ed|ing|es)?|mention(?:ed|ing|s)?|think|thought|feel|complain(?:ed|ing|s)?|opinions?)\s+(?:about|on|of|regarding)\s+(.+?)[?.!]*$/i;
+
+export function getMessageText(message) {
+    const text = message?.text ?? message?.message ?? message?.content ?? '';
+
+    // Telegram exports store formatted text as an array of strings and entity objects
+    if (Array.isArray(text)) {
+        return text.map(part => typeof part === 'string' ? part : part?.text || '').join('');
+    }
+    return String(text);
+}
+
+/**
+ * Convert a Date, ISO string, millisecond or second timestamp into unix seconds (the unit of message.timestamp).
+ */
+export function toUnixSeconds(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (value instanceof Date) {
+        return Math.floor(value.getTime() / 1000);
+    }
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+        const number = Number(value);
+        return number > 1e12 ? Math.floor(number / 1000) : number;
+    }
+
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+/**
+ * Like toUnixSeconds, for the end of a range: a date-only value such as '2025-08-31' covers that whole UTC day.
+ */
+export function toRangeEnd(value) {
+    const seconds = toUnixSeconds(value);
+    return seconds !== null && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim()) ? seconds + DAY - 1 : seconds;
+}
+
+/**
+ * Split a search string into quoted phrases and individual stemmed terms.
+ */
+export function parseSearchQuery(query) {
+    const phrases = [];
+    const withoutPhrases = String(query || '').replace(/"([^"]+)"/g, (match, phrase) => {
+        phrases.push(phrase.toLowerCase().trim());
+        return ' ';
+    });
+
+    const terms = tokenize(withoutPhrases)
+        .filter(token => !STOPWORDS.has(token))
+        .map(stem);
+
+    return { phrases: phrases.filter(Boolean), terms: [...new Set(terms)] };
+}
+
+/**
+ * Pull the search subject out of a natural-language question, or null if it is not a "what was said" question.
+ */
+export function extractSearchQuery(question) {
+    const match = String(question || '').trim().match(SEARCH_QUESTION_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const subject = match[1].trim();
+    const parsed = parseSearchQuery(subject);
+    return parsed.terms.length > 0 || parsed.phrases.length > 0 ? subject : null;
+}
+
+/**
+ * Search an array of messages. Options:
+ *   query         keywords and "quoted phrases"
+ *   users         user IDs or usernames (with or without @)
+ *   topics        topic IDs or case-insensitive topic name fragments
+ *   from, to      time range, anything toUnixSeconds accepts; a date-only `to` includes that whole day
+ *   limit         maximum number of ranked results (default 20)
+ *   getTopicName  topicId → display name
+ */
+export function searchMessages(messages, options = {}) {
+    const { phrases, terms } = parseSearchQuery(options.query);
+    const getTopicName = options.getTopicName || (topicId => `Topic ${topicId}`);
+    const limit = options.limit || 20;
+
+    const candidates = filterMessages(messages, options, getTopicName);
+    const documents = candidates.map(message => {
+        const text = getMessageText(message);
+        return { message, text, lowerText: text.toLowerCase(), tokens: tokenize(text).map(stem) };
+    });
+
+    // Inverse document frequency over the filtered set, so rare terms outrank common ones
+    const idf = new Map();
+    terms.forEach(term => {
+        const documentCount = documents.filter(doc => doc.tokens.includes(term)).length;
+        idf.set(term, Math.log(1 + documents.length / (1 + documentCount)));
+    });
+
+    const hasQuery = phrases.length > 0 || terms.length > 0;
+    const matches = [];
+
+    documents.forEach(doc => {
+        const matchedTerms = terms.filter(term => doc.tokens.includes(term));
+        const matchedPhrases = phrases.filter(phrase => doc.lowerText.includes(phrase));
+
+        // Phrases are required; at least one keyword must match when there are no phrases
+        if (matchedPhrases.length < phrases.length || (phrases.length === 0 && terms.length > 0 && matchedTerms.length === 0)) {
+            return;
+        }
+
+        let score = hasQuery ? 0 : 1;
+        matchedTerms.forEach(term => {
+            const frequency = doc.tokens.filter(token => token === term).length;
+            score += (1 + Math.log(frequency)) * idf.get(term);
+        });
+        score += matchedPhrases.length * 2;
+        if (terms.length > 1 && matchedTerms.length === terms.length) {
+            score *= 1.5; // Every keyword present
+        }
+
+        matches.push({
+            messageId: doc.message.id,
+            score: Math.round(score * 1000) / 1000,
+            text: doc.text,
+            snippet: buildSnippet(doc.text, [...matchedPhrases, ...matchedTerms]),
+            userId: doc.message.fromUserId,
+            userName: doc.message.fromUserName,
+            topicId: doc.message.topicId,
+            topicName: isAssignedTopic(doc.message.topicId) ? getTopicName(doc.message.topicId) : 'Unassigned',
+            timestamp: doc.message.timestamp || null,
+            matchedTerms: [...matchedPhrases, ...matchedTerms]
+        });
+    });
+
+    // Rank by score, then most recent first
+    matches.sort((a, b) => b.score - a.score || (b.timestamp || 0) - (a.timestamp || 0));
+
+    const topicCounts = new Map();
+    matches.forEach(match => {
+        const entry = topicCounts.get(match.topicId) || { topicId: match.topicId, name: match.topicName, matchCount: 0 };
+        entry.matchCount++;
+        topicCounts.set(match.topicId, entry);
+    });
+
+    return {
+        query: options.query || '',
+        filters: {
+            users: options.users || [],
+            topics: options.topics || [],
+            from: toUnixSeconds(options.from),
+            to: toRangeEnd(options.to)
+        },
+        searchedMessages: candidates.length,
+        totalMatches: matches.length,
+        results: matches.slice(0, limit),
+        topics: Array.from(topicCounts.values()).sort((a, b) => b.matchCount - a.matchCount)
+    };
+}
+
+/**
+ * Convenience wrapper for a tree whose `messages` is an object keyed by message ID.
+ */
+export function searchTree(treeData, options = {}) {
+    return searchMessages(treeData?.messages ? Object.values(treeData.messages) : [], options);
+}
+
+function filterMessages(messages, options, getTopicName) {
+    const userFilters = (options.users || []).map(user => String(user).replace(/^@+/, '').toLowerCase());
+    const topicFilters = (options.topics || []).map(topic => String(topic).toLowerCase());
+    const from = toUnixSeconds(options.from);
+    const to = toRangeEnd(options.to);
+
+    return messages.filter(message => {
+        if (userFilters.length > 0) {
+            const id = String(message.fromUserId);
+            const name = String(message.fromUserName || '').toLowerCase();
+            if (!userFilters.some(user => user === id || user === name)) {
+                return false;
+            }
+        }
+
+        if (topicFilters.length > 0) {
+            if (!isAssignedTopic(message.topicId)) {
+                return false;
+            }
+            const topicName = getTopicName(message.topicId).toLowerCase();
+            if (!topicFilters.some(topic => topic === String(message.topicId) || topicName.includes(topic))) {
+                return false;
+            }
+        }
+
+        if ((from !== null || to !== null) && !message.timestamp) {
+            return false;
+        }
+        if (from !== null && message.timestamp < from) {
+            return false;
+        }
+        if (to !== null && message.timestamp > to) {
+            return false;
+        }
+
+        return true;
+    });
+}
+
+function buildSnippet(text, matchedTerms, radius = 80) {
+    if (text.length <= radius * 2) {
+        return text;
+    }
+
+    const lowerText = text.toLowerCase();
+    const positions = matchedTerms.map(term => lowerText.indexOf(term)).filter(position => position >= 0);
+    const center = positions.length > 0 ? Math.min(...positions) : 0;
+    const start = Math.max(0, center - radius);
+    const end = Math.min(text.length, center + radius);
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+function tokenize(text) {
+    return String(text).toLowerCase().match(/[a-z0-9$@#][a-z0-9_'-]*/g) || [];
+}
+
+// Light suffix stripping so "stake", "staking" and "staked" match each other
+function stem(token) {
+    const word = token.replace(/'s$/, '');
+    if (word.length <= 4) {
+        return word;
+    }
+    return word.replace(/(ing|ed|es|s|e)$/, '');
+}
+
+function isAssignedTopic(topicId) {
+    return topicId !== undefined && topicId !== null && topicId !== -1;
+}
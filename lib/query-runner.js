@@ -0,0 +1,104 @@
+/**
+ * Query Runner
+ * Headless equivalent of TopicTreeInterface.executeQuery: fetch trees per version, analyze, compare
+ */
+
+import { SemanticEngine } from './semantic-engine.js';
+import { questionAnchor } from './question-intent.js';
+import { computeMultiVersionDelta } from './version-delta.js';
+
+/**
+ * Build the same queryData object the interface sends through processTreeLocally.
+ */
+export function buildQueryData({ channelId, versions = [], users = [], question = '', search = null, timeWindow = null, categories = null, type } = {}) {
+    return {
+        type: type || (search ? 'message_search' : timeWindow ? 'time_window' : question ? 'custom_query' : 'channel_query'),
+        dataset: String(channelId),
+        users: users.map(String),
+        versions: versions,
+        customQuestion: question,
+        ...(search ? { search } : {}),
+        ...(timeWindow ? { timeWindow } : {}),
+        ...(categories ? { categories } : {}),
+        parameters: {},
+        timestamp: new Date().toISOString()
+    };
+}
+
+export async function listVersions(dataSource, channelId) {
+    const response = await dataSource.query('get_topic_tree_versions_by_channel', {
+        channelId: parseInt(channelId)
+    });
+
+    return (response?.versions || []).slice().sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Resolve a version spec against the available versions. Accepts `all`, `latest`, or a
+ * comma-separated list of version numbers and inclusive `from..to` ranges.
+ */
+export function resolveVersions(spec, availableVersions) {
+    const available = availableVersions.map(v => v.version);
+    if (!spec || spec === 'latest') {
+        return available.slice(-1);
+    }
+    if (spec === 'all') {
+        return available;
+    }
+
+    const resolved = [];
+    String(spec).split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const range = part.match(/^(\d*)\.\.(\d*)$/);
+        if (range) {
+            const from = range[1] ? parseInt(range[1]) : -Infinity;
+            const to = range[2] ? parseInt(range[2]) : Infinity;
+            resolved.push(...available.filter(version => version >= from && version <= to));
+            return;
+        }
+
+        const version = parseInt(part);
+        if (!available.includes(version)) {
+            throw new Error(`Version ${part} is not available (have: ${available.join(', ')})`);
+        }
+        resolved.push(version);
+    });
+
+    return [...new Set(resolved)].sort((a, b) => a - b);
+}
+
+export async function fetchVersionTree(dataSource, channelId, version) {
+    const response = await dataSource.query('get_topic_tree_by_channel_and_version', {
+        channelId: parseInt(channelId),
+        version: version
+    });
+
+    if (!response || !response.tree) {
+        throw new Error(`Invalid API response structure for version ${version}`);
+    }
+    return response.tree;
+}
+
+/**
+ * Run a query against every version in queryData.versions and compute the version delta.
+ */
+export async function runQuery(dataSource, queryData, options = {}) {
+    const engine = options.engine || new SemanticEngine({ logger: options.logger });
+
+    const trees = [];
+    for (const version of queryData.versions) {
+        trees.push(await fetchVersionTree(dataSource, queryData.dataset, version));
+    }
+
+    // Relative dates in the question mean the same range in every version
+    const now = questionAnchor(trees);
+    const results = trees.map((tree, index) => ({
+        ...engine.processTree(tree, queryData, queryData.versions[index], { now }),
+        version: queryData.versions[index]
+    }));
+
+    return {
+        query: queryData,
+        results: results,
+        delta: computeMultiVersionDelta(results)
+    };
+}
@@ -0,0 +1,118 @@
+/**
+ * Query State
+ * Round-trip the interface's query (dataset, versions, users, question, search, time window) through URL parameters
+ */
+
+// Short, stable parameter names; changing one breaks links people have already shared
+const PARAMS = {
+    channel: 'channel',
+    versions: 'versions',
+    users: 'users',
+    type: 'type',
+    question: 'q',
+    searchQuery: 'search',
+    searchUsers: 'searchUsers',
+    searchTopics: 'searchTopics',
+    searchFrom: 'from',
+    searchTo: 'to',
+    windowPreset: 'window',
+    windowFrom: 'windowFrom',
+    windowTo: 'windowTo',
+    windowBucket: 'bucket',
+    source: 'source',
+    baseUrl: 'baseUrl'
+};
+
+/**
+ * Encode a query state as a URL parameter string (no leading ? or #). Empty fields are left out.
+ */
+export function encodeQueryState(state = {}) {
+    const params = new URLSearchParams();
+    const set = (key, value) => {
+        if (value !== undefined && value !== null && value !== '') {
+            params.set(PARAMS[key], String(value));
+        }
+    };
+    const setList = (key, values) => set(key, (values || []).filter(v => v !== null && v !== '').join(','));
+
+    set('channel', state.channel);
+    setList('versions', state.versions);
+    setList('users', state.users);
+    set('type', state.type);
+    set('question', state.question);
+
+    if (state.search) {
+        set('searchQuery', state.search.query);
+        setList('searchUsers', state.search.users);
+        setList('searchTopics', state.search.topics);
+        set('searchFrom', state.search.from);
+        set('searchTo', state.search.to);
+    }
+
+    if (state.timeWindow) {
+        set('windowPreset', state.timeWindow.preset);
+        set('windowFrom', state.timeWindow.from);
+        set('windowTo', state.timeWindow.to);
+        set('windowBucket', state.timeWindow.granularity !== 'auto' ? state.timeWindow.granularity : null);
+    }
+
+    // The default CEF.AI source needs no parameter
+    if (state.source && state.source !== 'cef') {
+        set('source', state.source);
+        set('baseUrl', state.baseUrl);
+    }
+
+    return params.toString();
+}
+
+/**
+ * Decode a parameter string (with or without a leading ? or #) or URLSearchParams.
+ * Returns null when it carries no query state.
+ */
+export function decodeQueryState(input) {
+    const params = input instanceof URLSearchParams ? input : new URLSearchParams(String(input || '').replace(/^[?#]/, ''));
+    const get = (key) => params.get(PARAMS[key]) || null;
+    const getList = (key) => (get(key) || '').split(',').map(item => item.trim()).filter(Boolean);
+
+    const hasState = Object.values(PARAMS).some(name => params.has(name));
+    if (!hasState) {
+        return null;
+    }
+
+    const search = {
+        query: get('searchQuery') || '',
+        users: getList('searchUsers'),
+        topics: getList('searchTopics'),
+        from: get('searchFrom'),
+        to: get('searchTo')
+    };
+    const hasSearch = search.query || search.users.length > 0 || search.topics.length > 0 || search.from || search.to;
+    const timeWindow = {
+        preset: get('windowPreset'),
+        from: get('windowFrom'),
+        to: get('windowTo'),
+        granularity: get('windowBucket') || 'auto'
+    };
+    const hasTimeWindow = timeWindow.preset || timeWindow.from || timeWindow.to;
+
+    return {
+        channel: get('channel'),
+        versions: getList('versions').map(version => parseInt(version)).filter(version => !Number.isNaN(version)),
+        users: getList('users'),
+        type: get('type'),
+        question: get('question'),
+        ...(hasSearch ? { search } : {}),
+        ...(hasTimeWindow ? { timeWindow } : {}),
+        source: get('source'),
+        baseUrl: get('baseUrl')
+    };
+}
+
+/**
+ * Read the query state from a location, merging ?query parameters with the #hash (the hash wins).
+ */
+export function readQueryState(location) {
+    const params = new URLSearchParams(String(location?.search || '').replace(/^\?/, ''));
+    new URLSearchParams(String(location?.hash || '').replace(/^#/, '')).forEach((value, key) => params.set(key, value));
+    return decodeQueryState(params);
+}
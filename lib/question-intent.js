@@ -0,0 +1,353 @@
+/**
+ * Question Intent
+ * Parse a custom question into intents, mentioned users and topics, a time range and comparison targets
+ */
+
+import { extractSearchQuery, toUnixSeconds } from './message-search.js';
+import { bucketStart, describeRange, filterMessagesByTime, timestampRange } from './time-window.js';
+
+const DAY = 24 * 60 * 60;
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH = `(${MONTHS.join('|')})`;
+const DATE = `(\\d{4}-\\d{2}-\\d{2}|${MONTH}(?:\\s+\\d{4})?)`;
+
+// Cue patterns per analyzer. Every intent a question matches runs once, in the order the question asks them.
+const INTENTS = [
+    { intent: 'trending', analyzer: 'analyzeTrendingTopics', pattern: /\b(trending|trends?|popular|hot(?:test)?|most discussed|top topics?)\b/ },
+    { intent: 'engagement', analyzer: 'analyzeUserEngagement', pattern: /\b(engaged|engagement|active|participat\w*|contributors?|(?:posted|talked|wrote|spoke) the most|most messages)\b/ },
+    { intent: 'interactions', analyzer: 'analyzeInteractions', pattern: /\b(influenc\w*|bridges?|communities|clusters?|cliques?|network|interact\w*|(?:talks?|replies|reply|responds?) to whom|each other)\b/ },
+    { intent: 'sentiment', analyzer: 'analyzeSentimentPatterns', pattern: /\b(sentiment|mood|tone|vibes?|feel(?:s|ing|ings)?|positive|negative|happy|unhappy|angry|frustrat\w*)\b/ },
+    { intent: 'concerns', analyzer: 'analyzeConcerns', pattern: /\b(concerns?|concerned|issues?|problems?|complain\w*|worr\w*|risks?|pain points?)\b/ },
+    { intent: 'protocol', analyzer: 'analyzeProtocolDiscussions', pattern: /\b(defi|protocols?)\b/ },
+    { intent: 'temporal', analyzer: 'analyzeTemporalPatterns', pattern: /\b(when|timeline|over time|recent(?:ly)?|lately|time)\b/ }
+];
+
+const COMPARISON_CUE = /\b(differ\w*|difference|compar(?:e|ed|es|ing|ison)|vs\.?|versus|disagree\w*|opinions?|preferences?|than)\b/;
+
+// Words too generic to identify a topic on their own
+const TOPIC_STOPWORDS = new Set(['and', 'the', 'for', 'with', 'general', 'discussion', 'discussions', 'topic', 'topics',
+    'support', 'setup', 'update', 'updates', 'other', 'misc', 'chat', 'questions', 'community']);
+
+// Compound questions are split before these words: "What is trending and how is the mood?"
+const CLAUSE_SPLIT = /[?;]+|\b(?:and|also|plus|then)\s+(?=(?:what|who|how|which|when|where|why|is|are|was|were|did|does|do|has|have)\b)/i;
+
+/**
+ * Parse a question. Options:
+ *   users     [{ userId, userName }] known to the tree, for resolving @mentions and bare usernames
+ *   topics    [{ id, name }] known to the tree
+ *   messages  anchor for relative time expressions ("last month" is the month before the newest message)
+ *   now       fixed anchor instead of the newest message
+ *
+ * Returns { question, clauses, intents[{ intent, analyzer, reason }], users, unresolvedMentions, topics,
+ * timeRange, comparison, searchQueries }. `intents` is never empty: unmatched questions get the general analyzer.
+ */
+export function parseQuestionIntent(question, options = {}) {
+    const text = String(question || '').trim();
+    const anchor = toUnixSeconds(options.now) ?? timestampRange(options.messages || []).max ?? Math.floor(Date.now() / 1000);
+
+    // Time expressions come out first so "between May and June" is not read as a comparison
+    const timeRange = extractTimeRange(text, anchor);
+    const remaining = timeRange ? text.replace(timeRange.match, ' ').replace(/\s+/g, ' ').trim() : text;
+
+    const clauses = remaining.split(CLAUSE_SPLIT).map(clause => clause.trim()).filter(Boolean);
+    const searchQueries = [];
+    const cueText = clauses.map(clause => {
+        const searchQuery = extractSearchQuery(clause);
+        if (!searchQuery) {
+            return clause;
+        }
+        searchQueries.push(searchQuery);
+        // The search subject is what to look for, not a topic or user scope
+        return clause.slice(0, clause.toLowerCase().lastIndexOf(searchQuery.toLowerCase()));
+    }).join(' ; ');
+    const lower = cueText.toLowerCase();
+
+    const { users, unresolvedMentions } = resolveUsers(cueText, options.users || []);
+    const topics = resolveTopics(lower, options.topics || []);
+
+    const intents = [];
+    searchQueries.forEach(searchQuery => intents.push({
+        intent: 'search',
+        analyzer: 'analyzeMessageMentions',
+        reason: `asks what was said about "${searchQuery}"`,
+        searchQuery,
+        position: -1
+    }));
+
+    let comparison = null;
+    const comparisonCue = lower.match(COMPARISON_CUE);
+    if (comparisonCue && users.length >= 2) {
+        comparison = { kind: 'users', targets: users.slice(0, 2).map(user => user.userName) };
+        intents.push({ intent: 'compare_users', analyzer: 'analyzeUserDisagreements', reason: `"${comparisonCue[1]}" with @${comparison.targets.join(' and @')}`, position: comparisonCue.index });
+    } else if (comparisonCue && topics.length >= 2) {
+        comparison = { kind: 'topics', targets: topics.slice(0, 2).map(topic => topic.name) };
+        intents.push({ intent: 'compare_topics', analyzer: 'analyzeTopicComparison', reason: `"${comparisonCue[1]}" with "${comparison.targets.join('" and "')}"`, position: comparisonCue.index });
+    } else if (comparisonCue && /^(differ|disagree)/.test(comparisonCue[1])) {
+        intents.push({ intent: 'compare_users', analyzer: 'analyzeUserDisagreements', reason: `"${comparisonCue[1]}" asks how users differ`, position: comparisonCue.index });
+    }
+
+    INTENTS.forEach(({ intent, analyzer, pattern }) => {
+        const match = lower.match(pattern);
+        if (match) {
+            intents.push({ intent, analyzer, reason: `"${match[1]}" in the question`, position: match.index });
+        }
+    });
+
+    if (intents.length === 0) {
+        intents.push({ intent: 'general', analyzer: 'analyzeGeneralQuestion', reason: 'no specific intent recognised', position: 0 });
+    }
+    intents.sort((a, b) => a.position - b.position);
+
+    return {
+        question: text,
+        clauses,
+        intents: intents.map(({ position, ...step }) => step),
+        users,
+        unresolvedMentions,
+        topics,
+        timeRange: timeRange ? { expression: timeRange.expression, label: timeRange.label, from: timeRange.from, to: timeRange.to } : null,
+        comparison,
+        searchQueries
+    };
+}
+
+/**
+ * One anchor for relative time expressions across every tree of a query: its newest message, or now.
+ * Anchoring each version on its own newest message would give "last week" a different range per version.
+ */
+export function questionAnchor(trees) {
+    let newest = null;
+    trees.forEach(tree => Object.values(tree?.messages || {}).forEach(message => {
+        if (message.timestamp && (newest === null || message.timestamp > newest)) {
+            newest = message.timestamp;
+        }
+    }));
+    return newest ?? Math.floor(Date.now() / 1000);
+}
+
+/**
+ * The messages a parsed question is about: its time range, mentioned topics and mentioned users.
+ * Comparison targets are not used as filters, since the comparison needs both sides.
+ * Returns `messages` itself when the question names no scope.
+ */
+export function scopeMessages(messages, intent) {
+    if (!hasScope(intent)) {
+        return messages;
+    }
+
+    const topicIds = intent.comparison?.kind === 'topics' ? [] : intent.topics.map(topic => String(topic.id));
+    const userIds = comparesUsers(intent) ? [] : intent.users.map(user => String(user.userId));
+
+    return filterMessagesByTime(messages, intent.timeRange).filter(message =>
+        (topicIds.length === 0 || topicIds.includes(String(message.topicId))) &&
+        (userIds.length === 0 || userIds.includes(String(message.fromUserId))));
+}
+
+/**
+ * One-line description of a parsed question's scope, or null when it has none.
+ */
+export function describeQuestionScope(intent) {
+    if (!hasScope(intent)) {
+        return null;
+    }
+
+    const parts = [];
+    if (intent.comparison?.kind !== 'topics' && intent.topics.length > 0) {
+        parts.push(intent.topics.map(topic => `"${topic.name}"`).join(', '));
+    }
+    if (!comparesUsers(intent) && intent.users.length > 0) {
+        parts.push(intent.users.map(user => `@${user.userName}`).join(', '));
+    }
+    if (intent.timeRange) {
+        parts.push(intent.timeRange.label);
+    }
+    return parts.length > 0 ? parts.join(', ') : null;
+}
+
+function hasScope(intent) {
+    if (!intent) {
+        return false;
+    }
+    return !!intent.timeRange ||
+        (intent.comparison?.kind !== 'topics' && intent.topics.length > 0) ||
+        (!comparesUsers(intent) && intent.users.length > 0);
+}
+
+// Users being compared stay unfiltered, even when "differ" found fewer than two of them
+function comparesUsers(intent) {
+    return intent.comparison?.kind === 'users' || intent.intents.some(step => step.intent === 'compare_users');
+}
+
+function resolveUsers(text, knownUsers) {
+    const byName = new Map(knownUsers.filter(user => user.userName).map(user => [user.userName.toLowerCase(), user]));
+    const found = new Map();
+    const unresolvedMentions = [];
+    const lower = text.toLowerCase();
+
+    // @mentions, including the @@name form the interface's username chips produce
+    (text.match(/@+[A-Za-z0-9_]+/g) || []).forEach(mention => {
+        const user = byName.get(mention.replace(/^@+/, '').toLowerCase());
+        if (user) {
+            found.set(String(user.userId), { userId: user.userId, userName: user.userName, mention, index: lower.indexOf(mention.toLowerCase()) });
+        } else {
+            unresolvedMentions.push(mention);
+        }
+    });
+
+    // Bare usernames count too, as long as they are distinctive enough not to be ordinary words
+    byName.forEach((user, name) => {
+        if (found.has(String(user.userId)) || name.length < 4) {
+            return;
+        }
+        const match = lower.match(new RegExp(`(^|[^a-z0-9_])${escapeRegExp(name)}(?![a-z0-9_])`));
+        if (match) {
+            found.set(String(user.userId), { userId: user.userId, userName: user.userName, mention: user.userName, index: match.index });
+        }
+    });
+
+    const users = Array.from(found.values()).sort((a, b) => a.index - b.index).map(({ index, ...user }) => user);
+    return { users, unresolvedMentions };
+}
+
+function resolveTopics(lower, knownTopics) {
+    const words = (lower.match(/[a-z0-9]+/g) || []).map(singular);
+    const found = [];
+
+    knownTopics.forEach(topic => {
+        const name = String(topic.name || '').toLowerCase();
+        if (!name) {
+            return;
+        }
+        if (lower.includes(name)) {
+            found.push({ id: topic.id, name: topic.name, matched: topic.name, index: lower.indexOf(name) });
+            return;
+        }
+
+        const topicWords = (name.match(/[a-z0-9]+/g) || []).filter(word => word.length >= 4 && !TOPIC_STOPWORDS.has(word)).map(singular);
+        for (const topicWord of topicWords) {
+            const word = words.find(candidate => matchesWord(candidate, topicWord));
+            if (word) {
+                found.push({ id: topic.id, name: topic.name, matched: word, index: lower.search(new RegExp(`\\b${escapeRegExp(word)}`)) });
+                return;
+            }
+        }
+    });
+
+    return found.sort((a, b) => a.index - b.index).map(({ index, ...topic }) => topic);
+}
+
+// "validators" finds "Validator", "tokenomics" finds "Token"; short words must match exactly
+function matchesWord(word, topicWord) {
+    if (word === topicWord) {
+        return true;
+    }
+    const [shorter, longer] = word.length < topicWord.length ? [word, topicWord] : [topicWord, word];
+    return shorter.length >= 5 && longer.startsWith(shorter);
+}
+
+function singular(word) {
+    return word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+}
+
+/**
+ * Find the first time expression in a question and resolve it to a UTC range. Relative expressions
+ * count back from `anchor`, like the time window presets.
+ */
+function extractTimeRange(text, anchor) {
+    const lower = text.toLowerCase();
+    const range = (match, expression, from, to) => ({
+        match: text.substr(match.index, match[0].length),
+        expression,
+        from,
+        to,
+        // Expressions with explicit dates already say what the range is
+        label: /\d{4}-\d{2}-\d{2}/.test(expression) ? describeRange(from, to) : `${expression} (${describeRange(from, to)})`
+    });
+
+    let match = lower.match(new RegExp(`\\b(?:between|from)\\s+${DATE}\\s+(?:and|to|until)\\s+${DATE}\\b`));
+    if (match) {
+        const start = resolveDate(match[1], anchor);
+        const end = resolveDate(match[3], anchor);
+        if (start && end && start.from <= end.to) {
+            return range(match, match[0], start.from, end.to);
+        }
+    }
+
+    match = lower.match(new RegExp(`\\b(since|after|before|until)\\s+${DATE}\\b`));
+    if (match) {
+        const date = resolveDate(match[2], anchor);
+        if (date) {
+            return match[1] === 'since' || match[1] === 'after'
+                ? range(match, match[0], match[1] === 'since' ? date.from : date.to + 1, anchor)
+                : range(match, match[0], null, match[1] === 'before' ? date.from - 1 : date.to);
+        }
+    }
+
+    match = lower.match(/\b(?:in the\s+)?(?:last|past)\s+(\d+)\s+(day|week|month)s?\b/);
+    if (match) {
+        const days = parseInt(match[1]) * { day: 1, week: 7, month: 30 }[match[2]];
+        return range(match, match[0].replace(/^in the\s+/, ''), anchor - days * DAY + 1, anchor);
+    }
+
+    match = lower.match(/\b(last|past|this)\s+(week|month|year)\b/);
+    if (match) {
+        const [, which, unit] = match;
+        if (which === 'past') {
+            return range(match, match[0], anchor - { week: 7, month: 30, year: 365 }[unit] * DAY + 1, anchor);
+        }
+        const anchorDate = new Date(anchor * 1000);
+        if (unit === 'week') {
+            const start = bucketStart(anchor, 'week') - (which === 'last' ? 7 * DAY : 0);
+            return range(match, match[0], start, which === 'last' ? start + 7 * DAY - 1 : anchor);
+        }
+        if (unit === 'month') {
+            const month = anchorDate.getUTCMonth() - (which === 'last' ? 1 : 0);
+            const bounds = monthRange(anchorDate.getUTCFullYear(), month);
+            return range(match, match[0], bounds.from, which === 'last' ? bounds.to : anchor);
+        }
+        const year = anchorDate.getUTCFullYear() - (which === 'last' ? 1 : 0);
+        return range(match, match[0], Date.UTC(year, 0, 1) / 1000, which === 'last' ? Date.UTC(year + 1, 0, 1) / 1000 - 1 : anchor);
+    }
+
+    match = lower.match(/\b(today|yesterday)\b/);
+    if (match) {
+        const start = bucketStart(anchor, 'day') - (match[1] === 'yesterday' ? DAY : 0);
+        return range(match, match[0], start, start + DAY - 1);
+    }
+
+    // Month names need a preposition or a year, so the verb "may" is not read as a date
+    match = lower.match(new RegExp(`\\b(?:in|during)\\s+${MONTH}(?:\\s+(\\d{4}))?\\b|\\b${MONTH}\\s+(\\d{4})\\b`));
+    if (match) {
+        const date = resolveDate(match[0].replace(/^(?:in|during)\s+/, ''), anchor);
+        return range(match, match[0], date.from, date.to);
+    }
+
+    return null;
+}
+
+// An ISO day or a month name (with optional year) as a { from, to } range
+function resolveDate(value, anchor) {
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) {
+        const from = toUnixSeconds(`${value}T00:00:00Z`);
+        return from === null ? null : { from, to: from + DAY - 1 };
+    }
+
+    const named = value.match(new RegExp(`^${MONTH}(?:\\s+(\\d{4}))?$`));
+    if (!named) {
+        return null;
+    }
+    const month = MONTHS.indexOf(named[1]);
+    const anchorDate = new Date(anchor * 1000);
+    // Without a year, a month means its most recent occurrence up to the anchor
+    const year = named[2] ? parseInt(named[2]) : anchorDate.getUTCFullYear() - (month > anchorDate.getUTCMonth() ? 1 : 0);
+    return monthRange(year, month);
+}
+
+function monthRange(year, month) {
+    return { from: Date.UTC(year, month, 1) / 1000, to: Date.UTC(year, month + 1, 1) / 1000 - 1 };
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,467 @@
+/**
+ * Report Formatters
+ * Text renderings of a query report ({ query, results, delta, narrative? }) for the CLI and exports:
+ * JSON, Markdown, printable HTML and CSV tables
+ */
+
+import { formatSignedNumber } from './version-delta.js';
+import { formatSentimentScore } from './sentiment.js';
+import { describeEvolutionEvent, EVOLUTION_LABELS } from './topic-alignment.js';
+import { renderBarChart, renderLineChart } from './charts.js';
+import { buildVersionTimeline } from './version-timeline.js';
+
+// Export formats offered by the interface and the CLI
+export const REPORT_FORMATS = {
+    json: { label: 'JSON (full result)', extension: 'json', mimeType: 'application/json' },
+    markdown: { label: 'Markdown briefing', extension: 'md', mimeType: 'text/markdown' },
+    html: { label: 'Printable HTML report', extension: 'html', mimeType: 'text/html' },
+    'topics-csv': { label: 'Topics CSV', extension: 'csv', mimeType: 'text/csv' },
+    'contributors-csv': { label: 'Contributors CSV', extension: 'csv', mimeType: 'text/csv' }
+};
+
+/**
+ * Render a report in one of REPORT_FORMATS. Options are passed on to the formatter (datasetName, topicLimit, generatedAt).
+ */
+export function formatReport(report, format, options = {}) {
+    switch (format) {
+        case 'json':
+            return formatReportJson(report);
+        case 'markdown':
+            return formatReportMarkdown(report, options);
+        case 'html':
+            return formatReportHtml(report, options);
+        case 'topics-csv':
+            return formatTopicsCsv(report);
+        case 'contributors-csv':
+            return formatContributorsCsv(report);
+        default:
+            throw new Error(`Unknown report format: ${format} (use ${Object.keys(REPORT_FORMATS).join(', ')})`);
+    }
+}
+
+export function formatReportJson(report) {
+    return JSON.stringify(report, null, 2) + '\n';
+}
+
+export function formatReportMarkdown(report, options = {}) {
+    const { query, results, delta, narrative } = report;
+    const topicLimit = options.topicLimit || 5;
+    const lines = [];
+
+    lines.push(`# Topic Tree Analysis — ${options.datasetName || `Channel ${query.dataset}`}`);
+    lines.push('');
+    if (query.customQuestion) {
+        lines.push(`**Question:** ${query.customQuestion}`);
+    }
+    lines.push(`**Versions:** ${results.map(r => r.version).join(', ')}`);
+    if (query.users && query.users.length > 0) {
+        lines.push(`**Users:** ${query.users.join(', ')}`);
+    }
+    lines.push('');
+
+    results.forEach(result => {
+        lines.push(`## Version ${result.version}`);
+        lines.push('');
+        lines.push(result.summary);
+        lines.push('');
+
+        const sentiment = result.data?.sentiment;
+        if (sentiment && sentiment.overall.messageCount > 0) {
+            const { overall } = sentiment;
+            lines.push(`**Sentiment:** ${overall.label} (${formatSentimentScore(overall.average)}) — ` +
+                `${overall.distribution.positive} positive, ${overall.distribution.neutral} neutral, ${overall.distribution.negative} negative`);
+            if (sentiment.mostNegativeTopics.length > 0) {
+                lines.push(`**Most negative topics:** ${sentiment.mostNegativeTopics.map(topic => `${topic.name} (${formatSentimentScore(topic.average)})`).join(', ')}`);
+            }
+            lines.push('');
+        }
+
+        if (result.data?.categories && result.data.categories.length > 0) {
+            lines.push(`**Categories:** ${result.data.categories.map(category => `${category.name} ${category.messageCount} (${Math.round(category.share * 100)}%)`).join(', ')}`);
+            lines.push('');
+        }
+
+        if (result.intent) {
+            lines.push('### Question Analysis');
+            lines.push('');
+            result.intent.intents.forEach(step => lines.push(`- \`${step.analyzer}\`: ${step.reason}`));
+            if (result.intent.timeRange) {
+                lines.push(`- Time range: ${result.intent.timeRange.label}`);
+            }
+            if (result.intent.comparison) {
+                lines.push(`- Comparing: ${result.intent.comparison.targets.join(' vs ')}`);
+            }
+            lines.push('');
+        }
+
+        if (result.aiSummary) {
+            lines.push('### AI Analysis');
+            lines.push('');
+            lines.push(result.aiSummary);
+            lines.push('');
+            const sources = citedSources(result);
+            sources.forEach(message => lines.push(`- [#${message.messageId}] @${message.userName} in "${message.topicName}": ${message.text}`));
+            if (sources.length > 0) {
+                lines.push('');
+            }
+        }
+
+        if (result.search) {
+            lines.push(`### Search Results (${result.search.totalMatches} of ${result.search.searchedMessages} messages)`);
+            lines.push('');
+            result.search.results.forEach(match => {
+                const date = match.timestamp ? ` — ${new Date(match.timestamp * 1000).toISOString().slice(0, 10)}` : '';
+                lines.push(`- **@${match.userName}** in *${match.topicName}*${date}: ${match.snippet.replace(/\n/g, ' ')}`);
+            });
+            lines.push('');
+        }
+
+        if (result.timeWindow && result.timeWindow.activity.buckets.length > 0) {
+            const { activity } = result.timeWindow;
+            lines.push(`### Activity per ${activity.granularity === 'week' ? 'Week' : 'Day'} (${result.timeWindow.label})`);
+            lines.push('');
+            lines.push(`| Topic | ${activity.buckets.map(bucket => bucket.label.slice(5)).join(' | ')} | Total |`);
+            lines.push(`| --- | ${activity.buckets.map(() => '---:').join(' | ')} | ---: |`);
+            activity.topics.slice(0, topicLimit).forEach(topic => {
+                lines.push(`| ${escapeCell(topic.name)} | ${topic.counts.join(' | ')} | ${topic.total} |`);
+            });
+            lines.push(`| **All messages** | ${activity.totals.join(' | ')} | ${result.timeWindow.messageCount} |`);
+            lines.push('');
+        }
+
+        if (result.insights && result.insights.length > 0) {
+            lines.push('### Key Insights');
+            lines.push('');
+            result.insights.forEach(insight => lines.push(`- ${insight}`));
+            lines.push('');
+        }
+
+        const topics = result.data?.topics || [];
+        if (topics.length > 0) {
+            lines.push('### Topics');
+            lines.push('');
+            lines.push('| Topic | Messages | Contributors | Top Contributors |');
+            lines.push('| --- | ---: | ---: | --- |');
+            topics.slice(0, topicLimit).forEach(topic => {
+                const contributors = topic.contributors.slice(0, 3).map(c => `${c.username} (${c.messageCount})`).join(', ');
+                lines.push(`| ${escapeCell(topic.name)} | ${topic.messageCount} | ${topic.contributorCount} | ${escapeCell(contributors)} |`);
+            });
+            lines.push('');
+        }
+
+        const threads = (result.threads || []).filter(thread => thread.replyCount > 0);
+        if (threads.length > 0) {
+            lines.push('### Longest Threads');
+            lines.push('');
+            threads.slice().sort((a, b) => b.messageCount - a.messageCount).slice(0, topicLimit).forEach(thread => {
+                const participants = thread.participants.map(p => `@${p.userName}`).join(', ');
+                lines.push(`- **@${thread.root.userName}:** ${thread.root.text.replace(/\n/g, ' ')} — ${thread.replyCount} replies from ${participants}`);
+            });
+            lines.push('');
+        }
+    });
+
+    if (delta) {
+        lines.push('## Version Comparison');
+        lines.push('');
+        if (narrative) {
+            lines.push(narrative);
+            lines.push('');
+        }
+        lines.push('| Version | Messages | Topics | Users | Most Discussed |');
+        lines.push('| --- | ---: | ---: | ---: | --- |');
+        delta.rows.forEach(row => {
+            const label = row.position ? `${row.version} (${row.position})` : row.version;
+            lines.push(`| ${label} | ${row.messageCount} | ${row.topicCount} | ${row.activeUsers} | ${escapeCell(row.mostDiscussedTopic || 'N/A')} |`);
+        });
+        lines.push('');
+        lines.push(`**Change (${delta.versions[0]} → ${delta.versions[delta.versions.length - 1]}):** ` +
+            `${formatSignedNumber(delta.changes.messages)} messages, ` +
+            `${formatSignedNumber(delta.changes.topics)} topics, ` +
+            `${formatSignedNumber(delta.changes.users)} users`);
+        lines.push('');
+
+        if (delta.evolution) {
+            lines.push('### Topic Evolution');
+            lines.push('');
+            delta.evolution.transitions.forEach(transition => {
+                const events = transition.events.filter(event => event.type !== 'stable');
+                lines.push(`**${transition.from} → ${transition.to}:** ${events.length === 0 ? 'no topic changed' : ''}`.trimEnd());
+                events.forEach(event => {
+                    lines.push(`- ${EVOLUTION_LABELS[event.type]} ${describeEvolutionEvent(event)}`);
+                });
+                lines.push('');
+            });
+        }
+
+        if (delta.categories) {
+            lines.push('### Categories');
+            lines.push('');
+            lines.push(`| Category | ${delta.versions.join(' | ')} | Change |`);
+            lines.push(`| --- | ${delta.versions.map(() => '---:').join(' | ')} | ---: |`);
+            delta.categories.forEach(category => {
+                lines.push(`| ${escapeCell(category.name)} | ${category.counts.join(' | ')} | ${formatSignedNumber(category.change)} |`);
+            });
+            lines.push('');
+        }
+
+        if (delta.sentiment) {
+            lines.push(`### Sentiment Shift (${formatSentimentScore(delta.sentiment.change)})`);
+            lines.push('');
+            lines.push('| Version | Average | Positive | Neutral | Negative |');
+            lines.push('| --- | ---: | ---: | ---: | ---: |');
+            delta.sentiment.rows.forEach(row => {
+                lines.push(`| ${row.version} | ${formatSentimentScore(row.average)} | ${row.distribution.positive} | ${row.distribution.neutral} | ${row.distribution.negative} |`);
+            });
+            lines.push('');
+            delta.sentiment.topics.filter(topic => topic.change !== 0).slice(0, topicLimit).forEach(topic => {
+                lines.push(`- ${topic.name}: ${formatSentimentScore(topic.from)} → ${formatSentimentScore(topic.to)} (${formatSentimentScore(topic.change)})`);
+            });
+            lines.push('');
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * One row per topic per version.
+ */
+export function formatTopicsCsv(report) {
+    const rows = report.results.flatMap(result => (result.data?.topics || []).map(topic => [
+        result.version,
+        topic.id,
+        topic.name,
+        topic.category?.name || '',
+        topic.messageCount,
+        topic.contributorCount,
+        topic.threadCount ?? '',
+        topic.contributors.slice(0, 3).map(c => `${c.username} (${c.messageCount})`).join('; ')
+    ]));
+    return formatCsv(['version', 'topic_id', 'topic', 'category', 'messages', 'contributors', 'threads', 'top_contributors'], rows);
+}
+
+/**
+ * One row per contributor per version, busiest first, with the topics they posted in.
+ */
+export function formatContributorsCsv(report) {
+    const rows = report.results.flatMap(result => summarizeContributors(result.data?.topics || []).map(contributor => [
+        result.version,
+        contributor.userId,
+        contributor.username,
+        contributor.messageCount,
+        contributor.topics.length,
+        contributor.topics.map(topic => `${topic.name} (${topic.messageCount})`).join('; ')
+    ]));
+    return formatCsv(['version', 'user_id', 'username', 'messages', 'topic_count', 'topics'], rows);
+}
+
+/**
+ * Self-contained HTML document for reading, sharing and printing to PDF: the comparison across versions first,
+ * then each version's summary, AI analysis, insights, topics and contributors. Options:
+ *   datasetName  title instead of the channel ID
+ *   topicLimit   topics and contributors listed per version (default 10)
+ *   generatedAt  ISO time printed in the header (default: now)
+ */
+export function formatReportHtml(report, options = {}) {
+    const { query, results, delta, narrative } = report;
+    const topicLimit = options.topicLimit || 10;
+    const title = `Community Pulse — ${options.datasetName || `Channel ${query.dataset}`}`;
+    const generatedAt = options.generatedAt || new Date().toISOString();
+    const sections = [];
+
+    const meta = [
+        `Generated ${escapeHtml(generatedAt.slice(0, 16).replace('T', ' '))} UTC`,
+        `Versions ${escapeHtml(results.map(r => r.version).join(', '))}`,
+        query.users && query.users.length > 0 ? `Users ${escapeHtml(query.users.join(', '))}` : null,
+        query.customQuestion ? `Question: “${escapeHtml(query.customQuestion)}”` : null
+    ].filter(Boolean);
+
+    if (delta) {
+        const first = delta.versions[0];
+        const last = delta.versions[delta.versions.length - 1];
+        const timeline = buildVersionTimeline(delta);
+        sections.push(`
+            <section>
+                <h2>Across Versions</h2>
+                <p class="lead">From ${escapeHtml(first)} to ${escapeHtml(last)}: ${formatSignedNumber(delta.changes.messages)} messages,
+                    ${formatSignedNumber(delta.changes.topics)} topics, ${formatSignedNumber(delta.changes.users)} users.</p>
+                ${narrative ? narrative.split(/\n{2,}/).map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('') : ''}
+                ${table(['Version', 'Messages', 'Topics', 'Users', 'Most Discussed'], delta.rows.map(row => [
+                    row.position ? `${row.version} (${row.position})` : row.version,
+                    row.messageCount, row.topicCount, row.activeUsers, row.mostDiscussedTopic || 'N/A'
+                ]))}
+                ${timeline.topics.length > 0 ? `<h3>Topic sizes</h3>${renderLineChart({ labels: timeline.labels, series: timeline.topics.slice(0, 6) })}` : ''}
+                ${delta.evolution ? `
+                    <h3>Topic Evolution</h3>
+                    ${delta.evolution.transitions.map(transition => {
+                        const events = transition.events.filter(event => event.type !== 'stable');
+                        return `
+                            <h4>${escapeHtml(transition.from)} → ${escapeHtml(transition.to)}</h4>
+                            ${events.length > 0
+                                ? `<ul>${events.map(event => `<li>${escapeHtml(EVOLUTION_LABELS[event.type])} ${escapeHtml(describeEvolutionEvent(event))}</li>`).join('')}</ul>`
+                                : '<p>No topic changed.</p>'}
+                        `;
+                    }).join('')}
+                ` : ''}
+                ${delta.categories ? `
+                    <h3>Categories</h3>
+                    ${table(['Category', ...delta.versions, 'Change'], delta.categories.map(category => [category.name, ...category.counts, formatSignedNumber(category.change)]))}
+                ` : ''}
+                ${delta.sentiment ? `
+                    <h3>Sentiment Shift (${escapeHtml(formatSentimentScore(delta.sentiment.change))})</h3>
+                    ${table(['Version', 'Average', 'Positive', 'Neutral', 'Negative'], delta.sentiment.rows.map(row => [
+                        row.version, formatSentimentScore(row.average), row.distribution.positive, row.distribution.neutral, row.distribution.negative
+                    ]))}
+                ` : ''}
+            </section>
+        `);
+    }
+
+    results.forEach(result => {
+        const topics = result.data?.topics || [];
+        const contributors = summarizeContributors(topics).slice(0, topicLimit);
+        const sentiment = result.data?.sentiment;
+        const threads = (result.threads || []).filter(thread => thread.replyCount > 0)
+            .sort((a, b) => b.messageCount - a.messageCount)
+            .slice(0, 5);
+        const sources = citedSources(result);
+
+        sections.push(`
+            <section class="version">
+                <h2>Version ${escapeHtml(result.version)}</h2>
+                <p class="lead">${escapeHtml(result.summary)}</p>
+                ${result.aiSummary ? `<h3>AI Analysis</h3><div class="ai-summary">${escapeHtml(result.aiSummary)}</div>` : ''}
+                ${sources.length > 0 ? `<ul class="sources">${sources.map(message => `
+                    <li><strong>#${escapeHtml(message.messageId)}</strong> @${escapeHtml(message.userName)} in ${escapeHtml(message.topicName)}: ${escapeHtml(message.text)}</li>`).join('')}
+                </ul>` : ''}
+                ${sentiment && sentiment.overall.messageCount > 0 ? `
+                    <p><strong>Sentiment:</strong> ${escapeHtml(sentiment.overall.label)} (${escapeHtml(formatSentimentScore(sentiment.overall.average))}) —
+                        ${sentiment.overall.distribution.positive} positive, ${sentiment.overall.distribution.neutral} neutral, ${sentiment.overall.distribution.negative} negative</p>
+                ` : ''}
+                ${result.data?.categories && result.data.categories.length > 0 ? `
+                    <p><strong>Categories:</strong> ${escapeHtml(result.data.categories.map(category => `${category.name} ${category.messageCount} (${Math.round(category.share * 100)}%)`).join(', '))}</p>
+                ` : ''}
+                ${result.insights && result.insights.length > 0 ? `
+                    <h3>Key Insights</h3>
+                    <ul>${result.insights.map(insight => `<li>${escapeHtml(insight)}</li>`).join('')}</ul>
+                ` : ''}
+                ${topics.length > 0 ? `
+                    <h3>Topics</h3>
+                    ${renderBarChart({ items: topics.slice(0, topicLimit).map(topic => ({ label: topic.name, value: topic.messageCount })) })}
+                    ${table(['Topic', 'Messages', 'Contributors', 'Top Contributors'], topics.slice(0, topicLimit).map(topic => [
+                        topic.name, topic.messageCount, topic.contributorCount,
+                        topic.contributors.slice(0, 3).map(c => `${c.username} (${c.messageCount})`).join(', ')
+                    ]))}
+                ` : ''}
+                ${contributors.length > 0 ? `
+                    <h3>Top Contributors</h3>
+                    ${table(['User', 'Messages', 'Topics'], contributors.map(contributor => [
+                        contributor.username, contributor.messageCount, contributor.topics.slice(0, 3).map(topic => topic.name).join(', ')
+                    ]))}
+                ` : ''}
+                ${threads.length > 0 ? `
+                    <h3>Longest Threads</h3>
+                    <ul>${threads.map(thread => `
+                        <li><strong>@${escapeHtml(thread.root.userName)}:</strong> ${escapeHtml(thread.root.text)}
+                            — ${thread.replyCount} replies from ${escapeHtml(thread.participants.map(p => `@${p.userName}`).join(', '))}</li>
+                    `).join('')}</ul>
+                ` : ''}
+            </section>
+        `);
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: 'Inter', Arial, sans-serif; color: #0f172a; max-width: 960px; margin: 32px auto; padding: 0 24px; line-height: 1.5; }
+    h1 { margin-bottom: 4px; }
+    h2 { border-bottom: 2px solid #6366f1; padding-bottom: 4px; margin-top: 32px; }
+    .meta { color: #64748b; font-size: 13px; }
+    .lead { font-size: 15px; }
+    .ai-summary { white-space: pre-wrap; background: #eef2ff; border-left: 4px solid #6366f1; padding: 12px 16px; }
+    .sources { font-size: 0.9em; color: #475569; }
+    table { width: 100%; border-collapse: collapse; margin: 12px 0; font-size: 13px; }
+    th, td { border: 1px solid #cbd5e1; padding: 6px 8px; text-align: left; }
+    th { background: #f1f5f9; }
+    td.number { text-align: right; }
+    .chart svg { width: 100%; height: auto; }
+    .chart-label, .chart-value, .chart-axis { font-size: 11px; fill: #334155; }
+    .chart-grid { stroke: #e2e8f0; }
+    .chart-line { fill: none; stroke-width: 2; }
+    .chart-legend { list-style: none; display: flex; flex-wrap: wrap; gap: 12px; padding: 0; font-size: 12px; }
+    .chart-swatch { display: inline-block; width: 10px; height: 10px; margin-right: 4px; }
+    @media print {
+        body { margin: 0; max-width: none; }
+        section.version { page-break-before: always; }
+        h2, h3 { page-break-after: avoid; }
+        table, .chart { page-break-inside: avoid; }
+    }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${meta.join(' · ')}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Contributors across a version's topics: { userId, username, messageCount, topics: [{ name, messageCount }] }, busiest first
+// The retrieved messages an AI answer cited, in citation order
+function citedSources(result) {
+    const evidence = new Map((result.evidence?.messages || []).map(message => [message.messageId, message]));
+    return (result.aiCitations || []).map(messageId => evidence.get(String(messageId))).filter(Boolean);
+}
+
+function summarizeContributors(topics) {
+    const contributors = new Map();
+    topics.forEach(topic => topic.contributors.forEach(contributor => {
+        const key = String(contributor.userId);
+        if (!contributors.has(key)) {
+            contributors.set(key, { userId: key, username: contributor.username, messageCount: 0, topics: [] });
+        }
+        const entry = contributors.get(key);
+        entry.messageCount += contributor.messageCount;
+        entry.topics.push({ name: topic.name, messageCount: contributor.messageCount });
+    }));
+
+    return Array.from(contributors.values())
+        .map(entry => ({ ...entry, topics: entry.topics.sort((a, b) => b.messageCount - a.messageCount) }))
+        .sort((a, b) => b.messageCount - a.messageCount || a.username.localeCompare(b.username));
+}
+
+function table(headers, rows) {
+    const cell = value => typeof value === 'number' ? `<td class="number">${value}</td>` : `<td>${escapeHtml(value)}</td>`;
+    return `
+        <table>
+            <thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(row => `<tr>${row.map(cell).join('')}</tr>`).join('')}</tbody>
+        </table>
+    `;
+}
+
+function formatCsv(headers, rows) {
+    return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function escapeCell(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
@@ -0,0 +1,846 @@
+/**
+ * Semantic Engine
+ * DOM-free topic tree analysis shared by the browser interface, serverless API, CLI and workers
+ */
+
+import { searchMessages, extractSearchQuery } from './message-search.js';
+import { buildThreads, countThreadsByTopic } from './conversation-threads.js';
+import { resolveTimeWindow, filterMessagesByTime, bucketActivity } from './time-window.js';
+import { analyzeSentiment, summarizeThreadSentiment, formatSentimentScore as formatScore } from './sentiment.js';
+import { parseQuestionIntent, scopeMessages, describeQuestionScope } from './question-intent.js';
+import { DEFAULT_CATEGORIES, categorizeTopic, rollupCategories, hasCategoryTag } from './topic-categories.js';
+import { buildInteractionGraph, describeInteractionGraph, describePairInteraction } from './interaction-graph.js';
+import { retrieveEvidence } from './answer-grounding.js';
+
+// Pass as `logger` to run the engine quietly (CLI output, serverless functions, tests)
+export const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
+
+export class SemanticEngine {
+    constructor(options = {}) {
+        // Topic names are extracted per tree, since topic IDs are not stable across versions
+        this.topicNames = new Map();
+        this.topicKeywords = new Map();
+        // The dataset's category taxonomy arrives with each query (queryData.categories)
+        this.taxonomy = DEFAULT_CATEGORIES;
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * Analyze one version's tree. `options.now` anchors relative time expressions in a custom question;
+     * pass the same value for every version of a query (see questionAnchor) so "last week" means one range.
+     * `options.activity` adds per-topic activity buckets (`data.activity`) for views that chart them;
+     * time windows always get theirs.
+     */
+    processTree(treeData, queryData, version, options = {}) {
+        this.logger.log('🔍 Processing tree locally for version:', version);
+        this.logger.log('📊 Tree data structure:', treeData);
+        this.logger.log('📝 Messages available:', treeData?.messages ? 'YES' : 'NO');
+        this.logger.log('📝 Message count:', treeData?.messages ? Object.keys(treeData.messages).length : 0);
+        
+        if (!treeData || !treeData.messages) {
+            return {
+                summary: "No data available for processing",
+                data: {},
+                insights: ["No messages found in the tree data"],
+                metadata: {
+                    version: version,
+                    timestamp: new Date().toISOString(),
+                    queryType: queryData.type,
+                    processingMethod: 'local',
+                    enhanced: false
+                }
+            };
+        }
+
+        // Handle messages as object (not array)
+        let messages = treeData.messages ? Object.values(treeData.messages) : [];
+        const topics = treeData.topics || [];
+        
+        // Extract topic names from the actual tree data
+        this.extractTopicNames(treeData);
+        this.taxonomy = queryData.categories || DEFAULT_CATEGORIES;
+        
+        // Apply user filtering locally if users are specified
+        const selectedUsers = queryData.users || [];
+        if (selectedUsers.length > 0) {
+            const userIds = selectedUsers.map(id => parseInt(id));
+            messages = messages.filter(message => userIds.includes(message.fromUserId));
+            this.logger.log(`🔍 Applied local user filtering: ${messages.length} messages after filtering for users: ${userIds.join(', ')}`);
+        } else {
+            this.logger.log(`🔍 No user filtering applied: ${messages.length} total messages`);
+        }
+
+        // Time windows narrow the messages before aggregation, so every count below is for the window.
+        // Relative presets anchor on the whole tree, not just the filtered users' messages.
+        let timeWindow = null;
+        if (queryData.type === 'time_window') {
+            const range = resolveTimeWindow(queryData.timeWindow, Object.values(treeData.messages));
+            const before = messages.length;
+            messages = filterMessagesByTime(messages, range);
+            timeWindow = { ...range, messageCount: messages.length, excludedCount: before - messages.length };
+            this.logger.log(`🕒 Applied time window ${range.label}: ${messages.length} of ${before} messages`);
+        }
+        
+        const { users, userTopics, topicsData } = this.summarizeMessages(messages);
+
+        // Threads come from the full tree so replies from other users stay in context
+        const threads = this.buildThreads(treeData, { users: selectedUsers });
+        const threadCounts = countThreadsByTopic(threads);
+        topicsData.forEach(topic => {
+            topic.threadCount = threadCounts.get(topic.id) || 0;
+        });
+
+        // Topic activity over time; a time window fixes the range and bucket size, otherwise they follow the messages
+        const activity = timeWindow || options.activity ? bucketActivity(messages, {
+            ...(timeWindow ? { from: timeWindow.from, to: timeWindow.to, granularity: queryData.timeWindow?.granularity } : {}),
+            getTopicName: topicId => this.getTopicName(topicId)
+        }) : null;
+        if (timeWindow) {
+            timeWindow.activity = activity;
+        }
+
+        const sentiment = this.analyzeSentiment(messages);
+
+        // Reply parents may belong to unselected users, so the graph is built from the whole (time-windowed) tree
+        const allMessages = Object.values(treeData.messages);
+        const interactions = this.buildInteractionGraph(timeWindow ? filterMessagesByTime(allMessages, timeWindow) : allMessages, { users: selectedUsers });
+
+        // Message search runs over the same user-filtered messages as the aggregation
+        const search = queryData.type === 'message_search' ? this.searchMessages(messages, queryData.search) : null;
+
+        // Custom questions are parsed against the whole tree, so @mentions and topics outside the filters still resolve
+        const intent = queryData.type === 'custom_query' && queryData.customQuestion
+            ? this.parseQuestion(queryData.customQuestion, Object.values(treeData.messages), options.now)
+            : null;
+
+        // Messages that ground an AI answer to the question, from the same user-filtered messages
+        const evidence = queryData.type === 'custom_query' && queryData.customQuestion
+            ? this.retrieveEvidence(messages, queryData.customQuestion)
+            : null;
+
+        // Generate insights (enhanced for custom queries)
+        const insights = this.generateInsights(messages, topicsData, users, queryData, intent);
+        if (search) {
+            insights.push(...this.describeSearchResults(search));
+        }
+        if (timeWindow) {
+            insights.push(...this.describeTimeWindow(timeWindow));
+        }
+
+        // Build final result
+        const result = {
+            summary: `Users discussing ${topicsData.length} topics with ${messages.length} total messages`,
+            data: {
+                messageCount: messages.length,
+                topicCount: topicsData.length,
+                activeUsers: users.size,
+                topics: topicsData,
+                topicsByPopularity: topicsData.slice(0, 5),
+                mostDiscussedTopic: topicsData[0] || null,
+                categories: rollupCategories(topicsData),
+                activity: activity,
+                sentiment: sentiment,
+                interactions: interactions,
+                userEngagement: {
+                    averageMessagesPerUser: users.size > 0 ? Math.round(messages.length / users.size) : 0,
+                    averageTopicsPerUser: users.size > 0 ? Math.round(Array.from(userTopics.values()).reduce((sum, topics) => sum + topics.size, 0) / users.size) : 0
+                }
+            },
+            ...(search ? { search } : {}),
+            ...(timeWindow ? { timeWindow } : {}),
+            ...(intent ? { intent } : {}),
+            ...(evidence ? { evidence } : {}),
+            threads: threads,
+            insights: insights,
+            metadata: {
+                version: version,
+                timestamp: new Date().toISOString(),
+                queryType: queryData.type,
+                processingMethod: 'local',
+                enhanced: false
+            }
+        };
+
+        this.logger.log('Processed result:', result);
+        return result;
+    }
+
+    summarizeMessages(messages) {
+        // Extract user information
+        const users = new Map();
+        const userMessageCounts = new Map();
+        const userTopics = new Map();
+        
+        messages.forEach(message => {
+            if (message.fromUserId && message.fromUserName) {
+                users.set(message.fromUserId, message.fromUserName);
+                userMessageCounts.set(message.fromUserId, (userMessageCounts.get(message.fromUserId) || 0) + 1);
+                
+                if (message.topicId !== undefined && message.topicId !== -1) {
+                    if (!userTopics.has(message.fromUserId)) {
+                        userTopics.set(message.fromUserId, new Set());
+                    }
+                    userTopics.get(message.fromUserId).add(message.topicId);
+                }
+            }
+        });
+
+        // Analyze topics
+        const topicAnalysis = new Map();
+        const topicMessageCounts = new Map();
+        const topicUsers = new Map();
+
+        messages.forEach(message => {
+            if (message.topicId !== undefined && message.topicId !== -1) {
+                const topicId = message.topicId;
+                topicMessageCounts.set(topicId, (topicMessageCounts.get(topicId) || 0) + 1);
+                
+                if (!topicUsers.has(topicId)) {
+                    topicUsers.set(topicId, new Map());
+                }
+                
+                const userId = message.fromUserId;
+                if (userId) {
+                    const userMap = topicUsers.get(topicId);
+                    userMap.set(userId, (userMap.get(userId) || 0) + 1);
+                }
+            }
+        });
+
+        // Build topic data with names
+        const topicsData = [];
+        topicMessageCounts.forEach((messageCount, topicId) => {
+            const topicMessages = messages.filter(message => message.topicId === topicId);
+            const contributors = [];
+            const topicUserMap = topicUsers.get(topicId) || new Map();
+            
+            topicUserMap.forEach((userMessageCount, userId) => {
+                const username = users.get(parseInt(userId)) || `User ${userId}`;
+                contributors.push({
+                    userId: parseInt(userId),
+                    username: `@${username}`,
+                    messageCount: userMessageCount
+                });
+            });
+
+            // Sort contributors by message count
+            contributors.sort((a, b) => b.messageCount - a.messageCount);
+
+            topicsData.push({
+                id: topicId,
+                name: this.getTopicName(topicId),
+                messageCount: messageCount,
+                contributorCount: contributors.length,
+                contributors: contributors,
+                category: this.categorizeTopic(topicId, topicMessages),
+                // Message IDs survive between versions while topic IDs do not; the version delta aligns topics on them
+                messageIds: topicMessages.map(message => message.id)
+            });
+        });
+
+        // Sort topics by popularity
+        topicsData.sort((a, b) => b.messageCount - a.messageCount);
+
+        return { users, userTopics, topicsData };
+    }
+
+    generateInsights(messages, topicsData, users, queryData, intent = null) {
+        const insights = [];
+
+        if (topicsData.length === 0) {
+            insights.push("No topics identified in the conversation data");
+            return insights;
+        }
+
+        // Most discussed topic
+        const topTopic = topicsData[0];
+        insights.push(`Most discussed: "${topTopic.name}" with ${topTopic.messageCount} messages from ${topTopic.contributorCount} contributors`);
+
+        // Topic diversity
+        insights.push(`${topicsData.length} distinct topics identified across all conversations`);
+
+        // User participation
+        insights.push(`${users.size} users actively participating with an average of ${Math.round(messages.length / users.size)} messages each`);
+
+        // Topic engagement
+        const avgMessagesPerTopic = Math.round(messages.length / topicsData.length);
+        insights.push(`Topic engagement: Average ${avgMessagesPerTopic} messages per topic`);
+
+        // Most active contributor
+        if (topTopic.contributors.length > 0) {
+            const topContributor = topTopic.contributors[0];
+            const totalMessages = Array.from(users.keys()).reduce((sum, userId) => {
+                return sum + topicsData.reduce((userSum, topic) => {
+                    const contributor = topic.contributors.find(c => c.userId === userId);
+                    return userSum + (contributor ? contributor.messageCount : 0);
+                }, 0);
+            }, 0);
+            
+            const userTotalMessages = topicsData.reduce((sum, topic) => {
+                const contributor = topic.contributors.find(c => c.userId === topContributor.userId);
+                return sum + (contributor ? contributor.messageCount : 0);
+            }, 0);
+            
+            const userTopicCount = topicsData.filter(topic => 
+                topic.contributors.some(c => c.userId === topContributor.userId)
+            ).length;
+            
+            insights.push(`Most active contributor: ${topContributor.username} (${userTotalMessages} messages across ${userTopicCount} topics)`);
+        }
+
+        // Query-specific insights
+        switch (queryData.type) {
+            case 'user_analysis':
+                if (queryData.users.length === 1) {
+                    insights.push(`Analysis focused on single user behavior and topic preferences`);
+                }
+                break;
+            case 'users_analysis':
+                if (queryData.users.length > 1) {
+                    insights.push(`Comparative analysis across ${queryData.users.length} selected users`);
+                }
+                break;
+            case 'version_evolution':
+                insights.push(`Evolution analysis tracking topic changes over time`);
+                break;
+            case 'custom_query':
+                if (queryData.customQuestion) {
+                    this.logger.log('🤖 Processing custom query:', queryData.customQuestion);
+                    insights.push(`Custom analysis for question: "${queryData.customQuestion}"`);
+                    const customInsights = this.generateCustomQueryInsights(messages, topicsData, users, queryData.customQuestion, intent);
+                    this.logger.log('🎯 Generated custom insights:', customInsights);
+                    insights.push(...customInsights);
+                } else {
+                    insights.push(`Custom query selected but no question provided`);
+                }
+                break;
+        }
+
+        return insights;
+    }
+
+    categorizeTopic(topicId, topicMessages) {
+        const { score, ...category } = categorizeTopic({
+            name: this.getTopicName(topicId),
+            keywords: this.topicKeywords.get(topicId)
+        }, topicMessages, this.taxonomy);
+        return category;
+    }
+
+    extractTopicNames(treeData) {
+        // Extract topic names from the actual tree data
+        this.logger.log('🔍 Extracting topic names from tree data');
+        this.topicNames.clear();
+        this.topicKeywords.clear();
+        
+        if (treeData.topics) {
+            // If topics object exists with topic definitions
+            Object.entries(treeData.topics).forEach(([topicId, topicData]) => {
+                if (topicData && topicData.name) {
+                    this.topicNames.set(parseInt(topicId), topicData.name);
+                    this.logger.log(`📝 Found topic ${topicId}: ${topicData.name}`);
+                } else if (topicData && topicData.title) {
+                    this.topicNames.set(parseInt(topicId), topicData.title);
+                    this.logger.log(`📝 Found topic ${topicId}: ${topicData.title}`);
+                }
+                // Topic keywords, when the tree has them, help place the topic in a category
+                if (topicData && Array.isArray(topicData.keywords)) {
+                    this.topicKeywords.set(parseInt(topicId), topicData.keywords);
+                }
+            });
+        }
+        
+        // If no topic names found in tree, we'll generate them dynamically based on content
+        if (this.topicNames.size === 0) {
+            this.logger.log('🔍 No topic names in tree data, will generate from content patterns');
+        }
+        
+        this.logger.log(`✅ Extracted ${this.topicNames.size} topic names from tree data`);
+    }
+
+    getTopicName(topicId) {
+        // Get topic name from extracted data, fallback to generated name
+        if (this.topicNames.has(topicId)) {
+            return this.topicNames.get(topicId);
+        }
+        
+        // Generate semantic topic name based on ID patterns (fallback only)
+        const fallbackNames = {
+            0: "General Discussion",
+            1: "Technical Implementation", 
+            2: "Community Governance",
+            3: "Market Analysis",
+            4: "Product Features",
+            5: "DeFi Protocols",
+            6: "Security & Audits",
+            7: "Token Economics",
+            8: "Development Updates",
+            9: "User Support"
+        };
+        
+        return fallbackNames[topicId] || `Topic ${topicId}`;
+    }
+
+    generateCustomQueryInsights(messages, topicsData, users, customQuestion, intent = null) {
+        const customInsights = [];
+        const question = customQuestion.toLowerCase();
+        intent = intent || this.parseQuestion(customQuestion, messages);
+        
+        this.logger.log('🤖 Processing custom query:', customQuestion);
+        this.logger.log('📊 Available message data for analysis:', messages.length, 'messages');
+        this.logger.log('🧭 Question intent:', intent);
+        
+        // Topics, users and time expressions named in the question narrow what every analyzer sees
+        let scoped = { messages, topicsData, users };
+        const scopedMessages = scopeMessages(messages, intent);
+        if (scopedMessages !== messages) {
+            scoped = { messages: scopedMessages, ...this.summarizeMessages(scopedMessages) };
+            customInsights.push(scopedMessages.length > 0
+                ? `Question scope: ${describeQuestionScope(intent)} — ${scopedMessages.length} of ${messages.length} messages`
+                : `Question scope: ${describeQuestionScope(intent)} — none of the ${messages.length} messages in this version fall inside it`);
+        }
+        if (intent.unresolvedMentions.length > 0) {
+            customInsights.push(`Not found in this version: ${intent.unresolvedMentions.join(', ')}`);
+        }
+        if (scopedMessages.length === 0 && scopedMessages !== messages) {
+            // Analyzers over no messages would only report zeros as if they were findings
+            return customInsights;
+        }
+        
+        intent.intents.forEach(step => {
+            this.logger.log(`🎯 Running ${step.analyzer}: ${step.reason}`);
+            customInsights.push(...this.runAnalyzer(step, scoped, question, intent));
+        });
+        
+        return customInsights;
+    }
+
+    runAnalyzer(step, scoped, question, intent) {
+        const { messages, topicsData, users } = scoped;
+        
+        switch (step.intent) {
+            case 'search':
+                return this.analyzeMessageMentions(messages, step.searchQuery);
+            case 'compare_users':
+                return this.analyzeUserDisagreements(messages, intent.users);
+            case 'compare_topics':
+                return this.analyzeTopicComparison(messages, topicsData, intent.comparison.targets);
+            case 'trending':
+                return this.analyzeTrendingTopics(messages, topicsData, question);
+            case 'engagement':
+                return this.analyzeUserEngagement(messages, topicsData, users, question);
+            case 'sentiment':
+                return this.analyzeSentimentPatterns(messages, topicsData, question);
+            case 'interactions':
+                return this.analyzeInteractions(messages);
+            case 'concerns':
+                return this.analyzeConcerns(messages, topicsData, question);
+            case 'protocol':
+                return this.analyzeProtocolDiscussions(messages, topicsData, question);
+            case 'temporal':
+                return this.analyzeTemporalPatterns(messages, topicsData, question);
+            default:
+                return this.analyzeGeneralQuestion(messages, topicsData, users, question);
+        }
+    }
+
+    parseQuestion(question, messages, now) {
+        const users = new Map();
+        const topicIds = new Set(this.topicNames.keys());
+        messages.forEach(message => {
+            if (message.fromUserId && message.fromUserName) {
+                users.set(message.fromUserId, message.fromUserName);
+            }
+            if (message.topicId !== undefined && message.topicId !== -1) {
+                topicIds.add(message.topicId);
+            }
+        });
+        
+        return parseQuestionIntent(question, {
+            users: Array.from(users, ([userId, userName]) => ({ userId, userName })),
+            topics: Array.from(topicIds, topicId => ({ id: topicId, name: this.getTopicName(topicId) })),
+            messages,
+            ...(now !== undefined && now !== null ? { now } : {})
+        });
+    }
+
+    searchMessages(messages, searchOptions = {}) {
+        // Search with this tree's topic names so results read the same as the Topics Analysis
+        return searchMessages(messages, {
+            ...searchOptions,
+            getTopicName: (topicId) => this.getTopicName(topicId)
+        });
+    }
+
+    retrieveEvidence(messages, question, options = {}) {
+        return retrieveEvidence(messages, question, {
+            ...options,
+            getTopicName: topicId => this.getTopicName(topicId)
+        });
+    }
+
+    buildThreads(treeData, options = {}) {
+        const threads = buildThreads(treeData, {
+            ...options,
+            getTopicName: topicId => this.getTopicName(topicId)
+        });
+
+        // Per-thread mood and trend, so a discussion turning hostile stands out in the explorer
+        const flatten = node => [node, ...node.replies.flatMap(flatten)];
+        threads.forEach(thread => {
+            thread.sentiment = summarizeThreadSentiment(flatten(thread.root));
+        });
+        return threads;
+    }
+
+    buildInteractionGraph(messages, options = {}) {
+        return buildInteractionGraph(messages, {
+            ...options,
+            getTopicName: topicId => this.getTopicName(topicId)
+        });
+    }
+
+    analyzeSentiment(messages) {
+        return analyzeSentiment(messages, { getTopicName: topicId => this.getTopicName(topicId) });
+    }
+
+    describeTimeWindow(timeWindow) {
+        const insights = [];
+        const { activity } = timeWindow;
+        const unit = activity.granularity === 'week' ? 'week of' : 'day:';
+        
+        insights.push(`${timeWindow.label}: ${timeWindow.messageCount} messages in the window, ${timeWindow.excludedCount} outside it`);
+        if (timeWindow.messageCount === 0) {
+            return insights;
+        }
+        
+        const busiest = activity.totals.indexOf(Math.max(...activity.totals));
+        insights.push(`Busiest ${unit} ${activity.buckets[busiest].label} with ${activity.totals[busiest]} messages`);
+        
+        const activeBuckets = activity.totals.filter(count => count > 0).length;
+        insights.push(`Activity on ${activeBuckets} of ${activity.buckets.length} ${activity.granularity}s in the window`);
+        
+        activity.topics.slice(0, 3).forEach(topic => {
+            const peak = topic.counts.indexOf(Math.max(...topic.counts));
+            insights.push(`"${topic.name}": ${topic.total} messages, peaking ${activity.buckets[peak].label} (${topic.counts[peak]})`);
+        });
+        
+        return insights;
+    }
+
+    describeSearchResults(search) {
+        const insights = [];
+        const label = search.query ? `"${search.query}"` : 'the search filters';
+        
+        if (search.totalMatches === 0) {
+            insights.push(`No messages match ${label} among ${search.searchedMessages} searched messages`);
+            return insights;
+        }
+        
+        insights.push(`${search.totalMatches} messages match ${label} across ${search.topics.length} topics`);
+        insights.push(`Most mentioned in "${search.topics[0].name}" (${search.topics[0].matchCount} messages)`);
+        
+        search.results.slice(0, 3).forEach(result => {
+            insights.push(`@${result.userName} in "${result.topicName}": "${result.snippet}"`);
+        });
+        
+        return insights;
+    }
+
+    analyzeMessageMentions(messages, searchQuery) {
+        return this.describeSearchResults(this.searchMessages(messages, { query: searchQuery, limit: 10 }));
+    }
+
+    // Compares the first two users the question resolved (intent.users), by ID, so names inside other words never match
+    analyzeUserDisagreements(messages, mentionedUsers) {
+        const insights = [];
+        
+        if (mentionedUsers.length >= 2) {
+            const [user1, user2] = mentionedUsers;
+            const name1 = user1.userName;
+            const name2 = user2.userName;
+
+            // Analyze topic overlap and potential disagreement patterns
+            const userTopicMap = new Map();
+            
+            messages.forEach(message => {
+                if (message.fromUserId && message.topicId !== undefined && message.topicId !== -1) {
+                    const userId = String(message.fromUserId);
+                    if (!userTopicMap.has(userId)) {
+                        userTopicMap.set(userId, new Map());
+                    }
+                    const userTopics = userTopicMap.get(userId);
+                    userTopics.set(message.topicId, (userTopics.get(message.topicId) || 0) + 1);
+                }
+            });
+            
+            // Find common topics between users
+            const user1Topics = userTopicMap.get(String(user1.userId)) || new Map();
+            const user2Topics = userTopicMap.get(String(user2.userId)) || new Map();
+            
+            const commonTopics = [];
+            user1Topics.forEach((count1, topicId) => {
+                if (user2Topics.has(topicId)) {
+                    const topicName = this.getTopicName(topicId);
+                    const count2 = user2Topics.get(topicId);
+                    commonTopics.push({
+                        topicId,
+                        name: topicName,
+                        user1Messages: count1,
+                        user2Messages: count2,
+                        difference: Math.abs(count1 - count2)
+                    });
+                }
+            });
+            
+            if (commonTopics.length > 0) {
+                insights.push(`Users ${name1} and ${name2} both discussed ${commonTopics.length} common topics`);
+                
+                // Find topics where engagement differs significantly
+                const significantDifferences = commonTopics.filter(topic => topic.difference > 2);
+                if (significantDifferences.length > 0) {
+                    const topDifference = significantDifferences[0];
+                    insights.push(`Biggest engagement difference in "${topDifference.name}": ${name1} (${topDifference.user1Messages} msgs) vs ${name2} (${topDifference.user2Messages} msgs)`);
+                }
+                
+                // Analyze topic focus patterns
+                const user1Focus = Array.from(user1Topics.entries()).sort((a, b) => b[1] - a[1])[0];
+                const user2Focus = Array.from(user2Topics.entries()).sort((a, b) => b[1] - a[1])[0];
+                
+                if (user1Focus && user2Focus && user1Focus[0] !== user2Focus[0]) {
+                    const topic1Name = this.getTopicName(user1Focus[0]);
+                    const topic2Name = this.getTopicName(user2Focus[0]);
+                    insights.push(`Different focus areas: ${name1} primarily discusses "${topic1Name}", ${name2} focuses on "${topic2Name}"`);
+                }
+            } else {
+                insights.push(`Users ${name1} and ${name2} have not participated in the same topic discussions`);
+            }
+
+            // Topic overlap says nothing about whether they actually talk to each other
+            const graph = this.buildInteractionGraph(messages);
+            const [nodeA, nodeB] = [user1, user2].map(user => graph.nodes.find(node => String(node.userId) === String(user.userId)));
+            const pair = nodeA && nodeB ? describePairInteraction(graph, nodeA.userId, nodeB.userId) : null;
+            if (pair && pair.repliesAToB + pair.repliesBToA > 0) {
+                insights.push(`Direct replies: ${name1} → ${name2} ${pair.repliesAToB}×, ${name2} → ${name1} ${pair.repliesBToA}×` +
+                    (pair.sameCommunity ? ', in the same community' : ', in different communities'));
+            } else {
+                insights.push(`Users ${name1} and ${name2} never reply to each other directly`);
+            }
+            if (pair && pair.sharedPartners.length > 0) {
+                insights.push(`Both reply to or hear from: ${pair.sharedPartners.map(name => `@${name}`).join(', ')}`);
+            }
+        } else {
+            insights.push(`To analyze user disagreements, please specify user names in your question (e.g., "How do @James_T81 and @joybaruarobin differ?")`);
+        }
+        
+        return insights;
+    }
+
+    analyzeInteractions(messages) {
+        return describeInteractionGraph(this.buildInteractionGraph(messages));
+    }
+
+    analyzeTrendingTopics(messages, topicsData, question) {
+        const insights = [];
+        const topTopic = topicsData[0];
+        
+        if (topTopic) {
+            insights.push(`Most trending topic: "${topTopic.name}" with ${topTopic.messageCount} recent messages`);
+            insights.push(`Trending engagement: ${topTopic.contributorCount} active contributors in this topic`);
+            
+            // Analyze recent activity patterns
+            if (topicsData.length > 1) {
+                const secondTopic = topicsData[1];
+                const trendGap = topTopic.messageCount - secondTopic.messageCount;
+                insights.push(`Trend strength: "${topTopic.name}" leads by ${trendGap} messages over "${secondTopic.name}"`);
+            }
+        }
+        
+        return insights;
+    }
+
+    analyzeUserEngagement(messages, topicsData, users, question) {
+        const insights = [];
+        
+        // Calculate engagement metrics
+        const totalMessages = messages.length;
+        const avgMessagesPerUser = users.size > 0 ? Math.round(totalMessages / users.size) : 0;
+        
+        insights.push(`Overall engagement: ${avgMessagesPerUser} average messages per user`);
+        
+        // Find most engaged users
+        const userMessageCounts = new Map();
+        messages.forEach(message => {
+            if (message.fromUserId && message.fromUserName) {
+                userMessageCounts.set(message.fromUserName, (userMessageCounts.get(message.fromUserName) || 0) + 1);
+            }
+        });
+        
+        const sortedUsers = Array.from(userMessageCounts.entries()).sort((a, b) => b[1] - a[1]);
+        if (sortedUsers.length > 0) {
+            insights.push(`Most engaged user: @${sortedUsers[0][0]} with ${sortedUsers[0][1]} messages`);
+            
+            if (sortedUsers.length > 1) {
+                insights.push(`Second most engaged: @${sortedUsers[1][0]} with ${sortedUsers[1][1]} messages`);
+            }
+        }
+        
+        return insights;
+    }
+
+    analyzeSentimentPatterns(messages, topicsData, question) {
+        const insights = [];
+        const sentiment = this.analyzeSentiment(messages);
+        const { overall } = sentiment;
+        
+        insights.push(`Community sentiment: ${overall.label} (average ${formatScore(overall.average)}) — ` +
+            `${overall.distribution.positive} positive, ${overall.distribution.neutral} neutral, ${overall.distribution.negative} negative messages`);
+        
+        if (sentiment.mostNegativeTopics.length > 0) {
+            insights.push(`Most negative topics: ${sentiment.mostNegativeTopics.map(topic =>
+                `"${topic.name}" (${formatScore(topic.average)}, ${Math.round(topic.negativeShare * 100)}% negative)`).join(', ')}`);
+        } else {
+            insights.push(`No topic leans negative overall`);
+        }
+        
+        const mostPositive = sentiment.topics[sentiment.topics.length - 1];
+        if (mostPositive && mostPositive.average > 0) {
+            insights.push(`Most positive topic: "${mostPositive.name}" (${formatScore(mostPositive.average)})`);
+        }
+        
+        const harshest = sentiment.users.find(user => user.messageCount >= 2 && user.average < 0);
+        if (harshest) {
+            insights.push(`Most critical contributor: @${harshest.userName} (${formatScore(harshest.average)} across ${harshest.messageCount} messages)`);
+        }
+        
+        if (sentiment.negativeMessages.length > 0) {
+            const worst = sentiment.negativeMessages[0];
+            insights.push(`Most negative message: @${worst.userName}: "${worst.text}"`);
+        }
+        
+        return insights;
+    }
+
+    analyzeTopicComparison(messages, topicsData, topicNames) {
+        const insights = [];
+        const sentiment = this.analyzeSentiment(messages);
+        const [first, second] = topicNames.map(name => ({
+            name,
+            topic: topicsData.find(topic => topic.name === name),
+            sentiment: sentiment.topics.find(topic => topic.name === name)
+        }));
+        const describe = ({ name, topic }) => topic
+            ? `"${name}" ${topic.messageCount} messages from ${topic.contributorCount} contributors`
+            : `"${name}" no messages`;
+        
+        insights.push(`Topic comparison: ${describe(first)} vs ${describe(second)}`);
+        if (!first.topic || !second.topic) {
+            return insights;
+        }
+        
+        const leader = first.topic.messageCount >= second.topic.messageCount ? first : second;
+        const other = leader === first ? second : first;
+        if (leader.topic.messageCount !== other.topic.messageCount) {
+            const gap = leader.topic.messageCount - other.topic.messageCount;
+            insights.push(`"${leader.name}" is busier by ${gap} message${gap === 1 ? '' : 's'}`);
+        }
+        
+        const otherContributors = new Set(other.topic.contributors.map(c => c.userId));
+        const shared = leader.topic.contributors.filter(c => otherContributors.has(c.userId));
+        insights.push(shared.length > 0
+            ? `Contributors in both: ${shared.map(c => c.username).join(', ')}`
+            : `No contributor took part in both topics`);
+        
+        if (first.sentiment && second.sentiment) {
+            insights.push(`Sentiment: "${first.name}" ${formatScore(first.sentiment.average)} vs "${second.name}" ${formatScore(second.sentiment.average)}`);
+        }
+        
+        return insights;
+    }
+
+    analyzeConcerns(messages, topicsData, question) {
+        const insights = [];
+        
+        // Categories tagged "concern" in the dataset's taxonomy (governance, security, technical by default)
+        const concernTopics = topicsData.filter(topic => hasCategoryTag(topic, 'concern'));
+        
+        if (concernTopics.length > 0) {
+            concernTopics.forEach(topic => {
+                insights.push(`Concern area: "${topic.name}" (${topic.category.name}) - ${topic.messageCount} messages from ${topic.contributorCount} contributors`);
+            });
+        } else {
+            insights.push(`No major concern topics identified in current discussions`);
+        }
+        
+        return insights;
+    }
+
+    analyzeProtocolDiscussions(messages, topicsData, question) {
+        const insights = [];
+        
+        const protocolTopics = topicsData.filter(topic => hasCategoryTag(topic, 'protocol'));
+        
+        if (protocolTopics.length > 0) {
+            protocolTopics.forEach(topic => {
+                insights.push(`Protocol discussion: "${topic.name}" (${topic.category.name}) - ${topic.messageCount} messages from ${topic.contributorCount} contributors`);
+            });
+        } else {
+            insights.push(`Limited protocol-specific discussions in current dataset`);
+        }
+        
+        return insights;
+    }
+
+    analyzeTemporalPatterns(messages, topicsData, question) {
+        const insights = [];
+        
+        // Analyze message timestamps if available
+        const messagesWithTimestamps = messages.filter(m => m.timestamp);
+        
+        if (messagesWithTimestamps.length > 0) {
+            // Sort by timestamp
+            messagesWithTimestamps.sort((a, b) => a.timestamp - b.timestamp);
+            
+            const earliestTime = new Date(messagesWithTimestamps[0].timestamp * 1000);
+            const latestTime = new Date(messagesWithTimestamps[messagesWithTimestamps.length - 1].timestamp * 1000);
+            
+            insights.push(`Time range: ${earliestTime.toLocaleDateString()} to ${latestTime.toLocaleDateString()}`);
+            
+            const activity = bucketActivity(messagesWithTimestamps, { getTopicName: topicId => this.getTopicName(topicId) });
+            const busiest = activity.totals.indexOf(Math.max(...activity.totals));
+            insights.push(`Busiest ${activity.granularity}: ${activity.buckets[busiest].label} with ${activity.totals[busiest]} messages`);
+            
+            // Analyze recent activity (last 25% of messages)
+            const recentMessages = messagesWithTimestamps.slice(-Math.ceil(messagesWithTimestamps.length * 0.25));
+            const recentTopics = new Set(recentMessages.map(m => m.topicId).filter(id => id !== -1));
+            
+            insights.push(`Recent activity: ${recentMessages.length} messages across ${recentTopics.size} topics`);
+        } else {
+            insights.push(`Temporal analysis: ${messages.length} messages available for time-based analysis`);
+        }
+        
+        return insights;
+    }
+
+    analyzeGeneralQuestion(messages, topicsData, users, question) {
+        const insights = [];
+        
+        insights.push(`Custom analysis for: "${question}"`);
+        insights.push(`Analyzing ${messages.length} messages across ${topicsData.length} topics from ${users.size} users`);
+        
+        // Provide the most relevant topic
+        if (topicsData.length > 0) {
+            const topTopic = topicsData[0];
+            insights.push(`Primary topic: "${topTopic.name}" with ${topTopic.messageCount} messages from ${topTopic.contributorCount} contributors`);
+        }
+        
+        return insights;
+    }
+}
+
+/**
+ * Analyze a topic tree for a query and return the same result object the interface renders.
+ */
+export function analyzeTree(treeData, queryData, version, options = {}) {
+    return new SemanticEngine(options).processTree(treeData, queryData, version, options);
+}
@@ -0,0 +1,215 @@
+/**
+ * Sentiment
+ * Offline lexicon-based sentiment scoring per message, aggregated per topic, user and thread
+ */
+
+import { getMessageText } from './message-search.js';
+
+// Word weights from -4 (hostile) to +4 (enthusiastic), general English plus community/crypto usage
+const LEXICON = {
+    // Positive
+    'amazing': 4, 'awesome': 4, 'excellent': 4, 'fantastic': 4, 'outstanding': 4, 'superb': 4,
+    'love': 3, 'loving': 3, 'loved': 3, 'great': 3, 'brilliant': 3, 'impressive': 3, 'bullish': 3, 'excited': 3, 'exciting': 3,
+    'good': 2, 'nice': 2, 'happy': 2, 'glad': 2, 'thanks': 2, 'thank': 2, 'appreciate': 2, 'helpful': 2, 'smooth': 2,
+    'solid': 2, 'strong': 2, 'easy': 2, 'fast': 2, 'win': 2, 'wins': 2, 'success': 2, 'successful': 2, 'congrats': 3,
+    'support': 1, 'supportive': 2, 'agree': 1, 'stable': 1, 'fixed': 2, 'works': 1, 'working': 1, 'resolved': 2,
+    'improved': 2, 'improvement': 2, 'better': 2, 'best': 3, 'secure': 1, 'safe': 1, 'fair': 1, 'clear': 1,
+    'welcome': 2, 'cool': 1, 'interesting': 1, 'promising': 2, 'growth': 1, 'gains': 2, 'profit': 2, 'profitable': 2,
+    'reliable': 2, 'transparent': 2, 'useful': 2, 'wow': 2, 'yay': 2, 'lol': 1, 'moon': 2, 'gm': 1,
+    'normal': 1, 'fine': 1, 'live': 1, 'approved': 2, 'passed': 1, 'recommend': 2,
+
+    // Negative
+    'scam': -4, 'scammers': -4, 'fraud': -4, 'rugpull': -4, 'rug': -3, 'exploit': -3, 'exploited': -3, 'hacked': -4,
+    'hack': -3, 'stolen': -4, 'disaster': -4, 'terrible': -4, 'horrible': -4, 'awful': -4, 'worst': -4, 'hate': -4,
+    'garbage': -4, 'useless': -3, 'ridiculous': -3, 'angry': -3, 'furious': -4, 'outrageous': -3, 'joke': -2,
+    'bad': -2, 'poor': -2, 'worse': -3, 'wrong': -2, 'broken': -3, 'bug': -2, 'bugs': -2, 'buggy': -2, 'error': -2,
+    'errors': -2, 'fail': -2, 'failed': -2, 'failing': -2, 'failure': -2, 'crash': -3, 'crashed': -3, 'down': -1,
+    'stuck': -2, 'slow': -2, 'delay': -2, 'delayed': -2, 'delays': -2, 'lost': -2, 'lose': -2, 'losing': -2, 'loss': -2,
+    'losses': -2, 'problem': -2, 'problems': -2, 'issue': -1, 'issues': -1, 'concern': -1, 'concerns': -1,
+    'concerned': -2, 'worried': -2, 'worry': -2, 'risk': -1, 'risky': -2, 'confusing': -2, 'confused': -2,
+    'frustrating': -3, 'frustrated': -3, 'annoying': -2, 'annoyed': -2, 'disappointed': -3, 'disappointing': -3,
+    'unfair': -2, 'dump': -2, 'dumping': -2, 'bearish': -2, 'fud': -2, 'drop': -1, 'dropped': -1, 'expensive': -1,
+    'missing': -1, 'unacceptable': -3, 'oppose': -2, 'against': -1, 'reject': -2, 'rejected': -2, 'abuse': -3,
+    'censorship': -3, 'spam': -2, 'toxic': -3, 'attack': -3, 'vulnerable': -2, 'vulnerability': -2, 'sad': -2,
+    'complain': -2, 'complaint': -2, 'ignored': -2, 'nobody': -1, 'long': -1, 'disagree': -2, 'outdated': -1,
+    'phishing': -3
+};
+
+const NEGATIONS = new Set(['not', 'no', 'never', "don't", 'dont', "doesn't", 'doesnt', "isn't", 'isnt', "wasn't", 'wasnt',
+    "aren't", 'arent', "can't", 'cant', "won't", 'wont', 'without', 'hardly', "didn't", 'didnt']);
+
+const INTENSIFIERS = { 'very': 1.5, 'really': 1.3, 'extremely': 1.8, 'so': 1.3, 'too': 1.3, 'super': 1.5, 'totally': 1.5, 'absolutely': 1.6 };
+
+const EMOJI = { '🚀': 2, '🔥': 2, '❤️': 3, '👍': 2, '🎉': 3, '😊': 2, '😀': 2, '💯': 2, '👎': -2, '😡': -4, '😠': -3, '😢': -2, '💩': -3, '🤬': -4 };
+
+// Scores within ±NEUTRAL_THRESHOLD count as neutral
+export const NEUTRAL_THRESHOLD = 0.05;
+
+/**
+ * Score one message. Returns a normalized score in [-1, 1], its label and the words that moved it.
+ */
+export function scoreText(text) {
+    const tokens = String(text || '').toLowerCase().match(/[a-z][a-z']*/g) || [];
+    const matched = [];
+    let total = 0;
+
+    tokens.forEach((token, index) => {
+        const word = token.replace(/'s$/, '');
+        if (LEXICON[word] === undefined || LEXICON[word] === 0) {
+            return;
+        }
+
+        let weight = LEXICON[word];
+        const previous = tokens.slice(Math.max(0, index - 3), index);
+        if (INTENSIFIERS[tokens[index - 1]]) {
+            weight *= INTENSIFIERS[tokens[index - 1]];
+        }
+        // "not good", "isn't really broken": flip and soften, as negated praise is rarely as strong
+        if (previous.some(prev => NEGATIONS.has(prev))) {
+            weight *= -0.75;
+        }
+
+        total += weight;
+        matched.push({ word, weight: Math.round(weight * 100) / 100 });
+    });
+
+    Object.entries(EMOJI).forEach(([emoji, weight]) => {
+        const count = String(text || '').split(emoji).length - 1;
+        if (count > 0) {
+            total += weight * count;
+            matched.push({ word: emoji, weight: weight * count });
+        }
+    });
+
+    // Exclamation marks amplify whatever direction the message already has
+    const exclamations = Math.min(3, (String(text || '').match(/!/g) || []).length);
+    if (total !== 0 && exclamations > 0) {
+        total += Math.sign(total) * exclamations * 0.3;
+    }
+
+    return {
+        score: normalize(total),
+        label: labelFor(normalize(total)),
+        matched
+    };
+}
+
+export function scoreMessage(message) {
+    return scoreText(getMessageText(message));
+}
+
+/**
+ * Average score and positive/neutral/negative distribution for a list of scored messages.
+ */
+export function summarizeScores(scores) {
+    const distribution = { positive: 0, neutral: 0, negative: 0 };
+    scores.forEach(score => distribution[score.label]++);
+
+    const average = scores.length > 0 ? scores.reduce((sum, score) => sum + score.score, 0) / scores.length : 0;
+    return {
+        messageCount: scores.length,
+        average: round(average),
+        label: labelFor(average),
+        distribution,
+        negativeShare: scores.length > 0 ? round(distribution.negative / scores.length) : 0
+    };
+}
+
+/**
+ * Sentiment of a set of messages overall, per topic and per user. Options:
+ *   getTopicName  topicId → display name
+ *   minMessages   topics with fewer scored messages are left out of mostNegativeTopics (default 2)
+ */
+export function analyzeSentiment(messages, options = {}) {
+    const getTopicName = options.getTopicName || (topicId => `Topic ${topicId}`);
+    const minMessages = options.minMessages ?? 2;
+
+    const scored = messages.map(message => ({ message, ...scoreMessage(message) }));
+    const byTopic = groupBy(scored.filter(entry => isAssignedTopic(entry.message.topicId)), entry => entry.message.topicId);
+    const byUser = groupBy(scored.filter(entry => entry.message.fromUserId), entry => entry.message.fromUserId);
+
+    const topics = Array.from(byTopic, ([topicId, entries]) => ({
+        topicId,
+        name: getTopicName(topicId),
+        ...summarizeScores(entries)
+    })).sort((a, b) => a.average - b.average);
+
+    const users = Array.from(byUser, ([userId, entries]) => ({
+        userId,
+        userName: entries[0].message.fromUserName || `User ${userId}`,
+        ...summarizeScores(entries)
+    })).sort((a, b) => a.average - b.average);
+
+    const negativeMessages = scored
+        .filter(entry => entry.label === 'negative')
+        .sort((a, b) => a.score - b.score)
+        .slice(0, 5)
+        .map(entry => ({
+            messageId: entry.message.id,
+            userName: entry.message.fromUserName,
+            topicId: entry.message.topicId,
+            score: entry.score,
+            text: getMessageText(entry.message)
+        }));
+
+    return {
+        overall: summarizeScores(scored),
+        topics,
+        users,
+        mostNegativeTopics: topics.filter(topic => topic.messageCount >= minMessages && topic.average < 0).slice(0, 3),
+        negativeMessages
+    };
+}
+
+/**
+ * Thread mood and direction: the average score, plus how the later half compares to the earlier half.
+ * A negative trend means the thread is souring.
+ */
+export function summarizeThreadSentiment(nodes) {
+    const ordered = nodes.slice().sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0)).map(node => scoreText(node.text));
+    const summary = summarizeScores(ordered);
+    if (ordered.length < 2) {
+        return { ...summary, trend: 0 };
+    }
+
+    const half = Math.floor(ordered.length / 2);
+    const early = summarizeScores(ordered.slice(0, half)).average;
+    const late = summarizeScores(ordered.slice(half)).average;
+    return { ...summary, trend: round(late - early) };
+}
+
+export function formatSentimentScore(score) {
+    return `${score > 0 ? '+' : ''}${score.toFixed(2)}`;
+}
+
+// Same squashing as VADER: large raw sums approach ±1 without ever reaching it
+function normalize(total) {
+    return total === 0 ? 0 : round(total / Math.sqrt(total * total + 15));
+}
+
+function labelFor(score) {
+    if (score > NEUTRAL_THRESHOLD) {
+        return 'positive';
+    }
+    return score < -NEUTRAL_THRESHOLD ? 'negative' : 'neutral';
+}
+
+function groupBy(items, keyOf) {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = keyOf(item);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(item);
+    });
+    return groups;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function isAssignedTopic(topicId) {
+    return topicId !== undefined && topicId !== null && topicId !== -1;
+}
@@ -0,0 +1,73 @@
+/**
+ * Server-Sent Events
+ * Writing and reading `text/event-stream` bodies: the AI endpoint streams its answer to the browser this way,
+ * and OpenAI-compatible servers stream completions to the endpoint the same way
+ */
+
+export const SSE_HEADERS = {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stops nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+};
+
+/**
+ * One event as text: `event: token\ndata: {"text":"..."}\n\n`. Objects are sent as JSON.
+ */
+export function formatServerSentEvent(event, data) {
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    return `${event ? `event: ${event}\n` : ''}${payload.split('\n').map(line => `data: ${line}`).join('\n')}\n\n`;
+}
+
+/**
+ * Read a stream body (fetch's `response.body`) and call `onEvent({ event, data })` for each event as it arrives.
+ * `event` defaults to 'message' and `data` is the raw text; comments and events without data are skipped.
+ * An error thrown by `onEvent` cancels the stream and rejects.
+ */
+export async function readServerSentEvents(body, onEvent) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+            const blocks = buffer.split(/\r?\n\r?\n/);
+            buffer = done ? '' : blocks.pop();
+            blocks.map(parseEventBlock).filter(Boolean).forEach(onEvent);
+
+            if (done) {
+                return;
+            }
+        }
+    } catch (error) {
+        await reader.cancel().catch(() => {});
+        throw error;
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+function parseEventBlock(block) {
+    let event = 'message';
+    const data = [];
+
+    block.split(/\r?\n/).forEach(line => {
+        if (!line || line.startsWith(':')) {
+            return;
+        }
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'event') {
+            event = value;
+        } else if (field === 'data') {
+            data.push(value);
+        }
+    });
+
+    return data.length > 0 ? { event, data: data.join('\n') } : null;
+}
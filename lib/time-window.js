@@ -0,0 +1,165 @@
+/**
+ * Time Window
+ * Date-range presets, message filtering by timestamp and per-day/week activity buckets per topic
+ */
+
+import { toRangeEnd, toUnixSeconds } from './message-search.js';
+
+const DAY = 24 * 60 * 60;
+
+// Relative presets count back from the newest message in the tree, so a historical version
+// still shows its own last week rather than an empty window ending today
+export const TIME_WINDOW_PRESETS = {
+    'last_7_days': { label: 'Last 7 days', days: 7 },
+    'last_30_days': { label: 'Last 30 days', days: 30 },
+    'custom': { label: 'Custom range' }
+};
+
+/**
+ * Turn `{ preset, from, to }` into a concrete `{ preset, label, from, to }` range in unix seconds.
+ * `messages` supplies the anchor for relative presets; `options.now` anchors them to a fixed time instead.
+ * A date-only custom `to` includes that whole day, as in message search.
+ */
+export function resolveTimeWindow(timeWindow = {}, messages = [], options = {}) {
+    const preset = timeWindow.preset && TIME_WINDOW_PRESETS[timeWindow.preset] ? timeWindow.preset : 'custom';
+    const config = TIME_WINDOW_PRESETS[preset];
+
+    if (config.days) {
+        const anchor = toUnixSeconds(options.now) ?? timestampRange(messages).max ?? Math.floor(Date.now() / 1000);
+        return {
+            preset,
+            label: config.label,
+            from: anchor - config.days * DAY + 1,
+            to: anchor
+        };
+    }
+
+    const from = toUnixSeconds(timeWindow.from);
+    const to = toRangeEnd(timeWindow.to);
+    if (from !== null && to !== null && from > to) {
+        throw new Error('Time window start must be before its end');
+    }
+
+    return {
+        preset,
+        label: describeRange(from, to),
+        from,
+        to
+    };
+}
+
+export function filterMessagesByTime(messages, range) {
+    const { from, to } = range || {};
+    if ((from === null || from === undefined) && (to === null || to === undefined)) {
+        return messages;
+    }
+
+    return messages.filter(message => {
+        if (!message.timestamp) {
+            return false;
+        }
+        return (from === null || from === undefined || message.timestamp >= from) &&
+            (to === null || to === undefined || message.timestamp <= to);
+    });
+}
+
+/**
+ * Count messages per topic per day or week (UTC; weeks start on Monday). `granularity` 'auto'
+ * uses days for ranges up to 31 days and weeks beyond that. Empty buckets are kept so rows line up.
+ */
+export function bucketActivity(messages, options = {}) {
+    const getTopicName = options.getTopicName || (topicId => `Topic ${topicId}`);
+    const range = timestampRange(messages);
+
+    const from = options.from ?? range.min;
+    const to = options.to ?? range.max;
+    if (from === null || to === null) {
+        return { granularity: options.granularity || 'day', buckets: [], totals: [], topics: [] };
+    }
+
+    const granularity = options.granularity && options.granularity !== 'auto'
+        ? options.granularity
+        : (to - from <= 31 * DAY ? 'day' : 'week');
+    const step = granularity === 'week' ? 7 * DAY : DAY;
+
+    const buckets = [];
+    for (let start = bucketStart(from, granularity); start <= to; start += step) {
+        buckets.push({ start, label: new Date(start * 1000).toISOString().slice(0, 10) });
+    }
+    const indexOf = (timestamp) => Math.floor((bucketStart(timestamp, granularity) - buckets[0].start) / step);
+
+    const totals = buckets.map(() => 0);
+    const topics = new Map();
+    messages.forEach(message => {
+        if (!message.timestamp || message.timestamp < from || message.timestamp > to) {
+            return;
+        }
+        const index = indexOf(message.timestamp);
+        totals[index]++;
+
+        if (message.topicId === undefined || message.topicId === null || message.topicId === -1) {
+            return;
+        }
+        if (!topics.has(message.topicId)) {
+            topics.set(message.topicId, { topicId: message.topicId, name: getTopicName(message.topicId), total: 0, counts: buckets.map(() => 0) });
+        }
+        const topic = topics.get(message.topicId);
+        topic.total++;
+        topic.counts[index]++;
+    });
+
+    return {
+        granularity,
+        buckets,
+        totals,
+        topics: Array.from(topics.values()).sort((a, b) => b.total - a.total)
+    };
+}
+
+/**
+ * Oldest and newest message timestamp, or nulls when no message has one.
+ * A plain loop, since spreading a large tree's timestamps into Math.min/max overflows the call stack.
+ */
+export function timestampRange(messages) {
+    let min = null;
+    let max = null;
+    for (const message of messages) {
+        if (!message.timestamp) {
+            continue;
+        }
+        if (min === null || message.timestamp < min) {
+            min = message.timestamp;
+        }
+        if (max === null || message.timestamp > max) {
+            max = message.timestamp;
+        }
+    }
+    return { min, max };
+}
+
+/**
+ * Start of the UTC day or Monday-based week containing a timestamp.
+ */
+export function bucketStart(timestamp, granularity) {
+    const dayStart = timestamp - (((timestamp % DAY) + DAY) % DAY);
+    if (granularity !== 'week') {
+        return dayStart;
+    }
+    // 1970-01-01 was a Thursday: shift so weeks begin on Monday
+    const weekday = (Math.floor(dayStart / DAY) + 3) % 7;
+    return dayStart - weekday * DAY;
+}
+
+export function describeRange(from, to) {
+    const format = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+    if (from !== null && to !== null) {
+        return `${format(from)} to ${format(to)}`;
+    }
+    if (from !== null) {
+        return `Since ${format(from)}`;
+    }
+    if (to !== null) {
+        return `Until ${format(to)}`;
+    }
+    return 'All time';
+}
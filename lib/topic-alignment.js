@@ -0,0 +1,300 @@
+/**
+ * Topic Alignment
+ * Match topics across tree versions by shared messages, name similarity and shared contributors,
+ * since topic IDs are regenerated between versions
+ */
+
+// A topic continues into a later one that holds at least this share of its messages
+const MIN_MESSAGE_SHARE = 0.2;
+// Without messages in common, names and contributors must be at least this similar
+const MIN_SIMILARITY = 0.5;
+
+export const EVOLUTION_LABELS = {
+    renamed: '✏️ Renamed',
+    merged: '🔀 Merged',
+    split: '✂️ Split',
+    grew: '📈 Grew',
+    shrank: '📉 Shrank',
+    stable: '➖ Unchanged',
+    new: '🆕 New',
+    died: '❌ Ended'
+};
+
+const NAME_STOPWORDS = new Set(['and', 'the', 'of', 'for', 'with', 'on', 'in', 'a', 'an']);
+
+/**
+ * Align the topics of two versions (engine topicsData: { id, name, messageCount, contributors, messageIds }).
+ * Returns { links, events }: links are earlier → later matches with their evidence, events describe what
+ * happened to each topic: renamed, merged, split, grew, shrank, stable, died or new.
+ */
+export function alignTopics(earlierTopics, laterTopics) {
+    const laterByMessage = new Map();
+    laterTopics.forEach(topic => (topic.messageIds || []).forEach(id => laterByMessage.set(String(id), topic)));
+
+    const links = [];
+    earlierTopics.forEach(earlier => {
+        const messageIds = (earlier.messageIds || []).map(String);
+        const shared = new Map();
+        messageIds.forEach(id => {
+            const later = laterByMessage.get(id);
+            if (later) {
+                shared.set(later, (shared.get(later) || 0) + 1);
+            }
+        });
+
+        laterTopics.forEach(later => {
+            const sharedMessages = shared.get(later) || 0;
+            const messageShare = messageIds.length > 0 ? sharedMessages / messageIds.length : 0;
+            const nameSimilarity = compareNames(earlier.name, later.name);
+            const contributorSimilarity = compareContributors(earlier, later);
+            const similarity = 0.6 * nameSimilarity + 0.4 * contributorSimilarity;
+
+            // Shared messages are the strongest evidence; names and people only decide when messages cannot
+            const linked = messageShare >= MIN_MESSAGE_SHARE || (shared.size === 0 && similarity >= MIN_SIMILARITY);
+            if (linked) {
+                links.push({
+                    from: earlier,
+                    to: later,
+                    sharedMessages,
+                    messageShare: round(messageShare),
+                    nameSimilarity: round(nameSimilarity),
+                    contributorSimilarity: round(contributorSimilarity),
+                    score: round(messageShare >= MIN_MESSAGE_SHARE ? 1 + messageShare : similarity)
+                });
+            }
+        });
+    });
+
+    return { links: links.map(compactLink), events: classify(earlierTopics, laterTopics, links) };
+}
+
+/**
+ * Align every pair of consecutive versions and follow each topic through them.
+ * Returns { transitions: [{ from, to, events, counts }], lineages: [{ cells, status }] }, or null for fewer than two versions.
+ */
+export function computeTopicEvolution(sortedResults) {
+    if (sortedResults.length < 2 || !sortedResults.every(result => result.data?.topics)) {
+        return null;
+    }
+
+    const transitions = [];
+    const alignments = [];
+    for (let i = 1; i < sortedResults.length; i++) {
+        const alignment = alignTopics(sortedResults[i - 1].data.topics, sortedResults[i].data.topics);
+        alignments.push(alignment);
+        const counts = {};
+        alignment.events.forEach(event => {
+            counts[event.type] = (counts[event.type] || 0) + 1;
+        });
+        transitions.push({ from: sortedResults[i - 1].version, to: sortedResults[i].version, events: alignment.events, counts });
+    }
+
+    return { transitions, lineages: buildLineages(sortedResults, alignments) };
+}
+
+/**
+ * One-line description of an alignment event, e.g. `"Node Help" → "Node Setup Support" (4 → 5 messages)`.
+ */
+export function describeEvolutionEvent(event) {
+    const names = topics => topics.map(topic => `"${topic.name}"`);
+    const [from] = event.from;
+    const [to] = event.to;
+
+    switch (event.type) {
+        case 'renamed':
+            return `${names(event.from)} → ${names(event.to)} (${from.messageCount} → ${to.messageCount} messages)`;
+        case 'merged':
+            return `${names(event.from).join(' + ')} → ${names(event.to)} (${to.messageCount} messages)`;
+        case 'split':
+            return `${names(event.from)} → ${names(event.to).join(', ')}`;
+        case 'new':
+            return `${names(event.to)} (${to.messageCount} messages)`;
+        case 'died':
+            return `${names(event.from)} (had ${from.messageCount} messages)`;
+        default:
+            return `${names(event.from)} ${from.messageCount} → ${to.messageCount} (${event.change >= 0 ? '+' : ''}${event.change})`;
+    }
+}
+
+function classify(earlierTopics, laterTopics, links) {
+    const successors = new Map(earlierTopics.map(topic => [topic, []]));
+    const predecessors = new Map(laterTopics.map(topic => [topic, []]));
+    links.forEach(link => {
+        successors.get(link.from).push(link);
+        predecessors.get(link.to).push(link);
+    });
+
+    const events = [];
+    laterTopics.forEach(later => {
+        const incoming = predecessors.get(later);
+        if (incoming.length >= 2) {
+            events.push(event('merged', incoming.map(link => link.from), [later], incoming));
+        } else if (incoming.length === 0) {
+            events.push(event('new', [], [later], []));
+        }
+    });
+
+    earlierTopics.forEach(earlier => {
+        const outgoing = successors.get(earlier);
+        if (outgoing.length >= 2) {
+            events.push(event('split', [earlier], outgoing.map(link => link.to), outgoing));
+        } else if (outgoing.length === 0) {
+            events.push(event('died', [earlier], [], []));
+        } else if (predecessors.get(outgoing[0].to).length === 1) {
+            const later = outgoing[0].to;
+            const change = later.messageCount - earlier.messageCount;
+            const type = normalizeName(earlier.name) !== normalizeName(later.name)
+                ? 'renamed'
+                : change > 0 ? 'grew' : change < 0 ? 'shrank' : 'stable';
+            events.push(event(type, [earlier], [later], outgoing));
+        }
+    });
+
+    const order = ['renamed', 'merged', 'split', 'grew', 'new', 'shrank', 'died', 'stable'];
+    return events.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type) || Math.abs(b.change) - Math.abs(a.change));
+}
+
+function event(type, from, to, links) {
+    const before = from.reduce((sum, topic) => sum + topic.messageCount, 0);
+    const after = to.reduce((sum, topic) => sum + topic.messageCount, 0);
+    return {
+        type,
+        from: from.map(summarizeTopic),
+        to: to.map(summarizeTopic),
+        change: after - before,
+        evidence: links.map(link => ({
+            from: link.from.name,
+            to: link.to.name,
+            sharedMessages: link.sharedMessages,
+            nameSimilarity: link.nameSimilarity,
+            contributorSimilarity: link.contributorSimilarity
+        }))
+    };
+}
+
+// Each lineage follows a topic through the versions via its strongest link; merged-away topics end, split-off and new ones start
+function buildLineages(sortedResults, alignments) {
+    const lineages = sortedResults[0].data.topics.map(topic => ({ cells: [summarizeTopic(topic)], status: 'stable', current: topic }));
+
+    alignments.forEach((alignment, index) => {
+        const strongest = new Map();
+        alignment.links.forEach(link => {
+            const best = strongest.get(link.fromId);
+            if (!best || link.score > best.score) {
+                strongest.set(link.fromId, link);
+            }
+        });
+
+        const laterTopics = sortedResults[index + 1].data.topics;
+        const claimed = new Set();
+        lineages
+            .filter(lineage => lineage.current)
+            .sort((a, b) => (strongest.get(b.current.id)?.score || 0) - (strongest.get(a.current.id)?.score || 0))
+            .forEach(lineage => {
+                const link = strongest.get(lineage.current.id);
+                const next = link && !claimed.has(link.toId) ? laterTopics.find(topic => topic.id === link.toId) : null;
+                const eventType = alignment.events.find(e => e.from.some(topic => topic.id === lineage.current.id))?.type;
+                if (next) {
+                    claimed.add(next.id);
+                    lineage.cells.push(summarizeTopic(next));
+                    lineage.status = eventType || 'stable';
+                } else {
+                    lineage.cells.push(null);
+                    lineage.status = link ? 'merged' : 'died';
+                }
+                lineage.current = next;
+            });
+
+        laterTopics.filter(topic => !claimed.has(topic.id)).forEach(topic => {
+            const linked = alignment.links.some(link => link.toId === topic.id);
+            lineages.push({
+                cells: [...sortedResults.slice(0, index + 1).map(() => null), summarizeTopic(topic)],
+                status: linked ? 'split' : 'new',
+                current: topic
+            });
+        });
+    });
+
+    return lineages
+        .map(({ current, ...lineage }) => lineage)
+        .sort((a, b) => (b.cells[b.cells.length - 1]?.messageCount || 0) - (a.cells[a.cells.length - 1]?.messageCount || 0));
+}
+
+/**
+ * Similarity of two topic names from 0 to 1: the better of word overlap and character-pair overlap,
+ * so both "Staking Rewards" ~ "Rewards & Staking" and "Validator" ~ "Validators" score high.
+ */
+export function compareNames(a, b) {
+    const wordsA = nameWords(a);
+    const wordsB = nameWords(b);
+    if (wordsA.length === 0 || wordsB.length === 0) {
+        return 0;
+    }
+
+    const setB = new Set(wordsB);
+    const common = new Set(wordsA.filter(word => setB.has(word))).size;
+    const wordScore = common / new Set([...wordsA, ...wordsB]).size;
+
+    const pairsA = pairs(wordsA.join(' '));
+    const pairsB = pairs(wordsB.join(' '));
+    let shared = 0;
+    const remaining = [...pairsB];
+    pairsA.forEach(pair => {
+        const index = remaining.indexOf(pair);
+        if (index !== -1) {
+            shared++;
+            remaining.splice(index, 1);
+        }
+    });
+    const pairScore = pairsA.length + pairsB.length > 0 ? 2 * shared / (pairsA.length + pairsB.length) : 0;
+
+    return Math.max(wordScore, pairScore);
+}
+
+function compareContributors(a, b) {
+    const usersA = new Set((a.contributors || []).map(c => String(c.userId)));
+    const usersB = new Set((b.contributors || []).map(c => String(c.userId)));
+    const union = new Set([...usersA, ...usersB]);
+    if (union.size === 0) {
+        return 0;
+    }
+    return [...usersA].filter(user => usersB.has(user)).length / union.size;
+}
+
+function nameWords(name) {
+    return (String(name || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(word => !NAME_STOPWORDS.has(word))
+        .map(word => word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+}
+
+function normalizeName(name) {
+    return nameWords(name).join(' ');
+}
+
+function pairs(text) {
+    const result = [];
+    for (let i = 0; i < text.length - 1; i++) {
+        result.push(text.slice(i, i + 2));
+    }
+    return result;
+}
+
+function summarizeTopic(topic) {
+    return { id: topic.id, name: topic.name, messageCount: topic.messageCount };
+}
+
+function compactLink(link) {
+    return {
+        fromId: link.from.id,
+        toId: link.to.id,
+        sharedMessages: link.sharedMessages,
+        messageShare: link.messageShare,
+        nameSimilarity: link.nameSimilarity,
+        contributorSimilarity: link.contributorSimilarity,
+        score: link.score
+    };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
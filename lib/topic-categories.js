@@ -0,0 +1,207 @@
+/**
+ * Topic Categories
+ * Configurable category taxonomy: map topics to categories by name, keywords and message content, and roll them up
+ */
+
+import { getMessageText } from './message-search.js';
+
+// Tags let analyzers ask for "concern" or "protocol" categories without knowing a dataset's category names
+export const DEFAULT_CATEGORIES = [
+    {
+        id: 'governance',
+        name: 'Governance',
+        tags: ['concern'],
+        keywords: ['governance', 'proposal', 'vote', 'voting', 'voted', 'quorum', 'dao', 'snapshot', 'delegate', 'council', 'referendum', 'treasury', 'grant']
+    },
+    {
+        id: 'security',
+        name: 'Security & Risk',
+        tags: ['concern'],
+        keywords: ['security', 'audit', 'exploit', 'hack', 'hacked', 'vulnerability', 'phishing', 'scam', 'bug bounty', 'attack', 'compromised', 'seed phrase', 'malicious', 'multisig']
+    },
+    {
+        id: 'technical',
+        name: 'Technical & Infrastructure',
+        tags: ['concern'],
+        keywords: ['node', 'setup', 'install', 'upgrade', 'bug', 'error', 'crash', 'sync', 'syncing', 'rpc', 'api', 'sdk', 'testnet', 'mainnet',
+            'infrastructure', 'server', 'hardware', 'config', 'docker', 'latency', 'client', 'deploy', 'technical', 'developer']
+    },
+    {
+        id: 'staking',
+        name: 'Staking & Rewards',
+        tags: [],
+        keywords: ['staking', 'stake', 'staked', 'unstake', 'unstaking', 'reward', 'validator', 'delegation', 'apy', 'apr', 'slashing', 'epoch']
+    },
+    {
+        id: 'defi',
+        name: 'DeFi & Protocols',
+        tags: ['protocol'],
+        keywords: ['defi', 'protocol', 'liquidity', 'pool', 'swap', 'dex', 'lending', 'borrow', 'yield', 'bridge', 'integration', 'amm', 'vault', 'collateral']
+    },
+    {
+        id: 'token',
+        name: 'Token & Markets',
+        tags: ['protocol'],
+        keywords: ['token', 'tokenomics', 'economics', 'price', 'market', 'supply', 'listing', 'exchange', 'trading', 'airdrop', 'vesting', 'unlock', 'burn', 'inflation', 'circulating']
+    },
+    {
+        id: 'community',
+        name: 'Community & Support',
+        tags: [],
+        keywords: ['community', 'support', 'help', 'welcome', 'event', 'ama', 'ambassador', 'social', 'twitter', 'announcement', 'moderator']
+    },
+    {
+        id: 'product',
+        name: 'Product & Partnerships',
+        tags: [],
+        keywords: ['partnership', 'partner', 'launch', 'roadmap', 'release', 'feature', 'product', 'ecosystem', 'integration', 'campaign']
+    }
+];
+
+export const OTHER_CATEGORY = { id: 'other', name: 'Other', tags: [] };
+
+// A topic needs at least this score to join a category: one keyword in its name, or a keyword in a quarter of its messages
+const MIN_SCORE = 0.5;
+
+/**
+ * Validate a taxonomy (an array of { id, name, keywords, tags? }). Throws on the first problem found.
+ */
+export function parseTaxonomy(categories) {
+    if (!Array.isArray(categories)) {
+        throw new Error('Categories must be an array');
+    }
+
+    const seen = new Set();
+    categories.forEach((category, index) => {
+        if (!category || !category.id) {
+            throw new Error(`Category ${index} is missing id`);
+        }
+        if (!category.name) {
+            throw new Error(`Category ${category.id} is missing name`);
+        }
+        if (!Array.isArray(category.keywords) || category.keywords.length === 0) {
+            throw new Error(`Category ${category.id} needs a keywords array`);
+        }
+        if (category.tags !== undefined && !Array.isArray(category.tags)) {
+            throw new Error(`Category ${category.id} tags must be an array`);
+        }
+        if (seen.has(category.id) || category.id === OTHER_CATEGORY.id) {
+            throw new Error(`Category ${category.id} is listed twice or reserved`);
+        }
+        seen.add(category.id);
+    });
+
+    return categories.map(category => ({ tags: [], ...category }));
+}
+
+/**
+ * Apply per-dataset edits to a taxonomy. An override with a known id replaces the fields it sets and can
+ * extend the keywords with `addKeywords`; `remove: true` drops the category; an unknown id adds a category.
+ */
+export function mergeTaxonomy(base, overrides = []) {
+    if (!Array.isArray(overrides)) {
+        throw new Error('Category overrides must be an array');
+    }
+    const merged = new Map(base.map(category => [category.id, { ...category }]));
+
+    overrides.forEach((override, index) => {
+        if (!override || !override.id) {
+            throw new Error(`Category override ${index} is missing id`);
+        }
+        if (override.remove) {
+            merged.delete(override.id);
+            return;
+        }
+
+        const { addKeywords = [], ...fields } = override;
+        const existing = merged.get(override.id) || {};
+        merged.set(override.id, {
+            ...existing,
+            ...fields,
+            keywords: [...(fields.keywords || existing.keywords || []), ...addKeywords]
+        });
+    });
+
+    return parseTaxonomy(Array.from(merged.values()));
+}
+
+/**
+ * Pick the category for a topic. Keywords in the topic's name or its own keyword list weigh most; the share of
+ * its messages mentioning a category's keywords decides the rest. Returns OTHER_CATEGORY below MIN_SCORE.
+ */
+export function categorizeTopic(topic, messages = [], taxonomy = DEFAULT_CATEGORIES) {
+    const label = [topic.name, ...(topic.keywords || [])].join(' ').toLowerCase();
+    const texts = messages.map(message => getMessageText(message).toLowerCase());
+
+    let best = null;
+    compile(taxonomy).forEach(({ category, patterns }) => {
+        const nameMatches = patterns.filter(({ pattern }) => pattern.test(label));
+        const contentMatches = new Set();
+        let mentioning = 0;
+        texts.forEach(text => {
+            const hits = patterns.filter(({ pattern }) => pattern.test(text));
+            hits.forEach(({ keyword }) => contentMatches.add(keyword));
+            mentioning += hits.length > 0 ? 1 : 0;
+        });
+
+        const score = nameMatches.length + (texts.length > 0 ? 2 * mentioning / texts.length : 0);
+        if (score >= MIN_SCORE && (!best || score > best.score)) {
+            best = {
+                id: category.id,
+                name: category.name,
+                tags: category.tags || [],
+                score: Math.round(score * 100) / 100,
+                matched: [...new Set([...nameMatches.map(({ keyword }) => keyword), ...contentMatches])].slice(0, 5)
+            };
+        }
+    });
+
+    return best || { ...OTHER_CATEGORY, score: 0, matched: [] };
+}
+
+/**
+ * Totals per category for topics that carry a `category` (as the engine's topicsData does), largest first.
+ */
+export function rollupCategories(topicsData) {
+    const categories = new Map();
+    const totalMessages = topicsData.reduce((sum, topic) => sum + topic.messageCount, 0);
+
+    topicsData.forEach(topic => {
+        const category = topic.category || OTHER_CATEGORY;
+        if (!categories.has(category.id)) {
+            categories.set(category.id, { id: category.id, name: category.name, tags: category.tags || [], messageCount: 0, topics: [], contributors: new Set() });
+        }
+        const rollup = categories.get(category.id);
+        rollup.messageCount += topic.messageCount;
+        rollup.topics.push(topic.name);
+        (topic.contributors || []).forEach(contributor => rollup.contributors.add(contributor.userId));
+    });
+
+    return Array.from(categories.values())
+        .map(({ contributors, ...rollup }) => ({
+            ...rollup,
+            topicCount: rollup.topics.length,
+            contributorCount: contributors.size,
+            share: totalMessages > 0 ? Math.round(1000 * rollup.messageCount / totalMessages) / 1000 : 0
+        }))
+        .sort((a, b) => b.messageCount - a.messageCount);
+}
+
+export function hasCategoryTag(topic, tag) {
+    return (topic.category?.tags || []).includes(tag);
+}
+
+// Keywords match whole words (plus a plural s), so "api" does not fire inside "capital"
+const compiled = new WeakMap();
+function compile(taxonomy) {
+    if (!compiled.has(taxonomy)) {
+        compiled.set(taxonomy, taxonomy.map(category => ({
+            category,
+            patterns: category.keywords.map(keyword => ({
+                keyword,
+                pattern: new RegExp(`\\b${String(keyword).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}s?\\b`)
+            }))
+        })));
+    }
+    return compiled.get(taxonomy);
+}
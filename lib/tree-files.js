@@ -0,0 +1,49 @@
+/**
+ * Tree File Loader (Node only)
+ * Reads transcript/tree JSON files and directories from disk into a LocalTreeDataSource
+ */
+
+import { readdir, readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { LocalTreeDataSource } from './data-sources.js';
+
+/**
+ * Load every `.json` file under the given paths. A file inside a directory named after a
+ * channel ID (e.g. `fixtures/2148778849/v1.json`) defaults to that channel.
+ */
+export async function loadTreeFiles(paths, dataSource = new LocalTreeDataSource()) {
+    const files = [];
+    for (const entry of [].concat(paths)) {
+        files.push(...await collectJsonFiles(entry));
+    }
+
+    for (const file of files.sort()) {
+        const json = await readFile(file, 'utf8');
+        const directoryName = path.basename(path.dirname(file));
+
+        dataSource.addTree(json, {
+            channelId: /^-?\d+$/.test(directoryName) ? directoryName : undefined,
+            name: path.basename(file, '.json')
+        });
+    }
+
+    return dataSource;
+}
+
+async function collectJsonFiles(entry) {
+    const info = await stat(entry);
+    if (!info.isDirectory()) {
+        return [entry];
+    }
+
+    const files = [];
+    for (const child of await readdir(entry, { withFileTypes: true })) {
+        const childPath = path.join(entry, child.name);
+        if (child.isDirectory()) {
+            files.push(...await collectJsonFiles(childPath));
+        } else if (child.name.endsWith('.json')) {
+            files.push(childPath);
+        }
+    }
+    return files;
+}
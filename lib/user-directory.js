@@ -0,0 +1,61 @@
+/**
+ * User Directory
+ * Everyone who posted in a tree, from fromUserId/fromUserName, with message counts and the topics they post in
+ */
+
+/**
+ * Users of a tree, busiest first: { userId, userName, messageCount, topics: [{ topicId, name, messageCount }],
+ * firstSeen, lastSeen }. User IDs are strings, as the query's `users` list holds them. Options:
+ *   getTopicName  topicId → display name (default: the tree's own topic names)
+ */
+export function buildUserDirectory(treeData, options = {}) {
+    const getTopicName = options.getTopicName || (topicId => treeTopicName(treeData, topicId));
+    const users = new Map();
+
+    Object.values(treeData?.messages || {}).forEach(message => {
+        if (message.fromUserId === undefined || message.fromUserId === null) {
+            return;
+        }
+
+        const userId = String(message.fromUserId);
+        if (!users.has(userId)) {
+            users.set(userId, { userId, userName: null, messageCount: 0, topicCounts: new Map(), firstSeen: null, lastSeen: null });
+        }
+        const user = users.get(userId);
+        user.userName = user.userName || message.fromUserName || null;
+        user.messageCount++;
+
+        if (message.topicId !== undefined && message.topicId !== null && message.topicId !== -1) {
+            user.topicCounts.set(message.topicId, (user.topicCounts.get(message.topicId) || 0) + 1);
+        }
+        if (message.timestamp) {
+            user.firstSeen = user.firstSeen === null ? message.timestamp : Math.min(user.firstSeen, message.timestamp);
+            user.lastSeen = user.lastSeen === null ? message.timestamp : Math.max(user.lastSeen, message.timestamp);
+        }
+    });
+
+    return Array.from(users.values())
+        .map(({ topicCounts, ...user }) => ({
+            ...user,
+            userName: user.userName || `User ${user.userId}`,
+            topics: Array.from(topicCounts, ([topicId, messageCount]) => ({ topicId, name: getTopicName(topicId), messageCount }))
+                .sort((a, b) => b.messageCount - a.messageCount)
+        }))
+        .sort((a, b) => b.messageCount - a.messageCount || a.userName.localeCompare(b.userName));
+}
+
+/**
+ * Users whose name or ID contains the search text (case-insensitive, leading @ ignored). Empty text matches everyone.
+ */
+export function searchUserDirectory(directory, text) {
+    const needle = String(text || '').trim().replace(/^@/, '').toLowerCase();
+    if (!needle) {
+        return directory;
+    }
+    return directory.filter(user => user.userName.toLowerCase().includes(needle) || user.userId.includes(needle));
+}
+
+function treeTopicName(treeData, topicId) {
+    const topic = treeData?.topics?.[topicId];
+    return topic?.name || topic?.title || `Topic ${topicId}`;
+}
@@ -0,0 +1,152 @@
+/**
+ * User Profile
+ * One member's activity in a tree: topic distribution, activity over time, threads started versus joined,
+ * interaction partners, and how their focus moved across versions
+ */
+
+import { buildThreads } from './conversation-threads.js';
+import { bucketActivity, timestampRange } from './time-window.js';
+import { getMessageText } from './message-search.js';
+
+/**
+ * Profile of one user in one tree, or null when they have no messages in it. Options:
+ *   getTopicName  topicId → display name (default: the tree's own topic names)
+ *   granularity   activity bucket size: 'day', 'week' or 'auto' (default)
+ */
+export function buildUserProfile(treeData, userId, options = {}) {
+    const getTopicName = options.getTopicName || (topicId => treeTopicName(treeData, topicId));
+    const id = String(userId);
+    const allMessages = Object.values(treeData?.messages || {});
+    const messages = allMessages.filter(message => String(message.fromUserId) === id);
+    if (messages.length === 0) {
+        return null;
+    }
+
+    const topicCounts = new Map();
+    messages.forEach(message => {
+        if (message.topicId !== undefined && message.topicId !== null && message.topicId !== -1) {
+            topicCounts.set(message.topicId, (topicCounts.get(message.topicId) || 0) + 1);
+        }
+    });
+    const topics = Array.from(topicCounts, ([topicId, messageCount]) => ({
+        topicId,
+        name: getTopicName(topicId),
+        messageCount,
+        share: round(messageCount / messages.length)
+    })).sort((a, b) => b.messageCount - a.messageCount);
+
+    const seen = timestampRange(messages);
+    const latest = messages.filter(message => message.timestamp).sort((a, b) => b.timestamp - a.timestamp)[0];
+
+    return {
+        userId: id,
+        userName: messages.find(message => message.fromUserName)?.fromUserName || `User ${id}`,
+        messageCount: messages.length,
+        shareOfMessages: round(messages.length / allMessages.length),
+        firstSeen: seen.min,
+        lastSeen: seen.max,
+        topics,
+        activity: bucketActivity(messages, { granularity: options.granularity, getTopicName }),
+        threads: summarizeThreads(buildThreads(treeData, { users: [id], getTopicName }), id),
+        partners: findPartners(allMessages, id),
+        latestMessage: latest ? { messageId: latest.id, timestamp: latest.timestamp, text: getMessageText(latest) } : null
+    };
+}
+
+/**
+ * How a user's focus moved across versions, from profiles ordered oldest first ({ version, profile }, profile may be null).
+ * Topics are matched by name, since topic IDs change between versions.
+ * Returns { versions: [{ version, messageCount, topTopic }], shifts: [{ name, from, to, change }] } or null for under two versions.
+ */
+export function compareUserFocus(versionProfiles) {
+    if (versionProfiles.length < 2) {
+        return null;
+    }
+
+    const shareOf = (profile, name) => profile?.topics.find(topic => topic.name === name)?.share || 0;
+    const first = versionProfiles[0].profile;
+    const last = versionProfiles[versionProfiles.length - 1].profile;
+    const names = new Set(versionProfiles.flatMap(({ profile }) => (profile?.topics || []).map(topic => topic.name)));
+
+    const shifts = Array.from(names, name => ({
+        name,
+        from: shareOf(first, name),
+        to: shareOf(last, name),
+        shares: versionProfiles.map(({ profile }) => shareOf(profile, name))
+    }))
+        .map(shift => ({ ...shift, change: round(shift.to - shift.from) }))
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || b.to - a.to);
+
+    return {
+        versions: versionProfiles.map(({ version, profile }) => ({
+            version,
+            messageCount: profile?.messageCount || 0,
+            topTopic: profile?.topics[0]?.name || null
+        })),
+        shifts
+    };
+}
+
+function summarizeThreads(threads, userId) {
+    const started = threads.filter(thread => String(thread.root.userId) === userId);
+    const joined = threads.filter(thread => String(thread.root.userId) !== userId);
+    const brief = thread => ({
+        rootMessageId: thread.rootMessageId,
+        startedBy: thread.root.userName,
+        text: thread.root.text,
+        replyCount: thread.replyCount,
+        participantCount: thread.participants.length,
+        lastActivityAt: thread.lastActivityAt
+    });
+
+    return {
+        startedCount: started.length,
+        joinedCount: joined.length,
+        // Replies the user's own threads drew from other people
+        repliesReceived: started.reduce((sum, thread) => sum + thread.participants
+            .filter(participant => String(participant.userId) !== userId)
+            .reduce((count, participant) => count + participant.messageCount, 0), 0),
+        started: started.map(brief),
+        joined: joined.map(brief)
+    };
+}
+
+// Partners are the people the user replies to and who reply to the user, via replyToMessageId
+function findPartners(allMessages, userId) {
+    const byId = new Map(allMessages.map(message => [String(message.id), message]));
+    const partners = new Map();
+    const partner = (message) => {
+        const key = String(message.fromUserId);
+        if (!partners.has(key)) {
+            partners.set(key, { userId: key, userName: message.fromUserName || `User ${key}`, repliesTo: 0, repliesFrom: 0 });
+        }
+        return partners.get(key);
+    };
+
+    allMessages.forEach(message => {
+        const parent = message.replyToMessageId !== undefined && message.replyToMessageId !== null
+            ? byId.get(String(message.replyToMessageId))
+            : null;
+        if (!parent || String(parent.fromUserId) === String(message.fromUserId)) {
+            return;
+        }
+        if (String(message.fromUserId) === userId) {
+            partner(parent).repliesTo++;
+        } else if (String(parent.fromUserId) === userId) {
+            partner(message).repliesFrom++;
+        }
+    });
+
+    return Array.from(partners.values())
+        .map(entry => ({ ...entry, total: entry.repliesTo + entry.repliesFrom }))
+        .sort((a, b) => b.total - a.total || a.userName.localeCompare(b.userName));
+}
+
+function treeTopicName(treeData, topicId) {
+    const topic = treeData?.topics?.[topicId];
+    return topic?.name || topic?.title || `Topic ${topicId}`;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,110 @@
+/**
+ * Version Delta
+ * Compares per-version query results; rendered by the Delta Analysis tab, the CLI and the query API
+ */
+
+import { computeTopicEvolution } from './topic-alignment.js';
+
+/**
+ * Sort results by version and compute the statistics table plus first → last changes.
+ * Returns null when fewer than two versions are available.
+ */
+export function computeMultiVersionDelta(results) {
+    const validResults = (results || []).filter(result => result && result.data);
+    if (validResults.length < 2) {
+        return null;
+    }
+
+    // Sort results by version number
+    const sortedResults = [...validResults].sort((a, b) => a.version - b.version);
+    const firstVersion = sortedResults[0];
+    const lastVersion = sortedResults[sortedResults.length - 1];
+
+    return {
+        versions: sortedResults.map(result => result.version),
+        rows: sortedResults.map((result, index) => ({
+            version: result.version,
+            position: index === 0 ? 'earliest' : index === sortedResults.length - 1 ? 'latest' : null,
+            messageCount: result.data.messageCount,
+            topicCount: result.data.topicCount,
+            activeUsers: result.data.activeUsers,
+            mostDiscussedTopic: result.data.mostDiscussedTopic?.name || null
+        })),
+        changes: {
+            messages: lastVersion.data.messageCount - firstVersion.data.messageCount,
+            topics: lastVersion.data.topicCount - firstVersion.data.topicCount,
+            users: lastVersion.data.activeUsers - firstVersion.data.activeUsers
+        },
+        sentiment: computeSentimentShift(sortedResults),
+        categories: computeCategoryShift(sortedResults),
+        evolution: computeTopicEvolution(sortedResults)
+    };
+}
+
+/**
+ * Messages per category in every version, largest in the latest version first.
+ * Categories come from the taxonomy, so unlike topics they line up across versions by ID.
+ */
+function computeCategoryShift(sortedResults) {
+    if (!sortedResults.every(result => result.data.categories)) {
+        return null;
+    }
+
+    const categories = new Map();
+    sortedResults.forEach((result, index) => {
+        result.data.categories.forEach(category => {
+            if (!categories.has(category.id)) {
+                categories.set(category.id, { id: category.id, name: category.name, counts: sortedResults.map(() => 0), shares: sortedResults.map(() => 0) });
+            }
+            categories.get(category.id).counts[index] = category.messageCount;
+            categories.get(category.id).shares[index] = category.share;
+        });
+    });
+
+    return Array.from(categories.values())
+        .map(category => ({
+            ...category,
+            change: category.counts[category.counts.length - 1] - category.counts[0],
+            shareChange: Math.round((category.shares[category.shares.length - 1] - category.shares[0]) * 1000) / 1000
+        }))
+        .sort((a, b) => b.counts[b.counts.length - 1] - a.counts[a.counts.length - 1]);
+}
+
+/**
+ * Sentiment per version and its shift from the earliest to the latest, overall and per topic.
+ * Topics are matched by name, since topic IDs are not stable across versions.
+ */
+function computeSentimentShift(sortedResults) {
+    if (!sortedResults.every(result => result.data.sentiment)) {
+        return null;
+    }
+
+    const first = sortedResults[0].data.sentiment;
+    const last = sortedResults[sortedResults.length - 1].data.sentiment;
+    const firstTopics = new Map(first.topics.map(topic => [topic.name, topic]));
+
+    const topics = last.topics
+        .filter(topic => firstTopics.has(topic.name))
+        .map(topic => ({
+            name: topic.name,
+            from: firstTopics.get(topic.name).average,
+            to: topic.average,
+            change: Math.round((topic.average - firstTopics.get(topic.name).average) * 1000) / 1000
+        }))
+        .sort((a, b) => a.change - b.change);
+
+    return {
+        rows: sortedResults.map(result => ({
+            version: result.version,
+            average: result.data.sentiment.overall.average,
+            label: result.data.sentiment.overall.label,
+            distribution: result.data.sentiment.overall.distribution
+        })),
+        change: Math.round((last.overall.average - first.overall.average) * 1000) / 1000,
+        topics
+    };
+}
+
+export function formatSignedNumber(value) {
+    return `${value >= 0 ? '+' : ''}${value}`;
+}
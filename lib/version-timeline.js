@@ -0,0 +1,39 @@
+/**
+ * Version Timeline
+ * Message, topic and user counts and per-topic sizes over any number of versions, as series for line charts
+ */
+
+// Versions at or above this are Unix timestamps (seconds) and read better as dates
+const TIMESTAMP_VERSION = 1e9;
+
+/**
+ * Timeline series from a multi-version delta (lib/version-delta.js). Topic series follow the delta's topic
+ * lineages, since topic IDs change between versions. Options:
+ *   topicLimit  largest topics to chart (default 8)
+ */
+export function buildVersionTimeline(delta, options = {}) {
+    const topicLimit = options.topicLimit ?? 8;
+
+    const topics = (delta.evolution?.lineages || [])
+        .map(lineage => ({
+            name: lineage.cells.filter(Boolean).pop().name,
+            values: lineage.cells.map(cell => cell ? cell.messageCount : 0)
+        }))
+        .sort((a, b) => Math.max(...b.values) - Math.max(...a.values))
+        .slice(0, topicLimit);
+
+    return {
+        versions: delta.versions,
+        labels: delta.versions.map(formatVersionLabel),
+        totals: [
+            { name: 'Messages', values: delta.rows.map(row => row.messageCount) },
+            { name: 'Topics', values: delta.rows.map(row => row.topicCount) },
+            { name: 'Users', values: delta.rows.map(row => row.activeUsers) }
+        ],
+        topics
+    };
+}
+
+export function formatVersionLabel(version) {
+    return version >= TIMESTAMP_VERSION ? new Date(version * 1000).toISOString().slice(0, 10) : `v${version}`;
+}
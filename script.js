@@ -3,53 +3,98 @@
  * Complete implementation for querying and analyzing Cere Network topic tree data
  */
 
-class TopicTreeInterface {
-    constructor() {
-        this.baseUrl = 'https://compute-1.testnet.cere.network/engine/data-service/2606/query';
+import { CefDataSource, RemoteDataSource, LocalTreeDataSource, createDataSource, isAllowedRemoteUrl } from './lib/data-sources.js';
+import { SemanticEngine } from './lib/semantic-engine.js';
+import { computeMultiVersionDelta, formatSignedNumber } from './lib/version-delta.js';
+import { encodeQueryState, readQueryState } from './lib/query-state.js';
+import { DatasetRegistry, DEFAULT_DATASET_CONFIG_URL, loadDatasetRegistry, parseDatasetConfig } from './lib/dataset-registry.js';
+import { TIME_WINDOW_PRESETS } from './lib/time-window.js';
+import { formatSentimentScore } from './lib/sentiment.js';
+import { computeTopicEvolution, describeEvolutionEvent, EVOLUTION_LABELS } from './lib/topic-alignment.js';
+import { buildVersionTimeline, formatVersionLabel } from './lib/version-timeline.js';
+import { renderBarChart, renderHeatmap, renderLineChart, renderNetwork, renderStackedArea } from './lib/charts.js';
+import { buildUserDirectory, searchUserDirectory } from './lib/user-directory.js';
+import { buildUserProfile, compareUserFocus } from './lib/user-profile.js';
+import { exportInteractionGraph, findBridges, findInfluencers, GRAPH_EXPORT_FORMATS } from './lib/interaction-graph.js';
+import { formatReport, REPORT_FORMATS } from './lib/report-formatters.js';
+import { extractCitations, splitCitations } from './lib/answer-grounding.js';
+import { ConversationSession, summarizeAnswer } from './lib/conversation-session.js';
+import { questionAnchor } from './lib/question-intent.js';
+import { buildEvolutionContext, describeEvolution } from './lib/evolution-narrative.js';
+import { readServerSentEvents } from './lib/server-sent-events.js';
+
+// Up to this many versions sit side by side; larger selections show one version at a time next to the timeline
+const MAX_SIDE_BY_SIDE_VERSIONS = 3;
+// Versions are fetched a few at a time, so selecting dozens of them does not flood the data source
+const MAX_PARALLEL_VERSION_QUERIES = 4;
+// The user picker lists this many matches; searching narrows the rest
+const MAX_USERS_LISTED = 50;
+// Busiest users drawn in the interaction network; the rest stay in the exports
+const MAX_NETWORK_NODES = 60;
+
+export class TopicTreeInterface {
+    constructor(options = {}) {
+        // Query from a shared link (#channel=...&versions=...), restored once the DOM is wired up
+        this.pendingQueryState = options.queryState !== undefined ? options.queryState : readQueryState(window.location);
+
+        // Hosts besides the known ones that a shared link may select as its remote data source
+        this.allowedRemoteHosts = options.allowedRemoteHosts || [];
+
+        // Data source answering the topic tree endpoints (live CEF.AI, alternative URL or local files)
+        this.dataSource = options.dataSource || this.initializeDataSource();
         
         // Initialize OpenAI configuration
         this.openaiApiKey = this.initializeOpenAI();
         this.openaiEnabled = !!this.openaiApiKey;
-        this.datasets = {
-            '-1001864946846': {
-                name: 'Cere Network',
-                description: 'Cere Network official channel discussions and community updates',
-                github: 'https://github.com/cere-io/nlp-datasets/blob/main/cere_network_transcript.json'
-            },
-            '2148778849': {
-                name: 'Demo Dataset',
-                description: 'Demo dataset for development and validation',
-                github: 'https://github.com/cere-io/nlp-datasets/blob/main/test_transcript.json'
+        // Datasets come from datasets.json; pass `datasetConfig` to skip the fetch (tests, embeds)
+        this.datasetConfigUrl = options.datasetConfigUrl || DEFAULT_DATASET_CONFIG_URL;
+        this.datasetRegistry = new DatasetRegistry(options.datasetConfig ? parseDatasetConfig(options.datasetConfig) : {});
+        this.datasetConfigLoaded = !!options.datasetConfig;
+
+        // Query modes offered in the Query step
+        this.queryTypes = {
+            'custom_query': {
+                label: 'Custom Question',
+                description: 'Ask a custom question about the tree data'
             },
-            '2148778850': {
-                name: 'Aethir Dataset', 
-                description: 'Aethir community discussions and technical conversations',
-                github: 'https://github.com/cere-io/nlp-datasets/blob/main/aethir_transcript.json'
+            'message_search': {
+                label: 'Message Search',
+                description: 'Search message text by keyword or "exact phrase", filtered by user, topic and date'
             },
-            '2148778853': {
-                name: 'AAVE Dataset',
-                description: 'AAVE protocol governance and community discussions', 
-                github: 'https://github.com/cere-io/nlp-datasets/blob/main/aave_transcript.json'
+            'time_window': {
+                label: 'Time Window',
+                description: 'Analyze only the messages in a date range, with activity per topic by day or week'
             }
         };
+        this.selectedQueryType = 'custom_query';
+        this.maxThreadsShown = 25;
 
-        // Simplified to only support custom queries
-        this.queryTypes = {
-            'custom_query': 'Ask a custom question about the tree data'
-        };
-
-        // Topic names will be extracted dynamically from tree data
-        this.topicNames = new Map();
+        // DOM-free semantic engine; topic names are extracted dynamically from tree data
+        this.engine = options.engine || new SemanticEngine();
 
         // State management
         this.selectedChannel = null;
-        this.selectedVersions = [null, null, null]; // Support up to 3 versions
+        this.selectedVersions = []; // Any number of versions, oldest first
+        this.selectedUsers = [];
+        this.userDirectory = []; // Posters in the latest selected version, for the user picker
+        this.userDirectoryVersion = null;
+        this.userDirectoryReady = Promise.resolve();
+        this.userProfile = null; // { userId, versionProfiles } of the open profile
         this.availableVersions = [];
-        this.resultsCache = [null, null, null]; // Cache results for each version
+        this.resultsCache = []; // Results per selected version, in the same order
+        this.lastQueryData = null; // Query behind the results on screen, for exports
+        this.conversation = new ConversationSession(); // Follow-up questions about the results on screen
+        this.evolutionNarrative = null; // { text, method, pending } across the versions on screen, top of the Delta tab
+        this.narrativeReady = Promise.resolve();
+        this.queryToken = 0; // Increases with every query, so a slower earlier query never overwrites a later one
+        this.aiAbort = null; // Cancels the AI streams of the query on screen when another query replaces it
+        this.aiReady = Promise.resolve(false); // Resolves to true once every AI answer of the query on screen has arrived
+        this.focusedVersionIndex = 0; // Version shown when the selection is too large for side-by-side columns
+        this.activeTab = 'insights';
 
         this.initializeEventListeners();
         this.initializeStepper();
-        this.initializeDefaultDataset();
+        this.ready = this.initializeDatasets().then(() => this.restoreQueryState());
     }
 
     initializeOpenAI() {
@@ -58,23 +103,270 @@ class TopicTreeInterface {
         return 'serverless'; // Indicator that we'll use the API endpoint
     }
 
+    initializeDataSource() {
+        // ?source=local opens the local file picker; a remote source from a link waits for restoreQueryState to confirm it
+        const type = this.pendingQueryState?.source === 'local' ? 'local' : 'cef';
+        console.log('🔌 Using data source:', type);
+        return createDataSource({ type });
+    }
+
+    // The remote source a shared link names, once the user agrees to send queries there; null keeps the current source
+    acceptLinkedDataSource(state) {
+        if (state.source !== 'remote' || !state.baseUrl) {
+            return null;
+        }
+
+        if (!isAllowedRemoteUrl(state.baseUrl, this.allowedRemoteHosts)) {
+            console.warn('⚠️ Remote data source host from the link is not allowed:', state.baseUrl);
+            return null;
+        }
+
+        if (!window.confirm(`This link loads its data from ${state.baseUrl} instead of ${this.dataSource.label}. Use that source?`)) {
+            console.log('🔌 Linked data source declined:', state.baseUrl);
+            return null;
+        }
+
+        return new RemoteDataSource(state.baseUrl);
+    }
+
     initializeStepper() {
         // Initialize stepper state
         this.updateStepperState();
     }
 
-    initializeDefaultDataset() {
-        // Check if a dataset is pre-selected and automatically load it
+    async initializeDatasets() {
+        if (!this.datasetConfigLoaded) {
+            try {
+                this.datasetRegistry = await loadDatasetRegistry(this.datasetConfigUrl);
+                this.datasetConfigLoaded = true;
+            } catch (error) {
+                console.error('❌ Failed to load dataset config:', error);
+                const infoDiv = document.getElementById('datasetInfo');
+                infoDiv.textContent = `Could not load ${this.datasetConfigUrl}: ${error.message}`;
+                infoDiv.classList.add('show');
+            }
+        }
+
+        this.datasetRegistry.discoverFrom(this.dataSource);
+        this.populateDatasetSelect(this.defaultChannelId());
+        console.log('📚 Datasets available:', this.datasetRegistry.list().map(dataset => dataset.name));
+    }
+
+    defaultChannelId() {
+        // Local files decide which channels exist; the configured default only applies to live sources
+        if (this.dataSource.type === 'local') {
+            const channels = this.dataSource.listChannels();
+            return channels.length > 0 ? String(channels[0].channelId) : '';
+        }
+        return this.datasetRegistry.defaultChannelId || '';
+    }
+
+    populateDatasetSelect(selectedChannelId = document.getElementById('channelSelect').value) {
         const channelSelect = document.getElementById('channelSelect');
-        const selectedValue = channelSelect.value;
-        
-        if (selectedValue) {
-            console.log('🚀 Auto-loading pre-selected dataset:', selectedValue);
-            // Delay slightly to ensure DOM is fully ready
-            setTimeout(() => {
-                this.handleDatasetChange(selectedValue);
-            }, 100);
+
+        channelSelect.innerHTML = '<option value="">-- Select Dataset --</option>' +
+            this.datasetRegistry.list().map(dataset => {
+                const icon = dataset.origin === 'local' ? '📂 ' : '';
+                return `<option value="${escapeHtml(dataset.channelId)}">${icon}${escapeHtml(dataset.name)}</option>`;
+            }).join('');
+        channelSelect.value = selectedChannelId && this.datasetRegistry.has(selectedChannelId) ? selectedChannelId : '';
+    }
+
+    async restoreQueryState(state = this.pendingQueryState) {
+        this.pendingQueryState = null;
+        const channelSelect = document.getElementById('channelSelect');
+
+        const linkedSource = state ? this.acceptLinkedDataSource(state) : null;
+        if (linkedSource) {
+            this.dataSource = linkedSource;
+            this.updateDataSourceControls();
+        }
+
+        if (!state || !state.channel) {
+            // No shared query: load the dataset pre-selected in the markup
+            if (channelSelect.value) {
+                console.log('🚀 Auto-loading pre-selected dataset:', channelSelect.value);
+                await this.handleDatasetChange(channelSelect.value);
+            }
+            return;
+        }
+
+        console.log('🔗 Restoring query from URL:', state);
+
+        if (!this.datasetRegistry.has(state.channel)) {
+            this.datasetRegistry.register({
+                channelId: state.channel,
+                description: 'Dataset opened from a shared link',
+                origin: 'link'
+            });
+        }
+        this.populateDatasetSelect(state.channel);
+
+        this.applyQueryInputs(state);
+        await this.handleDatasetChange(state.channel);
+        this.setSelectedUsers(state.users || []);
+
+        if (state.versions.length === 0) {
+            return;
         }
+
+        const available = new Set(this.availableVersions.map(v => v.version));
+        const versions = state.versions.filter(version => available.has(version));
+        const missing = state.versions.filter(version => !available.has(version));
+        if (missing.length > 0) {
+            console.warn('⚠️ Versions from the link are no longer available:', missing);
+        }
+        if (versions.length === 0) {
+            return;
+        }
+
+        this.setSelectedVersions(versions);
+
+        if (linkedSource) {
+            // Queries only go to a source from a link when the user runs them
+            console.log('🔗 Query restored against', linkedSource.label, '- run it to see the results');
+            return;
+        }
+
+        // A link with versions is a finished query: show the same results the sender was looking at
+        await this.executeQuery();
+    }
+
+    applyQueryInputs(state) {
+        if (state.type && this.queryTypes[state.type]) {
+            document.getElementById('queryTypeSelect').value = state.type;
+            this.handleQueryTypeChange(state.type);
+        }
+        if (state.question !== null && state.question !== undefined) {
+            document.getElementById('customQuery').value = state.question;
+        }
+        if (state.search) {
+            document.getElementById('searchQuery').value = state.search.query || '';
+            document.getElementById('searchUsers').value = state.search.users.join(', ');
+            document.getElementById('searchTopics').value = state.search.topics.join(', ');
+            document.getElementById('searchFrom').value = state.search.from || '';
+            document.getElementById('searchTo').value = state.search.to || '';
+        }
+        if (state.timeWindow) {
+            const preset = TIME_WINDOW_PRESETS[state.timeWindow.preset] ? state.timeWindow.preset : 'custom';
+            document.getElementById('timeWindowPreset').value = preset;
+            document.getElementById('windowFrom').value = state.timeWindow.from || '';
+            document.getElementById('windowTo').value = state.timeWindow.to || '';
+            document.getElementById('timeWindowBucket').value = state.timeWindow.granularity || 'auto';
+            this.handleTimeWindowPresetChange(preset);
+        }
+    }
+
+    getQueryState() {
+        const type = this.selectedQueryType;
+        const value = (id) => document.getElementById(id).value.trim();
+        const splitList = (id) => value(id).split(',').map(item => item.trim()).filter(Boolean);
+
+        return {
+            channel: this.selectedChannel,
+            versions: this.selectedVersions,
+            users: this.selectedUsers,
+            type: type,
+            question: type === 'custom_query' ? value('customQuery') : '',
+            ...(type === 'message_search' ? {
+                search: {
+                    query: value('searchQuery'),
+                    users: splitList('searchUsers'),
+                    topics: splitList('searchTopics'),
+                    from: value('searchFrom'),
+                    to: value('searchTo')
+                }
+            } : {}),
+            ...(type === 'time_window' ? {
+                timeWindow: {
+                    preset: value('timeWindowPreset'),
+                    from: value('timeWindowPreset') === 'custom' ? value('windowFrom') : '',
+                    to: value('timeWindowPreset') === 'custom' ? value('windowTo') : '',
+                    granularity: value('timeWindowBucket') || 'auto'
+                }
+            } : {}),
+            // Local tree files cannot travel with a link, so only remote sources are recorded
+            ...(this.dataSource.type === 'remote' ? { source: 'remote', baseUrl: this.dataSource.baseUrl } : {})
+        };
+    }
+
+    getShareableUrl() {
+        // The hash carries the whole query, including a remote source, so the old ?query is dropped
+        const base = String(window.location.href).split(/[?#]/)[0];
+        return `${base}#${encodeQueryState(this.getQueryState())}`;
+    }
+
+    updateUrlState() {
+        // replaceState keeps reloads on the current query without piling up history entries
+        if (window.history && window.history.replaceState) {
+            window.history.replaceState(null, '', `#${encodeQueryState(this.getQueryState())}`);
+        }
+    }
+
+    async copyQueryLink() {
+        const copyBtn = document.getElementById('copyQueryLink');
+        const url = this.getShareableUrl();
+        this.updateUrlState();
+
+        try {
+            await navigator.clipboard.writeText(url);
+            copyBtn.textContent = '✅ Link Copied';
+        } catch (error) {
+            console.warn('⚠️ Clipboard unavailable, showing the link instead:', error);
+            window.prompt('Copy this link to share the query:', url);
+        }
+
+        setTimeout(() => {
+            copyBtn.textContent = '🔗 Copy Link';
+        }, 2000);
+    }
+
+    // The results on screen shaped like the CLI and API report ({ query, results, delta }), so every export matches theirs
+    buildReport() {
+        const results = this.resultsCache.filter(Boolean);
+        return {
+            query: this.lastQueryData,
+            results: results,
+            delta: computeMultiVersionDelta(results),
+            ...(this.evolutionNarrative ? { narrative: this.evolutionNarrative.text } : {})
+        };
+    }
+
+    exportResults(format) {
+        const report = this.buildReport();
+        if (!report.query || report.results.length === 0) {
+            return;
+        }
+
+        const { extension, mimeType } = REPORT_FORMATS[format];
+        const versions = report.results.map(result => result.version);
+        const range = versions.length === 1 ? versions[0] : `${versions[0]}-${versions[versions.length - 1]}`;
+        const table = format.endsWith('-csv') ? `-${format.replace(/-csv$/, '')}` : '';
+        downloadFile(`topic-tree-${report.query.dataset}-${range}${table}.${extension}`,
+            formatReport(report, format, this.reportOptions()), mimeType);
+        console.log(`⬇️ Exported ${versions.length} version(s) as ${format}`);
+    }
+
+    // Opens the HTML report in a new window for printing or saving as PDF; downloads it when pop-ups are blocked
+    printReport() {
+        const report = this.buildReport();
+        if (!report.query || report.results.length === 0) {
+            return;
+        }
+
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            this.exportResults('html');
+            return;
+        }
+        reportWindow.document.write(formatReport(report, 'html', this.reportOptions()));
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+    }
+
+    reportOptions() {
+        return { datasetName: this.datasetRegistry.get(this.selectedChannel)?.name };
     }
 
     updateStepperState() {
@@ -107,32 +399,129 @@ class TopicTreeInterface {
     }
 
     initializeEventListeners() {
+        // Data source selection
+        const dataSourceSelect = document.getElementById('dataSourceSelect');
+        dataSourceSelect.value = this.dataSource.type;
+        this.updateDataSourceControls();
+
+        dataSourceSelect.addEventListener('change', (e) => {
+            this.handleDataSourceChange(e.target.value);
+        });
+
+        document.getElementById('dataSourceUrl').addEventListener('change', (e) => {
+            this.handleDataSourceChange('remote', e.target.value.trim());
+        });
+
+        document.getElementById('treeFileInput').addEventListener('change', (e) => {
+            this.loadLocalTreeFiles(e.target.files);
+        });
+
         // Dataset selection
         document.getElementById('channelSelect').addEventListener('change', (e) => {
             this.handleDatasetChange(e.target.value);
         });
 
-        // Version selection
-        document.getElementById('version1Select').addEventListener('change', (e) => {
-            this.selectedVersions[0] = parseInt(e.target.value) || null;
-            this.validateForm();
-            this.updateStepperState();
+        // Version selection: tick any number of versions, or use a quick pick
+        document.getElementById('versionList').addEventListener('change', (e) => {
+            const version = parseInt(e.target.value);
+            if (Number.isNaN(version)) {
+                return;
+            }
+            this.setSelectedVersions(e.target.checked
+                ? [...this.selectedVersions, version]
+                : this.selectedVersions.filter(selected => selected !== version));
         });
 
-        document.getElementById('version2Select').addEventListener('change', (e) => {
-            this.selectedVersions[1] = parseInt(e.target.value) || null;
-            this.validateForm();
-            this.updateStepperState();
+        document.getElementById('versionPickSpread').addEventListener('click', () => {
+            this.setSelectedVersions(this.datasetRegistry.defaultVersionsFor(this.selectedChannel, this.availableVersions, MAX_SIDE_BY_SIDE_VERSIONS));
         });
 
-        document.getElementById('version3Select').addEventListener('change', (e) => {
-            this.selectedVersions[2] = parseInt(e.target.value) || null;
-            this.validateForm();
-            this.updateStepperState();
+        document.getElementById('versionPickLatest').addEventListener('click', () => {
+            this.setSelectedVersions(this.availableVersions.slice(-1).map(v => v.version));
+        });
+
+        document.getElementById('versionPickAll').addEventListener('click', () => {
+            this.setSelectedVersions(this.availableVersions.map(v => v.version));
+        });
+
+        document.getElementById('versionPickNone').addEventListener('click', () => {
+            this.setSelectedVersions([]);
+        });
+
+        // User picker: tick users in the directory, remove them from the chips
+        document.getElementById('userList').addEventListener('change', (e) => {
+            if (!e.target.value) {
+                return;
+            }
+            this.setSelectedUsers(e.target.checked
+                ? [...this.selectedUsers, e.target.value]
+                : this.selectedUsers.filter(userId => userId !== e.target.value));
+        });
+
+        document.getElementById('selectedUserChips').addEventListener('click', (e) => {
+            const userId = e.target.getAttribute('data-user-id');
+            if (userId) {
+                this.setSelectedUsers(this.selectedUsers.filter(selected => selected !== userId));
+            }
+        });
+
+        document.getElementById('userList').addEventListener('click', (e) => {
+            const userId = e.target.getAttribute('data-profile-user-id');
+            if (userId) {
+                e.preventDefault();
+                this.openUserProfile(userId);
+            }
+        });
+
+        document.getElementById('userSearch').addEventListener('input', () => {
+            this.renderUserPicker();
+        });
+
+        document.getElementById('userPickNone').addEventListener('click', () => {
+            this.setSelectedUsers([]);
+        });
+
+        // User profile: partners link to their own profile
+        document.getElementById('userProfileContent').addEventListener('click', (e) => {
+            const userId = e.target.getAttribute('data-profile-user-id');
+            if (userId) {
+                this.openUserProfile(userId);
+            }
+        });
+
+        document.getElementById('closeUserProfile').addEventListener('click', () => {
+            this.closeUserProfile();
         });
 
-        // Query type is always custom_query now, no selection needed
+        // Follow-up questions carry the conversation's scope and history
+        document.getElementById('chatForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('chatInput');
+            if (input.value.trim()) {
+                this.askFollowUp(input.value.trim());
+            }
+        });
+
+        document.getElementById('resultVersionSelect').addEventListener('change', (e) => {
+            this.focusedVersionIndex = parseInt(e.target.value) || 0;
+            this.renderVersionColumns();
+        });
 
+        // Editing the question makes the answers still streaming for the old one moot
+        document.getElementById('customQuery').addEventListener('input', () => {
+            this.cancelAiStreams();
+        });
+
+        // Query type selection
+        this.populateQueryTypes();
+        document.getElementById('queryTypeSelect').addEventListener('change', (e) => {
+            this.handleQueryTypeChange(e.target.value);
+        });
+
+        this.populateTimeWindowPresets();
+        document.getElementById('timeWindowPreset').addEventListener('change', (e) => {
+            this.handleTimeWindowPresetChange(e.target.value);
+        });
 
         // Execute query with scroll
         document.getElementById('executeQuery').addEventListener('click', () => {
@@ -167,6 +556,21 @@ class TopicTreeInterface {
             }
         });
 
+        document.getElementById('copyQueryLink').addEventListener('click', () => {
+            this.copyQueryLink();
+        });
+
+        // Exports of the results on screen
+        document.getElementById('exportFormat').innerHTML = Object.entries(REPORT_FORMATS).map(([format, config]) =>
+            `<option value="${format}">${config.label}</option>`
+        ).join('');
+        document.getElementById('exportResults').addEventListener('click', () => {
+            this.exportResults(document.getElementById('exportFormat').value);
+        });
+        document.getElementById('printReport').addEventListener('click', () => {
+            this.printReport();
+        });
+
         // Tab switching
         document.querySelectorAll('.tab-button').forEach(button => {
             button.addEventListener('click', (e) => {
@@ -174,7 +578,115 @@ class TopicTreeInterface {
             });
         });
 
-        // Always using custom query mode
+    }
+
+    populateQueryTypes() {
+        const queryTypeSelect = document.getElementById('queryTypeSelect');
+        queryTypeSelect.innerHTML = Object.entries(this.queryTypes).map(([type, config]) =>
+            `<option value="${type}"${type === this.selectedQueryType ? ' selected' : ''}>${config.label}</option>`
+        ).join('');
+        this.handleQueryTypeChange(this.selectedQueryType);
+    }
+
+    handleQueryTypeChange(queryType) {
+        this.selectedQueryType = queryType;
+
+        document.getElementById('customQueryGroup').style.display = queryType === 'custom_query' ? 'block' : 'none';
+        document.getElementById('messageSearchGroup').style.display = queryType === 'message_search' ? 'block' : 'none';
+        document.getElementById('timeWindowGroup').style.display = queryType === 'time_window' ? 'block' : 'none';
+        document.getElementById('queryTypeDescription').textContent = this.queryTypes[queryType]?.description || '';
+    }
+
+    populateTimeWindowPresets() {
+        const presetSelect = document.getElementById('timeWindowPreset');
+        presetSelect.innerHTML = Object.entries(TIME_WINDOW_PRESETS).map(([preset, config]) =>
+            `<option value="${preset}">${config.label}</option>`
+        ).join('');
+        presetSelect.value = 'last_7_days';
+        this.handleTimeWindowPresetChange('last_7_days');
+    }
+
+    handleTimeWindowPresetChange(preset) {
+        document.getElementById('timeWindowRange').style.display = preset === 'custom' ? 'grid' : 'none';
+    }
+
+    handleDataSourceChange(type, baseUrl) {
+        console.log('🔌 Data source changed to:', type, baseUrl || '');
+
+        if (type === 'remote') {
+            const url = baseUrl || document.getElementById('dataSourceUrl').value.trim();
+            if (!url) {
+                // Wait for a base URL before switching away from the current source
+                this.updateDataSourceControls('remote');
+                return;
+            }
+            this.setDataSource(new RemoteDataSource(url));
+        } else if (type === 'local') {
+            this.setDataSource(new LocalTreeDataSource());
+        } else {
+            this.setDataSource(new CefDataSource());
+        }
+    }
+
+    setDataSource(dataSource) {
+        this.dataSource = dataSource;
+        this.updateDataSourceControls();
+        this.resetUI();
+
+        // Reload the selected dataset against the new source (local sources wait for files)
+        const channelId = document.getElementById('channelSelect').value;
+        if (channelId && dataSource.type !== 'local') {
+            this.handleDatasetChange(channelId);
+        }
+    }
+
+    updateDataSourceControls(type = this.dataSource.type) {
+        const urlInput = document.getElementById('dataSourceUrl');
+        const fileInput = document.getElementById('treeFileInput');
+
+        urlInput.style.display = type === 'remote' ? 'block' : 'none';
+        fileInput.style.display = type === 'local' ? 'block' : 'none';
+
+        if (this.dataSource.type === 'remote') {
+            urlInput.value = this.dataSource.baseUrl;
+        }
+    }
+
+    async loadLocalTreeFiles(files) {
+        if (!files || files.length === 0) {
+            return;
+        }
+
+        if (this.dataSource.type !== 'local') {
+            this.setDataSource(new LocalTreeDataSource());
+        }
+
+        const loaded = [];
+        for (const file of Array.from(files)) {
+            try {
+                const text = await file.text();
+                loaded.push(this.dataSource.addTree(text, { name: file.name.replace(/\.json$/i, '') }));
+            } catch (error) {
+                console.error('❌ Failed to load tree file:', file.name, error);
+                this.showError(`Failed to load ${file.name}: ${error.message}`);
+            }
+        }
+
+        if (loaded.length === 0) {
+            return;
+        }
+
+        this.registerLocalChannels();
+
+        const channelSelect = document.getElementById('channelSelect');
+        channelSelect.value = String(loaded[0].channelId);
+        await this.handleDatasetChange(channelSelect.value);
+    }
+
+    registerLocalChannels() {
+        if (this.datasetRegistry.discoverFrom(this.dataSource).length > 0) {
+            this.populateDatasetSelect();
+        }
     }
 
     async handleDatasetChange(channelId) {
@@ -185,6 +697,14 @@ class TopicTreeInterface {
             return;
         }
 
+        // User IDs belong to a dataset, so a different dataset starts unfiltered
+        if (channelId !== this.selectedChannel) {
+            this.conversation.reset(null);
+            this.renderConversation();
+            this.selectedUsers = [];
+            this.userDirectory = [];
+            this.userDirectoryVersion = null;
+        }
         this.selectedChannel = channelId;
         this.showDatasetInfo(channelId);
         
@@ -193,6 +713,7 @@ class TopicTreeInterface {
         // Load versions for this dataset
         try {
             await this.loadVersions(channelId);
+            await this.userDirectoryReady;
             this.validateForm();
             this.updateStepperState();
         } catch (error) {
@@ -202,14 +723,14 @@ class TopicTreeInterface {
     }
 
     showDatasetInfo(channelId) {
-        const dataset = this.datasets[channelId];
+        const dataset = this.datasetRegistry.get(channelId);
         const infoDiv = document.getElementById('datasetInfo');
         
         if (dataset) {
             infoDiv.innerHTML = `
-                <strong>${dataset.name}</strong><br>
-                ${dataset.description}<br>
-                <a href="${dataset.github}" target="_blank">📂 View on GitHub</a>
+                <strong>${escapeHtml(dataset.name)}</strong><br>
+                ${dataset.description ? `${escapeHtml(dataset.description)}<br>` : ''}
+                ${dataset.github ? `<a href="${escapeHtml(dataset.github)}" target="_blank" rel="noopener">📂 View on GitHub</a>` : ''}
             `;
             infoDiv.classList.add('show');
         } else {
@@ -219,9 +740,6 @@ class TopicTreeInterface {
 
     async loadVersions(channelId) {
         const versionLoader = document.getElementById('versionLoader');
-        const version1Select = document.getElementById('version1Select');
-        const version2Select = document.getElementById('version2Select');
-        const version3Select = document.getElementById('version3Select');
 
         try {
             versionLoader.style.display = 'block';
@@ -235,33 +753,13 @@ class TopicTreeInterface {
                 this.availableVersions = response.versions.sort((a, b) => a.version - b.version);
                 console.log('📋 Sorted versions:', this.availableVersions);
                 
-                // Populate version selects
-                this.populateVersionSelects();
-                
-                // Auto-select standard demo parameters
-                if (this.availableVersions.length >= 3) {
-                    // Select 3 versions for immediate demo
-                    this.selectedVersions[0] = this.availableVersions[0].version; // First version
-                    this.selectedVersions[1] = this.availableVersions[Math.floor(this.availableVersions.length / 2)].version; // Middle version
-                    this.selectedVersions[2] = this.availableVersions[this.availableVersions.length - 1].version; // Latest version
-                    
-                    version1Select.value = this.selectedVersions[0];
-                    version2Select.value = this.selectedVersions[1];
-                    version3Select.value = this.selectedVersions[2];
-                    
-                    console.log('📋 Auto-selected demo versions:', this.selectedVersions);
-                } else if (this.availableVersions.length > 0) {
-                    this.selectedVersions[0] = this.availableVersions[this.availableVersions.length - 1].version;
-                    version1Select.value = this.selectedVersions[0];
-                    console.log('📋 Auto-selected single version:', this.selectedVersions[0]);
-                }
+                // Pre-select the dataset's default versions (first, middle and latest unless configured)
+                const defaults = this.datasetRegistry.defaultVersionsFor(channelId, this.availableVersions, MAX_SIDE_BY_SIDE_VERSIONS);
+                this.setSelectedVersions(defaults);
+                console.log('📋 Auto-selected default versions:', this.selectedVersions);
                 
                 console.log('📊 Total versions available:', this.availableVersions.length);
-
-                // Enable all version selects
-                version1Select.disabled = false;
-                version2Select.disabled = false;
-                version3Select.disabled = false;
+                this.setVersionPickerEnabled(true);
             }
         } catch (error) {
             console.error('Error loading versions:', error);
@@ -271,34 +769,279 @@ class TopicTreeInterface {
         }
     }
 
-    populateVersionSelects() {
-        const version1Select = document.getElementById('version1Select');
-        const version2Select = document.getElementById('version2Select');
-        const version3Select = document.getElementById('version3Select');
-        
-        // Clear existing options
-        version1Select.innerHTML = '<option value="">-- Select Version --</option>';
-        version2Select.innerHTML = '<option value="">-- No Comparison --</option>';
-        version3Select.innerHTML = '<option value="">-- No Comparison --</option>';
-        
-        // Add version options to all dropdowns
-        this.availableVersions.forEach((version, index) => {
+    setSelectedVersions(versions) {
+        const selected = [...new Set(versions)].sort((a, b) => a - b);
+        if (selected.join() !== this.selectedVersions.join()) {
+            // Answers still streaming are about the previous selection
+            this.cancelAiStreams();
+        }
+        this.selectedVersions = selected;
+        this.populateVersionList();
+        this.validateForm();
+        this.updateStepperState();
+        this.userDirectoryReady = this.loadUserDirectory();
+    }
+
+    // The picker lists the posters of the latest selected version (or the latest available), since trees grow over time
+    async loadUserDirectory() {
+        const target = () => this.selectedVersions[this.selectedVersions.length - 1] ?? this.availableVersions[this.availableVersions.length - 1]?.version;
+        const version = target();
+        if (version === undefined || version === this.userDirectoryVersion) {
+            this.renderUserPicker();
+            return;
+        }
+
+        const channel = this.selectedChannel;
+        try {
+            const response = await this.apiCall('get_topic_tree_by_channel_and_version', {
+                channelId: parseInt(channel),
+                version: version
+            });
+            // Ignore a slow response once the dataset or selection has moved on
+            if (channel !== this.selectedChannel || version !== target() || !response?.tree) {
+                return;
+            }
+            this.userDirectory = buildUserDirectory(response.tree);
+            this.userDirectoryVersion = version;
+            console.log(`👥 Loaded ${this.userDirectory.length} users from version ${version}`);
+        } catch (error) {
+            console.warn('⚠️ Could not load users for the picker:', error.message);
+        }
+        this.renderUserPicker();
+    }
+
+    setSelectedUsers(userIds) {
+        const selected = [...new Set(userIds.map(String))];
+        if (selected.join() !== this.selectedUsers.join()) {
+            this.cancelAiStreams();
+        }
+        this.selectedUsers = selected;
+        this.renderUserPicker();
+    }
+
+    renderUserPicker() {
+        const search = document.getElementById('userSearch');
+        const selected = new Set(this.selectedUsers);
+        const byId = new Map(this.userDirectory.map(user => [user.userId, user]));
+        const hasDirectory = this.userDirectory.length > 0;
+
+        search.disabled = !hasDirectory;
+        document.getElementById('userPickNone').disabled = this.selectedUsers.length === 0;
+
+        document.getElementById('selectedUserChips').innerHTML = this.selectedUsers.map(userId => {
+            const name = byId.has(userId) ? `@${byId.get(userId).userName}` : `User ${userId}`;
+            return `<span class="user-chip">${escapeHtml(name)} <button type="button" class="user-chip-remove" data-user-id="${escapeHtml(userId)}" title="Remove">×</button></span>`;
+        }).join('');
+
+        const matches = searchUserDirectory(this.userDirectory, search.value);
+        document.getElementById('userList').innerHTML = !hasDirectory
+            ? `<p class="user-list-empty">${this.selectedChannel ? 'No users loaded' : '-- Select Dataset First --'}</p>`
+            : matches.slice(0, MAX_USERS_LISTED).map(user => `
+                <label class="user-option">
+                    <input type="checkbox" value="${escapeHtml(user.userId)}" ${selected.has(user.userId) ? 'checked' : ''}>
+                    <span class="user-option-name">@${escapeHtml(user.userName)}</span>
+                    <span class="user-option-stats">${user.messageCount} message${user.messageCount === 1 ? '' : 's'}</span>
+                    <span class="user-option-topics">${user.topics.slice(0, 3).map(topic => `${escapeHtml(topic.name)} (${topic.messageCount})`).join(', ')}</span>
+                    <button type="button" class="user-profile-link" data-profile-user-id="${escapeHtml(user.userId)}" title="Open profile">👤 Profile</button>
+                </label>
+            `).join('') || '<p class="user-list-empty">No users match</p>';
+
+        document.getElementById('userDirectorySummary').textContent = !hasDirectory ? '' :
+            `${this.userDirectory.length} users in version ${this.userDirectoryVersion}` +
+            (matches.length > MAX_USERS_LISTED ? ` · showing ${MAX_USERS_LISTED} of ${matches.length} matches` : '') +
+            (this.selectedUsers.length > 0 ? ` · ${this.selectedUsers.length} selected` : ' · all users analyzed');
+    }
+
+    // Profile of one member in each selected version (the latest available when none are selected)
+    async openUserProfile(userId) {
+        const section = document.getElementById('userProfileSection');
+        const content = document.getElementById('userProfileContent');
+        const channel = this.selectedChannel;
+        const versions = this.selectedVersions.length > 0
+            ? this.selectedVersions
+            : this.availableVersions.slice(-1).map(v => v.version);
+        if (!channel || versions.length === 0) {
+            return;
+        }
+
+        this.userProfile = { userId: String(userId), versionProfiles: [] };
+        section.style.display = 'block';
+        content.innerHTML = '<div class="loader">Loading profile...</div>';
+
+        const versionProfiles = [];
+        try {
+            for (let start = 0; start < versions.length; start += MAX_PARALLEL_VERSION_QUERIES) {
+                const batch = versions.slice(start, start + MAX_PARALLEL_VERSION_QUERIES);
+                const responses = await Promise.all(batch.map(version => this.apiCall('get_topic_tree_by_channel_and_version', {
+                    channelId: parseInt(channel),
+                    version: version
+                })));
+                responses.forEach((response, index) => versionProfiles.push({
+                    version: batch[index],
+                    profile: response?.tree ? buildUserProfile(response.tree, userId) : null
+                }));
+            }
+        } catch (error) {
+            console.error('Error loading user profile:', error);
+            content.innerHTML = `<div class="error-message"><p>Failed to load the profile: ${escapeHtml(error.message)}</p></div>`;
+            return;
+        }
+
+        // Another profile was opened, or the dataset changed, while this one loaded
+        if (channel !== this.selectedChannel || this.userProfile?.userId !== String(userId)) {
+            return;
+        }
+        this.userProfile.versionProfiles = versionProfiles;
+        content.innerHTML = this.formatUserProfile(versionProfiles);
+        console.log(`👤 Profile of user ${userId} across ${versionProfiles.length} version(s)`);
+        if (section.scrollIntoView) {
+            section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    closeUserProfile() {
+        this.userProfile = null;
+        document.getElementById('userProfileSection').style.display = 'none';
+        document.getElementById('userProfileContent').innerHTML = '';
+    }
+
+    // The latest version the user posted in leads; earlier versions feed the focus comparison
+    formatUserProfile(versionProfiles) {
+        const entry = [...versionProfiles].reverse().find(({ profile }) => profile);
+        if (!entry) {
+            return `<p class="user-profile-empty">No messages from this user in version${versionProfiles.length === 1 ? '' : 's'} ${versionProfiles.map(({ version }) => version).join(', ')}</p>`;
+        }
+
+        const { version, profile } = entry;
+        const { threads, activity } = profile;
+        const partnerLink = partner => `<button type="button" class="contributor contributor-link" data-profile-user-id="${escapeHtml(partner.userId)}">@${escapeHtml(partner.userName)}</button>`;
+        const activityChart = activity.buckets.length > 1
+            ? renderLineChart({ labels: activity.buckets.map(bucket => bucket.label), series: [{ name: 'Messages', values: activity.totals }] })
+            : '';
+
+        return `
+            <div class="user-profile-header">
+                <h3>@${escapeHtml(profile.userName)}</h3>
+                <span class="user-profile-meta">
+                    ID ${escapeHtml(profile.userId)} · version ${escapeHtml(version)} ·
+                    ${profile.messageCount} message${profile.messageCount === 1 ? '' : 's'} (${(profile.shareOfMessages * 100).toFixed(1)}% of the tree)
+                    ${profile.firstSeen ? ` · active ${formatMessageTime(profile.firstSeen)} – ${formatMessageTime(profile.lastSeen)}` : ''}
+                </span>
+            </div>
+
+            <div class="user-profile-stats">
+                <div class="user-profile-stat"><span class="user-profile-stat-value">${threads.startedCount}</span><span class="user-profile-stat-label">Threads started</span></div>
+                <div class="user-profile-stat"><span class="user-profile-stat-value">${threads.joinedCount}</span><span class="user-profile-stat-label">Threads replied in</span></div>
+                <div class="user-profile-stat"><span class="user-profile-stat-value">${threads.repliesReceived}</span><span class="user-profile-stat-label">Replies received</span></div>
+                <div class="user-profile-stat"><span class="user-profile-stat-value">${profile.topics.length}</span><span class="user-profile-stat-label">Topics</span></div>
+            </div>
+
+            ${profile.topics.length > 0 ? `
+                <h5 class="chart-title">Topic distribution</h5>
+                ${renderBarChart({
+                    items: profile.topics.slice(0, 10).map(topic => ({
+                        label: topic.name,
+                        value: topic.messageCount,
+                        tooltip: `${topic.name}: ${topic.messageCount} messages (${(topic.share * 100).toFixed(0)}% of theirs)`
+                    }))
+                })}
+            ` : ''}
+
+            ${activityChart ? `
+                <h5 class="chart-title">Messages per ${activity.granularity}</h5>
+                ${activityChart}
+            ` : ''}
+
+            <h5 class="chart-title">Top interaction partners</h5>
+            ${profile.partners.length > 0 ? `
+                <ul class="user-profile-list">
+                    ${profile.partners.slice(0, 10).map(partner => `
+                        <li>${partnerLink(partner)} replied to ${partner.repliesTo}× · replied to them ${partner.repliesFrom}×</li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="user-profile-empty">No replies to or from other members</p>'}
+
+            ${threads.started.length > 0 ? `
+                <h5 class="chart-title">Threads started</h5>
+                <ul class="user-profile-list">
+                    ${[...threads.started].sort((a, b) => b.replyCount - a.replyCount).slice(0, 5).map(thread => `
+                        <li>
+                            <p class="thread-root-text">${escapeHtml(truncateText(thread.text, 140))}</p>
+                            <span class="user-option-stats">${thread.replyCount} repl${thread.replyCount === 1 ? 'y' : 'ies'}, ${thread.participantCount} participant${thread.participantCount === 1 ? '' : 's'}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+
+            ${this.formatUserFocus(compareUserFocus(versionProfiles))}
+        `;
+    }
+
+    formatUserFocus(focus) {
+        if (!focus) {
+            return '';
+        }
+
+        const percent = value => `${(value * 100).toFixed(0)}%`;
+        const shifts = focus.shifts.slice(0, 6);
+        return `
+            <h5 class="chart-title">Focus across versions</h5>
+            <table class="category-table">
+                <thead><tr><th>Version</th><th>Messages</th><th>Main topic</th></tr></thead>
+                <tbody>
+                    ${focus.versions.map(row => `
+                        <tr><td>${escapeHtml(formatVersionLabel(row.version))}</td><td>${row.messageCount}</td><td>${escapeHtml(row.topTopic || '—')}</td></tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${shifts.length > 0 ? `
+                ${renderLineChart({
+                    labels: focus.versions.map(row => formatVersionLabel(row.version)),
+                    series: shifts.map(shift => ({ name: shift.name, values: shift.shares.map(share => Math.round(share * 100)) }))
+                })}
+                <ul class="user-profile-list">
+                    ${shifts.map(shift => `
+                        <li>${escapeHtml(shift.name)}: ${percent(shift.from)} → ${percent(shift.to)} of their messages
+                            <span class="${shift.change >= 0 ? 'user-profile-up' : 'user-profile-down'}">(${shift.change >= 0 ? '+' : ''}${Math.round(shift.change * 100)} pts)</span></li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    setVersionPickerEnabled(enabled) {
+        ['versionPickSpread', 'versionPickLatest', 'versionPickAll', 'versionPickNone'].forEach(id => {
+            document.getElementById(id).disabled = !enabled;
+        });
+    }
+
+    populateVersionList() {
+        const versionList = document.getElementById('versionList');
+        const selected = new Set(this.selectedVersions);
+
+        versionList.innerHTML = this.availableVersions.map(version => {
             const timestamp = new Date(version.createdAt || version.version).toLocaleString();
             const messageInfo = version.messageCount ? ` - ${version.messageCount} msgs` : '';
             const topicInfo = version.topicCount ? `, ${version.topicCount} topics` : '';
-            const optionText = `Version ${version.version} (${timestamp})${messageInfo}${topicInfo}`;
-            
-            version1Select.innerHTML += `<option value="${version.version}">${optionText}</option>`;
-            version2Select.innerHTML += `<option value="${version.version}">${optionText}</option>`;
-            version3Select.innerHTML += `<option value="${version.version}">${optionText}</option>`;
-        });
+            return `
+                <label class="version-option">
+                    <input type="checkbox" value="${version.version}" ${selected.has(version.version) ? 'checked' : ''}>
+                    Version ${version.version} (${timestamp})${messageInfo}${topicInfo}
+                </label>
+            `;
+        }).join('') || '<p class="version-list-empty">No versions available</p>';
+
+        const count = this.selectedVersions.length;
+        document.getElementById('versionSelectionSummary').textContent = this.availableVersions.length === 0 ? '' :
+            `${count} of ${this.availableVersions.length} versions selected` +
+            (count > MAX_SIDE_BY_SIDE_VERSIONS ? ' — compared on a timeline, one version shown at a time' : '');
     }
 
     // User loading and query type methods removed - simplified interface
 
     validateForm() {
         const executeBtn = document.getElementById('executeQuery');
-        const isValid = this.selectedChannel && this.selectedVersions[0]; // Only need Version 1 selected
+        const isValid = this.selectedChannel && this.selectedVersions.length > 0;
         
         executeBtn.disabled = !isValid;
     }
@@ -313,7 +1056,10 @@ class TopicTreeInterface {
             executeBtn.disabled = true;
             queryLoader.style.display = 'block';
             
-            await this.executeMultiVersionQuery(queryData);
+            if (await this.executeMultiVersionQuery(queryData)) {
+                this.startConversation(queryData);
+                this.updateUrlState();
+            }
         } catch (error) {
             console.error('Query execution error:', error);
             this.showError('Failed to execute query: ' + error.message);
@@ -324,54 +1070,281 @@ class TopicTreeInterface {
     }
 
     buildQueryData() {
-        const selectedVersions = this.selectedVersions.filter(v => v !== null);
-        const customQuery = document.getElementById('customQuery')?.value?.trim() || '';
+        const selectedVersions = this.selectedVersions;
+        const queryType = this.selectedQueryType;
+        const customQuery = queryType === 'custom_query' ? document.getElementById('customQuery')?.value?.trim() || '' : '';
 
         console.log('📋 Building query data:', {
-            type: 'custom_query',
+            type: queryType,
             customQuestion: customQuery,
             versions: selectedVersions
         });
 
         return {
-            type: 'custom_query',
+            type: queryType,
             dataset: this.selectedChannel,
-            users: [], // No user filtering in simplified interface
+            users: this.selectedUsers,
             versions: selectedVersions,
             customQuestion: customQuery,
+            ...(queryType === 'message_search' ? { search: this.buildSearchOptions() } : {}),
+            ...(queryType === 'time_window' ? { timeWindow: this.buildTimeWindowOptions() } : {}),
+            categories: this.datasetRegistry.taxonomyFor(this.selectedChannel),
             parameters: {},
             timestamp: new Date().toISOString()
         };
     }
 
-    async executeMultiVersionQuery(queryData) {
+    buildSearchOptions() {
+        const splitList = (id) => (document.getElementById(id).value || '').split(',').map(item => item.trim()).filter(Boolean);
+        const from = document.getElementById('searchFrom').value;
+        const to = document.getElementById('searchTo').value;
+
+        return {
+            query: document.getElementById('searchQuery').value.trim(),
+            users: splitList('searchUsers'),
+            topics: splitList('searchTopics'),
+            // Date inputs are whole local days; make the end date inclusive
+            from: from ? new Date(`${from}T00:00:00`).toISOString() : null,
+            to: to ? new Date(`${to}T23:59:59`).toISOString() : null
+        };
+    }
+
+    buildTimeWindowOptions() {
+        const preset = document.getElementById('timeWindowPreset').value;
+        const from = document.getElementById('windowFrom').value;
+        const to = document.getElementById('windowTo').value;
+
+        return {
+            preset: preset,
+            // Same inclusive whole-day handling as the search date range
+            from: preset === 'custom' && from ? new Date(`${from}T00:00:00`).toISOString() : null,
+            to: preset === 'custom' && to ? new Date(`${to}T23:59:59`).toISOString() : null,
+            granularity: document.getElementById('timeWindowBucket').value || 'auto'
+        };
+    }
+
+    // Resolves to true once the results are on screen, or false when a newer query started meanwhile
+    async executeMultiVersionQuery(queryData, versions = this.selectedVersions) {
         console.log('🔄 Starting multi-version query');
-        console.log('📋 Selected versions:', this.selectedVersions);
-        
-        // Reset results cache
-        this.resultsCache = [null, null, null];
+        console.log('📋 Selected versions:', versions);
         
-        // Get selected versions (filter out nulls)
-        const selectedVersions = this.selectedVersions.filter(v => v !== null);
+        // Reset results cache; answers still streaming for the previous query are no longer wanted
+        const token = ++this.queryToken;
+        const selectedVersions = versions.slice();
+        this.resultsCache = selectedVersions.map(() => null);
+        this.cancelAiStreams();
         
-        // Execute queries for each selected version
-        const promises = selectedVersions.map((version, index) => 
-            this.executeQueryAgainstVersion(queryData, version)
-                .then(results => {
-                    console.log(`Version ${index + 1} results loaded:`, results);
-                    this.resultsCache[index] = results;
-                    return results;
-                })
-        );
-        
-        // Wait for all queries to complete
-        await Promise.all(promises);
+        // Fetch the tree of each selected version, a few at a time
+        const responses = selectedVersions.map(() => null);
+        try {
+            for (let start = 0; start < selectedVersions.length; start += MAX_PARALLEL_VERSION_QUERIES) {
+                const batch = selectedVersions.slice(start, start + MAX_PARALLEL_VERSION_QUERIES);
+                await Promise.all(batch.map((version, offset) =>
+                    this.fetchVersionResponse(queryData, version)
+                        .then(response => {
+                            responses[start + offset] = response;
+                        })
+                ));
+            }
+        } catch (error) {
+            if (token !== this.queryToken) {
+                return false;
+            }
+            throw error;
+        }
+
+        if (token !== this.queryToken) {
+            console.log('⏭️ Dropping the results of a query that a newer one replaced');
+            return false;
+        }
+
+        // Relative dates in the question mean the same range in every version
+        const now = questionAnchor(responses.map(response => response.apiResponse.tree));
+        const results = responses.map((response, index) => {
+            const versionResults = this.buildVersionResults(response, queryData, selectedVersions[index], { now });
+            console.log(`Version ${selectedVersions[index]} results loaded:`, versionResults);
+            return versionResults;
+        });
         
         // Display results
-        this.displayMultiVersionResults(queryData, this.resultsCache);
+        // One controller cancels the narrative and the column answers together when another query replaces these
+        const aiAbort = new AbortController();
+        this.aiAbort = aiAbort;
+        this.resultsCache = results;
+        this.displayMultiVersionResults(queryData, results, aiAbort.signal);
+
+        // AI answers stream into their columns once the local results are on screen
+        this.aiReady = this.streamAiSummaries(queryData, aiAbort.signal);
+        return true;
+    }
+
+    cancelAiStreams() {
+        if (this.aiAbort) {
+            this.aiAbort.abort();
+            this.aiAbort = null;
+        }
+    }
+
+    // Resolves to true when every pending answer arrived (or fell back to local insights) without being cancelled
+    async streamAiSummaries(queryData, signal) {
+        const pending = this.resultsCache
+            .map((results, index) => ({ results, index }))
+            .filter(({ results }) => results?.aiPending);
+        if (pending.length === 0) {
+            return false;
+        }
+
+        await Promise.all(pending.map(({ results, index }) => this.streamAiSummary(queryData, results, index, signal)));
+        return !signal.aborted;
+    }
+
+    async streamAiSummary(queryData, results, index, signal) {
+        const { aiPending, ...localResults } = results;
+        let enhancedResults = null;
+
+        try {
+            enhancedResults = await this.enhanceWithOpenAI(localResults, queryData, {
+                signal: signal,
+                onToken: text => {
+                    results.aiPartial = text;
+                    this.renderAiStream(results);
+                }
+            });
+        } catch (error) {
+            if (!signal.aborted) {
+                console.log('⚠️ OpenAI enhancement failed, using local insights:', error.message);
+            }
+        }
+
+        // A cancelled answer (the question, versions or users changed) leaves the local results in its column
+        if (signal.aborted) {
+            console.log(`⏹️ AI answer for version ${results.version} cancelled`);
+            enhancedResults = null;
+        }
+        this.replaceStreamingResults(results, enhancedResults || localResults, index);
+    }
+
+    // Skipped when a newer query has replaced the results while the answer streamed
+    replaceStreamingResults(results, replacement, index) {
+        if (this.resultsCache[index] !== results) {
+            return;
+        }
+        this.resultsCache[index] = replacement;
+        if (this.visibleVersionIndexes().includes(index)) {
+            this.displayResultsInVersionColumn(replacement, index + 1);
+        }
+    }
+
+    renderAiStream(results) {
+        const container = document.getElementById(`aiStream-${results.version}`);
+        if (container) {
+            container.innerHTML = `${escapeHtml(results.aiPartial).replace(/\n/g, '<br>')}<span class="ai-stream-cursor"></span>`;
+        }
     }
 
-    displayMultiVersionResults(queryData, results) {
+    // A custom question opens a conversation whose first turn is the question itself
+    startConversation(queryData) {
+        if (queryData.type !== 'custom_query' || !queryData.customQuestion) {
+            this.conversation.reset(null);
+            this.renderConversation();
+            return;
+        }
+
+        const scope = { dataset: queryData.dataset, versions: this.resultsCache.filter(Boolean).map(result => result.version), users: queryData.users };
+        this.conversation.reset(scope);
+        this.updateTurnWhenAnswered(this.conversation.record({ question: queryData.customQuestion, scope }, this.resultsCache));
+        this.renderConversation();
+    }
+
+    // Turns are recorded with the local answer; the AI answers replace it once they have streamed in
+    updateTurnWhenAnswered(turn) {
+        this.aiReady.then(completed => {
+            if (completed) {
+                turn.answer = summarizeAnswer(this.resultsCache.filter(Boolean));
+                this.renderConversation();
+            }
+        });
+    }
+
+    async askFollowUp(question) {
+        const chatInput = document.getElementById('chatInput');
+        const chatSend = document.getElementById('chatSend');
+        const latest = this.resultsCache.filter(Boolean).pop();
+        let failure = null;
+
+        try {
+            chatInput.disabled = true;
+            chatSend.disabled = true;
+            document.getElementById('chatLoader').style.display = 'block';
+
+            const resolution = this.conversation.resolve(question, {
+                availableVersions: this.availableVersions.map(v => v.version),
+                users: this.userDirectory,
+                topics: latest?.data?.topics || []
+            });
+            console.log('💬 Follow-up resolved:', resolution);
+
+            // The previous query supplies the dataset and categories; the resolution supplies everything the follow-up changed
+            const { search, timeWindow, conversation, ...base } = this.lastQueryData;
+            const queryData = {
+                ...base,
+                type: resolution.type,
+                customQuestion: resolution.standalone,
+                ...(resolution.search ? { search: resolution.search } : {}),
+                users: resolution.scope.users,
+                versions: resolution.scope.versions,
+                conversation: {
+                    followUp: resolution.question,
+                    history: this.conversation.history(),
+                    carried: resolution.carried
+                },
+                timestamp: new Date().toISOString()
+            };
+
+            if (await this.executeMultiVersionQuery(queryData, resolution.scope.versions)) {
+                this.updateTurnWhenAnswered(this.conversation.record(resolution, this.resultsCache));
+                chatInput.value = '';
+            }
+        } catch (error) {
+            console.error('Follow-up error:', error);
+            failure = error.message;
+        } finally {
+            chatInput.disabled = false;
+            chatSend.disabled = false;
+            document.getElementById('chatLoader').style.display = 'none';
+            this.renderConversation(failure);
+        }
+    }
+
+    renderConversation(error = null) {
+        const chatPanel = document.getElementById('chatPanel');
+        if (!this.conversation.active) {
+            chatPanel.style.display = 'none';
+            return;
+        }
+
+        const userNames = new Map(this.userDirectory.map(user => [user.userId, user.userName]));
+        const describeScope = (scope) => [
+            `${scope.versions.length === 1 ? 'Version' : 'Versions'} ${scope.versions.join(', ')}`,
+            scope.users.length > 0 ? scope.users.map(userId => `@${userNames.get(userId) || userId}`).join(', ') : 'all users'
+        ].join(' · ');
+
+        document.getElementById('chatHistory').innerHTML = this.conversation.turns.map(turn => `
+            <div class="chat-turn">
+                <div class="chat-question">
+                    <p>${escapeHtml(turn.question)}</p>
+                    ${turn.standalone !== turn.question ? `<small class="chat-resolved">Asked as: ${escapeHtml(turn.standalone)}</small>` : ''}
+                </div>
+                <div class="chat-answer">
+                    <small class="chat-scope">${escapeHtml(describeScope(turn.scope))}${turn.type === 'message_search' ? ' · messages' : ''}</small>
+                    <p>${escapeHtml(turn.answer).replace(/\n/g, '<br>')}</p>
+                </div>
+            </div>
+        `).join('') + (error ? `<p class="chat-error">❌ ${escapeHtml(error)}</p>` : '');
+        chatPanel.style.display = 'block';
+    }
+
+    displayMultiVersionResults(queryData, results, signal) {
         const resultsSection = document.getElementById('resultsSection');
         const singleResults = document.getElementById('singleResults');
         const multiVersionResults = document.getElementById('multiVersionResults');
@@ -379,53 +1352,140 @@ class TopicTreeInterface {
 
         resultsSection.style.display = 'block';
         resultsSection.classList.add('fade-in');
+        this.lastQueryData = queryData;
+
+        // Hide single results, show multi-version results
+        singleResults.style.display = 'none';
+        multiVersionResults.style.display = 'grid';
+
+        // Large selections start on the latest version
+        this.focusedVersionIndex = Math.max(0, results.length - 1);
+        document.getElementById('resultVersionSelect').innerHTML = results
+            .map((result, index) => result ? `<option value="${index}">Version ${result.version} (${formatVersionLabel(result.version)})</option>` : '')
+            .join('');
+        document.getElementById('resultVersionSelect').value = String(this.focusedVersionIndex);
+        this.renderVersionColumns();
 
-        // Add AI summary if available for custom queries
-        this.displayAISummary(queryData, results);
+        // Show delta analysis tab if multiple versions
+        const validResults = results.filter(r => r !== null);
+        if (validResults.length > 1) {
+            comparisonTab.style.display = 'block';
+            console.log('🔄 Generating delta analysis for', validResults.length, 'versions');
+            const delta = this.generateMultiVersionDelta(validResults);
+            this.narrativeReady = this.displayAISummary(queryData, validResults, delta, signal);
+        } else {
+            comparisonTab.style.display = 'none';
+            this.evolutionNarrative = null;
+        }
+    }
+
+    // Indexes into resultsCache that get a column: all of a small selection, otherwise the focused version
+    visibleVersionIndexes() {
+        if (this.resultsCache.length <= MAX_SIDE_BY_SIDE_VERSIONS) {
+            return this.resultsCache.map((_, index) => index);
+        }
+        return [Math.min(this.focusedVersionIndex, this.resultsCache.length - 1)];
+    }
 
-        // Hide single results, show multi-version results
-        singleResults.style.display = 'none';
-        multiVersionResults.style.display = 'grid';
+    renderVersionColumns() {
+        const multiVersionResults = document.getElementById('multiVersionResults');
+        const indexes = this.visibleVersionIndexes().filter(index => this.resultsCache[index]);
+        const tabClass = (tab) => `tab-content${this.activeTab === tab ? ' active' : ''}`;
 
-        // Count active versions
-        const activeVersions = this.selectedVersions.filter(v => v !== null);
-        
-        // Set grid layout based on number of versions
+        // Set grid layout based on number of columns
         multiVersionResults.className = 'multi-version-grid';
-        if (activeVersions.length === 2) {
+        if (indexes.length === 2) {
             multiVersionResults.classList.add('two-versions');
-        } else if (activeVersions.length === 3) {
+        } else if (indexes.length === 3) {
             multiVersionResults.classList.add('three-versions');
         }
 
-        // Show/hide version columns and populate data
-        for (let i = 0; i < 3; i++) {
-            const column = document.getElementById(`version${i + 1}Column`);
-            const title = document.getElementById(`version${i + 1}Title`);
-            
-            if (i < activeVersions.length && results[i]) {
-                column.style.display = 'block';
-                title.textContent = `Version ${this.selectedVersions[i]}`;
-                this.displayResultsInVersionColumn(results[i], i + 1);
-            } else {
-                column.style.display = 'none';
+        document.getElementById('versionSwitcher').style.display =
+            this.resultsCache.length > MAX_SIDE_BY_SIDE_VERSIONS && this.activeTab !== 'delta' ? 'flex' : 'none';
+
+        // Column IDs follow the version's position in the selection, so each keeps its containers when re-rendered
+        document.getElementById('versionColumns').innerHTML = indexes.map(index => `
+            <div class="version-column" id="version${index + 1}Column" style="display: ${this.activeTab === 'delta' ? 'none' : 'block'};">
+                <h3 id="version${index + 1}Title">Version ${this.resultsCache[index].version}</h3>
+                <div class="${tabClass('insights')}" data-tab="insights">
+                    <div id="insightsContent${index + 1}"></div>
+                </div>
+                <div class="${tabClass('raw')}" data-tab="raw">
+                    <pre id="rawContent${index + 1}"></pre>
+                </div>
+            </div>
+        `).join('');
+
+        indexes.forEach(index => this.displayResultsInVersionColumn(this.resultsCache[index], index + 1));
+    }
+
+    // One narrative across all the versions on screen: the local summary shows at once, the AI one replaces it when it arrives
+    async displayAISummary(queryData, results, delta, signal) {
+        const context = buildEvolutionContext(results, delta);
+        if (!context) {
+            this.evolutionNarrative = null;
+            return;
+        }
+
+        const narrative = { text: describeEvolution(context), method: 'local', pending: this.openaiEnabled };
+        this.evolutionNarrative = narrative;
+        this.renderEvolutionNarrative();
+        if (!this.openaiEnabled) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/evolution-narrative', {
+                method: 'POST',
+                ...(signal ? { signal } : {}),
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    context: context,
+                    ...(queryData.type === 'custom_query' && queryData.customQuestion ? { question: queryData.customQuestion } : {})
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Serverless function error: ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Unknown error');
             }
+
+            narrative.text = data.narrative.trim();
+            narrative.method = `${data.provider}:${data.model}`;
+            console.log('✅ Evolution narrative generated');
+        } catch (error) {
+            console.log('⚠️ Evolution narrative failed, keeping the local summary:', error.message);
         }
 
-        // Show delta analysis tab if multiple versions
-        if (activeVersions.length > 1) {
-            comparisonTab.style.display = 'block';
-            const validResults = results.filter(r => r !== null);
-            console.log('🔄 Generating delta analysis for', validResults.length, 'versions');
-            this.generateMultiVersionDelta(validResults);
-        } else {
-            comparisonTab.style.display = 'none';
+        narrative.pending = false;
+        // A newer query may have replaced the results while the narrative was generated
+        if (this.evolutionNarrative === narrative) {
+            this.renderEvolutionNarrative();
         }
     }
 
-    displayAISummary(queryData, results) {
-        // This method is no longer needed - AI summaries are now per-version
-        // Each version will display its own AI summary in the insights section
+    renderEvolutionNarrative() {
+        const container = document.getElementById('evolutionNarrative');
+        if (!container || !this.evolutionNarrative) {
+            return;
+        }
+
+        const { text, method, pending } = this.evolutionNarrative;
+        container.innerHTML = `
+            <h4>🧭 How the Community Evolved</h4>
+            <div class="ai-summary-content-version">
+                ${text.split(/\n{2,}/).map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`).join('')}
+            </div>
+            <small class="evolution-narrative-meta">${pending
+                ? '⏳ Writing the AI narrative… showing the local summary meanwhile'
+                : method === 'local' ? 'Local summary of the delta below' : `🤖 AI narrative (${escapeHtml(method)}) from the delta below`}</small>
+        `;
     }
 
     displayResultsInVersionColumn(results, versionNumber) {
@@ -465,28 +1525,28 @@ class TopicTreeInterface {
     generateMultiVersionDelta(results) {
         const deltaContainer = document.getElementById('deltaContent');
         
-        console.log('📊 Delta analysis input:', results);
-        
         if (!deltaContainer) {
             console.error('❌ Delta container not found');
             return;
         }
 
-        if (!results || results.length < 2) {
+        // Statistics and changes are computed in lib/version-delta.js, shared with the CLI and API
+        const delta = computeMultiVersionDelta(results);
+        if (!delta) {
             deltaContainer.innerHTML = '<p>Need at least 2 versions for comparison</p>';
             return;
         }
-
-        // Sort results by version number
-        const sortedResults = [...results].sort((a, b) => a.version - b.version);
         
         let deltaHtml = `
             <div class="delta-analysis">
                 <h3>🔄 Multi-Version Comparison Analysis</h3>
-                <p>Comparing ${sortedResults.length} versions: ${sortedResults.map(r => r.version).join(' → ')}</p>
+                <p>Comparing ${delta.versions.length} versions: ${delta.versions.join(' → ')}</p>
             </div>
+            <div id="evolutionNarrative" class="delta-section evolution-narrative"></div>
         `;
 
+        deltaHtml += this.formatVersionTimeline(buildVersionTimeline(delta));
+
         // Add basic comparison stats
         deltaHtml += `
             <div class="delta-section">
@@ -501,18 +1561,18 @@ class TopicTreeInterface {
                     </tr>
         `;
 
-        sortedResults.forEach((result, index) => {
-            const isFirst = index === 0;
-            const isLast = index === sortedResults.length - 1;
+        delta.rows.forEach(row => {
+            const isFirst = row.position === 'earliest';
+            const isLast = row.position === 'latest';
             const rowStyle = isFirst ? 'background: #fef2f2;' : isLast ? 'background: #f0fdf4;' : 'background: white;';
             
             deltaHtml += `
                 <tr style="${rowStyle}">
-                    <td style="padding: 16px; border: 1px solid #d1d5db; font-weight: 700; color: #1e293b;">${result.version}${isFirst ? ' (earliest)' : isLast ? ' (latest)' : ''}</td>
-                    <td style="padding: 16px; border: 1px solid #d1d5db; font-weight: 600; color: #374151;">${result.data.messageCount}</td>
-                    <td style="padding: 16px; border: 1px solid #d1d5db; font-weight: 600; color: #374151;">${result.data.topicCount}</td>
-                    <td style="padding: 16px; border: 1px solid #d1d5db; font-weight: 600; color: #374151;">${result.data.activeUsers}</td>
-                    <td style="padding: 16px; border: 1px solid #d1d5db; font-weight: 600; color: #374151;">${result.data.mostDiscussedTopic?.name || 'N/A'}</td>
+                    <td style="padding: 16px; border: 1px solid #d1d5db; font-weight: 700; color: #1e293b;">${row.version}${row.position ? ` (${row.position})` : ''}</td>
+                    <td style="padding: 16px; border: 1px solid #d1d5db; font-weight: 600; color: #374151;">${row.messageCount}</td>
+                    <td style="padding: 16px; border: 1px solid #d1d5db; font-weight: 600; color: #374151;">${row.topicCount}</td>
+                    <td style="padding: 16px; border: 1px solid #d1d5db; font-weight: 600; color: #374151;">${row.activeUsers}</td>
+                    <td style="padding: 16px; border: 1px solid #d1d5db; font-weight: 600; color: #374151;">${row.mostDiscussedTopic || 'N/A'}</td>
                 </tr>
             `;
         });
@@ -520,36 +1580,158 @@ class TopicTreeInterface {
         deltaHtml += `</table></div>`;
 
         // Add evolution summary
-        const firstVersion = sortedResults[0];
-        const lastVersion = sortedResults[sortedResults.length - 1];
-        const messageDiff = lastVersion.data.messageCount - firstVersion.data.messageCount;
-        const topicDiff = lastVersion.data.topicCount - firstVersion.data.topicCount;
-        const userDiff = lastVersion.data.activeUsers - firstVersion.data.activeUsers;
 
         deltaHtml += `
             <div class="delta-section">
                 <h4>📈 Evolution Summary</h4>
                 <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 20px;">
                     <div style="padding: 24px; background: rgba(16, 185, 129, 0.1); border: 1px solid rgba(16, 185, 129, 0.3); border-radius: 0; text-align: center;">
-                        <div style="font-size: 24px; font-weight: 800; color: #10b981; margin-bottom: 8px;">${messageDiff >= 0 ? '+' : ''}${messageDiff}</div>
+                        <div style="font-size: 24px; font-weight: 800; color: #10b981; margin-bottom: 8px;">${formatSignedNumber(delta.changes.messages)}</div>
                         <div style="font-size: 14px; font-weight: 600; color: #ffffff; text-transform: uppercase; letter-spacing: 0.05em;">Messages</div>
                     </div>
                     <div style="padding: 24px; background: rgba(99, 102, 241, 0.1); border: 1px solid rgba(99, 102, 241, 0.3); border-radius: 0; text-align: center;">
-                        <div style="font-size: 24px; font-weight: 800; color: #6366f1; margin-bottom: 8px;">${topicDiff >= 0 ? '+' : ''}${topicDiff}</div>
+                        <div style="font-size: 24px; font-weight: 800; color: #6366f1; margin-bottom: 8px;">${formatSignedNumber(delta.changes.topics)}</div>
                         <div style="font-size: 14px; font-weight: 600; color: #ffffff; text-transform: uppercase; letter-spacing: 0.05em;">Topics</div>
                     </div>
                     <div style="padding: 24px; background: rgba(6, 182, 212, 0.1); border: 1px solid rgba(6, 182, 212, 0.3); border-radius: 0; text-align: center;">
-                        <div style="font-size: 24px; font-weight: 800; color: #06b6d4; margin-bottom: 8px;">${userDiff >= 0 ? '+' : ''}${userDiff}</div>
+                        <div style="font-size: 24px; font-weight: 800; color: #06b6d4; margin-bottom: 8px;">${formatSignedNumber(delta.changes.users)}</div>
                         <div style="font-size: 14px; font-weight: 600; color: #ffffff; text-transform: uppercase; letter-spacing: 0.05em;">Users</div>
                     </div>
                 </div>
             </div>
         `;
 
-        console.log('✅ Delta HTML generated:', deltaHtml);
+        if (delta.evolution) {
+            deltaHtml += this.formatTopicEvolution(delta.evolution, delta.versions);
+        }
+
+        if (delta.categories) {
+            deltaHtml += this.formatCategoryShift(delta.categories, delta.versions);
+        }
+
+        if (delta.sentiment) {
+            deltaHtml += this.formatSentimentShift(delta.sentiment);
+        }
+
         deltaContainer.innerHTML = deltaHtml;
-        console.log('✅ Delta container updated. Container innerHTML length:', deltaContainer.innerHTML.length);
-        console.log('✅ Delta container visibility:', window.getComputedStyle(deltaContainer).display);
+        return delta;
+    }
+
+    formatVersionTimeline(timeline) {
+        return `
+            <div class="delta-section">
+                <h4>📈 Timeline</h4>
+                <h5 class="timeline-title">Messages, topics and users</h5>
+                ${renderLineChart({ labels: timeline.labels, series: timeline.totals })}
+                ${timeline.topics.length > 0 ? `
+                    <h5 class="timeline-title">Messages per topic</h5>
+                    ${renderLineChart({ labels: timeline.labels, series: timeline.topics })}
+                ` : ''}
+            </div>
+        `;
+    }
+
+    formatTopicEvolution(evolution, versions) {
+        const formatCell = (cell, previous) => {
+            if (!cell) {
+                return '<td class="evolution-empty">—</td>';
+            }
+            // Only show the name where it differs from the previous version's
+            const renamed = !previous || previous.name !== cell.name;
+            return `<td>${renamed ? `<span class="evolution-name">${escapeHtml(cell.name)}</span> ` : ''}${cell.messageCount}</td>`;
+        };
+
+        return `
+            <div class="delta-section">
+                <h4>🧬 Topic Evolution</h4>
+                ${evolution.transitions.map(transition => {
+                    const events = transition.events.filter(event => event.type !== 'stable');
+                    return `
+                        <h5 class="evolution-step">${transition.from} → ${transition.to}</h5>
+                        ${events.length === 0 ? '<p class="search-results-summary">No topic changed</p>' : `
+                            <ul class="evolution-events">
+                                ${events.map(event => `
+                                    <li class="evolution-${event.type}">
+                                        <span class="evolution-label">${EVOLUTION_LABELS[event.type]}</span>
+                                        ${escapeHtml(describeEvolutionEvent(event))}
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        `}
+                    `;
+                }).join('')}
+                <table class="category-table evolution-table">
+                    <tr>
+                        ${versions.map(version => `<th>${version}</th>`).join('')}
+                        <th>Status</th>
+                    </tr>
+                    ${evolution.lineages.map(lineage => `
+                        <tr>
+                            ${lineage.cells.map((cell, index) => formatCell(cell, lineage.cells[index - 1])).join('')}
+                            <td class="evolution-${lineage.status}">${EVOLUTION_LABELS[lineage.status]}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+        `;
+    }
+
+    formatCategoryShift(categories, versions) {
+        return `
+            <div class="delta-section">
+                <h4>🗂️ Categories</h4>
+                <table class="category-table">
+                    <tr>
+                        <th>Category</th>
+                        ${versions.map(version => `<th>${version}</th>`).join('')}
+                        <th>Change</th>
+                    </tr>
+                    ${categories.map(category => `
+                        <tr>
+                            <td>${escapeHtml(category.name)}</td>
+                            ${category.counts.map(count => `<td>${count}</td>`).join('')}
+                            <td class="${category.change > 0 ? 'category-up' : category.change < 0 ? 'category-down' : ''}">${formatSignedNumber(category.change)} (${formatSignedNumber(Math.round(category.shareChange * 100))} pts)</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+        `;
+    }
+
+    formatSentimentShift(shift) {
+        const movers = shift.topics
+            .filter(topic => topic.change !== 0)
+            .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+            .slice(0, 5);
+
+        return `
+            <div class="delta-section">
+                <h4>💬 Sentiment Shift (${formatSentimentScore(shift.change)})</h4>
+                ${shift.rows.map(row => {
+                    const total = row.distribution.positive + row.distribution.neutral + row.distribution.negative || 1;
+                    return `
+                        <div class="sentiment-row">
+                            <span class="sentiment-version">${row.version}</span>
+                            <div class="sentiment-bar">
+                                <span class="sentiment-positive" style="width: ${(100 * row.distribution.positive / total).toFixed(1)}%;"></span>
+                                <span class="sentiment-neutral" style="width: ${(100 * row.distribution.neutral / total).toFixed(1)}%;"></span>
+                                <span class="sentiment-negative" style="width: ${(100 * row.distribution.negative / total).toFixed(1)}%;"></span>
+                            </div>
+                            <span class="sentiment-badge sentiment-${row.label}">${formatSentimentScore(row.average)}</span>
+                        </div>
+                    `;
+                }).join('')}
+                ${movers.length > 0 ? `
+                    <h5 class="sentiment-heading">Biggest topic shifts</h5>
+                    ${movers.map(topic => `
+                        <div class="topic-header">
+                            <span class="topic-name">${escapeHtml(topic.name)}</span>
+                            <span class="topic-stats">${formatSentimentScore(topic.from)} → ${formatSentimentScore(topic.to)} (${formatSentimentScore(topic.change)})</span>
+                        </div>
+                    `).join('')}
+                ` : ''}
+            </div>
+        `;
     }
 
     async executeSingleQuery(queryData) {
@@ -604,7 +1786,11 @@ class TopicTreeInterface {
         }
     }
 
-    async executeQueryAgainstVersion(queryData, version) {
+    async executeQueryAgainstVersion(queryData, version, options = {}) {
+        return this.buildVersionResults(await this.fetchVersionResponse(queryData, version), queryData, version, options);
+    }
+
+    async fetchVersionResponse(queryData, version) {
         const selectedUsers = queryData.users;
         let endpoint, params;
 
@@ -630,348 +1816,52 @@ class TopicTreeInterface {
             throw new Error('Invalid API response structure');
         }
 
+        return { apiResponse, endpoint, params };
+    }
+
+    // `options.now` anchors relative dates in the question, shared by every version of a query
+    buildVersionResults({ apiResponse, endpoint, params }, queryData, version, options = {}) {
         // Process the tree data locally with user filtering
-        const processedResults = this.processTreeLocally(apiResponse.tree, queryData, version);
-        
-        // Enhance with OpenAI if custom query and API available
-        if (this.openaiEnabled && queryData.type === 'custom_query' && queryData.customQuestion) {
-            try {
-                console.log('🤖 Enhancing with OpenAI for custom query...');
-                const enhancedResults = await this.enhanceWithOpenAI(processedResults, queryData, apiResponse.tree);
-                return {
-                    ...enhancedResults,
-                    rawResponse: this.formatRawApiResponse(apiResponse, endpoint, params),
-                    version: version
-                };
-            } catch (error) {
-                console.log('⚠️ OpenAI enhancement failed, using local insights:', error.message);
-                // Graceful fallback to local processing
-            }
-        }
+        const processedResults = this.processTreeLocally(apiResponse.tree, queryData, version, options);
         
         return {
             ...processedResults,
             rawResponse: this.formatRawApiResponse(apiResponse, endpoint, params),
-            version: version
+            version: version,
+            // Custom queries get an AI answer streamed in after the local results are shown (see streamAiSummaries)
+            ...(this.openaiEnabled && queryData.type === 'custom_query' && queryData.customQuestion ? { aiPending: true } : {})
         };
     }
 
     async apiCall(endpoint, params) {
-        // Correct URL format: append endpoint to base URL
-        const url = `${this.baseUrl}/${endpoint}`;
-        const payload = {
-            params: params
-        };
-
-        console.log('🚀 API Call:', endpoint, params);
-        console.log('📤 URL:', url);
-        console.log('📤 Payload:', JSON.stringify(payload, null, 2));
-
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(payload)
-            });
-
-            console.log('📥 Response status:', response.status, response.statusText);
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('❌ Response error:', errorText);
-                throw new Error(`API call failed: ${response.status} ${response.statusText} - ${errorText}`);
-            }
-
-            const data = await response.json();
-            console.log('✅ API Response:', data);
-            
-            if (data.error) {
-                console.error('❌ API Error:', data.error);
-                throw new Error(data.error.message || 'API returned an error');
-            }
-
-            // Handle nested result structure from API
-            return data.result?.result?.data || data.result || data;
-        } catch (error) {
-            console.error('💥 API Call Exception:', error);
-            throw error;
-        }
+        // Delegate to the active data source (live endpoint, alternative URL or local files)
+        return this.dataSource.query(endpoint, params);
     }
 
-    processTreeLocally(treeData, queryData, version) {
-        console.log('🔍 Processing tree locally for version:', version);
-        console.log('📊 Tree data structure:', treeData);
-        console.log('📝 Messages available:', treeData?.messages ? 'YES' : 'NO');
-        console.log('📝 Message count:', treeData?.messages ? Object.keys(treeData.messages).length : 0);
-        
-        if (!treeData || !treeData.messages) {
-            return {
-                summary: "No data available for processing",
-                data: {},
-                insights: ["No messages found in the tree data"],
-                metadata: {
-                    version: version,
-                    timestamp: new Date().toISOString(),
-                    queryType: queryData.type,
-                    processingMethod: 'local',
-                    enhanced: false
-                }
-            };
-        }
-
-        // Handle messages as object (not array)
-        let messages = treeData.messages ? Object.values(treeData.messages) : [];
-        const topics = treeData.topics || [];
-        
-        // Extract topic names from the actual tree data
-        this.extractTopicNames(treeData);
-        
-        // Apply user filtering locally if users are specified
-        const selectedUsers = queryData.users || [];
-        if (selectedUsers.length > 0) {
-            const userIds = selectedUsers.map(id => parseInt(id));
-            messages = messages.filter(message => userIds.includes(message.fromUserId));
-            console.log(`🔍 Applied local user filtering: ${messages.length} messages after filtering for users: ${userIds.join(', ')}`);
-        } else {
-            console.log(`🔍 No user filtering applied: ${messages.length} total messages`);
-        }
-        
-        // Extract user information
-        const users = new Map();
-        const userMessageCounts = new Map();
-        const userTopics = new Map();
-        
-        messages.forEach(message => {
-            if (message.fromUserId && message.fromUserName) {
-                users.set(message.fromUserId, message.fromUserName);
-                userMessageCounts.set(message.fromUserId, (userMessageCounts.get(message.fromUserId) || 0) + 1);
-                
-                if (message.topicId !== undefined && message.topicId !== -1) {
-                    if (!userTopics.has(message.fromUserId)) {
-                        userTopics.set(message.fromUserId, new Set());
-                    }
-                    userTopics.get(message.fromUserId).add(message.topicId);
-                }
-            }
-        });
-
-        // Analyze topics
-        const topicAnalysis = new Map();
-        const topicMessageCounts = new Map();
-        const topicUsers = new Map();
-
-        messages.forEach(message => {
-            if (message.topicId !== undefined && message.topicId !== -1) {
-                const topicId = message.topicId;
-                topicMessageCounts.set(topicId, (topicMessageCounts.get(topicId) || 0) + 1);
-                
-                if (!topicUsers.has(topicId)) {
-                    topicUsers.set(topicId, new Map());
-                }
-                
-                const userId = message.fromUserId;
-                if (userId) {
-                    const userMap = topicUsers.get(topicId);
-                    userMap.set(userId, (userMap.get(userId) || 0) + 1);
-                }
-            }
-        });
-
-        // Build topic data with names
-        const topicsData = [];
-        topicMessageCounts.forEach((messageCount, topicId) => {
-            const contributors = [];
-            const topicUserMap = topicUsers.get(topicId) || new Map();
-            
-            topicUserMap.forEach((userMessageCount, userId) => {
-                const username = users.get(parseInt(userId)) || `User ${userId}`;
-                contributors.push({
-                    userId: parseInt(userId),
-                    username: `@${username}`,
-                    messageCount: userMessageCount
-                });
-            });
-
-            // Sort contributors by message count
-            contributors.sort((a, b) => b.messageCount - a.messageCount);
-
-            topicsData.push({
-                id: topicId,
-                name: this.getTopicName(topicId),
-                messageCount: messageCount,
-                contributorCount: contributors.length,
-                contributors: contributors
-            });
-        });
-
-        // Sort topics by popularity
-        topicsData.sort((a, b) => b.messageCount - a.messageCount);
-
-        // Generate insights (enhanced for custom queries)
-        const insights = this.generateInsights(messages, topicsData, users, queryData);
-
-        // Build final result
-        const result = {
-            summary: `Users discussing ${topicsData.length} topics with ${messages.length} total messages`,
-            data: {
-                messageCount: messages.length,
-                topicCount: topicsData.length,
-                activeUsers: users.size,
-                topics: topicsData,
-                topicsByPopularity: topicsData.slice(0, 5),
-                mostDiscussedTopic: topicsData[0] || null,
-                userEngagement: {
-                    averageMessagesPerUser: users.size > 0 ? Math.round(messages.length / users.size) : 0,
-                    averageTopicsPerUser: users.size > 0 ? Math.round(Array.from(userTopics.values()).reduce((sum, topics) => sum + topics.size, 0) / users.size) : 0
-                }
-            },
-            insights: insights,
-            metadata: {
-                version: version,
-                timestamp: new Date().toISOString(),
-                queryType: queryData.type,
-                processingMethod: 'local',
-                enhanced: false
-            }
-        };
-
-        console.log('Processed result:', result);
-        return result;
+    processTreeLocally(treeData, queryData, version, options = {}) {
+        // Analysis lives in the DOM-free semantic engine so it can run outside the browser.
+        // Every version's charts draw the activity buckets, so the interface always asks for them.
+        return this.engine.processTree(treeData, queryData, version, { activity: true, ...options });
     }
 
     generateInsights(messages, topicsData, users, queryData) {
-        const insights = [];
-
-        if (topicsData.length === 0) {
-            insights.push("No topics identified in the conversation data");
-            return insights;
-        }
-
-        // Most discussed topic
-        const topTopic = topicsData[0];
-        insights.push(`Most discussed: "${topTopic.name}" with ${topTopic.messageCount} messages from ${topTopic.contributorCount} contributors`);
-
-        // Topic diversity
-        insights.push(`${topicsData.length} distinct topics identified across all conversations`);
-
-        // User participation
-        insights.push(`${users.size} users actively participating with an average of ${Math.round(messages.length / users.size)} messages each`);
-
-        // Topic engagement
-        const avgMessagesPerTopic = Math.round(messages.length / topicsData.length);
-        insights.push(`Topic engagement: Average ${avgMessagesPerTopic} messages per topic`);
-
-        // Most active contributor
-        if (topTopic.contributors.length > 0) {
-            const topContributor = topTopic.contributors[0];
-            const totalMessages = Array.from(users.keys()).reduce((sum, userId) => {
-                return sum + topicsData.reduce((userSum, topic) => {
-                    const contributor = topic.contributors.find(c => c.userId === userId);
-                    return userSum + (contributor ? contributor.messageCount : 0);
-                }, 0);
-            }, 0);
-            
-            const userTotalMessages = topicsData.reduce((sum, topic) => {
-                const contributor = topic.contributors.find(c => c.userId === topContributor.userId);
-                return sum + (contributor ? contributor.messageCount : 0);
-            }, 0);
-            
-            const userTopicCount = topicsData.filter(topic => 
-                topic.contributors.some(c => c.userId === topContributor.userId)
-            ).length;
-            
-            insights.push(`Most active contributor: ${topContributor.username} (${userTotalMessages} messages across ${userTopicCount} topics)`);
-        }
-
-        // Query-specific insights
-        switch (queryData.type) {
-            case 'user_analysis':
-                if (queryData.users.length === 1) {
-                    insights.push(`Analysis focused on single user behavior and topic preferences`);
-                }
-                break;
-            case 'users_analysis':
-                if (queryData.users.length > 1) {
-                    insights.push(`Comparative analysis across ${queryData.users.length} selected users`);
-                }
-                break;
-            case 'time_window':
-                insights.push(`Time-based analysis showing topic trends and activity patterns`);
-                break;
-            case 'version_evolution':
-                insights.push(`Evolution analysis tracking topic changes over time`);
-                break;
-            case 'custom_query':
-                if (queryData.customQuestion) {
-                    console.log('🤖 Processing custom query:', queryData.customQuestion);
-                    insights.push(`Custom analysis for question: "${queryData.customQuestion}"`);
-                    const customInsights = this.generateCustomQueryInsights(messages, topicsData, users, queryData.customQuestion);
-                    console.log('🎯 Generated custom insights:', customInsights);
-                    insights.push(...customInsights);
-                } else {
-                    insights.push(`Custom query selected but no question provided`);
-                }
-                break;
-        }
-
-        return insights;
+        return this.engine.generateInsights(messages, topicsData, users, queryData);
     }
 
-    extractTopicNames(treeData) {
-        // Extract topic names from the actual tree data
-        console.log('🔍 Extracting topic names from tree data');
-        
-        if (treeData.topics) {
-            // If topics object exists with topic definitions
-            Object.entries(treeData.topics).forEach(([topicId, topicData]) => {
-                if (topicData && topicData.name) {
-                    this.topicNames.set(parseInt(topicId), topicData.name);
-                    console.log(`📝 Found topic ${topicId}: ${topicData.name}`);
-                } else if (topicData && topicData.title) {
-                    this.topicNames.set(parseInt(topicId), topicData.title);
-                    console.log(`📝 Found topic ${topicId}: ${topicData.title}`);
-                }
-            });
-        }
-        
-        // If no topic names found in tree, we'll generate them dynamically based on content
-        if (this.topicNames.size === 0) {
-            console.log('🔍 No topic names in tree data, will generate from content patterns');
-        }
-        
-        console.log(`✅ Extracted ${this.topicNames.size} topic names from tree data`);
+    generateCustomQueryInsights(messages, topicsData, users, customQuestion) {
+        return this.engine.generateCustomQueryInsights(messages, topicsData, users, customQuestion);
     }
 
     getTopicName(topicId) {
-        // Get topic name from extracted data, fallback to generated name
-        if (this.topicNames.has(topicId)) {
-            return this.topicNames.get(topicId);
-        }
-        
-        // Generate semantic topic name based on ID patterns (fallback only)
-        const fallbackNames = {
-            0: "General Discussion",
-            1: "Technical Implementation", 
-            2: "Community Governance",
-            3: "Market Analysis",
-            4: "Product Features",
-            5: "DeFi Protocols",
-            6: "Security & Audits",
-            7: "Token Economics",
-            8: "Development Updates",
-            9: "User Support"
-        };
-        
-        return fallbackNames[topicId] || `Topic ${topicId}`;
+        return this.engine.getTopicName(topicId);
     }
 
-    async enhanceWithOpenAI(localResults, queryData, treeData) {
+    // `onToken` receives the answer so far while it streams; `signal` cancels the request
+    async enhanceWithOpenAI(localResults, queryData, { signal, onToken } = {}) {
         console.log('🚀 Starting OpenAI enhancement...');
         
         // Prepare context for OpenAI
-        const context = this.prepareOpenAIContext(localResults, queryData, treeData);
+        const context = this.prepareOpenAIContext(localResults, queryData);
         
         const prompt = `You are an expert community analyst. Based on the topic tree data provided, answer this question with deep insights:
 
@@ -1012,14 +1902,20 @@ Response format: Provide a single, comprehensive paragraph (maximum 150 words) t
                 headers: {
                     'Content-Type': 'application/json'
                 },
+                ...(signal ? { signal: signal } : {}),
                 body: JSON.stringify({
                     question: queryData.customQuestion,
                     context: {
                         messageCount: localResults.data.messageCount,
                         topicCount: localResults.data.topicCount,
                         activeUsers: localResults.data.activeUsers,
-                        topics: localResults.data.topics
-                    }
+                        topics: localResults.data.topics,
+                        // The retrieved messages let the answer quote and cite the conversation itself
+                        evidence: localResults.evidence?.messages || []
+                    },
+                    // Follow-ups bring the earlier questions and answers, so "they" and "that version" make sense to the model
+                    ...(queryData.conversation ? { conversation: queryData.conversation } : {}),
+                    stream: !!onToken
                 })
             });
 
@@ -1027,7 +1923,9 @@ Response format: Provide a single, comprehensive paragraph (maximum 150 words) t
                 throw new Error(`Serverless function error: ${response.status}`);
             }
 
-            const data = await response.json();
+            const data = (response.headers.get('Content-Type') || '').includes('text/event-stream')
+                ? await this.readAiStream(response, onToken)
+                : await response.json();
             
             if (!data.success) {
                 throw new Error(data.error || 'Unknown error');
@@ -1035,332 +1933,73 @@ Response format: Provide a single, comprehensive paragraph (maximum 150 words) t
             
             const aiInsights = data.insights;
             
-            console.log('✅ OpenAI enhancement successful');
-            
-            // Create enhanced result with AI summary
-            return {
-                ...localResults,
-                aiSummary: aiInsights.trim(),
-                insights: [
-                    `🤖 AI-Enhanced Analysis for: "${queryData.customQuestion}"`,
-                    '📊 Local Analysis:',
-                    ...localResults.insights
-                ],
-                metadata: {
-                    ...localResults.metadata,
-                    enhanced: true,
-                    enhancementMethod: 'openai-gpt4'
-                }
-            };
-            
-        } catch (error) {
-            console.error('❌ OpenAI enhancement failed:', error);
-            throw error; // This will trigger the fallback in the calling method
-        }
-    }
-
-    prepareOpenAIContext(localResults, queryData, treeData) {
-        // Prepare a structured context for OpenAI without exposing raw tree
-        return {
-            summary: localResults.summary,
-            topicAnalysis: localResults.data.topics,
-            userEngagement: localResults.data.userEngagement,
-            insights: localResults.insights,
-            messageCount: localResults.data.messageCount,
-            topicCount: localResults.data.topicCount,
-            activeUsers: localResults.data.activeUsers
-        };
-    }
-
-    parseAIInsights(aiResponse) {
-        // Parse AI response into structured insights
-        const lines = aiResponse.split('\n').filter(line => line.trim());
-        return lines.map(line => line.replace(/^[-•*]\s*/, '').trim()).filter(line => line);
-    }
-
-    generateCustomQueryInsights(messages, topicsData, users, customQuestion) {
-        const customInsights = [];
-        const question = customQuestion.toLowerCase();
-        
-        console.log('🤖 Processing custom query:', customQuestion);
-        console.log('📊 Available message data for analysis:', messages.length, 'messages');
-        
-        // Advanced semantic analysis based on question type
-        console.log('🔍 Question analysis:', {
-            hasDiffer: question.includes('differ'),
-            hasOpinion: question.includes('opinion'),
-            hasDisagree: question.includes('disagree'),
-            hasPreferences: question.includes('preferences')
-        });
-        
-        if (question.includes('differ') && (question.includes('opinion') || question.includes('disagree') || question.includes('preferences'))) {
-            console.log('🎯 Triggering user disagreement analysis');
-            customInsights.push(...this.analyzeUserDisagreements(messages, topicsData, users, question));
-        }
-        else if (question.includes('trending') || question.includes('popular')) {
-            customInsights.push(...this.analyzeTrendingTopics(messages, topicsData, question));
-        }
-        else if (question.includes('engaged') || question.includes('active')) {
-            customInsights.push(...this.analyzeUserEngagement(messages, topicsData, users, question));
-        }
-        else if (question.includes('sentiment') || question.includes('mood')) {
-            customInsights.push(...this.analyzeSentimentPatterns(messages, topicsData, question));
-        }
-        else if (question.includes('concern') || question.includes('issue') || question.includes('problem')) {
-            customInsights.push(...this.analyzeConcerns(messages, topicsData, question));
-        }
-        else if (question.includes('defi') || question.includes('protocol')) {
-            customInsights.push(...this.analyzeProtocolDiscussions(messages, topicsData, question));
-        }
-        else if (question.includes('when') || question.includes('time') || question.includes('recent')) {
-            customInsights.push(...this.analyzeTemporalPatterns(messages, topicsData, question));
-        }
-        else {
-            // General analysis for any other question
-            customInsights.push(...this.analyzeGeneralQuestion(messages, topicsData, users, question));
-        }
-        
-        return customInsights;
-    }
-
-    analyzeUserDisagreements(messages, topicsData, users, question) {
-        const insights = [];
-        
-        // Extract user names mentioned in the question
-        const usernames = Array.from(users.values());
-        console.log('👥 Available usernames for matching:', usernames);
-        
-        const mentionedUsers = usernames.filter(username => {
-            const lowerUsername = username.toLowerCase();
-            const matchesDirectly = question.includes(lowerUsername);
-            const matchesWithAt = question.includes(`@${lowerUsername}`);
-            const matchesWithDoubleAt = question.includes(`@@${lowerUsername}`);
-            
-            console.log(`🔍 Checking user "${username}": direct=${matchesDirectly}, @=${matchesWithAt}, @@=${matchesWithDoubleAt}`);
-            
-            return matchesDirectly || matchesWithAt || matchesWithDoubleAt;
-        });
-        
-        console.log('🎯 Mentioned users found:', mentionedUsers);
-        
-        if (mentionedUsers.length >= 2) {
-            // Analyze topic overlap and potential disagreement patterns
-            const userTopicMap = new Map();
-            
-            messages.forEach(message => {
-                if (message.fromUserName && message.topicId !== undefined && message.topicId !== -1) {
-                    if (!userTopicMap.has(message.fromUserName)) {
-                        userTopicMap.set(message.fromUserName, new Map());
-                    }
-                    const userTopics = userTopicMap.get(message.fromUserName);
-                    userTopics.set(message.topicId, (userTopics.get(message.topicId) || 0) + 1);
-                }
-            });
-            
-            // Find common topics between users
-            const user1Topics = userTopicMap.get(mentionedUsers[0]) || new Map();
-            const user2Topics = userTopicMap.get(mentionedUsers[1]) || new Map();
-            
-            const commonTopics = [];
-            user1Topics.forEach((count1, topicId) => {
-                if (user2Topics.has(topicId)) {
-                    const topicName = this.getTopicName(topicId);
-                    const count2 = user2Topics.get(topicId);
-                    commonTopics.push({
-                        topicId,
-                        name: topicName,
-                        user1Messages: count1,
-                        user2Messages: count2,
-                        difference: Math.abs(count1 - count2)
-                    });
-                }
-            });
+            console.log('✅ OpenAI enhancement successful');
             
-            if (commonTopics.length > 0) {
-                insights.push(`Users ${mentionedUsers[0]} and ${mentionedUsers[1]} both discussed ${commonTopics.length} common topics`);
-                
-                // Find topics where engagement differs significantly
-                const significantDifferences = commonTopics.filter(topic => topic.difference > 2);
-                if (significantDifferences.length > 0) {
-                    const topDifference = significantDifferences[0];
-                    insights.push(`Biggest engagement difference in "${topDifference.name}": ${mentionedUsers[0]} (${topDifference.user1Messages} msgs) vs ${mentionedUsers[1]} (${topDifference.user2Messages} msgs)`);
-                }
-                
-                // Analyze topic focus patterns
-                const user1Focus = Array.from(user1Topics.entries()).sort((a, b) => b[1] - a[1])[0];
-                const user2Focus = Array.from(user2Topics.entries()).sort((a, b) => b[1] - a[1])[0];
-                
-                if (user1Focus && user2Focus && user1Focus[0] !== user2Focus[0]) {
-                    const topic1Name = this.getTopicName(user1Focus[0]);
-                    const topic2Name = this.getTopicName(user2Focus[0]);
-                    insights.push(`Different focus areas: ${mentionedUsers[0]} primarily discusses "${topic1Name}", ${mentionedUsers[1]} focuses on "${topic2Name}"`);
+            // Create enhanced result with AI summary
+            return {
+                ...localResults,
+                aiSummary: aiInsights.trim(),
+                aiCitations: data.citations || extractCitations(aiInsights, localResults.evidence?.messages || []),
+                insights: [
+                    `🤖 AI-Enhanced Analysis for: "${queryData.customQuestion}"`,
+                    '📊 Local Analysis:',
+                    ...localResults.insights
+                ],
+                metadata: {
+                    ...localResults.metadata,
+                    enhanced: true,
+                    enhancementMethod: data.provider ? `${data.provider}:${data.model}` : 'openai-gpt4'
                 }
-            } else {
-                insights.push(`Users ${mentionedUsers[0]} and ${mentionedUsers[1]} have not participated in the same topic discussions`);
-            }
-        } else {
-            insights.push(`To analyze user disagreements, please specify user names in your question (e.g., "How do @James_T81 and @joybaruarobin differ?")`);
-        }
-        
-        return insights;
-    }
-
-    analyzeTrendingTopics(messages, topicsData, question) {
-        const insights = [];
-        const topTopic = topicsData[0];
-        
-        if (topTopic) {
-            insights.push(`Most trending topic: "${topTopic.name}" with ${topTopic.messageCount} recent messages`);
-            insights.push(`Trending engagement: ${topTopic.contributorCount} active contributors in this topic`);
+            };
             
-            // Analyze recent activity patterns
-            if (topicsData.length > 1) {
-                const secondTopic = topicsData[1];
-                const trendGap = topTopic.messageCount - secondTopic.messageCount;
-                insights.push(`Trend strength: "${topTopic.name}" leads by ${trendGap} messages over "${secondTopic.name}"`);
+        } catch (error) {
+            if (!signal?.aborted) {
+                console.error('❌ OpenAI enhancement failed:', error);
             }
+            throw error; // This will trigger the fallback in the calling method
         }
-        
-        return insights;
     }
 
-    analyzeUserEngagement(messages, topicsData, users, question) {
-        const insights = [];
-        
-        // Calculate engagement metrics
-        const totalMessages = messages.length;
-        const avgMessagesPerUser = users.size > 0 ? Math.round(totalMessages / users.size) : 0;
-        
-        insights.push(`Overall engagement: ${avgMessagesPerUser} average messages per user`);
-        
-        // Find most engaged users
-        const userMessageCounts = new Map();
-        messages.forEach(message => {
-            if (message.fromUserId && message.fromUserName) {
-                userMessageCounts.set(message.fromUserName, (userMessageCounts.get(message.fromUserName) || 0) + 1);
+    // The `done` event carries the same body as a non-streamed answer
+    async readAiStream(response, onToken) {
+        let text = '';
+        let data = null;
+
+        await readServerSentEvents(response.body, ({ event, data: payload }) => {
+            const message = JSON.parse(payload);
+            if (event === 'token') {
+                text += message.text;
+                onToken?.(text);
+            } else if (event === 'done') {
+                data = message;
+            } else if (event === 'error') {
+                throw new Error(message.error || 'Unknown error');
             }
         });
-        
-        const sortedUsers = Array.from(userMessageCounts.entries()).sort((a, b) => b[1] - a[1]);
-        if (sortedUsers.length > 0) {
-            insights.push(`Most engaged user: @${sortedUsers[0][0]} with ${sortedUsers[0][1]} messages`);
-            
-            if (sortedUsers.length > 1) {
-                insights.push(`Second most engaged: @${sortedUsers[1][0]} with ${sortedUsers[1][1]} messages`);
-            }
-        }
-        
-        return insights;
-    }
-
-    analyzeSentimentPatterns(messages, topicsData, question) {
-        const insights = [];
-        
-        // Analyze topic diversity as sentiment indicator
-        const topicDiversity = topicsData.length;
-        if (topicDiversity > 5) {
-            insights.push(`High topic diversity (${topicDiversity} topics) suggests active, varied discussions`);
-            insights.push(`Community sentiment: Engaged and diverse conversation patterns`);
-        } else {
-            insights.push(`Focused discussions around ${topicDiversity} main topics`);
-            insights.push(`Community sentiment: Concentrated engagement on key issues`);
-        }
-        
-        // Analyze engagement distribution
-        const totalMessages = messages.length;
-        const avgMessagesPerTopic = Math.round(totalMessages / topicDiversity);
-        
-        if (avgMessagesPerTopic > 10) {
-            insights.push(`High engagement intensity: ${avgMessagesPerTopic} average messages per topic`);
-        } else {
-            insights.push(`Moderate engagement: ${avgMessagesPerTopic} average messages per topic`);
-        }
-        
-        return insights;
-    }
-
-    analyzeConcerns(messages, topicsData, question) {
-        const insights = [];
-        
-        // Look for governance, technical, or security topics
-        const concernTopics = topicsData.filter(topic => 
-            topic.name.includes('Governance') || 
-            topic.name.includes('Technical') || 
-            topic.name.includes('Security') ||
-            topic.name.includes('Audit')
-        );
-        
-        if (concernTopics.length > 0) {
-            concernTopics.forEach(topic => {
-                insights.push(`Concern area: "${topic.name}" - ${topic.messageCount} messages from ${topic.contributorCount} contributors`);
-            });
-        } else {
-            insights.push(`No major concern topics identified in current discussions`);
-        }
-        
-        return insights;
-    }
 
-    analyzeProtocolDiscussions(messages, topicsData, question) {
-        const insights = [];
-        
-        const protocolTopics = topicsData.filter(topic => 
-            topic.name.includes('DeFi') || 
-            topic.name.includes('Protocol') ||
-            topic.name.includes('Token')
-        );
-        
-        if (protocolTopics.length > 0) {
-            protocolTopics.forEach(topic => {
-                insights.push(`Protocol discussion: "${topic.name}" - ${topic.messageCount} messages from ${topic.contributorCount} contributors`);
-            });
-        } else {
-            insights.push(`Limited protocol-specific discussions in current dataset`);
+        if (!data) {
+            throw new Error('The AI answer stream ended early');
         }
-        
-        return insights;
+        return data;
     }
 
-    analyzeTemporalPatterns(messages, topicsData, question) {
-        const insights = [];
-        
-        // Analyze message timestamps if available
-        const messagesWithTimestamps = messages.filter(m => m.timestamp);
-        
-        if (messagesWithTimestamps.length > 0) {
-            // Sort by timestamp
-            messagesWithTimestamps.sort((a, b) => a.timestamp - b.timestamp);
-            
-            const earliestTime = new Date(messagesWithTimestamps[0].timestamp * 1000);
-            const latestTime = new Date(messagesWithTimestamps[messagesWithTimestamps.length - 1].timestamp * 1000);
-            
-            insights.push(`Time range: ${earliestTime.toLocaleDateString()} to ${latestTime.toLocaleDateString()}`);
-            
-            // Analyze recent activity (last 25% of messages)
-            const recentMessages = messagesWithTimestamps.slice(-Math.ceil(messagesWithTimestamps.length * 0.25));
-            const recentTopics = new Set(recentMessages.map(m => m.topicId).filter(id => id !== -1));
-            
-            insights.push(`Recent activity: ${recentMessages.length} messages across ${recentTopics.size} topics`);
-        } else {
-            insights.push(`Temporal analysis: ${messages.length} messages available for time-based analysis`);
-        }
-        
-        return insights;
+    prepareOpenAIContext(localResults, queryData) {
+        // Prepare a structured context for OpenAI without exposing raw tree
+        return {
+            summary: localResults.summary,
+            topicAnalysis: localResults.data.topics,
+            userEngagement: localResults.data.userEngagement,
+            insights: localResults.insights,
+            messageCount: localResults.data.messageCount,
+            topicCount: localResults.data.topicCount,
+            activeUsers: localResults.data.activeUsers
+        };
     }
 
-    analyzeGeneralQuestion(messages, topicsData, users, question) {
-        const insights = [];
-        
-        insights.push(`Custom analysis for: "${question}"`);
-        insights.push(`Analyzing ${messages.length} messages across ${topicsData.length} topics from ${users.size} users`);
-        
-        // Provide the most relevant topic
-        if (topicsData.length > 0) {
-            const topTopic = topicsData[0];
-            insights.push(`Primary topic: "${topTopic.name}" with ${topTopic.messageCount} messages from ${topTopic.contributorCount} contributors`);
-        }
-        
-        return insights;
+    parseAIInsights(aiResponse) {
+        // Parse AI response into structured insights
+        const lines = aiResponse.split('\n').filter(line => line.trim());
+        return lines.map(line => line.replace(/^[-•*]\s*/, '').trim()).filter(line => line);
     }
 
     formatRawApiResponse(apiResponse, endpoint, params) {
@@ -1371,7 +2010,8 @@ Response format: Provide a single, comprehensive paragraph (maximum 150 words) t
         return {
             query: {
                 endpoint: endpoint,
-                url: `${this.baseUrl}/${endpoint}`,
+                url: this.dataSource.describeEndpoint(endpoint),
+                source: this.dataSource.type,
                 parameters: params,
                 timestamp: new Date().toISOString()
             },
@@ -1459,20 +2099,43 @@ Response format: Provide a single, comprehensive paragraph (maximum 150 words) t
         let html = `
             <div class="insight-summary">
                 <h3>📊 Summary</h3>
-                <p>${results.summary}</p>
+                <p>${escapeHtml(results.summary)}</p>
             </div>
         `;
 
-        // Add AI summary if available for this version
+        // Add AI summary if available for this version, or the part of it streamed so far
         if (results.aiSummary) {
-            html += `
-                <div class="ai-summary-version">
-                    <h4>🤖 AI Analysis</h4>
-                    <div class="ai-summary-content-version">
-                        ${results.aiSummary.replace(/\n/g, '<br>')}
-                    </div>
-                </div>
-            `;
+            html += this.formatAiSummary(results);
+        } else if (results.aiPending) {
+            html += this.formatAiStream(results);
+        }
+
+        if (results.intent) {
+            html += this.formatQuestionIntent(results.intent);
+        }
+
+        if (results.search) {
+            html += this.formatSearchResults(results.search);
+        }
+
+        if (results.timeWindow) {
+            html += this.formatTimeWindowActivity(results.timeWindow);
+        }
+
+        if (results.data && results.data.sentiment && results.data.sentiment.overall.messageCount > 0) {
+            html += this.formatSentimentSummary(results.data.sentiment);
+        }
+
+        // Charts link into the thread explorer, so its ID is chosen before either is rendered
+        const threadsId = `threads-${Math.random().toString(36).substr(2, 9)}`;
+        const hasThreads = results.threads && results.threads.length > 0;
+
+        if (results.data && results.data.topics && results.data.topics.length > 0) {
+            html += this.formatCharts(results.data, hasThreads ? threadsId : null);
+        }
+
+        if (results.data && results.data.interactions && results.data.interactions.nodes.length > 0) {
+            html += this.formatInteractionNetwork(results.data.interactions, results.version);
         }
 
         if (results.insights && results.insights.length > 0) {
@@ -1483,7 +2146,7 @@ Response format: Provide a single, comprehensive paragraph (maximum 150 words) t
                         💡 Key Insights <span class="toggle-arrow">▶</span>
                     </h4>
                     <ul class="insights-list" id="${insightsId}" style="display: none;">
-                        ${results.insights.map(insight => `<li>${insight}</li>`).join('')}
+                        ${results.insights.map(insight => `<li>${escapeHtml(insight)}</li>`).join('')}
                     </ul>
                 </div>
             `;
@@ -1497,15 +2160,22 @@ Response format: Provide a single, comprehensive paragraph (maximum 150 words) t
                         📋 Topics Analysis <span class="toggle-arrow">▶</span>
                     </h4>
                     <div class="topics-content" id="${topicsId}" style="display: none;">
+                        ${results.data.categories ? this.formatCategoryRollup(results.data.categories) : ''}
                         ${results.data.topics.slice(0, 5).map(topic => `
                             <div class="topic-item">
                                 <div class="topic-header">
-                                    <span class="topic-name">${topic.name}</span>
+                                    <span class="topic-name">${escapeHtml(topic.name)}</span>
                                     <span class="topic-stats">${topic.messageCount} messages, ${topic.contributorCount} contributors</span>
                                 </div>
+                                ${topic.category ? `<span class="topic-category category-${escapeHtml(topic.category.id)}" title="${escapeHtml(topic.category.matched.join(', '))}">${escapeHtml(topic.category.name)}</span>` : ''}
+                                ${hasThreads && topic.threadCount > 0 ? `
+                                    <button type="button" class="topic-threads-link" data-topic-name="${escapeHtml(topic.name)}" onclick="showTopicThreads('${threadsId}', ${escapeHtml(jsString(topic.id))}, this.dataset.topicName)">
+                                        🧵 ${topic.threadCount} thread${topic.threadCount === 1 ? '' : 's'}
+                                    </button>
+                                ` : ''}
                                 <div class="contributors">
                                     ${topic.contributors.slice(0, 3).map(contributor => 
-                                        `<span class="contributor">${contributor.username} (${contributor.messageCount})</span>`
+                                        `<button type="button" class="contributor contributor-link" onclick="showUserProfile(${escapeHtml(jsString(contributor.userId))})" title="Open profile">${escapeHtml(contributor.username)} (${contributor.messageCount})</button>`
                                     ).join('')}
                                     ${topic.contributors.length > 3 ? `<span class="contributor">+${topic.contributors.length - 3} more</span>` : ''}
                                 </div>
@@ -1516,91 +2186,439 @@ Response format: Provide a single, comprehensive paragraph (maximum 150 words) t
             `;
         }
 
+        if (hasThreads) {
+            html += this.formatThreadExplorer(results.threads, threadsId);
+        }
+
         return html;
     }
 
-    generateDeltaAnalysis(firstResults, secondResults) {
-        const deltaContainer = document.getElementById('deltaContent');
-        
-        const firstTopics = new Map(firstResults.data.topics.map(t => [t.id, t]));
-        const secondTopics = new Map(secondResults.data.topics.map(t => [t.id, t]));
-        
-        const newTopics = [];
-        const removedTopics = [];
-        const changedTopics = [];
-        
-        // Find new topics
-        secondTopics.forEach((topic, id) => {
-            if (!firstTopics.has(id)) {
-                newTopics.push(topic);
-            }
-        });
-        
-        // Find removed topics
-        firstTopics.forEach((topic, id) => {
-            if (!secondTopics.has(id)) {
-                removedTopics.push(topic);
-            }
+    // Topic sizes, who talks where, and activity over time; with a thread explorer, marks link to its topic and user filters
+    formatCharts(data, threadsId) {
+        const chartsId = `charts-${Math.random().toString(36).substr(2, 9)}`;
+        const topics = data.topics.slice(0, 10);
+        const topicLink = (topicId, name) => threadsId ? `showTopicThreads('${threadsId}', ${jsString(topicId)}, ${jsString(name)})` : null;
+        const userLink = (userId, name) => threadsId ? `showUserThreads('${threadsId}', ${jsString(userId)}, ${jsString(name)})` : null;
+
+        const bars = renderBarChart({
+            items: topics.map(topic => ({
+                label: topic.name,
+                value: topic.messageCount,
+                tooltip: `${topic.name}: ${topic.messageCount} messages from ${topic.contributorCount} contributors` +
+                    (topic.contributors.length > 0 ? `\nTop: ${topic.contributors.slice(0, 3).map(c => `${c.username} (${c.messageCount})`).join(', ')}` : ''),
+                onclick: topicLink(topic.id, topic.name)
+            }))
         });
-        
-        // Find changed topics
-        firstTopics.forEach((firstTopic, id) => {
-            if (secondTopics.has(id)) {
-                const secondTopic = secondTopics.get(id);
-                if (firstTopic.messageCount !== secondTopic.messageCount) {
-                    const change = secondTopic.messageCount - firstTopic.messageCount;
-                    const changePercent = Math.round((change / firstTopic.messageCount) * 100);
-                    changedTopics.push({
-                        ...secondTopic,
-                        change: change,
-                        changePercent: changePercent,
-                        previousCount: firstTopic.messageCount
-                    });
-                }
-            }
+
+        // Contributor × topic message counts for the busiest contributors across the charted topics
+        const heatTopics = topics.slice(0, 8);
+        const contributors = new Map();
+        heatTopics.forEach(topic => topic.contributors.forEach(contributor => {
+            const entry = contributors.get(contributor.userId) || { userId: contributor.userId, username: contributor.username, total: 0, counts: new Map() };
+            entry.total += contributor.messageCount;
+            entry.counts.set(topic.id, contributor.messageCount);
+            contributors.set(contributor.userId, entry);
+        }));
+        const heatUsers = Array.from(contributors.values()).sort((a, b) => b.total - a.total).slice(0, 12);
+        const heatmap = renderHeatmap({
+            columns: heatTopics.map(topic => ({ label: topic.name, tooltip: `${topic.name}: ${topic.messageCount} messages`, onclick: topicLink(topic.id, topic.name) })),
+            rows: heatUsers.map(user => ({ label: user.username, tooltip: `${user.username}: ${user.total} messages in these topics`, onclick: userLink(user.userId, user.username) })),
+            cells: heatUsers.map(user => heatTopics.map(topic => {
+                const count = user.counts.get(topic.id) || 0;
+                return {
+                    value: count,
+                    tooltip: `${user.username} in ${topic.name}: ${count} message${count === 1 ? '' : 's'}`,
+                    onclick: count > 0 ? userLink(user.userId, user.username) : null
+                };
+            }))
         });
 
-        let deltaHtml = `
-            <div class="delta-analysis">
-                <h3>🔄 Version Comparison Analysis</h3>
-                
-                <div class="delta-section">
-                    <h4>📈 New Topics (${newTopics.length})</h4>
-                    ${newTopics.length === 0 ? '<p>No new topics appeared</p>' : 
-                        newTopics.map(topic => `
-                            <div class="topic-item delta-new">
-                                <strong>${topic.name}</strong> - ${topic.messageCount} messages
-                            </div>
-                        `).join('')
-                    }
+        const activity = data.activity;
+        const area = activity && activity.buckets.length > 1 ? renderStackedArea({
+            labels: activity.buckets.map(bucket => bucket.label),
+            series: activity.topics.slice(0, 8).map(topic => ({ name: topic.name, values: topic.counts, onclick: topicLink(topic.topicId, topic.name) }))
+        }) : '';
+
+        return `
+            <div class="charts-section">
+                <h4 class="toggle-header" onclick="toggleSection('${chartsId}')">
+                    📊 Charts <span class="toggle-arrow">▶</span>
+                </h4>
+                <div class="charts-content" id="${chartsId}" style="display: none;">
+                    <h5 class="chart-title">Messages per topic</h5>
+                    ${bars}
+                    ${heatUsers.length > 0 ? `
+                        <h5 class="chart-title">Contributors by topic</h5>
+                        ${heatmap}
+                    ` : ''}
+                    ${area ? `
+                        <h5 class="chart-title">Topic activity per ${activity.granularity}</h5>
+                        ${area}
+                    ` : ''}
+                    ${threadsId ? '<p class="chart-hint">Click a topic or contributor to see their conversation threads</p>' : ''}
                 </div>
-                
-                <div class="delta-section">
-                    <h4>📉 Removed Topics (${removedTopics.length})</h4>
-                    ${removedTopics.length === 0 ? '<p>No topics were removed</p>' :
-                        removedTopics.map(topic => `
-                            <div class="topic-item delta-removed">
-                                <strong>${topic.name}</strong> - had ${topic.messageCount} messages
+            </div>
+        `;
+    }
+
+    // Who replies to whom: nodes link to user profiles, communities are coloured, exports download the whole graph
+    formatInteractionNetwork(graph, version) {
+        const networkId = `network-${Math.random().toString(36).substr(2, 9)}`;
+        const drawn = graph.nodes.slice().sort((a, b) => b.strength - a.strength || b.messageCount - a.messageCount).slice(0, MAX_NETWORK_NODES);
+        const drawnIds = new Set(drawn.map(node => node.userId));
+        const names = new Map(graph.nodes.map(node => [node.userId, node.userName]));
+        const influencers = findInfluencers(graph);
+        const bridges = findBridges(graph);
+
+        const network = graph.edges.length > 0 ? renderNetwork({
+            nodes: drawn.map(node => ({
+                id: node.userId,
+                label: node.userName,
+                value: node.strength || 1,
+                group: node.community,
+                tooltip: `@${node.userName} (community ${node.community})\n${node.messageCount} messages, ${node.repliesSent} replies sent, ${node.repliesReceived} received\n` +
+                    `PageRank ${node.pagerank}, betweenness ${node.betweenness}`,
+                onclick: `showUserProfile(${jsString(node.userId)})`
+            })),
+            edges: graph.edges.filter(edge => drawnIds.has(edge.source) && drawnIds.has(edge.target)).map(edge => ({
+                ...edge,
+                tooltip: `@${names.get(edge.source)} → @${names.get(edge.target)}: ${edge.sourceReplies}\n@${names.get(edge.target)} → @${names.get(edge.source)}: ${edge.targetReplies}`
+            })),
+            groups: graph.communities.map(community => ({ name: `Community ${community.id} (${community.size})` }))
+        }) : '<p class="user-profile-empty">No replies between different users in this version</p>';
+
+        const ranking = (title, nodes, metric, label) => nodes.length > 0 ? `
+            <h5 class="chart-title">${title}</h5>
+            <table class="category-table">
+                <thead><tr><th>User</th><th>${label}</th><th>Replies received</th><th>Community</th></tr></thead>
+                <tbody>
+                    ${nodes.map(node => `
+                        <tr>
+                            <td><button type="button" class="contributor contributor-link" onclick="showUserProfile(${escapeHtml(jsString(node.userId))})">@${escapeHtml(node.userName)}</button></td>
+                            <td>${metric(node)}</td><td>${node.repliesReceived}</td><td>${node.community}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '';
+
+        return `
+            <div class="charts-section interaction-network">
+                <h4 class="toggle-header" onclick="toggleSection('${networkId}')">
+                    🕸️ Interaction Network <span class="toggle-arrow">▶</span>
+                </h4>
+                <div class="charts-content" id="${networkId}" style="display: none;">
+                    <p class="search-results-summary">
+                        ${graph.nodes.length} users, ${graph.replyCount} replies, ${graph.communities.length} communit${graph.communities.length === 1 ? 'y' : 'ies'} (modularity ${graph.modularity})
+                        ${graph.nodes.length > drawn.length ? ` · showing the ${drawn.length} most connected` : ''}
+                    </p>
+                    ${network}
+                    ${graph.edges.length > 0 ? '<p class="chart-hint">Node size follows replies sent and received; click a user to open their profile</p>' : ''}
+                    ${ranking('Influencers', influencers, node => node.pagerank, 'PageRank')}
+                    ${ranking('Bridge users', bridges, node => `${node.betweenness} · links ${node.bridgesTo + 1} communities`, 'Betweenness')}
+                    ${graph.communities.some(community => community.size > 1) ? `
+                        <h5 class="chart-title">Communities</h5>
+                        <ul class="user-profile-list">
+                            ${graph.communities.filter(community => community.size > 1).map(community => `
+                                <li><strong>Community ${community.id}</strong>: ${community.members.map(member => `@${escapeHtml(member.userName)}`).join(', ')}
+                                    ${community.topics.length > 0 ? ` — ${community.topics.map(topic => escapeHtml(topic.name)).join(', ')}` : ''}</li>
+                            `).join('')}
+                        </ul>
+                    ` : ''}
+                    <div class="network-exports">
+                        ${Object.keys(GRAPH_EXPORT_FORMATS).map(format => `
+                            <button type="button" class="btn btn-secondary btn-compact" onclick="downloadInteractionGraph('${version}', '${format}')">⬇️ ${format.toUpperCase()}</button>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    downloadInteractionGraph(version, format) {
+        const result = this.resultsCache.find(cached => cached && String(cached.version) === String(version));
+        const graph = result?.data?.interactions;
+        if (!graph) {
+            return;
+        }
+
+        const { extension, mimeType } = GRAPH_EXPORT_FORMATS[format];
+        downloadFile(`interactions-${this.selectedChannel}-${version}.${extension}`, exportInteractionGraph(graph, format), mimeType);
+    }
+
+    formatCategoryRollup(categories) {
+        return `
+            <div class="category-rollup">
+                ${categories.map(category => `
+                    <div class="category-row">
+                        <span class="category-name">${escapeHtml(category.name)}</span>
+                        <div class="category-bar"><span style="width: ${(category.share * 100).toFixed(1)}%;"></span></div>
+                        <span class="category-stats">${category.messageCount} messages, ${category.topicCount} topic${category.topicCount === 1 ? '' : 's'}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    formatThreadExplorer(threads, threadsId) {
+        const shown = threads.slice(0, this.maxThreadsShown);
+
+        return `
+            <div class="thread-explorer">
+                <h4 class="toggle-header" onclick="toggleSection('${threadsId}')">
+                    🧵 Conversation Threads (${threads.length}) <span class="toggle-arrow">▶</span>
+                </h4>
+                <div class="threads-content" id="${threadsId}" style="display: none;">
+                    <div class="thread-filter" style="display: none;">
+                        <span class="thread-filter-label"></span>
+                        <button type="button" class="thread-filter-clear" onclick="showTopicThreads('${threadsId}', null)">Show all threads</button>
+                    </div>
+                    ${threads.length > shown.length ? `<p class="thread-limit-note">Showing the ${shown.length} most recently active of ${threads.length} threads</p>` : ''}
+                    ${shown.map((thread, index) => this.formatThread(thread, threadsId, index)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    formatThread(thread, threadsId, index) {
+        const repliesId = `${threadsId}-${index}`;
+        const topicIds = escapeHtml(thread.topics.map(topic => topic.topicId).join(','));
+        const userIds = escapeHtml(thread.participants.map(p => p.userId).join(','));
+        const primaryTopic = thread.topics.find(topic => topic.topicId === thread.primaryTopicId);
+        const period = thread.startedAt
+            ? `${formatMessageTime(thread.startedAt)}${thread.lastActivityAt !== thread.startedAt ? ` → ${formatMessageTime(thread.lastActivityAt)}` : ''}`
+            : '';
+
+        return `
+            <div class="thread-item" data-topic-ids="${topicIds}" data-user-ids="${userIds}">
+                <div class="thread-header toggle-header" onclick="toggleSection('${repliesId}')">
+                    <p class="thread-root-text">${escapeHtml(truncateText(thread.root.text, 140))}</p>
+                    <div class="thread-meta">
+                        <span class="contributor">@${escapeHtml(thread.root.userName)}</span>
+                        <span class="search-result-topic">${escapeHtml(primaryTopic ? primaryTopic.name : 'Unassigned')}</span>
+                        <span class="thread-stats">${thread.replyCount} repl${thread.replyCount === 1 ? 'y' : 'ies'}, ${thread.participants.length} participant${thread.participants.length === 1 ? '' : 's'}</span>
+                        ${thread.sentiment ? this.formatThreadSentiment(thread.sentiment) : ''}
+                        ${period ? `<span class="search-result-date">${period}</span>` : ''}
+                        <span class="toggle-arrow">▶</span>
+                    </div>
+                </div>
+                <div class="thread-replies" id="${repliesId}" style="display: none;">
+                    <div class="thread-participants">
+                        ${thread.participants.map(p => `<span class="contributor">@${escapeHtml(p.userName)} (${p.messageCount})</span>`).join('')}
+                    </div>
+                    ${this.formatThreadMessage(thread.root)}
+                </div>
+            </div>
+        `;
+    }
+
+    formatThreadSentiment(sentiment) {
+        // A half-to-half swing of 0.3 or more is a clear change of tone, not noise
+        const trend = sentiment.trend <= -0.3 ? ' ↘ souring' : sentiment.trend >= 0.3 ? ' ↗ improving' : '';
+        return `<span class="sentiment-badge sentiment-${sentiment.label}" title="Average sentiment ${formatSentimentScore(sentiment.average)}, trend ${formatSentimentScore(sentiment.trend)}">${formatSentimentScore(sentiment.average)}${trend}</span>`;
+    }
+
+    formatThreadMessage(node) {
+        // Cap the visual indent so deep reply chains stay readable in a narrow version column
+        const indent = Math.min(node.depth, 6);
+
+        return `
+            <div class="thread-message" style="margin-left: ${indent * 12}px;">
+                <div class="search-result-meta">
+                    <span class="contributor">@${escapeHtml(node.userName)}</span>
+                    <span class="search-result-topic">${escapeHtml(node.topicName)}</span>
+                    ${node.timestamp ? `<span class="search-result-date">${formatMessageTime(node.timestamp)}</span>` : ''}
+                </div>
+                <p class="search-result-text">${escapeHtml(node.text)}</p>
+            </div>
+            ${node.replies.map(reply => this.formatThreadMessage(reply)).join('')}
+        `;
+    }
+
+    formatQuestionIntent(intent) {
+        const details = [
+            intent.users.length > 0 ? `Users: ${intent.users.map(user => `@${escapeHtml(user.userName)}`).join(', ')}` : null,
+            intent.unresolvedMentions.length > 0 ? `Not found: ${intent.unresolvedMentions.map(escapeHtml).join(', ')}` : null,
+            intent.topics.length > 0 ? `Topics: ${intent.topics.map(topic => escapeHtml(topic.name)).join(', ')}` : null,
+            intent.timeRange ? `Time: ${escapeHtml(intent.timeRange.label)}` : null,
+            intent.comparison ? `Comparing: ${intent.comparison.targets.map(escapeHtml).join(' vs ')}` : null
+        ].filter(Boolean);
+
+        return `
+            <div class="question-intent">
+                <h4>🧭 How the question was read</h4>
+                <ul class="intent-steps">
+                    ${intent.intents.map(step => `
+                        <li><code>${step.analyzer}</code> <span class="intent-reason">${escapeHtml(step.reason)}</span></li>
+                    `).join('')}
+                </ul>
+                ${details.length > 0 ? `<p class="intent-details">${details.join(' · ')}</p>` : ''}
+            </div>
+        `;
+    }
+
+    formatSentimentSummary(sentiment) {
+        const sentimentId = `sentiment-${Math.random().toString(36).substr(2, 9)}`;
+        const { overall } = sentiment;
+        const share = (count) => (100 * count / overall.messageCount).toFixed(1);
+
+        return `
+            <div class="sentiment-summary">
+                <h4 class="toggle-header" onclick="toggleSection('${sentimentId}')">
+                    💬 Sentiment: ${overall.label} (${formatSentimentScore(overall.average)}) <span class="toggle-arrow">▶</span>
+                </h4>
+                <div id="${sentimentId}" style="display: none;">
+                    <div class="sentiment-bar" title="${overall.distribution.positive} positive, ${overall.distribution.neutral} neutral, ${overall.distribution.negative} negative">
+                        <span class="sentiment-positive" style="width: ${share(overall.distribution.positive)}%;"></span>
+                        <span class="sentiment-neutral" style="width: ${share(overall.distribution.neutral)}%;"></span>
+                        <span class="sentiment-negative" style="width: ${share(overall.distribution.negative)}%;"></span>
+                    </div>
+                    <p class="search-results-summary">${overall.distribution.positive} positive · ${overall.distribution.neutral} neutral · ${overall.distribution.negative} negative messages</p>
+                    ${sentiment.mostNegativeTopics.length > 0 ? `
+                        <h5 class="sentiment-heading">Most negative topics</h5>
+                        ${sentiment.mostNegativeTopics.map(topic => `
+                            <div class="topic-header">
+                                <span class="topic-name">${escapeHtml(topic.name)}</span>
+                                <span class="topic-stats">${formatSentimentScore(topic.average)}, ${Math.round(topic.negativeShare * 100)}% negative of ${topic.messageCount}</span>
                             </div>
-                        `).join('')
-                    }
+                        `).join('')}
+                    ` : '<p class="search-results-summary">No topic leans negative overall</p>'}
                 </div>
-                
-                <div class="delta-section">
-                    <h4>🔄 Changed Topics (${changedTopics.length})</h4>
-                    ${changedTopics.length === 0 ? '<p>No topics changed significantly</p>' :
-                        changedTopics.map(topic => `
-                            <div class="topic-item delta-changed">
-                                <strong>${topic.name}</strong> - ${topic.previousCount} → ${topic.messageCount} messages 
-                                (${topic.changePercent > 0 ? '+' : ''}${topic.changePercent}%)
+            </div>
+        `;
+    }
+
+    formatTimeWindowActivity(timeWindow) {
+        const activityId = `activity-${Math.random().toString(36).substr(2, 9)}`;
+        const { activity } = timeWindow;
+        const max = Math.max(1, ...activity.topics.flatMap(topic => topic.counts));
+        const range = activity.buckets.length > 0
+            ? `${activity.buckets[0].label} → ${activity.buckets[activity.buckets.length - 1].label}, one cell per ${activity.granularity}`
+            : 'No dated messages';
+
+        const cells = (counts) => counts.map((count, index) => `
+            <td class="activity-cell" style="background: rgba(6, 182, 212, ${count > 0 ? (0.15 + 0.85 * count / max).toFixed(2) : 0.03});"
+                title="${activity.buckets[index].label}: ${count} message${count === 1 ? '' : 's'}"></td>
+        `).join('');
+
+        return `
+            <div class="time-window-activity">
+                <h4 class="toggle-header" onclick="toggleSection('${activityId}')">
+                    🕒 ${escapeHtml(timeWindow.label)} (${timeWindow.messageCount} messages) <span class="toggle-arrow">▼</span>
+                </h4>
+                <div id="${activityId}" style="display: block;">
+                    <p class="search-results-summary">${range}</p>
+                    <div class="activity-table-wrapper">
+                        <table class="activity-table">
+                            <tbody>
+                                ${activity.topics.map(topic => `
+                                    <tr>
+                                        <th scope="row">${escapeHtml(topic.name)} <span class="activity-total">${topic.total}</span></th>
+                                        ${cells(topic.counts)}
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    formatAiStream(results) {
+        return `
+            <div class="ai-summary-version ai-streaming">
+                <h4>🤖 AI Analysis</h4>
+                <div class="ai-summary-content-version" id="aiStream-${results.version}">${results.aiPartial
+                    ? escapeHtml(results.aiPartial).replace(/\n/g, '<br>')
+                    : '<span class="ai-stream-waiting">Waiting for the model…</span>'}<span class="ai-stream-cursor"></span></div>
+            </div>
+        `;
+    }
+
+    formatAiSummary(results) {
+        // Citations the model made to retrieved messages become links to the quoted sources below the answer
+        const sourcesId = `sources-${Math.random().toString(36).substr(2, 9)}`;
+        const evidence = new Map((results.evidence?.messages || []).map(message => [message.messageId, message]));
+        const sources = (results.aiCitations || extractCitations(results.aiSummary, results.evidence?.messages || []))
+            .map(messageId => evidence.get(String(messageId)))
+            .filter(Boolean);
+
+        const answer = splitCitations(results.aiSummary).map(segment => {
+            if (segment.text !== undefined) {
+                return escapeHtml(segment.text).replace(/\n/g, '<br>');
+            }
+            return segment.messageIds.map(messageId => evidence.has(messageId)
+                ? `<button type="button" class="message-ref" onclick="showMessageSource('${sourcesId}', ${escapeHtml(jsString(messageId))})" title="Show the cited message">#${escapeHtml(messageId)}</button>`
+                : `<span class="message-ref message-ref-unknown" title="Not among the retrieved messages">#${escapeHtml(messageId)}</span>`
+            ).join(' ');
+        }).join('');
+
+        return `
+            <div class="ai-summary-version">
+                <h4>🤖 AI Analysis</h4>
+                <div class="ai-summary-content-version">
+                    ${answer}
+                </div>
+                ${sources.length > 0 ? `
+                    <div class="message-sources" id="${sourcesId}">
+                        <h5>Cited Messages (${sources.length})</h5>
+                        ${sources.map(message => `
+                            <div class="message-source" data-message-id="${escapeHtml(message.messageId)}">
+                                <div class="search-result-meta">
+                                    <span class="message-ref">#${escapeHtml(message.messageId)}</span>
+                                    <span class="contributor">@${escapeHtml(message.userName)}</span>
+                                    <span class="search-result-topic">${escapeHtml(message.topicName)}</span>
+                                    ${message.timestamp ? `<span class="search-result-date">${formatMessageTime(message.timestamp)}</span>` : ''}
+                                </div>
+                                <p class="search-result-text">${escapeHtml(message.text)}</p>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    formatSearchResults(search) {
+        const searchId = `search-${Math.random().toString(36).substr(2, 9)}`;
+        const label = search.query ? `"${escapeHtml(search.query)}"` : 'filters';
+
+        return `
+            <div class="search-results">
+                <h4 class="toggle-header" onclick="toggleSection('${searchId}')">
+                    🔎 Search Results (${search.totalMatches}) <span class="toggle-arrow">▼</span>
+                </h4>
+                <div id="${searchId}" style="display: block;">
+                    <p class="search-results-summary">${search.totalMatches} of ${search.searchedMessages} messages match ${label}${search.totalMatches > search.results.length ? `, showing top ${search.results.length}` : ''}</p>
+                    ${search.results.map(result => `
+                        <div class="search-result">
+                            <div class="search-result-meta">
+                                <span class="contributor">@${escapeHtml(result.userName || result.userId)}</span>
+                                <span class="search-result-topic">${escapeHtml(result.topicName)}</span>
+                                ${result.timestamp ? `<span class="search-result-date">${new Date(result.timestamp * 1000).toLocaleString()}</span>` : ''}
                             </div>
-                        `).join('')
-                    }
+                            <p class="search-result-text">${highlightTerms(result.snippet, result.matchedTerms)}</p>
+                        </div>
+                    `).join('')}
                 </div>
             </div>
         `;
+    }
 
-        deltaContainer.innerHTML = deltaHtml;
+    generateDeltaAnalysis(firstResults, secondResults) {
+        const deltaContainer = document.getElementById('deltaContent');
+
+        // Topic IDs are regenerated between versions, so topics are aligned on their messages, names and contributors
+        const sortedResults = [firstResults, secondResults].sort((a, b) => a.version - b.version);
+        const evolution = computeTopicEvolution(sortedResults);
+
+        deltaContainer.innerHTML = `
+            <div class="delta-analysis">
+                <h3>🔄 Version Comparison Analysis</h3>
+            </div>
+            ${evolution ? this.formatTopicEvolution(evolution, sortedResults.map(result => result.version)) : '<p>No topics to compare</p>'}
+        `;
     }
 
     switchTab(tabName) {
@@ -1628,21 +2646,14 @@ Response format: Provide a single, comprehensive paragraph (maximum 150 words) t
         });
         console.log('✅ Tab content activated. Found', activeContents.length, 'content elements for:', tabName);
         
-        // Hide version columns when showing delta analysis
-        const versionColumns = document.querySelectorAll('.version-column');
-        if (tabName === 'delta') {
-            versionColumns.forEach(column => column.style.display = 'none');
-            console.log('🔍 Delta tab: Hidden version columns');
-        } else {
-            // Show version columns for insights/raw tabs
-            for (let i = 0; i < 3; i++) {
-                const column = document.getElementById(`version${i + 1}Column`);
-                if (column && this.selectedVersions[i]) {
-                    column.style.display = 'block';
-                }
-            }
-            console.log('🔍 Non-delta tab: Showing version columns');
-        }
+        // Hide version columns (and the version switcher) when showing delta analysis
+        this.activeTab = tabName;
+        document.querySelectorAll('.version-column').forEach(column => {
+            column.style.display = tabName === 'delta' ? 'none' : 'block';
+        });
+        document.getElementById('versionSwitcher').style.display =
+            this.resultsCache.length > MAX_SIDE_BY_SIDE_VERSIONS && tabName !== 'delta' ? 'flex' : 'none';
+        console.log('🔍 Version columns', tabName === 'delta' ? 'hidden' : 'shown', 'for tab:', tabName);
     }
 
     showError(message) {
@@ -1658,32 +2669,145 @@ Response format: Provide a single, comprehensive paragraph (maximum 150 words) t
 
     resetUI() {
         this.selectedChannel = null;
-        this.selectedVersions = [null, null, null];
+        this.selectedVersions = [];
+        this.selectedUsers = [];
+        this.userDirectory = [];
+        this.userDirectoryVersion = null;
         this.availableVersions = [];
-        this.resultsCache = [null, null, null];
+        this.resultsCache = [];
+        this.lastQueryData = null;
+        this.conversation.reset(null);
+        this.evolutionNarrative = null;
+        this.cancelAiStreams();
+        this.renderConversation();
+        this.closeUserProfile();
 
         // Reset form elements
-        document.getElementById('version1Select').disabled = true;
-        document.getElementById('version2Select').disabled = true;
-        document.getElementById('version3Select').disabled = true;
+        this.setVersionPickerEnabled(false);
         document.getElementById('executeQuery').disabled = true;
         
         // Hide results
         document.getElementById('resultsSection').style.display = 'none';
         document.getElementById('datasetInfo').classList.remove('show');
         
-        // Reset version selects
-        document.getElementById('version1Select').innerHTML = '<option value="">-- Select Dataset First --</option>';
-        document.getElementById('version2Select').innerHTML = '<option value="">-- No Comparison --</option>';
-        document.getElementById('version3Select').innerHTML = '<option value="">-- No Comparison --</option>';
+        // Reset version list
+        document.getElementById('versionList').innerHTML = '<p class="version-list-empty">-- Select Dataset First --</p>';
+        document.getElementById('versionSelectionSummary').textContent = '';
+        this.renderUserPicker();
         
         // Reset stepper
         this.updateStepperState();
     }
 }
 
+// Escape user-generated text (message content, names) before it goes into innerHTML
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Wrap matched search terms (stems and phrases) in <mark>, on already-escaped text
+function highlightTerms(text, terms) {
+    const escaped = escapeHtml(text);
+    const patterns = (terms || [])
+        .map(term => escapeHtml(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length);
+
+    if (patterns.length === 0) {
+        return escaped;
+    }
+    return escaped.replace(new RegExp(`\\b(${patterns.join('|')})[\\w'-]*`, 'gi'), '<mark>$&</mark>');
+}
+
+// A value as a JavaScript string literal for inline handlers; the attribute itself is escaped where it is written
+function jsString(value) {
+    return JSON.stringify(String(value));
+}
+
+// Save generated text through a temporary object URL
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function truncateText(text, maxLength) {
+    const value = String(text ?? '');
+    return value.length > maxLength ? `${value.slice(0, maxLength).trim()}…` : value;
+}
+
+function formatMessageTime(timestamp) {
+    return new Date(timestamp * 1000).toLocaleString();
+}
+
+// Jump from a topic in Topics Analysis to its threads; a null topic shows every thread again
+export function showTopicThreads(threadsId, topicId, topicName = `Topic ${topicId}`) {
+    filterThreads(threadsId, topicId === null ? null : 'data-topic-ids', topicId, `in "${topicName}"`);
+}
+
+// Threads a user started or replied in; linked from the contributor charts
+export function showUserThreads(threadsId, userId, userName = `User ${userId}`) {
+    filterThreads(threadsId, 'data-user-ids', userId, `with ${userName}`);
+}
+
+function filterThreads(threadsId, attribute, id, description) {
+    const section = document.getElementById(threadsId);
+    if (!section) {
+        return;
+    }
+
+    let matching = 0;
+    section.querySelectorAll('.thread-item').forEach(item => {
+        const ids = (item.getAttribute(attribute) || '').split(',');
+        const visible = attribute === null || ids.includes(String(id));
+        item.style.display = visible ? 'block' : 'none';
+        if (visible) {
+            matching++;
+        }
+    });
+
+    const filter = section.querySelector('.thread-filter');
+    if (filter) {
+        filter.style.display = attribute === null ? 'none' : 'flex';
+        filter.querySelector('.thread-filter-label').textContent = `${matching} thread${matching === 1 ? '' : 's'} ${description}`;
+    }
+
+    if (section.style.display === 'none') {
+        toggleSection(threadsId);
+    }
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Open a member's profile from inline handlers (topic contributors)
+export function showUserProfile(userId) {
+    window.topicTreeInterface?.openUserProfile(userId);
+}
+
+// Scroll to a cited message under an AI answer and flash it
+export function showMessageSource(sourcesId, messageId) {
+    const source = document.getElementById(sourcesId)?.querySelector(`[data-message-id="${messageId}"]`);
+    if (!source) {
+        return;
+    }
+    source.classList.add('highlighted');
+    source.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setTimeout(() => source.classList.remove('highlighted'), 2000);
+}
+
+export function downloadInteractionGraph(version, format) {
+    window.topicTreeInterface?.downloadInteractionGraph(version, format);
+}
+
 // Global toggle function for collapsible sections
-function toggleSection(sectionId) {
+export function toggleSection(sectionId) {
     const section = document.getElementById(sectionId);
     const arrow = document.querySelector(`[onclick="toggleSection('${sectionId}')"] .toggle-arrow`);
     
@@ -1696,12 +2820,22 @@ function toggleSection(sectionId) {
     }
 }
 
+// Inline onclick handlers need the toggle on window now that this file is a module
+if (typeof window !== 'undefined') {
+    window.toggleSection = toggleSection;
+    window.showTopicThreads = showTopicThreads;
+    window.showUserThreads = showUserThreads;
+    window.showUserProfile = showUserProfile;
+    window.showMessageSource = showMessageSource;
+    window.downloadInteractionGraph = downloadInteractionGraph;
+}
+
 // Initialize the application when the DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     try {
         window.topicTreeInterface = new TopicTreeInterface();
         console.log('Topic Tree Interface initialized successfully');
-        console.log('Available datasets:', window.topicTreeInterface.datasets);
+        console.log('Available datasets:', window.topicTreeInterface.datasetRegistry.list());
     } catch (error) {
         console.error('Failed to initialize Topic Tree Interface:', error);
     }
@@ -3,13 +3,14 @@
  * Validates data consistency across different query types and user selections
  */
 
-class TopicTreeTestSuite {
-    constructor(topicTreeInterface) {
+export class TopicTreeTestSuite {
+    constructor(topicTreeInterface, options = {}) {
         this.interface = topicTreeInterface;
         this.testResults = [];
-        this.testChannel = 2148778849; // Test dataset
-        this.testVersions = [1, 1757599557, 1757670313]; // Known versions
-        this.testUsers = ['451032731', '1604332194', '6160396935']; // Known users
+        this.testChannel = options.testChannel || 2148778849; // Test dataset
+        this.testVersions = options.testVersions || [1, 1757599557, 1757670313]; // Known versions
+        this.testUsers = options.testUsers || ['451032731', '1604332194', '6160396935']; // Known users
+        this.headless = !!options.headless; // Node runner: report only, no page rendering
     }
 
     async runAllTests() {
@@ -34,13 +35,22 @@ class TopicTreeTestSuite {
             // Test 5: Processing Logic Validation
             await this.testProcessingLogicValidation();
             
-            // Generate test report
-            this.generateTestReport();
+            // Test 6: Insights Generation
+            await this.testInsightsGeneration();
+            
+            // Test 7: Multi-Version Delta
+            await this.testMultiVersionDelta();
+            
+            // Test 8: Custom Query Analyzers
+            await this.testCustomQueryAnalyzers();
             
         } catch (error) {
             console.error('❌ Test suite failed:', error);
             this.addTestResult('Test Suite Execution', false, error.message);
         }
+        
+        // Generate test report
+        return this.generateTestReport();
     }
 
     async testDataConsistencyAcrossQueryTypes() {
@@ -318,6 +328,131 @@ class TopicTreeTestSuite {
         }
     }
 
+    async testInsightsGeneration() {
+        console.log('\n📊 Test 6: Insights Generation');
+        console.log('-'.repeat(50));
+        
+        try {
+            const treeData = await this.fetchTestTree(this.testVersions[0]);
+            const queryData = this.buildTestQuery('custom_query', { customQuestion: 'What topics are trending?' });
+            const result = this.interface.processTreeLocally(treeData, queryData, this.testVersions[0]);
+            const topTopic = result.data.topics[0];
+            
+            const leadsWithTopTopic = result.insights[0] === `Most discussed: "${topTopic.name}" with ${topTopic.messageCount} messages from ${topTopic.contributorCount} contributors`;
+            this.addTestResult('Insights - Most Discussed First', leadsWithTopTopic, leadsWithTopTopic ? `Leads with "${topTopic.name}"` : `Unexpected first insight: ${result.insights[0]}`);
+            
+            const echoesQuestion = result.insights.includes(`Custom analysis for question: "${queryData.customQuestion}"`);
+            this.addTestResult('Insights - Custom Question Echo', echoesQuestion, echoesQuestion ? 'Question included in insights' : 'Question missing from insights');
+            
+            const emptyResult = this.interface.generateInsights([], [], new Map(), queryData);
+            const handlesEmpty = emptyResult.length === 1 && emptyResult[0] === 'No topics identified in the conversation data';
+            this.addTestResult('Insights - Empty Tree', handlesEmpty, handlesEmpty ? 'Empty data handled' : `Unexpected insights: ${emptyResult.join('; ')}`);
+            
+        } catch (error) {
+            console.error('❌ Insights generation test failed:', error);
+            this.addTestResult('Insights Generation Test', false, error.message);
+        }
+    }
+
+    async testMultiVersionDelta() {
+        console.log('\n📊 Test 7: Multi-Version Delta');
+        console.log('-'.repeat(50));
+        
+        try {
+            const queryData = this.buildTestQuery('channel_query');
+            const results = [];
+            for (const version of this.testVersions) {
+                results.push(await this.interface.executeQueryAgainstVersion(queryData, version));
+            }
+            
+            // Feed versions out of order to check the delta sorts them
+            this.interface.generateMultiVersionDelta([...results].reverse());
+            const deltaHtml = document.getElementById('deltaContent').innerHTML;
+            
+            const sortedVersions = this.testVersions.slice().sort((a, b) => a - b);
+            const listsVersions = deltaHtml.includes(sortedVersions.join(' → '));
+            this.addTestResult('Delta - Version Ordering', listsVersions, listsVersions ? `Compared ${sortedVersions.join(' → ')}` : 'Versions missing or out of order');
+            
+            const first = results.find(r => r.version === sortedVersions[0]);
+            const last = results.find(r => r.version === sortedVersions[sortedVersions.length - 1]);
+            const messageDiff = last.data.messageCount - first.data.messageCount;
+            const showsDiff = deltaHtml.includes(`${messageDiff >= 0 ? '+' : ''}${messageDiff}</div>`);
+            this.addTestResult('Delta - Message Change', showsDiff, showsDiff ? `Message change ${messageDiff} rendered` : `Message change ${messageDiff} not rendered`);
+            
+            this.interface.generateMultiVersionDelta(results.slice(0, 1));
+            const needsTwo = document.getElementById('deltaContent').innerHTML.includes('Need at least 2 versions');
+            this.addTestResult('Delta - Single Version Guard', needsTwo, needsTwo ? 'Single version rejected' : 'Single version not rejected');
+            
+        } catch (error) {
+            console.error('❌ Multi-version delta test failed:', error);
+            this.addTestResult('Multi-Version Delta Test', false, error.message);
+        }
+    }
+
+    async testCustomQueryAnalyzers() {
+        console.log('\n📊 Test 8: Custom Query Analyzers');
+        console.log('-'.repeat(50));
+        
+        // One question per analyzer generateCustomQueryInsights can route to, with a marker only that analyzer emits
+        const branches = [
+            { analyzer: 'analyzeUserDisagreements', question: 'How do @James_T81 and @joybaruarobin differ in their topic preferences?', marker: /both discussed|have not participated/ },
+            { analyzer: 'analyzeTrendingTopics', question: 'What topics are trending?', marker: /^Most trending topic/ },
+            { analyzer: 'analyzeUserEngagement', question: 'Which users are most engaged?', marker: /^Most engaged user/ },
+            { analyzer: 'analyzeSentimentPatterns', question: 'What is the community mood?', marker: /^Community sentiment/ },
+            { analyzer: 'analyzeInteractions', question: 'Who are the influencers and bridges between communities?', marker: /^Interaction network/ },
+            { analyzer: 'analyzeConcerns', question: 'What are the main concerns?', marker: /^Concern area|^No major concern/ },
+            { analyzer: 'analyzeProtocolDiscussions', question: 'How is DeFi adoption going?', marker: /^Protocol discussion|^Limited protocol/ },
+            { analyzer: 'analyzeTemporalPatterns', question: 'What happened recently?', marker: /^Time range|^Temporal analysis/ },
+            { analyzer: 'analyzeGeneralQuestion', question: 'Summarize the discussion', marker: /^Primary topic/ }
+        ];
+        
+        try {
+            const version = this.testVersions[this.testVersions.length - 1];
+            const treeData = await this.fetchTestTree(version);
+            
+            for (const { analyzer, question, marker } of branches) {
+                const queryData = this.buildTestQuery('custom_query', { customQuestion: question });
+                const result = this.interface.processTreeLocally(treeData, queryData, version);
+                const matched = result.insights.some(insight => marker.test(insight));
+                
+                this.addTestResult(
+                    `Custom Query - ${analyzer}`,
+                    matched,
+                    matched ? `"${question}" routed to ${analyzer}` : `"${question}" did not produce ${analyzer} output`
+                );
+            }
+            
+        } catch (error) {
+            console.error('❌ Custom query analyzer test failed:', error);
+            this.addTestResult('Custom Query Analyzer Test', false, error.message);
+        }
+    }
+
+    async fetchTestTree(version) {
+        const response = await this.interface.apiCall('get_topic_tree_by_channel_and_version', {
+            channelId: this.testChannel,
+            version: version
+        });
+        
+        if (!response || !response.tree) {
+            throw new Error(`No tree data available for version ${version}`);
+        }
+        
+        return response.tree;
+    }
+
+    buildTestQuery(type, overrides = {}) {
+        return {
+            type: type,
+            dataset: this.testChannel.toString(),
+            users: [],
+            versions: this.testVersions,
+            parameters: {},
+            timestamp: new Date().toISOString(),
+            ...overrides
+        };
+    }
+
     addTestResult(testName, passed, details) {
         this.testResults.push({
             name: testName,
@@ -351,9 +486,13 @@ class TopicTreeTestSuite {
         }
         
         // Display in UI
-        this.displayTestResultsInUI();
+        if (!this.headless) {
+            this.displayTestResultsInUI();
+        }
         
         return {
+            generatedAt: new Date().toISOString(),
+            dataSource: this.interface.dataSource?.type || 'unknown',
             total: totalTests,
             passed: passedTests,
             failed: failedTests,
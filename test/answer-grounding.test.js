@@ -0,0 +1,58 @@
+/**
+ * Grounded Answer Tests
+ * Evidence retrieval, cited prompts and clickable message references
+ */
+
+import { formatReport } from '../lib/report-formatters.js';
+import { StubProvider } from '../lib/llm-providers.js';
+import { createEnhanceHandler } from '../api/openai-enhance.js';
+import { extractCitations, retrieveEvidence } from '../lib/answer-grounding.js';
+import { createMockResponse } from './mock-response.js';
+
+export default async function testGroundedAnswers(suite) {
+    const version = suite.testVersions[suite.testVersions.length - 1];
+    const tree = await suite.fetchTestTree(version);
+    const messages = Object.values(tree.messages);
+    const staking = retrieveEvidence(messages, 'What did people say about staking?');
+    const unmatched = retrieveEvidence(messages, 'Xylophone zeppelin?', { limit: 3 });
+    const newest = Math.max(...messages.map(message => message.timestamp));
+    suite.addTestResult('Grounding - Retrieval',
+        staking.method === 'search' && staking.query === 'staking' && staking.messages.length > 0 && staking.messages.length <= 8 &&
+        staking.messages.every(message => /stak/i.test(message.text) && tree.messages[message.messageId]) &&
+        unmatched.method === 'recent' && unmatched.messages.length === 3 && unmatched.messages[0].timestamp === newest,
+        `${staking.messages.length} staking messages (#${staking.messages.map(message => message.messageId).join(', #')}), recent fallback for unmatched questions`);
+    
+    const question = 'Who is worried about validator rewards?';
+    const queryData = suite.buildTestQuery('custom_query', { customQuestion: question });
+    const localResults = suite.interface.processTreeLocally(tree, queryData, version);
+    const evidence = localResults.evidence.messages;
+    const stub = new StubProvider();
+    const response = createMockResponse();
+    await createEnhanceHandler({ provider: stub })({
+        method: 'POST',
+        body: { question, context: { ...localResults.data, evidence } }
+    }, response);
+    const prompt = stub.calls[0].prompt;
+    suite.addTestResult('Grounding - Prompt And Citations',
+        evidence.length > 0 && prompt.includes('Relevant Messages:') && prompt.includes(`[#${evidence[0].messageId}] @${evidence[0].userName}`) &&
+        response.statusCode === 200 && response.body.citations.length === Math.min(2, evidence.length) &&
+        response.body.citations[0] === evidence[0].messageId &&
+        JSON.stringify(extractCitations('See [#1001] and [#1002, #9999].', [{ messageId: '1001' }, { messageId: '1002' }])) === '["1001","1002"]',
+        `${evidence.length} messages in the prompt, answer cites #${response.body.citations.join(', #')}`);
+    
+    const cited = evidence[0];
+    const answer = {
+        ...localResults,
+        version,
+        aiSummary: `Validators <b>worry</b> about rewards [#${cited.messageId}], see also [#424242].`,
+        aiCitations: [cited.messageId]
+    };
+    const html = suite.interface.formatInsightsDisplay(answer);
+    const markdown = formatReport({ query: queryData, results: [answer], delta: null }, 'markdown');
+    suite.addTestResult('Grounding - Clickable References',
+        html.includes(`class="message-ref" onclick="showMessageSource(`) && html.includes(`data-message-id="${cited.messageId}"`) &&
+        html.includes('message-ref-unknown') && html.includes('Cited Messages (1)') &&
+        html.includes('&lt;b&gt;worry&lt;/b&gt;') && !html.includes('<b>worry') &&
+        markdown.includes(`- [#${cited.messageId}] @${cited.userName}`),
+        `#${cited.messageId} links to its quoted source, unknown #424242 stays inert`);
+}
@@ -0,0 +1,32 @@
+/**
+ * Chart Tests
+ * SVG bar, heatmap, stacked area and line charts
+ */
+
+import { renderBarChart, renderHeatmap, renderLineChart, renderStackedArea } from '../lib/charts.js';
+
+export default async function testCharts(suite) {
+    const version = suite.testVersions[suite.testVersions.length - 1];
+    const result = await suite.interface.executeQueryAgainstVersion(suite.buildTestQuery('channel_query'), version);
+    const activity = result.data.activity;
+    const bucketed = activity.totals.reduce((sum, count) => sum + count, 0);
+    suite.addTestResult('Charts - Activity Data', activity.buckets.length > 1 && bucketed === result.data.messageCount,
+        `${activity.buckets.length} ${activity.granularity} buckets covering ${bucketed} of ${result.data.messageCount} messages`);
+    
+    const html = suite.interface.formatInsightsDisplay(result);
+    const topic = result.data.topics.find(t => t.threadCount > 0);
+    const user = topic.contributors[0];
+    const chartsOk = html.includes('📊 Charts') && html.includes('chart-bar') && html.includes('chart-cell') && html.includes('chart-area');
+    const linked = html.includes(`', &quot;${topic.id}&quot;, &quot;${topic.name.replace(/&/g, '&amp;')}&quot;)`);
+    const userLinked = html.includes(`showUserThreads(`) && html.includes(`data-user-ids="`) && html.includes(`', &quot;${user.userId}&quot;, &quot;`);
+    suite.addTestResult('Charts - Insights Rendering', chartsOk && linked && userLinked, `Bar chart, heatmap and stacked area with links to "${topic.name}" and ${user.username}`);
+    
+    const bars = renderBarChart({ items: [{ label: 'A "quoted" <topic>', value: 4, onclick: `showTopicThreads('t', '1', ${JSON.stringify('A "quoted" <topic>')})` }, { label: 'B', value: 2 }] });
+    const heatmap = renderHeatmap({ rows: [{ label: '@a' }], columns: [{ label: 'X' }, { label: 'Y' }], cells: [[{ value: 3 }, { value: 0 }]] });
+    const area = renderStackedArea({ labels: ['d1', 'd2'], series: [{ name: 'X', values: [1, 2] }, { name: 'Y', values: [3, 0] }] });
+    const escaped = !bars.includes('<topic>') && bars.includes('onclick="showTopicThreads(\'t\', \'1\', &quot;A \\&quot;quoted\\&quot; &lt;topic&gt;&quot;)"');
+    const stackedOk = area.includes('Y — d1: 3 of 4') && !area.includes('Y — d2');
+    const heatOk = (heatmap.match(/class="chart-cell"/g) || []).length === 2 && heatmap.includes('>3</text>');
+    const lineOk = (renderLineChart({ labels: ['v1', 'v2'], series: [{ name: 'M', values: [1, 5] }] }).match(/<circle/g) || []).length === 2;
+    suite.addTestResult('Charts - Renderers', escaped && stackedOk && heatOk && lineOk, 'Labels and handlers escaped; stacks, cells and points drawn per value');
+}
@@ -0,0 +1,76 @@
+/**
+ * Follow-up Question Tests
+ * Resolving follow-ups against the conversation and running them through the interface
+ */
+
+import { StubProvider } from '../lib/llm-providers.js';
+import { createEnhanceHandler } from '../api/openai-enhance.js';
+import { ConversationSession } from '../lib/conversation-session.js';
+import { createMockResponse } from './mock-response.js';
+
+export default async function testFollowUpQuestions(suite) {
+    const session = new ConversationSession();
+    const users = [{ userId: '451032731', userName: 'James_T81' }, { userId: '2', userName: 'cryptoNina' }];
+    session.reset({ dataset: suite.testChannel, versions: [1, 1757670313], users: [] });
+    session.record({ question: 'What are the main concerns?', scope: session.scope, focus: { users: [], topics: ['Staking Rewards'] } }, []);
+    const context = { availableVersions: [1, 1757599557, 1757670313], users };
+    const elliptical = session.resolve('And what about in version 2?', context);
+    const mentioned = session.resolve('What about @cryptoNina in the latest version?', context);
+    const topical = session.resolve('Who posts most in that topic?', context);
+    let missing = null;
+    try {
+        session.resolve('What about version 9?', context);
+    } catch (error) {
+        missing = error.message;
+    }
+    suite.addTestResult('Follow-up - Resolving References',
+        elliptical.standalone === 'What are the main concerns?' && elliptical.scope.versions.join() === '1757599557' &&
+        mentioned.standalone === 'What are the main concerns?' && mentioned.scope.users.join() === '2' && mentioned.scope.versions.join() === '1757670313' &&
+        topical.standalone === 'Who posts most in "Staking Rewards"?' && topical.scope.versions.join() === '1,1757670313' &&
+        missing === 'Version 9 is not available',
+        `"${elliptical.question}" → ${elliptical.scope.versions}, "${topical.question}" → "${topical.standalone}"`);
+    
+    const chat = new suite.interface.constructor({
+        dataSource: suite.interface.dataSource,
+        datasetConfig: { datasets: suite.interface.datasetRegistry.list() },
+        queryState: null
+    });
+    await chat.ready;
+    await chat.handleDatasetChange(String(suite.testChannel));
+    chat.setSelectedVersions([suite.testVersions[0], suite.testVersions[2]]);
+    await chat.userDirectoryReady;
+    const question = 'How do @James_T81 and @joybaruarobin differ in their topic preferences?';
+    const queryData = { ...chat.buildQueryData(), type: 'custom_query', customQuestion: question };
+    await chat.executeMultiVersionQuery(queryData);
+    chat.startConversation(queryData);
+    
+    await chat.askFollowUp('and what about in version 2?');
+    const versionTurn = chat.conversation.turns[1];
+    const versionQuery = chat.lastQueryData;
+    const stub = new StubProvider();
+    const enhanced = createMockResponse();
+    await createEnhanceHandler({ provider: stub })({
+        method: 'POST',
+        body: { question: versionQuery.customQuestion, context: { ...chat.resultsCache[0].data }, conversation: versionQuery.conversation }
+    }, enhanced);
+    suite.addTestResult('Follow-up - Another Version',
+        chat.resultsCache.length === 1 && chat.resultsCache[0].version === suite.testVersions[1] &&
+        versionQuery.customQuestion === question && versionQuery.conversation.history.length === 1 &&
+        versionQuery.conversation.history[0].question === question && versionTurn.answer.length > 0 &&
+        chat.resultsCache[0].intent?.comparison?.targets.join() === 'James_T81,joybaruarobin' &&
+        enhanced.statusCode === 200 && stub.calls[0].prompt.includes(`Conversation So Far:\nQ: ${question}`) &&
+        stub.calls[0].prompt.includes('asked as "and what about in version 2?"'),
+        `version ${chat.resultsCache[0].version} answered "${versionQuery.customQuestion}" with ${versionQuery.conversation.history.length} earlier turn`);
+    
+    await chat.askFollowUp('show me their messages');
+    const messagesTurn = chat.conversation.turns[2];
+    const posters = new Set(chat.resultsCache[0].search?.results.map(result => result.userName));
+    const history = document.getElementById('chatHistory').innerHTML;
+    suite.addTestResult('Follow-up - Their Messages',
+        messagesTurn.type === 'message_search' && chat.lastQueryData.users.length === 2 &&
+        chat.resultsCache[0].version === suite.testVersions[1] && chat.resultsCache[0].search.totalMatches > 0 &&
+        [...posters].every(name => name === 'James_T81' || name === 'joybaruarobin') &&
+        history.includes('show me their messages') && history.includes('Asked as: show me @James_T81 and @joybaruarobin messages') &&
+        history.split('class="chat-turn"').length === 4,
+        `${chat.resultsCache[0].search.totalMatches} messages from ${[...posters].join(', ')}, 3 turns in the chat`);
+}
@@ -0,0 +1,60 @@
+/**
+ * Conversation Thread Tests
+ * Reply trees from conversationThreads and reply links, and the thread explorer
+ */
+
+import { buildThreads, threadsForTopic } from '../lib/conversation-threads.js';
+
+export default async function testConversationThreads(suite) {
+    const version = suite.testVersions[suite.testVersions.length - 1];
+    const treeData = await suite.fetchTestTree(version);
+    const threads = buildThreads(treeData);
+    
+    const rootIds = treeData.rootMessageIds || [];
+    const coversRoots = threads.length === rootIds.length && rootIds.every(id => threads.some(t => String(t.rootMessageId) === String(id)));
+    suite.addTestResult('Threads - Root Messages', coversRoots, `${threads.length} threads for ${rootIds.length} root messages`);
+    
+    // Every message listed in conversationThreads appears exactly once in its reply tree
+    const flatten = (node) => [node.messageId, ...node.replies.flatMap(flatten)];
+    const mismatched = Object.values(treeData.conversationThreads || {}).filter(entry => {
+        const thread = threads.find(t => String(t.rootMessageId) === String(entry.rootMessageId));
+        const ids = thread ? flatten(thread.root).map(String).sort() : [];
+        return JSON.stringify(ids) !== JSON.stringify(entry.messageIds.map(String).sort());
+    });
+    suite.addTestResult('Threads - Reply Trees', mismatched.length === 0, mismatched.length === 0 ? 'Reply trees match conversationThreads' : `${mismatched.length} threads differ from conversationThreads`);
+    
+    // Replies sit under the message they reply to
+    const parentOk = (node) => node.replies.every(reply => {
+        const replyTo = treeData.messages[reply.messageId].replyToMessageId;
+        return (replyTo === undefined || String(replyTo) === String(node.messageId) || !treeData.messages[replyTo]) && parentOk(reply);
+    });
+    const nested = threads.every(thread => parentOk(thread.root));
+    suite.addTestResult('Threads - Nesting', nested, nested ? 'Replies nested under their parent message' : 'Reply attached to the wrong parent');
+    
+    // Rebuilding from replyToMessageId alone gives the same threads
+    const { conversationThreads, rootMessageIds, ...bareTree } = treeData;
+    const derived = buildThreads(bareTree);
+    const sameDerived = derived.length === threads.length && derived.every(t => threads.some(o => String(o.rootMessageId) === String(t.rootMessageId) && o.messageCount === t.messageCount));
+    suite.addTestResult('Threads - Reply Links Fallback', sameDerived, `${derived.length} threads rebuilt from reply links`);
+    
+    const userId = suite.testUsers[0];
+    const queryData = suite.buildTestQuery('custom_query', { users: [userId] });
+    const result = suite.interface.processTreeLocally(treeData, queryData, version);
+    const userThreads = result.threads.every(thread => thread.participants.some(p => String(p.userId) === userId));
+    const topic = result.data.topics[0];
+    const countsMatch = result.data.topics.every(t => t.threadCount === threadsForTopic(result.threads, t.id).length);
+    suite.addTestResult('Threads - Engine Result', userThreads && countsMatch && result.threads.length > 0, `${result.threads.length} threads with @${userId}; "${topic.name}" has ${topic.threadCount}`);
+    
+    const html = suite.interface.formatInsightsDisplay(result);
+    const rendered = html.includes('Conversation Threads') && html.includes('showTopicThreads(') && !html.includes('<script');
+    suite.addTestResult('Threads - Rendering', rendered, rendered ? 'Thread explorer and topic links rendered' : 'Thread explorer missing from insights');
+    
+    const payload = '<img src=x onerror="alert(1)">';
+    const hostile = {
+        ...result,
+        summary: payload,
+        data: { ...result.data, topics: result.data.topics.map(t => ({ ...t, name: payload, id: `');${payload}`, contributors: t.contributors.map(c => ({ ...c, username: payload, userId: `');${payload}` })) })) }
+    };
+    const escaped = !suite.interface.formatInsightsDisplay(hostile).includes('<img');
+    suite.addTestResult('Threads - Escaped Tree Text', escaped, escaped ? 'Summary, topic names and usernames are escaped' : 'Tree text rendered as markup');
+}
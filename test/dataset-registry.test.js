@@ -0,0 +1,58 @@
+/**
+ * Dataset Registry Tests
+ * datasets.json loading and validation, default versions and the dataset picker
+ */
+
+import { DatasetRegistry, parseDatasetConfig, spreadVersions } from '../lib/dataset-registry.js';
+
+export default async function testDatasetRegistry(suite) {
+    const registry = suite.interface.datasetRegistry;
+    const channelId = suite.testChannel.toString();
+    const configured = registry.list().filter(dataset => dataset.origin === 'config');
+    const testDataset = registry.get(channelId);
+    suite.addTestResult('Datasets - Config Loaded', configured.length > 0 && !!testDataset, `${configured.length} configured datasets; test channel is "${testDataset?.name}"`);
+    
+    suite.interface.populateDatasetSelect(channelId);
+    const options = document.getElementById('channelSelect').innerHTML;
+    const allListed = registry.list().every(dataset => options.includes(`value="${dataset.channelId}"`));
+    suite.addTestResult('Datasets - Select Generated', allListed, allListed ? `${registry.list().length} options generated from the registry` : 'Registry datasets missing from the select');
+    
+    suite.interface.showDatasetInfo(channelId);
+    const info = document.getElementById('datasetInfo').innerHTML;
+    const infoOk = info.includes(testDataset.name) && (!testDataset.github || info.includes(testDataset.github));
+    suite.addTestResult('Datasets - Info Panel', infoOk, infoOk ? 'Dataset info rendered from the registry' : 'Dataset info does not match the registry');
+    
+    const available = [1, 2, 3, 4, 5].map(version => ({ version }));
+    const spread = JSON.stringify(spreadVersions(available)) === JSON.stringify([1, 3, 5]) &&
+        JSON.stringify(spreadVersions(available.slice(0, 2))) === JSON.stringify([2]);
+    const custom = new DatasetRegistry({ datasets: [
+        { channelId: 1, name: 'Ranged', defaultVersions: '2..4' },
+        { channelId: 2, name: 'Stale', defaultVersions: [9] }
+    ] });
+    const configuredVersions = JSON.stringify(custom.defaultVersionsFor(1, available)) === JSON.stringify([2, 3, 4]) &&
+        JSON.stringify(custom.defaultVersionsFor(2, available)) === JSON.stringify([1, 3, 5]);
+    suite.addTestResult('Datasets - Default Versions', spread && configuredVersions, 'Configured specs honoured, first/middle/latest otherwise');
+    
+    const invalidConfigs = [
+        {},
+        { datasets: [{ name: 'No ID' }] },
+        { datasets: [{ channelId: 1 }] },
+        { datasets: [{ channelId: 1, name: 'A' }, { channelId: '1', name: 'B' }] },
+        { defaultDataset: 2, datasets: [{ channelId: 1, name: 'A' }] }
+    ];
+    const rejected = invalidConfigs.filter(config => {
+        try {
+            parseDatasetConfig(config);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    });
+    suite.addTestResult('Datasets - Config Validation', rejected.length === invalidConfigs.length, `${rejected.length}/${invalidConfigs.length} invalid configs rejected`);
+    
+    if (suite.interface.dataSource.type === 'local') {
+        const discovered = new DatasetRegistry().discoverFrom(suite.interface.dataSource);
+        const discoveredOk = discovered.length === suite.interface.dataSource.listChannels().length && discovered.every(d => d.origin === 'local');
+        suite.addTestResult('Datasets - Discovered From Source', discoveredOk, `${discovered.length} channels discovered from local tree files`);
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * DOM Stand-in for Headless Tests
+ * Just enough of document/window for TopicTreeInterface and TopicTreeTestSuite to run under Node
+ */
+
+class StubClassList {
+    constructor() {
+        this.classes = new Set();
+    }
+
+    add(...names) {
+        names.forEach(name => this.classes.add(name));
+    }
+
+    remove(...names) {
+        names.forEach(name => this.classes.delete(name));
+    }
+
+    toggle(name, force) {
+        const enabled = force !== undefined ? force : !this.classes.has(name);
+        enabled ? this.classes.add(name) : this.classes.delete(name);
+        return enabled;
+    }
+
+    contains(name) {
+        return this.classes.has(name);
+    }
+}
+
+export class StubElement {
+    constructor(tagName = 'div', id = '') {
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.value = '';
+        this.innerHTML = '';
+        this.textContent = '';
+        this.className = '';
+        this.disabled = false;
+        this.checked = false;
+        this.files = [];
+        this.style = {};
+        this.dataset = {};
+        this.attributes = {};
+        this.children = [];
+        this.listeners = {};
+        this.classList = new StubClassList();
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(fn => fn !== listener);
+    }
+
+    dispatchEvent(event) {
+        (this.listeners[event.type] || []).forEach(listener => listener({ target: this, ...event }));
+        return true;
+    }
+
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    remove() {}
+
+    focus() {}
+
+    scrollIntoView() {}
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+}
+
+export class StubDocument {
+    constructor() {
+        this.elements = new Map();
+        this.selections = new Map();
+        this.listeners = {};
+        this.body = new StubElement('body');
+    }
+
+    // Every ID resolves, so code written against index.html never sees a missing element
+    getElementById(id) {
+        if (!this.elements.has(id)) {
+            this.elements.set(id, new StubElement('div', id));
+        }
+        return this.elements.get(id);
+    }
+
+    // Selector lookups return a stable set of three elements, matching the three-step stepper and tabs
+    querySelectorAll(selector) {
+        if (!this.selections.has(selector)) {
+            this.selections.set(selector, [0, 1, 2].map(() => new StubElement('div')));
+        }
+        return this.selections.get(selector);
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0];
+    }
+
+    createElement(tagName) {
+        return new StubElement(tagName);
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+}
+
+/**
+ * Install `document` and `window` globals. Returns the stub document so tests can inspect rendered HTML.
+ */
+export function installDomStub(options = {}) {
+    const document = new StubDocument();
+    const location = {
+        href: options.href || 'http://localhost:8000/',
+        search: options.search || '',
+        hash: options.hash || '',
+        pathname: '/'
+    };
+
+    globalThis.document = document;
+    globalThis.window = globalThis;
+    globalThis.window.location = location;
+    globalThis.window.getComputedStyle = (element) => ({ display: element.style.display || 'block' });
+
+    return document;
+}
@@ -0,0 +1,96 @@
+/**
+ * Evolution Narrative Tests
+ * The cross-version context, its local narrative, the endpoint and the Delta tab
+ */
+
+import { SILENT_LOGGER } from '../lib/semantic-engine.js';
+import { buildQueryData, runQuery } from '../lib/query-runner.js';
+import { formatReport } from '../lib/report-formatters.js';
+import { StubProvider } from '../lib/llm-providers.js';
+import { buildEvolutionContext, describeEvolution } from '../lib/evolution-narrative.js';
+import { createNarrativeHandler } from '../api/evolution-narrative.js';
+import { createMockResponse } from './mock-response.js';
+
+export default async function testEvolutionNarrative(suite) {
+    const versions = suite.testVersions.slice().sort((a, b) => a - b);
+    const queryData = buildQueryData({ channelId: suite.testChannel, versions, question: 'What is trending?' });
+    const report = await runQuery(suite.interface.dataSource, queryData, { logger: SILENT_LOGGER });
+    const context = buildEvolutionContext(report.results, report.delta);
+    const narrative = describeEvolution(context);
+    suite.addTestResult('Narrative - Context And Local Story',
+        context.versions.length === 3 && context.versions[0].messageCount === 15 && context.versions[2].messageCount === 41 &&
+        context.drivers[0].userName === '@James_T81' && context.drivers[0].change === 6 &&
+        context.topicGrowth[0].name === 'Staking Rewards & Validators' &&
+        context.topicChanges.some(change => change.type === 'new' && change.description.startsWith('"Token Economics"')) &&
+        narrative.includes('from 15 to 41 messages (+26)') && narrative.includes('"Token Economics" emerged') &&
+        narrative.includes('@James_T81 (+6') && buildEvolutionContext(report.results, null) === null,
+        `${narrative.split('\n\n').length} paragraphs, top driver ${context.drivers[0].userName}`);
+    
+    const stub = new StubProvider();
+    const handler = createNarrativeHandler({ provider: stub });
+    const response = createMockResponse();
+    const invalid = createMockResponse();
+    await handler({ method: 'POST', body: { context, question: 'What is trending?' } }, response);
+    await handler({ method: 'POST', body: { context: { ...context, versions: context.versions.slice(0, 1) } } }, invalid);
+    const prompt = stub.calls[0].prompt;
+    suite.addTestResult('Narrative - Endpoint With Stub',
+        response.statusCode === 200 && response.body.success && response.body.provider === 'stub' && response.body.narrative.length > 0 &&
+        prompt.includes('The analyst asked: "What is trending?"') && prompt.includes('Contributors driving the change:') &&
+        prompt.includes('- @James_T81: 4 → 10 messages') && prompt.includes('"Token Economics"') &&
+        invalid.statusCode === 400 && stub.calls.length === 1 && stub.calls[0].maxTokens === 400,
+        `prompt of ${prompt.length} characters with a ${stub.calls[0].maxTokens}-token budget, 400 with a single version`);
+    
+    // A deployer's higher LLM_MAX_TOKENS is kept rather than cut to the narrative's floor
+    const generous = new StubProvider({ maxTokens: 800 });
+    await createNarrativeHandler({ provider: generous })({ method: 'POST', body: { context } }, createMockResponse());
+    suite.addTestResult('Narrative - Configured Token Limit', generous.calls[0]?.maxTokens === 800,
+        `${generous.calls[0]?.maxTokens}-token budget with LLM_MAX_TOKENS=800`);
+    
+    const delta = new suite.interface.constructor({
+        dataSource: suite.interface.dataSource,
+        datasetConfig: { datasets: suite.interface.datasetRegistry.list() },
+        queryState: null
+    });
+    await delta.ready;
+    await delta.handleDatasetChange(String(suite.testChannel));
+    delta.setSelectedVersions(versions);
+    // No serverless function answers under Node, so the AI request fails and the local narrative stays
+    delta.openaiEnabled = true;
+    await delta.executeMultiVersionQuery({ ...delta.buildQueryData(), type: 'custom_query', customQuestion: 'What is trending?' });
+    await delta.narrativeReady;
+    const html = document.getElementById('evolutionNarrative').innerHTML;
+    const markdown = formatReport(delta.buildReport(), 'markdown');
+    suite.addTestResult('Narrative - Top Of The Delta Tab',
+        delta.evolutionNarrative?.method === 'local' && delta.evolutionNarrative.pending === false &&
+        html.includes('How the Community Evolved') && html.includes('&quot;Token Economics&quot; emerged') &&
+        html.includes('Local summary') && markdown.includes(delta.evolutionNarrative.text.split('\n\n')[0]),
+        `${delta.evolutionNarrative?.method} narrative over ${versions.length} versions, included in the report`);
+    
+    // A newer query aborts the narrative request still waiting for the older one
+    const narrativeSignals = [];
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = (url, options) => {
+        if (url !== '/api/evolution-narrative') {
+            return Promise.reject(new Error(`No route for ${url}`));
+        }
+        narrativeSignals.push(options.signal);
+        return new Promise((resolve, reject) => options.signal?.addEventListener('abort', () => reject(new Error('aborted'))));
+    };
+    const within = (promise, ms = 1000) => Promise.race([promise, new Promise(resolve => setTimeout(() => resolve('timeout'), ms))]);
+    let firstAborted = false;
+    let settled = null;
+    try {
+        const queryData = { ...delta.buildQueryData(), type: 'channel_query', customQuestion: '' };
+        await delta.executeMultiVersionQuery(queryData);
+        const firstNarrative = delta.narrativeReady;
+        await delta.executeMultiVersionQuery(queryData);
+        firstAborted = narrativeSignals[0]?.aborted === true && narrativeSignals[1]?.aborted === false;
+        settled = await within(firstNarrative);
+        delta.cancelAiStreams();
+        await within(delta.narrativeReady);
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+    suite.addTestResult('Narrative - Cancelled By Newer Query', firstAborted && settled !== 'timeout',
+        `${narrativeSignals.length} narrative requests, the first ${firstAborted ? 'aborted' : 'left running'} by the second query`);
+}
@@ -0,0 +1,63 @@
+/**
+ * Interaction Graph Tests
+ * Reply graph, centrality, communities, the network view and its exports
+ */
+
+import { buildInteractionGraph, exportInteractionGraph, findBridges } from '../lib/interaction-graph.js';
+
+export default async function testInteractionGraph(suite) {
+    // Two triangles of mutual replies joined only through user 7
+    const messages = [];
+    const reply = (from, to) => {
+        const parent = { id: messages.length + 1, fromUserId: to, fromUserName: `user${to}`, topicId: to < 4 ? 0 : 1, replyToMessageId: null };
+        messages.push(parent, { id: messages.length + 2, fromUserId: from, fromUserName: `user${from}`, topicId: parent.topicId, replyToMessageId: parent.id });
+    };
+    [[1, 2], [2, 3], [3, 1], [4, 5], [5, 6], [6, 4], [7, 3], [7, 4]].forEach(([from, to]) => reply(from, to));
+    const synthetic = buildInteractionGraph(messages);
+    const clusters = synthetic.communities.map(community => community.members.map(member => member.userId).sort().join(','));
+    const [bridge] = findBridges(synthetic, 1);
+    suite.addTestResult('Graph - Communities And Bridges',
+        synthetic.communities.length === 2 && clusters.some(c => ['1,2,3', '1,2,3,7'].includes(c)) && clusters.some(c => ['4,5,6', '4,5,6,7'].includes(c)) &&
+        bridge?.userId === '7' && synthetic.modularity > 0.3,
+        `Communities ${clusters.join(' | ')}, modularity ${synthetic.modularity}, top bridge @${bridge?.userName}`);
+    
+    const version = suite.testVersions[suite.testVersions.length - 1];
+    const tree = await suite.fetchTestTree(version);
+    const result = suite.interface.processTreeLocally(tree, suite.buildTestQuery('channel_query'), version);
+    const graph = result.data.interactions;
+    const treeMessages = Object.values(tree.messages);
+    const byId = new Map(treeMessages.map(message => [String(message.id), message]));
+    const replies = treeMessages.filter(message => {
+        const parent = byId.get(String(message.replyToMessageId));
+        return parent && parent.fromUserId !== message.fromUserId;
+    }).length;
+    const rankTotal = graph.nodes.reduce((sum, node) => sum + node.pagerank, 0);
+    suite.addTestResult('Graph - Tree Metrics',
+        graph.replyCount === replies && graph.edges.reduce((sum, edge) => sum + edge.weight, 0) === replies &&
+        Math.abs(rankTotal - 1) < 0.01 && graph.communities.reduce((sum, community) => sum + community.size, 0) === graph.nodes.length,
+        `${graph.nodes.length} users, ${graph.replyCount} replies, ${graph.communities.length} communities, most influential @${graph.nodes[0].userName}`);
+    
+    const csv = exportInteractionGraph(graph, 'csv').trim().split('\n');
+    const graphml = exportInteractionGraph(graph, 'graphml');
+    const json = JSON.parse(exportInteractionGraph(graph, 'json'));
+    let rejected = false;
+    try {
+        exportInteractionGraph(graph, 'gexf');
+    } catch (error) {
+        rejected = true;
+    }
+    suite.addTestResult('Graph - Exports',
+        csv.length === graph.edges.length + 1 && (graphml.match(/<node /g) || []).length === graph.nodes.length &&
+        (graphml.match(/<edge /g) || []).length === graph.edges.length && json.nodes.length === graph.nodes.length && rejected,
+        `CSV ${csv.length - 1} edges, GraphML ${graph.nodes.length} nodes, JSON round-trips`);
+    
+    const html = suite.interface.formatInsightsDisplay({ ...result, version });
+    const compare = suite.interface.processTreeLocally(tree, suite.buildTestQuery('custom_query', {
+        customQuestion: 'How do @James_T81 and @joybaruarobin differ in their topic preferences?'
+    }), version);
+    suite.addTestResult('Graph - Network View And Pair Replies',
+        html.includes('Interaction Network') && html.includes('chart-node') && html.includes(`showUserProfile(&quot;${graph.nodes[0].userId}&quot;)`) &&
+        html.includes(`downloadInteractionGraph('${version}', 'graphml')`) &&
+        compare.insights.some(insight => /^Direct replies: James_T81 → joybaruarobin \d+×/.test(insight)),
+        compare.insights.find(insight => insight.startsWith('Direct replies')) || 'No direct reply insight');
+}
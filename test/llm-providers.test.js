@@ -0,0 +1,129 @@
+/**
+ * LLM Provider Tests
+ * Provider configuration from the environment and the enhancement endpoint with a stub model
+ */
+
+import { createLlmProvider, llmConfigFromEnv, StubProvider } from '../lib/llm-providers.js';
+import { createEnhanceHandler } from '../api/openai-enhance.js';
+import { formatServerSentEvent } from '../lib/server-sent-events.js';
+import { createMockResponse } from './mock-response.js';
+
+// A streamed completion whose chunks arrive after the given delays; aborting the request errors the body, as fetch does
+function slowStreamFetch(delays) {
+    const encoder = new TextEncoder();
+    return async (url, init) => {
+        let index = 0;
+        const body = new ReadableStream({
+            async pull(controller) {
+                if (index === delays.length) {
+                    controller.enqueue(encoder.encode(formatServerSentEvent(null, '[DONE]')));
+                    controller.close();
+                    return;
+                }
+                await new Promise(resolve => setTimeout(resolve, delays[index]));
+                if (init.signal.aborted) {
+                    controller.error(init.signal.reason);
+                    return;
+                }
+                controller.enqueue(encoder.encode(formatServerSentEvent(null, { choices: [{ delta: { content: `part${index++} ` } }] })));
+            }
+        });
+        return new Response(body);
+    };
+}
+
+export default async function testLlmProviders(suite) {
+    const defaults = llmConfigFromEnv({ OPENAI_API_KEY: 'sk-test' });
+    const local = llmConfigFromEnv({ LLM_PROVIDER: 'openai-compatible', LLM_MODEL: 'llama3', LLM_MAX_TOKENS: '400', LLM_TEMPERATURE: '0', OPENAI_API_KEY: 'sk-test' });
+    let badNumber = null;
+    try {
+        llmConfigFromEnv({ LLM_MAX_TOKENS: 'lots' });
+    } catch (error) {
+        badNumber = error.message;
+    }
+    let unknown = null;
+    try {
+        createLlmProvider({ provider: 'carrier-pigeon' });
+    } catch (error) {
+        unknown = error.message;
+    }
+    let missingModel = null;
+    try {
+        createLlmProvider(llmConfigFromEnv({ LLM_PROVIDER: 'openai-compatible' }));
+    } catch (error) {
+        missingModel = error.message;
+    }
+    suite.addTestResult('LLM - Environment Config',
+        defaults.provider === 'openai' && defaults.model === 'gpt-4' && defaults.maxTokens === 200 && defaults.temperature === 0.3 && defaults.apiKey === 'sk-test' &&
+        local.model === 'llama3' && local.maxTokens === 400 && local.temperature === 0 && local.apiKey === null &&
+        badNumber?.includes('LLM_MAX_TOKENS') && unknown?.includes('carrier-pigeon') && missingModel?.includes('LLM_MODEL'),
+        `defaults ${defaults.provider}/${defaults.model}, local ${local.provider}/${local.model} without key`);
+    
+    const requests = [];
+    const fakeFetch = async (url, init) => {
+        requests.push({ url, init, body: JSON.parse(init.body) });
+        return { ok: true, json: async () => ({ model: 'llama3:8b', choices: [{ message: { content: '  Staking leads.  ' } }] }) };
+    };
+    const compatible = createLlmProvider({ ...local, baseUrl: 'http://localhost:8080/v1/', fetch: fakeFetch });
+    const openai = createLlmProvider({ ...defaults, fetch: fakeFetch });
+    const localAnswer = await compatible.complete({ system: 'Be brief.', prompt: 'Question: "What is trending?"' });
+    await openai.complete({ prompt: 'Hello', maxTokens: 50 });
+    const [localRequest, openaiRequest] = requests;
+    suite.addTestResult('LLM - OpenAI-Compatible Requests',
+        localRequest.url === 'http://localhost:8080/v1/chat/completions' && !localRequest.init.headers.Authorization &&
+        localRequest.body.model === 'llama3' && localRequest.body.max_tokens === 400 && localRequest.body.temperature === 0 &&
+        localRequest.body.messages[0].role === 'system' && localAnswer.text === 'Staking leads.' && localAnswer.model === 'llama3:8b' &&
+        openaiRequest.url === 'https://api.openai.com/v1/chat/completions' && openaiRequest.init.headers.Authorization === 'Bearer sk-test' &&
+        openaiRequest.body.max_tokens === 50 && openaiRequest.body.messages.length === 1,
+        `local → ${localRequest.url}, openai → ${openaiRequest.url} with bearer token`);
+    
+    // The timeout covers each wait for the server, not the whole answer: a steady stream outlasts it, a stalled one does not
+    const steady = createLlmProvider({ ...local, timeoutMs: 60, fetch: slowStreamFetch([30, 30, 30, 30]) });
+    const stalled = createLlmProvider({ ...local, timeoutMs: 60, fetch: slowStreamFetch([30, 150]) });
+    const streamed = await steady.complete({ prompt: 'Hello', onToken: () => {} });
+    let stalledError = null;
+    try {
+        await stalled.complete({ prompt: 'Hello', onToken: () => {} });
+    } catch (error) {
+        stalledError = error;
+    }
+    suite.addTestResult('LLM - Idle Timeout',
+        streamed.text === 'part0 part1 part2 part3' && stalledError?.name === 'TimeoutError',
+        `120 ms stream with 60 ms timeout → "${streamed.text}"; stalled stream → ${stalledError?.name || 'no error'}`);
+    
+    const stub = new StubProvider();
+    const handler = createEnhanceHandler({ provider: stub });
+    const version = suite.testVersions[suite.testVersions.length - 1];
+    const tree = await suite.fetchTestTree(version);
+    const localResults = suite.interface.processTreeLocally(tree, suite.buildTestQuery('custom_query', { customQuestion: 'Who drives staking talk?' }), version);
+    const body = {
+        question: 'Who drives staking talk?',
+        context: {
+            messageCount: localResults.data.messageCount,
+            topicCount: localResults.data.topicCount,
+            activeUsers: localResults.data.activeUsers,
+            topics: localResults.data.topics
+        }
+    };
+    const first = createMockResponse();
+    const second = createMockResponse();
+    const invalid = createMockResponse();
+    await handler({ method: 'POST', body }, first);
+    await handler({ method: 'POST', body }, second);
+    await handler({ method: 'POST', body: { question: 'Anything?' } }, invalid);
+    
+    const failing = createMockResponse();
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await createEnhanceHandler({ provider: { complete: async () => { throw new Error('model offline'); } } })({ method: 'POST', body }, failing);
+    } finally {
+        console.error = originalError;
+    }
+    suite.addTestResult('LLM - Enhance Endpoint With Stub',
+        first.statusCode === 200 && first.body.success && first.body.provider === 'stub' &&
+        first.body.insights === second.body.insights && first.body.insights.includes('Who drives staking talk?') &&
+        stub.calls[0].prompt.includes('Topic Analysis:') &&
+        invalid.statusCode === 400 && failing.statusCode === 500 && failing.body.error === 'model offline',
+        `"${first.body.insights}"; 400 without context, 500 when the model fails`);
+}
@@ -0,0 +1,51 @@
+/**
+ * Message Search Tests
+ * Keyword, phrase, user and date filters, ranking and questions answered from message text
+ */
+
+import { searchTree, extractSearchQuery, toRangeEnd } from '../lib/message-search.js';
+
+export default async function testMessageSearch(suite) {
+    const version = suite.testVersions[suite.testVersions.length - 1];
+    const treeData = await suite.fetchTestTree(version);
+    const messages = Object.values(treeData.messages);
+    const textOf = (message) => String(message.text ?? message.message ?? '').toLowerCase();
+    
+    const keywordSearch = searchTree(treeData, { query: 'staking', limit: 100 });
+    const stakingPattern = /\bstak(e|es|ed|ing)\b/;
+    const everyMatchMentions = keywordSearch.results.every(result => stakingPattern.test(result.text.toLowerCase()));
+    const missesNone = keywordSearch.totalMatches === messages.filter(m => stakingPattern.test(textOf(m))).length;
+    suite.addTestResult('Search - Keyword', everyMatchMentions && missesNone && keywordSearch.totalMatches > 0, `${keywordSearch.totalMatches} messages match "staking"`);
+    
+    const ranked = keywordSearch.results.every((result, index) => index === 0 || keywordSearch.results[index - 1].score >= result.score);
+    suite.addTestResult('Search - Ranking', ranked, ranked ? 'Results sorted by score' : 'Results not sorted by score');
+    
+    const phrase = messages.map(textOf).find(text => text.split(' ').length > 4)?.split(' ').slice(1, 4).join(' ');
+    const phraseSearch = searchTree(treeData, { query: `"${phrase}"` });
+    const phraseExact = phraseSearch.totalMatches > 0 && phraseSearch.results.every(result => result.text.toLowerCase().includes(phrase));
+    suite.addTestResult('Search - Phrase', phraseExact, `"${phrase}" matched ${phraseSearch.totalMatches} messages`);
+    
+    const userId = suite.testUsers[0];
+    const userSearch = searchTree(treeData, { users: [userId], limit: 1000 });
+    const userFiltered = userSearch.totalMatches > 0 && userSearch.results.every(result => String(result.userId) === userId);
+    suite.addTestResult('Search - User Filter', userFiltered, `${userSearch.totalMatches} messages from ${userId}`);
+    
+    const timestamps = messages.map(m => m.timestamp).filter(Boolean).sort((a, b) => a - b);
+    const middle = timestamps[Math.floor(timestamps.length / 2)];
+    const rangeSearch = searchTree(treeData, { from: middle, limit: 1000 });
+    const inRange = rangeSearch.totalMatches > 0 && rangeSearch.results.every(result => result.timestamp >= middle);
+    suite.addTestResult('Search - Time Range', inRange, `${rangeSearch.totalMatches} messages since ${new Date(middle * 1000).toISOString()}`);
+    
+    const lastDay = new Date(timestamps[timestamps.length - 1] * 1000).toISOString().slice(0, 10);
+    const throughLastDay = searchTree(treeData, { to: lastDay, limit: 1000 });
+    const endOfDay = throughLastDay.totalMatches === timestamps.length &&
+        toRangeEnd('2025-08-31') === toRangeEnd('2025-08-31T23:59:59Z') && toRangeEnd(middle) === middle;
+    suite.addTestResult('Search - Date-Only End', endOfDay, `to=${lastDay} keeps ${throughLastDay.totalMatches} of ${timestamps.length} timestamped messages`);
+    
+    const question = 'What did people say about staking?';
+    const extracted = extractSearchQuery(question);
+    const queryData = suite.buildTestQuery('custom_query', { customQuestion: question });
+    const result = suite.interface.processTreeLocally(treeData, queryData, version);
+    const answered = extracted === 'staking' && result.insights.some(insight => insight.startsWith(`${keywordSearch.totalMatches} messages match "staking"`));
+    suite.addTestResult('Search - Custom Question', answered, answered ? `"${question}" answered from message text` : `"${question}" not routed to message search`);
+}
@@ -0,0 +1,21 @@
+/**
+ * Mock Response
+ * The slice of a Vercel/Node response the serverless handlers use, recording what they send
+ */
+
+export function createMockResponse() {
+    return {
+        statusCode: null,
+        headers: {},
+        body: null,
+        chunks: [],
+        listeners: {},
+        writableEnded: false,
+        setHeader(name, value) { this.headers[name] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+        write(chunk) { this.chunks.push(chunk); return true; },
+        on(event, listener) { this.listeners[event] = listener; return this; },
+        end() { this.writableEnded = true; return this; }
+    };
+}
@@ -0,0 +1,45 @@
+/**
+ * Query API Tests
+ * The /api/query serverless route: multi-version requests, user filtering and validation
+ */
+
+import { createQueryHandler } from '../api/query.js';
+import { createMockResponse } from './mock-response.js';
+import { DatasetRegistry } from '../lib/dataset-registry.js';
+
+export default async function testQueryApiRoute(suite) {
+    const handler = createQueryHandler({ dataSource: suite.interface.dataSource });
+    const users = suite.testUsers.slice(0, 1);
+    
+    const res = createMockResponse();
+    await handler({ method: 'POST', body: { channelId: suite.testChannel, versions: suite.testVersions, users } }, res);
+    
+    const succeeded = res.statusCode === 200 && res.body.success && res.body.results.length === suite.testVersions.length;
+    suite.addTestResult('Query API - Multi-Version Request', succeeded, succeeded ? `${res.body.results.length} versions analyzed` : `Status ${res.statusCode}: ${res.body?.error}`);
+    
+    if (succeeded) {
+        const filtered = res.body.results.every(result => result.data.activeUsers <= users.length);
+        suite.addTestResult('Query API - User Filtering', filtered, filtered ? 'Results limited to requested users' : 'Results include unrequested users');
+        
+        const hasDelta = !!res.body.delta && res.body.delta.versions.length === suite.testVersions.length;
+        suite.addTestResult('Query API - Delta', hasDelta, hasDelta ? 'Delta included' : 'Delta missing');
+    }
+    
+    // Without `categories` in the body, the dataset's own taxonomy applies, as in the interface and CLI
+    const datasets = new DatasetRegistry({ datasets: [{ channelId: suite.testChannel, name: 'Demo Dataset', categories: [{ id: 'validators', name: 'Validator Operations', keywords: ['validator', 'node'] }] }] });
+    const configured = createMockResponse();
+    await createQueryHandler({ dataSource: suite.interface.dataSource, datasets })({ method: 'POST', body: { channelId: suite.testChannel } }, configured);
+    const bundled = createMockResponse();
+    await handler({ method: 'POST', body: { channelId: suite.testChannel } }, bundled);
+    const taxonomyOk = configured.statusCode === 200 && configured.body.query.categories.some(category => category.id === 'validators') &&
+        bundled.statusCode === 200 && bundled.body.query.categories.length > 0 && !bundled.body.query.categories.some(category => category.id === 'validators');
+    suite.addTestResult('Query API - Dataset Categories', taxonomyOk, taxonomyOk ? 'Taxonomy resolved from the dataset config' : `Status ${configured.statusCode}/${bundled.statusCode}`);
+    
+    const missingChannel = createMockResponse();
+    await handler({ method: 'POST', body: {} }, missingChannel);
+    suite.addTestResult('Query API - Validation', missingChannel.statusCode === 400, `Missing channelId returned ${missingChannel.statusCode}`);
+    
+    const wrongMethod = createMockResponse();
+    await handler({ method: 'GET' }, wrongMethod);
+    suite.addTestResult('Query API - Method Guard', wrongMethod.statusCode === 405, `GET returned ${wrongMethod.statusCode}`);
+}
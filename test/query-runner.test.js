@@ -0,0 +1,29 @@
+/**
+ * Query Runner Tests
+ * Version specs, headless multi-version runs and their agreement with the interface
+ */
+
+import { SILENT_LOGGER } from '../lib/semantic-engine.js';
+import { buildQueryData, listVersions, resolveVersions, runQuery } from '../lib/query-runner.js';
+
+export default async function testQueryRunner(suite) {
+    const dataSource = suite.interface.dataSource;
+    const sortedVersions = suite.testVersions.slice().sort((a, b) => a - b);
+    const available = await listVersions(dataSource, suite.testChannel);
+    
+    const rangeSpec = `${sortedVersions[0]}..${sortedVersions[1]}`;
+    const ranged = resolveVersions(rangeSpec, available);
+    const rangeResolved = ranged.length >= 2 && ranged[0] === sortedVersions[0] && ranged.includes(sortedVersions[1]);
+    suite.addTestResult('Query Runner - Version Range', rangeResolved, rangeResolved ? `${rangeSpec} → ${ranged.join(', ')}` : `${rangeSpec} resolved to ${ranged.join(', ')}`);
+    
+    const queryData = buildQueryData({ channelId: suite.testChannel, versions: sortedVersions, users: suite.testUsers.slice(0, 2) });
+    const report = await runQuery(dataSource, queryData, { logger: SILENT_LOGGER });
+    const interfaceResult = await suite.interface.executeQueryAgainstVersion(queryData, sortedVersions[0]);
+    
+    const matchesInterface = report.results[0].data.messageCount === interfaceResult.data.messageCount;
+    suite.addTestResult('Query Runner - Matches Interface', matchesInterface, matchesInterface ? 'Runner and interface agree on filtered counts' : `Runner ${report.results[0].data.messageCount} vs interface ${interfaceResult.data.messageCount}`);
+    
+    const last = report.results[report.results.length - 1];
+    const deltaConsistent = report.delta && report.delta.changes.messages === last.data.messageCount - report.results[0].data.messageCount;
+    suite.addTestResult('Query Runner - Delta', !!deltaConsistent, deltaConsistent ? `Delta ${report.delta.changes.messages} messages` : 'Delta missing or inconsistent');
+}
@@ -0,0 +1,70 @@
+/**
+ * URL Query State Tests
+ * Encoding queries in the URL, restoring them and copying a shareable link
+ */
+
+import { encodeQueryState, decodeQueryState, readQueryState } from '../lib/query-state.js';
+import { isAllowedRemoteUrl } from '../lib/data-sources.js';
+
+export default async function testQueryStateRestore(suite) {
+    const state = {
+        channel: suite.testChannel.toString(),
+        versions: suite.testVersions,
+        users: suite.testUsers,
+        type: 'message_search',
+        question: '',
+        search: { query: '"staking rewards" & more', users: ['@James_T81'], topics: ['Governance'], from: '2025-08-01', to: '2025-09-30' }
+    };
+    
+    const encoded = encodeQueryState(state);
+    const decoded = decodeQueryState(`#${encoded}`);
+    const roundTrip = decoded.channel === state.channel &&
+        JSON.stringify(decoded.versions) === JSON.stringify(state.versions) &&
+        JSON.stringify(decoded.users) === JSON.stringify(state.users) &&
+        decoded.type === state.type &&
+        JSON.stringify(decoded.search) === JSON.stringify(state.search);
+    suite.addTestResult('Query State - Round Trip', roundTrip, roundTrip ? `Encoded in ${encoded.length} characters` : `Decoded ${JSON.stringify(decoded)}`);
+    
+    const merged = readQueryState({ search: '?source=remote&baseUrl=http%3A%2F%2Flocalhost%3A3001%2Fquery&channel=1', hash: '#channel=2&versions=5' });
+    const mergedOk = merged.channel === '2' && merged.source === 'remote' && merged.baseUrl === 'http://localhost:3001/query' && decodeQueryState('') === null;
+    suite.addTestResult('Query State - Hash Over Query String', mergedOk, mergedOk ? 'Hash parameters override ?query parameters' : JSON.stringify(merged));
+    
+    const confirm = window.confirm;
+    const asked = [];
+    const linkSource = (baseUrl, answer, allowedRemoteHosts = []) => {
+        window.confirm = (message) => asked.push(message) && answer;
+        return suite.interface.acceptLinkedDataSource.call({ allowedRemoteHosts, dataSource: suite.interface.dataSource }, { source: 'remote', baseUrl });
+    };
+    const accepted = linkSource('http://localhost:3001/query', true);
+    const declined = linkSource('http://localhost:3001/query', false);
+    const blocked = linkSource('https://attacker.example/query', true);
+    const configured = linkSource('https://mirror.example/query', true, ['mirror.example']);
+    window.confirm = confirm;
+    const allowlistOk = isAllowedRemoteUrl('http://localhost:3001/query') &&
+        !isAllowedRemoteUrl('https://attacker.example/query') &&
+        !isAllowedRemoteUrl('javascript:alert(1)') &&
+        isAllowedRemoteUrl('https://mirror.example/query', ['mirror.example']) &&
+        accepted?.baseUrl === 'http://localhost:3001/query' && declined === null && blocked === null &&
+        configured?.type === 'remote' && asked.length === 3;
+    suite.addTestResult('Query State - Linked Remote Source', allowlistOk, allowlistOk ? 'Links only select known or configured hosts, after asking the user' : `Asked ${asked.length} times`);
+    
+    const restoredState = { channel: state.channel, versions: suite.testVersions.slice(0, 2), users: [suite.testUsers[0]], type: 'custom_query', question: 'What topics are trending?' };
+    const restored = new suite.interface.constructor({
+        dataSource: suite.interface.dataSource,
+        datasetConfig: { datasets: suite.interface.datasetRegistry.list() },
+        queryState: restoredState
+    });
+    await restored.ready;
+    
+    const restoredSelection = restored.selectedChannel === restoredState.channel &&
+        JSON.stringify(restored.selectedVersions.filter(v => v !== null)) === JSON.stringify(restoredState.versions) &&
+        JSON.stringify(restored.selectedUsers) === JSON.stringify(restoredState.users);
+    const ranQuery = restored.resultsCache.filter(Boolean).length === restoredState.versions.length &&
+        restored.resultsCache[0].metadata.queryType === 'custom_query';
+    suite.addTestResult('Query State - Restore', restoredSelection && ranQuery, `Restored ${restored.selectedVersions.filter(v => v !== null).join(', ')} and re-ran the query`);
+    
+    const shared = readQueryState({ hash: restored.getShareableUrl().split('#')[1] });
+    const linkOk = shared.channel === restoredState.channel && shared.question === restoredState.question &&
+        JSON.stringify(shared.versions) === JSON.stringify(restoredState.versions);
+    suite.addTestResult('Query State - Copy Link', linkOk, linkOk ? 'Shareable link reproduces the query' : JSON.stringify(shared));
+}
@@ -0,0 +1,71 @@
+/**
+ * Question Intent Tests
+ * Intents, topic and time scope, comparisons and time expressions in custom questions
+ */
+
+import { parseQuestionIntent, questionAnchor } from '../lib/question-intent.js';
+
+export default async function testQuestionIntent(suite) {
+    const version = suite.testVersions[suite.testVersions.length - 1];
+    const treeData = await suite.fetchTestTree(version);
+    const messages = Object.values(treeData.messages);
+    const latest = Math.max(...messages.map(m => m.timestamp));
+    
+    // Used to fall through to analyzeGeneralQuestion
+    const question = 'Who was most active on governance last month?';
+    const result = suite.interface.processTreeLocally(treeData, suite.buildTestQuery('custom_query', { customQuestion: question }), version);
+    const { intent } = result;
+    const governanceId = intent.topics[0]?.id;
+    const inScope = messages.filter(m => m.topicId === governanceId && m.timestamp >= intent.timeRange.from && m.timestamp <= intent.timeRange.to);
+    const routedOk = intent.intents.map(step => step.analyzer).join() === 'analyzeUserEngagement' &&
+        intent.topics.length === 1 && /governance/i.test(intent.topics[0].name) &&
+        new Date(intent.timeRange.from * 1000).getUTCDate() === 1 &&
+        result.insights.some(insight => insight.startsWith('Question scope:') && insight.includes(`${inScope.length} of`)) &&
+        result.insights.some(insight => insight.startsWith('Most engaged user')) &&
+        !result.insights.some(insight => insight.startsWith('Primary topic'));
+    suite.addTestResult('Intent - Topic & Time Scope', routedOk, `${intent.intents[0].analyzer} over ${inScope.length} messages in "${intent.topics[0]?.name}", ${intent.timeRange?.label}`);
+    
+    const compound = suite.interface.processTreeLocally(treeData, suite.buildTestQuery('custom_query', { customQuestion: 'What topics are trending and how is the mood?' }), version);
+    const compoundOk = compound.intent.intents.map(step => step.intent).join() === 'trending,sentiment' &&
+        compound.insights.some(insight => insight.startsWith('Most trending topic')) &&
+        compound.insights.some(insight => insight.startsWith('Community sentiment'));
+    suite.addTestResult('Intent - Compound Question', compoundOk, `Ran ${compound.intent.intents.map(step => step.analyzer).join(' then ')}`);
+    
+    const users = [{ userId: 1, userName: 'James_T81' }, { userId: 2, userName: 'cryptoNina' }];
+    const topics = [{ id: 1, name: 'Governance Proposals' }, { id: 0, name: 'Staking Rewards & Validators' }];
+    const userComparison = parseQuestionIntent('Compare @james_t81 vs cryptoNina and @ghost', { users, topics, messages });
+    const topicComparison = parseQuestionIntent('Is governance busier than validator staking?', { users, topics, messages });
+    const comparisonOk = userComparison.comparison?.kind === 'users' && userComparison.comparison.targets.join() === 'James_T81,cryptoNina' &&
+        userComparison.unresolvedMentions.join() === '@ghost' &&
+        topicComparison.comparison?.kind === 'topics' && topicComparison.intents[0].analyzer === 'analyzeTopicComparison';
+    suite.addTestResult('Intent - Comparison Targets', comparisonOk, `users ${userComparison.comparison?.targets.join(' vs ')}, topics ${topicComparison.comparison?.targets.join(' vs ')}`);
+    
+    const now = '2025-09-11T12:00:00Z';
+    const between = parseQuestionIntent('What happened between 2025-08-05 and 2025-08-20?', { now });
+    const month = parseQuestionIntent('Any concerns in October?', { now });
+    const modal = parseQuestionIntent('What may change next?', { now });
+    const timeOk = between.timeRange.from === Date.UTC(2025, 7, 5) / 1000 && between.timeRange.to === Date.UTC(2025, 7, 21) / 1000 - 1 &&
+        month.timeRange.from === Date.UTC(2024, 9, 1) / 1000 && month.intents[0].intent === 'concerns' &&
+        modal.timeRange === null && modal.intents[0].intent === 'general';
+    suite.addTestResult('Intent - Time Expressions', timeOk, `${between.timeRange.label}; ${month.timeRange.label}; "may" ${modal.timeRange ? 'misread as a month' : 'left alone'}`);
+    
+    // One anchor for the whole query: "the last 7 days" are the same days in every version, even ones that end earlier
+    const trees = await Promise.all(suite.testVersions.map(v => suite.fetchTestTree(v)));
+    const anchor = questionAnchor(trees);
+    const recentQuery = suite.buildTestQuery('custom_query', { customQuestion: 'What is trending in the last 7 days?' });
+    const recent = trees.map((tree, index) => suite.interface.processTreeLocally(tree, recentQuery, suite.testVersions[index], { now: anchor }));
+    const oldest = recent[0];
+    const anchorOk = anchor === latest && recent.every(r => r.intent.timeRange.to === anchor) &&
+        oldest.insights.some(insight => insight.startsWith('Question scope:') && insight.includes('none of the')) &&
+        !oldest.insights.some(insight => insight.startsWith('Most trending topic') || insight.startsWith('Overall engagement'));
+    suite.addTestResult('Intent - Shared Anchor & Empty Scope', anchorOk, `Anchored at ${new Date(anchor * 1000).toISOString()}; version ${suite.testVersions[0]}: ${oldest.insights.find(insight => insight.startsWith('Question scope:'))}`);
+    
+    // Users are compared in the order the question names them, as resolved by the intent parser
+    const pair = suite.interface.processTreeLocally(treeData, suite.buildTestQuery('custom_query', { customQuestion: 'How does @@cryptoNina differ from James_T81?' }), version);
+    const pairOk = pair.intent.users.map(user => user.userName).join() === 'cryptoNina,James_T81' &&
+        pair.insights.some(insight => /^Users cryptoNina and James_T81 (both discussed|have not participated)/.test(insight));
+    suite.addTestResult('Intent - Compared Users', pairOk, pairOk ? 'Compared the users the question resolved' : pair.insights.join(' | '));
+    
+    const html = suite.interface.formatInsightsDisplay(result);
+    suite.addTestResult('Intent - Rendering', html.includes('question-intent') && html.includes('analyzeUserEngagement'), 'Analyzers and reasons shown with the insights');
+}
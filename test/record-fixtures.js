@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Fixture Recorder
+ * Saves live topic tree responses into test/fixtures so the headless suite can replay them offline
+ *
+ * Usage: node test/record-fixtures.js --channel <channelId> [--versions 1,2,3] [--base-url <url>]
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CefDataSource } from '../lib/data-sources.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+function parseArgs(argv) {
+    const args = { channel: null, versions: null, baseUrl: undefined };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--channel':
+                args.channel = parseInt(argv[++i]);
+                break;
+            case '--versions':
+                args.versions = argv[++i].split(',').map(v => parseInt(v));
+                break;
+            case '--base-url':
+                args.baseUrl = argv[++i];
+                break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    if (Number.isNaN(args.channel) || args.channel === null) {
+        throw new Error('--channel is required');
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const dataSource = new CefDataSource({ baseUrl: args.baseUrl });
+
+    let versions = args.versions;
+    if (!versions) {
+        const response = await dataSource.query('get_topic_tree_versions_by_channel', { channelId: args.channel });
+        versions = (response.versions || []).map(v => v.version);
+    }
+
+    const channelDir = path.join(fixturesDir, String(args.channel));
+    await mkdir(channelDir, { recursive: true });
+
+    for (const version of versions) {
+        const response = await dataSource.query('get_topic_tree_by_channel_and_version', {
+            channelId: args.channel,
+            version: version
+        });
+        const file = path.join(channelDir, `v${version}.json`);
+        await writeFile(file, JSON.stringify(response, null, 2) + '\n');
+        console.log(`📼 Recorded ${file}`);
+    }
+}
+
+main().catch(error => {
+    console.error('💥 Recording failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,44 @@
+/**
+ * Report Export Tests
+ * JSON, Markdown, printable HTML and CSV reports
+ */
+
+import { formatReport, REPORT_FORMATS } from '../lib/report-formatters.js';
+
+export default async function testReportExports(suite) {
+    const exporter = new suite.interface.constructor({
+        dataSource: suite.interface.dataSource,
+        datasetConfig: { datasets: suite.interface.datasetRegistry.list() },
+        queryState: null
+    });
+    await exporter.ready;
+    await exporter.handleDatasetChange(String(suite.testChannel));
+    exporter.setSelectedVersions(suite.testVersions);
+    const queryData = exporter.buildQueryData();
+    await exporter.executeMultiVersionQuery(queryData);
+    exporter.resultsCache[exporter.resultsCache.length - 1].aiSummary = 'Staking <b>dominates</b> the conversation.';
+    const report = exporter.buildReport();
+    suite.addTestResult('Export - Report From Screen',
+        report.query === queryData && report.results.length === suite.testVersions.length && report.delta?.versions.length === suite.testVersions.length,
+        `${report.results.length} versions, delta over ${report.delta?.versions.join(' → ')}`);
+    
+    const outputs = Object.fromEntries(Object.keys(REPORT_FORMATS).map(format => [format, formatReport(report, format, { datasetName: 'Test Channel' })]));
+    const topicRows = report.results.reduce((sum, result) => sum + result.data.topics.length, 0);
+    const topicsCsv = outputs['topics-csv'].trim().split('\n');
+    const contributorsCsv = outputs['contributors-csv'].trim().split('\n');
+    const latest = report.results[report.results.length - 1];
+    const busiest = contributorsCsv.find(line => line.startsWith(`${latest.version},`)).split(',');
+    suite.addTestResult('Export - CSV Tables',
+        topicsCsv.length === topicRows + 1 && topicsCsv[0].startsWith('version,topic_id,topic') &&
+        topicsCsv.every(line => line.includes('"') || line.split(',').length === 8) &&
+        busiest[2] === '@James_T81' && Number(busiest[3]) === 10,
+        `${topicsCsv.length - 1} topic rows, ${contributorsCsv.length - 1} contributor rows, latest busiest ${busiest[2]} (${busiest[3]})`);
+    
+    const html = outputs.html;
+    const jsonOk = JSON.parse(outputs.json).results.length === report.results.length;
+    suite.addTestResult('Export - Printable HTML And Briefing',
+        html.startsWith('<!DOCTYPE html>') && html.includes('Community Pulse — Test Channel') && html.includes('@media print') &&
+        html.includes('Across Versions') && html.includes('Staking &lt;b&gt;dominates&lt;/b&gt;') && !html.includes('<b>dominates') &&
+        html.includes('<svg') && outputs.markdown.includes('### AI Analysis') && outputs.markdown.includes('## Version Comparison') && jsonOk,
+        `HTML ${html.length} characters with AI summary and delta, Markdown ${outputs.markdown.length} characters`);
+}
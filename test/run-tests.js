@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Headless Test Runner
+ * Runs TopicTreeTestSuite under Node against the recorded fixture trees in test/fixtures, then the
+ * Node-only module tests (test/*.test.js), which report through the same suite
+ *
+ * Usage: node test/run-tests.js [--report <file>] [--json] [--verbose]
+ */
+
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { installDomStub } from './dom-stub.js';
+import { loadTreeFiles } from '../lib/tree-files.js';
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(testDir, 'fixtures');
+const datasetConfigPath = path.join(testDir, '..', 'datasets.json');
+
+function parseArgs(argv) {
+    const args = { report: null, json: false, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--report':
+                args.report = argv[++i];
+                break;
+            case '--json':
+                args.json = true;
+                break;
+            case '--verbose':
+                args.verbose = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    return args;
+}
+
+// The interface logs every step; keep the runner output to the results unless --verbose
+function silenceConsole() {
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    console.log = console.warn = console.error = () => {};
+    return () => Object.assign(console, original);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const restoreConsole = args.verbose ? () => {} : silenceConsole();
+
+    let report;
+    try {
+        installDomStub();
+        const dataSource = await loadTreeFiles(fixturesDir);
+        const datasetConfig = JSON.parse(await readFile(datasetConfigPath, 'utf8'));
+
+        // Import after the stub is installed: both modules touch document at load time
+        const { TopicTreeInterface } = await import('../script.js');
+        const { TopicTreeTestSuite } = await import('../test-suite.js');
+
+        const topicTreeInterface = new TopicTreeInterface({ dataSource, datasetConfig });
+        await topicTreeInterface.ready;
+        const testSuite = new TopicTreeTestSuite(topicTreeInterface, { headless: true });
+        await testSuite.runAllTests();
+
+        // Each module test file exports one function taking the suite, for its fixtures, helpers and results
+        const testFiles = (await readdir(testDir)).filter(file => file.endsWith('.test.js')).sort();
+        for (const file of testFiles) {
+            console.log(`\n🧪 ${file}`);
+            try {
+                const { default: runTests } = await import(pathToFileURL(path.join(testDir, file)).href);
+                await runTests(testSuite);
+            } catch (error) {
+                console.error(`❌ ${file} failed:`, error);
+                testSuite.addTestResult(file, false, error.message);
+            }
+        }
+        report = testSuite.generateTestReport();
+    } finally {
+        restoreConsole();
+    }
+
+    if (args.report) {
+        await writeFile(args.report, JSON.stringify(report, null, 2) + '\n');
+    }
+
+    if (args.json) {
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    } else {
+        report.results.forEach(result => {
+            console.log(`${result.passed ? '✅ PASS' : '❌ FAIL'} ${result.name}: ${result.details}`);
+        });
+        console.log(`\n${report.passed}/${report.total} passed (${report.successRate}%)`);
+    }
+
+    process.exitCode = report.failed > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error('💥 Test runner failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,25 @@
+/**
+ * Semantic Engine Tests
+ * The DOM-free engine gives the same analysis outside the browser as the interface
+ */
+
+import { analyzeTree, SILENT_LOGGER } from '../lib/semantic-engine.js';
+
+export default async function testSemanticEngine(suite) {
+    const version = suite.testVersions[0];
+    const treeData = await suite.fetchTestTree(version);
+    const queryData = suite.buildTestQuery('channel_query', { versions: [version] });
+    const processedResult = suite.interface.processTreeLocally(treeData, queryData, version);
+    
+    // Validate the standalone engine matches the interface
+    const standaloneResult = analyzeTree(treeData, queryData, version, { logger: SILENT_LOGGER, activity: true });
+    const standaloneMatches = JSON.stringify(standaloneResult.data) === JSON.stringify(processedResult.data) &&
+                              JSON.stringify(standaloneResult.insights) === JSON.stringify(processedResult.insights);
+    suite.addTestResult('Processing - Standalone Engine', standaloneMatches, standaloneMatches ? 'analyzeTree matches processTreeLocally' : 'analyzeTree differs from processTreeLocally');
+    
+    // Activity buckets are only built when a view asks for them or a time window needs them
+    const plain = analyzeTree(treeData, queryData, version, { logger: SILENT_LOGGER });
+    const windowed = analyzeTree(treeData, suite.buildTestQuery('time_window', { versions: [version], timeWindow: { preset: 'last_7_days' } }), version, { logger: SILENT_LOGGER });
+    const activityOk = plain.data.activity === null && windowed.data.activity !== null && windowed.timeWindow.activity.buckets.length > 0;
+    suite.addTestResult('Processing - Activity On Demand', activityOk, activityOk ? 'No buckets for a plain query; time windows keep theirs' : 'Activity buckets built regardless of the query');
+}
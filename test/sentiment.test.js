@@ -0,0 +1,44 @@
+/**
+ * Sentiment Tests
+ * Message scoring, aggregation per topic and user, and the shift across versions
+ */
+
+import { scoreText, analyzeSentiment } from '../lib/sentiment.js';
+import { computeMultiVersionDelta } from '../lib/version-delta.js';
+
+export default async function testSentiment(suite) {
+    const positive = scoreText('Great work, the new validator setup is really smooth 🚀');
+    const negative = scoreText('This upgrade is broken and the delays are frustrating');
+    const negated = scoreText('The new fee model is not good');
+    const scoringOk = positive.label === 'positive' && negative.label === 'negative' && negated.label === 'negative';
+    suite.addTestResult('Sentiment - Scoring', scoringOk, `positive ${positive.score}, negative ${negative.score}, negated ${negated.score}`);
+    
+    const version = suite.testVersions[suite.testVersions.length - 1];
+    const treeData = await suite.fetchTestTree(version);
+    const messages = Object.values(treeData.messages);
+    const sentiment = analyzeSentiment(messages);
+    const { distribution } = sentiment.overall;
+    const aggregateOk = distribution.positive + distribution.neutral + distribution.negative === messages.length &&
+        sentiment.mostNegativeTopics.every(topic => topic.average < 0) &&
+        sentiment.topics.every((topic, i) => i === 0 || sentiment.topics[i - 1].average <= topic.average);
+    suite.addTestResult('Sentiment - Aggregation', aggregateOk, `${distribution.positive}/${distribution.neutral}/${distribution.negative} positive/neutral/negative, ${sentiment.mostNegativeTopics.length} negative topics`);
+    
+    const query = suite.buildTestQuery('custom_query', { customQuestion: 'What is the community sentiment?' });
+    const result = suite.interface.processTreeLocally(treeData, query, version);
+    const threadsOk = result.threads.every(thread => thread.sentiment && typeof thread.sentiment.trend === 'number');
+    const insightOk = result.insights.some(insight => insight.startsWith('Community sentiment:'));
+    suite.addTestResult('Sentiment - Query Insights', insightOk && threadsOk && !!result.data.sentiment, insightOk ? `${result.threads.length} threads scored` : 'No community sentiment insight');
+    
+    const results = [];
+    for (const v of suite.testVersions) {
+        results.push(suite.interface.processTreeLocally(await suite.fetchTestTree(v), query, v));
+    }
+    const delta = computeMultiVersionDelta(results);
+    const first = delta.sentiment.rows[0].average;
+    const last = delta.sentiment.rows[delta.sentiment.rows.length - 1].average;
+    const shiftOk = delta.sentiment.rows.length === suite.testVersions.length &&
+        Math.abs(delta.sentiment.change - (last - first)) < 0.001;
+    suite.interface.generateMultiVersionDelta(results);
+    const rendered = document.getElementById('deltaContent').innerHTML.includes('Sentiment Shift');
+    suite.addTestResult('Sentiment - Version Shift', shiftOk && rendered, `${delta.sentiment.topics.length} topics compared, overall change ${delta.sentiment.change}`);
+}
@@ -0,0 +1,236 @@
+/**
+ * Streaming Answer Tests
+ * Streamed completions, Server-Sent Events from the endpoint and progressive version columns
+ */
+
+import { OpenAiCompatibleProvider, StubProvider } from '../lib/llm-providers.js';
+import { createEnhanceHandler } from '../api/openai-enhance.js';
+import { formatServerSentEvent, readServerSentEvents } from '../lib/server-sent-events.js';
+import { createMockResponse } from './mock-response.js';
+
+// A readable byte stream of the given text chunks
+function streamOf(chunks) {
+    const encoder = new TextEncoder();
+    return new ReadableStream({
+        start(controller) {
+            chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+            controller.close();
+        }
+    });
+}
+
+// Events written to a mock response, with JSON data parsed
+async function eventsOf(response) {
+    const events = [];
+    await readServerSentEvents(streamOf(response.chunks), event => events.push({ event: event.event, data: JSON.parse(event.data) }));
+    return events;
+}
+
+// A fetch Response fed by a handler as it writes; aborting the request disconnects it like a closed tab
+function routeToHandler(handler, body, signal, res) {
+    const encoder = new TextEncoder();
+    let stream;
+    res.write = chunk => { stream.enqueue(encoder.encode(chunk)); return true; };
+    res.end = () => {
+        res.writableEnded = true;
+        try {
+            stream.close();
+        } catch (error) {
+            // Already errored by the abort
+        }
+        return res;
+    };
+    const readable = new ReadableStream({ start(controller) { stream = controller; } });
+    signal?.addEventListener('abort', () => {
+        stream.error(new Error('The request was aborted'));
+        res.listeners.close?.();
+    });
+    handler({ method: 'POST', body }, res);
+    return new Response(readable, { status: res.statusCode, headers: res.headers });
+}
+
+export default async function testStreamingAnswers(suite) {
+    // Chunks split mid-event, as they arrive from a real server
+    const upstream = [
+        formatServerSentEvent(null, { model: 'llama3', choices: [{ delta: { content: 'Staking ' } }] }),
+        formatServerSentEvent(null, { choices: [{ delta: { content: 'dominates.' } }] }),
+        formatServerSentEvent(null, '[DONE]'),
+        ': keep-alive comment\n\n'
+    ].join('');
+    let requestBody = null;
+    const provider = new OpenAiCompatibleProvider({
+        model: 'llama3',
+        fetch: async (url, options) => {
+            requestBody = JSON.parse(options.body);
+            return new Response(streamOf([upstream.slice(0, 37), upstream.slice(37, 120), upstream.slice(120)]));
+        }
+    });
+    const tokens = [];
+    const completion = await provider.complete({ prompt: 'Question: "What dominates?"', onToken: token => tokens.push(token) });
+    const multiline = [];
+    await readServerSentEvents(streamOf([formatServerSentEvent('note', 'line one\nline two')]), event => multiline.push(event));
+    suite.addTestResult('Streaming - Provider Stream',
+        requestBody.stream === true && tokens.join('|') === 'Staking |dominates.' &&
+        completion.text === 'Staking dominates.' && completion.model === 'llama3' &&
+        multiline.length === 1 && multiline[0].event === 'note' && multiline[0].data === 'line one\nline two',
+        `${tokens.length} tokens from the upstream stream → "${completion.text}"`);
+    
+    const version = suite.testVersions[suite.testVersions.length - 1];
+    const tree = await suite.fetchTestTree(version);
+    const question = 'Who is worried about validator rewards?';
+    const localResults = suite.interface.processTreeLocally(tree, suite.buildTestQuery('custom_query', { customQuestion: question }), version);
+    const body = { question, context: { ...localResults.data, evidence: localResults.evidence.messages }, stream: true };
+    const streamed = createMockResponse();
+    await createEnhanceHandler({ provider: new StubProvider() })({ method: 'POST', body }, streamed);
+    const events = await eventsOf(streamed);
+    const done = events.find(event => event.event === 'done')?.data;
+    const failing = createMockResponse();
+    const cancelled = createMockResponse();
+    let sawAbort = false;
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await createEnhanceHandler({ provider: { complete: async ({ onToken }) => { onToken('Half '); throw new Error('model offline'); } } })({ method: 'POST', body }, failing);
+        await createEnhanceHandler({
+            provider: {
+                complete: async ({ signal, onToken }) => {
+                    onToken('Half ');
+                    cancelled.listeners.close();
+                    sawAbort = signal.aborted;
+                    throw new Error('aborted');
+                }
+            }
+        })({ method: 'POST', body }, cancelled);
+    } finally {
+        console.error = originalError;
+    }
+    const failingEvents = await eventsOf(failing);
+    suite.addTestResult('Streaming - Endpoint Events',
+        streamed.statusCode === 200 && streamed.headers['Content-Type'].startsWith('text/event-stream') &&
+        events.filter(event => event.event === 'token').map(event => event.data.text).join('') === done.insights &&
+        events.filter(event => event.event === 'token').length > 3 && done.success && done.citations.length > 0 &&
+        failingEvents.map(event => event.event).join() === 'token,error' && failingEvents[1].data.error === 'model offline' &&
+        sawAbort && cancelled.writableEnded && !cancelled.chunks.join('').includes('event: error'),
+        `${events.length - 1} token events then done citing #${done.citations.join(', #')}; errors and disconnects end the stream`);
+    
+    // The browser's fetch is routed to the endpoint with a model that waits before its second token
+    const streaming = new suite.interface.constructor({
+        dataSource: suite.interface.dataSource,
+        datasetConfig: { datasets: suite.interface.datasetRegistry.list() },
+        queryState: null
+    });
+    await streaming.ready;
+    await streaming.handleDatasetChange(String(suite.testChannel));
+    streaming.openaiEnabled = true;
+    const versions = [suite.testVersions[0], version];
+    streaming.setSelectedVersions(versions);
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const signals = [];
+    const model = {
+        complete: async ({ signal, onToken }) => {
+            onToken('First ');
+            await gate;
+            if (signal.aborted) {
+                throw new Error('aborted');
+            }
+            onToken('words.');
+            return { text: 'First words.', provider: 'stub', model: 'gated' };
+        }
+    };
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, options) => {
+        if (url !== '/api/openai-enhance') {
+            throw new Error(`No route for ${url}`);
+        }
+        signals.push(options.signal);
+        return routeToHandler(createEnhanceHandler({ provider: model }), JSON.parse(options.body), options.signal, createMockResponse());
+    };
+    let partial = '';
+    let cancelledStreams = null;
+    let completedStreams = null;
+    try {
+        const queryData = { ...streaming.buildQueryData(), type: 'custom_query', customQuestion: question };
+        await streaming.executeMultiVersionQuery(queryData);
+        const firstRun = streaming.aiReady;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        partial = document.getElementById(`aiStream-${version}`).innerHTML;
+        
+        // A new query cancels the answers still streaming for the previous one
+        await streaming.executeMultiVersionQuery(queryData);
+        cancelledStreams = await firstRun;
+        streaming.startConversation(queryData);
+        release();
+        completedStreams = await streaming.aiReady;
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+    const column = document.getElementById('insightsContent2').innerHTML;
+    suite.addTestResult('Streaming - Progressive Columns',
+        partial.startsWith('First ') && partial.includes('ai-stream-cursor') &&
+        signals.length === 4 && signals[0].aborted && signals[1].aborted && !signals[2].aborted &&
+        cancelledStreams === false && completedStreams === true &&
+        streaming.resultsCache.every(results => results.aiSummary === 'First words.' && !results.aiPending) &&
+        column.includes('First words.') && !column.includes('ai-streaming') &&
+        streaming.conversation.turns[0].answer.includes('First words.'),
+        `"${partial.replace(/<[^>]+>/g, '')}" shown while streaming; ${signals.filter(signal => signal.aborted).length} streams cancelled by the new query`);
+    
+    // Changing the users (or versions, or the question) cancels the answers still streaming for the results on screen
+    let reopen;
+    const secondGate = new Promise(resolve => { reopen = resolve; });
+    model.complete = async ({ signal, onToken }) => {
+        onToken('Stale ');
+        await secondGate;
+        if (signal.aborted) {
+            throw new Error('aborted');
+        }
+        return { text: 'Stale answer.', provider: 'stub', model: 'gated' };
+    };
+    globalThis.fetch = async (url, options) => routeToHandler(createEnhanceHandler({ provider: model }), JSON.parse(options.body), options.signal, createMockResponse());
+    // A stream that is never cancelled would otherwise wait on the gate forever
+    const within = (promise, ms = 1000) => Promise.race([promise, new Promise(resolve => setTimeout(() => resolve('timeout'), ms))]);
+    let userChangeCancelled = null;
+    let questionChangeCancelled = null;
+    try {
+        const queryData = { ...streaming.buildQueryData(), type: 'custom_query', customQuestion: question };
+        await streaming.executeMultiVersionQuery(queryData);
+        const byUsers = streaming.aiReady;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        streaming.setSelectedUsers([suite.testUsers[0]]);
+        userChangeCancelled = (await within(byUsers)) === false;
+        
+        await streaming.executeMultiVersionQuery(queryData);
+        const byQuestion = streaming.aiReady;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        document.getElementById('customQuery').dispatchEvent({ type: 'input' });
+        questionChangeCancelled = (await within(byQuestion)) === false;
+        reopen();
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+    const cancelledColumn = document.getElementById('insightsContent2').innerHTML;
+    suite.addTestResult('Streaming - Input Changes Cancel',
+        userChangeCancelled && questionChangeCancelled &&
+        streaming.resultsCache.every(results => !results.aiPending && !results.aiSummary) &&
+        !cancelledColumn.includes('ai-streaming') && !cancelledColumn.includes('Stale'),
+        'Changing the users or editing the question stops the streams and leaves the local results');
+    
+    // A slower earlier query finishing last is dropped instead of replacing the newer results
+    streaming.openaiEnabled = false;
+    let delay = 30;
+    const fetchVersionResponse = streaming.fetchVersionResponse.bind(streaming);
+    streaming.fetchVersionResponse = async (queryData, v) => {
+        const wait = delay;
+        await new Promise(resolve => setTimeout(resolve, wait));
+        return fetchVersionResponse(queryData, v);
+    };
+    const older = streaming.executeMultiVersionQuery({ ...streaming.buildQueryData(), type: 'channel_query', customQuestion: '' });
+    delay = 0;
+    const newer = streaming.executeMultiVersionQuery({ ...streaming.buildQueryData(), type: 'custom_query', customQuestion: question });
+    const [olderShown, newerShown] = await Promise.all([older, newer]);
+    delete streaming.fetchVersionResponse;
+    suite.addTestResult('Streaming - Stale Query Dropped',
+        olderShown === false && newerShown === true &&
+        streaming.resultsCache.every(results => results.metadata.queryType === 'custom_query'),
+        `Older query ${olderShown === false ? 'dropped' : 'shown'}; results on screen are from the ${streaming.resultsCache[0]?.metadata.queryType} query`);
+}
@@ -0,0 +1,78 @@
+/**
+ * Time Window Tests
+ * Presets, custom ranges, filtering before aggregation and activity buckets
+ */
+
+import { resolveTimeWindow, bucketActivity, timestampRange } from '../lib/time-window.js';
+import { searchTree } from '../lib/message-search.js';
+
+export default async function testTimeWindow(suite) {
+    const version = suite.testVersions[suite.testVersions.length - 1];
+    const treeData = await suite.fetchTestTree(version);
+    const messages = Object.values(treeData.messages);
+    const latest = Math.max(...messages.map(m => m.timestamp));
+    const DAY = 86400;
+    
+    const presetQuery = suite.buildTestQuery('time_window', { timeWindow: { preset: 'last_7_days' } });
+    const presetResult = suite.interface.processTreeLocally(treeData, presetQuery, version);
+    const expected = messages.filter(m => m.timestamp > latest - 7 * DAY && m.timestamp <= latest).length;
+    const presetOk = presetResult.data.messageCount === expected && presetResult.timeWindow.excludedCount === messages.length - expected;
+    suite.addTestResult('Time Window - Preset', presetOk, `${presetResult.data.messageCount} messages in the last 7 days of activity (expected ${expected})`);
+    
+    // Aggregation only sees messages inside the window
+    const from = messages.map(m => m.timestamp).sort((a, b) => a - b)[5];
+    const to = from + 10 * DAY;
+    const customQuery = suite.buildTestQuery('time_window', { timeWindow: { preset: 'custom', from, to, granularity: 'day' } });
+    const customResult = suite.interface.processTreeLocally(treeData, customQuery, version);
+    const inWindow = messages.filter(m => m.timestamp >= from && m.timestamp <= to);
+    const topicTotal = customResult.data.topics.reduce((sum, topic) => sum + topic.messageCount, 0);
+    const aggregatedOk = customResult.data.messageCount === inWindow.length &&
+        topicTotal === inWindow.filter(m => m.topicId !== -1).length;
+    suite.addTestResult('Time Window - Filter Before Aggregation', aggregatedOk, `${customResult.data.messageCount} messages, ${customResult.data.topicCount} topics between ${new Date(from * 1000).toISOString().slice(0, 10)} and ${new Date(to * 1000).toISOString().slice(0, 10)}`);
+    
+    const activity = customResult.timeWindow.activity;
+    const bucketsOk = activity.granularity === 'day' && activity.buckets.length === 11 &&
+        activity.totals.reduce((a, b) => a + b, 0) === inWindow.length &&
+        activity.topics.every(topic => topic.counts.reduce((a, b) => a + b, 0) === topic.total);
+    suite.addTestResult('Time Window - Daily Buckets', bucketsOk, `${activity.buckets.length} daily buckets for ${activity.topics.length} topics`);
+    
+    const weekly = bucketActivity(messages);
+    const mondays = weekly.buckets.every(bucket => new Date(bucket.start * 1000).getUTCDay() === 1);
+    const weeklyOk = weekly.granularity === 'week' && mondays && weekly.totals.reduce((a, b) => a + b, 0) === messages.length;
+    suite.addTestResult('Time Window - Weekly Buckets', weeklyOk, `${weekly.buckets.length} weeks starting on Monday over ${messages.length} messages`);
+    
+    // A date-only end covers its whole day, the same as the search `to` filter
+    const lastDay = new Date(latest * 1000).toISOString().slice(0, 10);
+    const dayQuery = suite.buildTestQuery('time_window', { timeWindow: { preset: 'custom', from: lastDay, to: lastDay } });
+    const dayResult = suite.interface.processTreeLocally(treeData, dayQuery, version);
+    const daySearch = searchTree(treeData, { from: lastDay, to: lastDay, limit: 1000 });
+    const dayOk = dayResult.data.messageCount > 0 && dayResult.data.messageCount === daySearch.totalMatches &&
+        dayResult.timeWindow.to === resolveTimeWindow({ preset: 'custom', to: `${lastDay}T23:59:59Z` }).to;
+    suite.addTestResult('Time Window - Date-Only End', dayOk, `${dayResult.data.messageCount} messages on ${lastDay}, search finds ${daySearch.totalMatches}`);
+    
+    let rejected = false;
+    try {
+        resolveTimeWindow({ preset: 'custom', from: '2025-09-10', to: '2025-09-01' });
+    } catch (error) {
+        rejected = true;
+    }
+    const html = suite.interface.formatInsightsDisplay(customResult);
+    const rendered = html.includes('activity-table') && html.includes('activity-cell');
+    suite.addTestResult('Time Window - Validation & Rendering', rejected && rendered, rejected ? 'Reversed range rejected; activity grid rendered' : 'Reversed range accepted');
+    
+    // Far more timestamps than fit in a spread call's argument list
+    const large = Array.from({ length: 200000 }, (_, i) => ({ id: i, timestamp: latest - (i % 90) * DAY, topicId: i % 5 }));
+    let largeOk = false;
+    let largeMessage = '';
+    try {
+        const range = timestampRange(large);
+        const largeWindow = resolveTimeWindow({ preset: 'last_7_days' }, large);
+        const largeActivity = bucketActivity(large);
+        largeOk = range.min === latest - 89 * DAY && range.max === latest && largeWindow.to === latest &&
+            largeActivity.totals.reduce((a, b) => a + b, 0) === large.length;
+        largeMessage = `${large.length} messages bucketed into ${largeActivity.buckets.length} ${largeActivity.granularity}s`;
+    } catch (error) {
+        largeMessage = error.message;
+    }
+    suite.addTestResult('Time Window - Large Trees', largeOk, largeMessage);
+}
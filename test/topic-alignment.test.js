@@ -0,0 +1,65 @@
+/**
+ * Topic Alignment Tests
+ * Matching topics across versions: renames, merges, splits and lineages
+ */
+
+import { alignTopics, computeTopicEvolution } from '../lib/topic-alignment.js';
+
+export default async function testTopicAlignment(suite) {
+    const topic = (id, name, messageIds, userIds = [1]) => ({
+        id, name, messageIds, messageCount: messageIds.length, contributors: userIds.map(userId => ({ userId }))
+    });
+    const earlier = [
+        topic(0, 'Staking Rewards', [1, 2, 3, 4]),
+        topic(1, 'Validator Ops', [5, 6, 7]),
+        topic(2, 'Governance', [8, 9, 10, 11, 12]),
+        topic(3, 'Bridge Launch', [13, 14]),
+        topic(4, 'Node Help', [15, 16, 17, 18])
+    ];
+    const later = [
+        topic(7, 'Staking & Validators', [1, 2, 3, 4, 5, 6, 7, 20]),
+        topic(8, 'DAO Votes', [8, 9, 10, 22]),
+        topic(9, 'Treasury Grants', [11, 12, 23]),
+        topic(10, 'Airdrop', [30, 31]),
+        topic(11, 'Node Setup Support', [15, 16, 17, 18, 19])
+    ];
+    const types = alignTopics(earlier, later).events.map(event => `${event.type}:${event.from.map(t => t.name).join('+')}>${event.to.map(t => t.name).join('+')}`);
+    const expected = [
+        'renamed:Node Help>Node Setup Support',
+        'merged:Staking Rewards+Validator Ops>Staking & Validators',
+        'split:Governance>DAO Votes+Treasury Grants',
+        'new:>Airdrop',
+        'died:Bridge Launch>'
+    ];
+    suite.addTestResult('Alignment - Events', expected.every(event => types.includes(event)) && types.length === expected.length, types.join(', '));
+    
+    // Trees without message IDs fall back to name and contributor similarity
+    const withoutIds = (topics) => topics.map(({ messageIds, ...rest }) => rest);
+    const fallback = alignTopics(
+        withoutIds([topic(0, 'Staking Rewards & Validators', [1, 2], [1, 2])]),
+        withoutIds([topic(5, 'Staking Rewards and Validators', [1, 2, 3], [1, 2]), topic(6, 'Airdrop', [4], [3])])
+    ).events.map(event => event.type);
+    suite.addTestResult('Alignment - Name Fallback', fallback.includes('grew') && fallback.includes('new') && !fallback.includes('died'), fallback.join(', '));
+    
+    // Renumber the topics of each later version: the delta must still follow them through their messages
+    const results = [];
+    for (const [index, v] of suite.testVersions.entries()) {
+        const result = await suite.interface.executeQueryAgainstVersion(suite.buildTestQuery('channel_query'), v);
+        result.data.topics = result.data.topics.map(t => ({ ...t, id: t.id + 100 * index }));
+        results.push(result);
+    }
+    const evolution = computeTopicEvolution(results);
+    const allEvents = evolution.transitions.flatMap(transition => transition.events);
+    const followed = !allEvents.some(event => ['died', 'renamed', 'merged', 'split'].includes(event.type)) &&
+        allEvents.filter(event => event.type === 'new').every(event => event.to[0].name === 'Token Economics');
+    const lineagesOk = evolution.lineages.every(lineage => lineage.cells.length === suite.testVersions.length);
+    suite.addTestResult('Alignment - Renumbered Versions', followed && lineagesOk, `${evolution.transitions.length} transitions, ${evolution.lineages.length} lineages, events: ${allEvents.map(event => event.type).join(', ')}`);
+    
+    suite.interface.generateMultiVersionDelta(results);
+    const multiHtml = document.getElementById('deltaContent').innerHTML;
+    suite.interface.generateDeltaAnalysis(results[results.length - 1], results[0]);
+    const pairHtml = document.getElementById('deltaContent').innerHTML;
+    const renderedOk = multiHtml.includes('Topic Evolution') && multiHtml.includes('evolution-table') &&
+        pairHtml.includes('Token Economics') && !pairHtml.includes('evolution-died');
+    suite.addTestResult('Alignment - Rendering', renderedOk, 'Topic Evolution section in the multi-version and two-version deltas');
+}
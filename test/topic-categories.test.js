@@ -0,0 +1,65 @@
+/**
+ * Topic Category Tests
+ * Categorisation by name and content, dataset taxonomies, rollups and the version delta
+ */
+
+import { DatasetRegistry, parseDatasetConfig } from '../lib/dataset-registry.js';
+import { computeMultiVersionDelta } from '../lib/version-delta.js';
+import { DEFAULT_CATEGORIES, categorizeTopic } from '../lib/topic-categories.js';
+
+export default async function testTopicCategories(suite) {
+    const version = suite.testVersions[suite.testVersions.length - 1];
+    const treeData = await suite.fetchTestTree(version);
+    const result = suite.interface.processTreeLocally(treeData, suite.buildTestQuery('channel_query'), version);
+    const categoryOf = (name) => result.data.topics.find(topic => topic.name === name)?.category.id;
+    const namesOk = categoryOf('Governance Proposals') === 'governance' && categoryOf('Security Audits') === 'security' &&
+        categoryOf('Node Setup Support') === 'technical' && categoryOf('Token Economics') === 'token';
+    suite.addTestResult('Categories - Topic Names', namesOk, result.data.topics.map(topic => `${topic.name} → ${topic.category.name}`).join(', '));
+    
+    const rolledUp = result.data.categories.reduce((sum, category) => sum + category.messageCount, 0);
+    const topicTotal = result.data.topics.reduce((sum, topic) => sum + topic.messageCount, 0);
+    suite.addTestResult('Categories - Rollup', rolledUp === topicTotal && result.data.categories.length > 0, `${result.data.categories.length} categories covering ${rolledUp} of ${topicTotal} topic messages`);
+    
+    // A name with no keywords is placed by what its messages talk about, using the dataset's own categories
+    const registry = new DatasetRegistry(parseDatasetConfig({
+        datasets: [{
+            channelId: '42',
+            name: 'GPU Network',
+            categories: [
+                { id: 'compute', name: 'GPU Compute', keywords: ['gpu', 'rendering'] },
+                { id: 'governance', tags: [] }
+            ]
+        }]
+    }));
+    const taxonomy = registry.taxonomyFor('42');
+    const weeklyMessages = [{ text: 'GPU rendering jobs are queueing again' }, { text: 'Anyone else seeing idle GPU time?' }, { text: 'gm' }];
+    const byContent = categorizeTopic({ name: 'Weekly Thread #4' }, weeklyMessages, taxonomy);
+    const defaultOther = categorizeTopic({ name: 'Weekly Thread #4' }, weeklyMessages, DEFAULT_CATEGORIES);
+    suite.addTestResult('Categories - Dataset Taxonomy', byContent.id === 'compute' && defaultOther.id === 'other', `"Weekly Thread #4" → ${byContent.name} (default taxonomy: ${defaultOther.name})`);
+    
+    // Analyzers follow the taxonomy's tags, not topic name substrings
+    const concernQuery = suite.buildTestQuery('custom_query', { customQuestion: 'What are the main concerns?', categories: taxonomy });
+    const concerns = suite.interface.processTreeLocally(treeData, concernQuery, version).insights.filter(insight => insight.startsWith('Concern area'));
+    const tagsOk = concerns.length > 0 && !concerns.some(insight => insight.includes('Governance Proposals'));
+    suite.addTestResult('Categories - Concern Tags', tagsOk, `${concerns.length} concern areas once governance is untagged`);
+    
+    let rejected = 0;
+    [[{ id: 'new', name: 'No keywords' }], [{ name: 'No id', keywords: ['x'] }], 'not-an-array'].forEach(categories => {
+        try {
+            parseDatasetConfig({ datasets: [{ channelId: '1', name: 'Bad', categories }] });
+        } catch (error) {
+            rejected++;
+        }
+    });
+    
+    const results = [];
+    for (const v of suite.testVersions) {
+        results.push(suite.interface.processTreeLocally(await suite.fetchTestTree(v), suite.buildTestQuery('channel_query'), v));
+    }
+    const delta = computeMultiVersionDelta(results);
+    suite.interface.generateMultiVersionDelta(results);
+    const deltaOk = delta.categories.every(category => category.counts.length === suite.testVersions.length &&
+        category.change === category.counts[category.counts.length - 1] - category.counts[0]) &&
+        document.getElementById('deltaContent').innerHTML.includes('category-table');
+    suite.addTestResult('Categories - Version Delta & Validation', deltaOk && rejected === 3, `${delta.categories.length} categories compared; ${rejected}/3 invalid configs rejected`);
+}
@@ -0,0 +1,47 @@
+/**
+ * User Directory Tests
+ * The poster directory behind the searchable user picker
+ */
+
+import { buildUserDirectory, searchUserDirectory } from '../lib/user-directory.js';
+
+export default async function testUserPicker(suite) {
+    const latest = suite.testVersions[suite.testVersions.length - 1];
+    const tree = await suite.fetchTestTree(latest);
+    const messages = Object.values(tree.messages);
+    const directory = buildUserDirectory(tree);
+    const posters = new Set(messages.map(message => String(message.fromUserId)));
+    const counted = directory.reduce((sum, user) => sum + user.messageCount, 0);
+    const ordered = directory.every((user, index) => index === 0 || directory[index - 1].messageCount >= user.messageCount);
+    const topicsOk = directory[0].topics.length > 0 && directory[0].topics.every(topic => !topic.name.startsWith('Topic '));
+    suite.addTestResult('Users - Directory', directory.length === posters.size && counted === messages.length && ordered && topicsOk,
+        `${directory.length} users, busiest @${directory[0].userName} (${directory[0].messageCount} messages in ${directory[0].topics.length} topics)`);
+    
+    const [first, second] = directory;
+    const byName = searchUserDirectory(directory, `@${first.userName.slice(0, 4).toUpperCase()}`);
+    const byId = searchUserDirectory(directory, second.userId);
+    suite.addTestResult('Users - Search', byName.includes(first) && byId.includes(second) && searchUserDirectory(directory, '').length === directory.length,
+        `"@${first.userName.slice(0, 4).toUpperCase()}" → ${byName.length} match(es), ID ${second.userId} → @${byId[0]?.userName}`);
+    
+    const picker = new suite.interface.constructor({
+        dataSource: suite.interface.dataSource,
+        datasetConfig: { datasets: suite.interface.datasetRegistry.list() },
+        queryState: null
+    });
+    await picker.ready;
+    await picker.handleDatasetChange(String(suite.testChannel));
+    picker.setSelectedVersions([latest]);
+    await picker.userDirectoryReady;
+    const listed = document.getElementById('userList').innerHTML;
+    const pickerLoaded = picker.userDirectory.length === directory.length && picker.userDirectoryVersion === latest &&
+        listed.includes(`@${first.userName}`) && listed.includes(`${first.topics[0].name.replace(/&/g, '&amp;')} (${first.topics[0].messageCount})`);
+    
+    picker.setSelectedUsers([first.userId, second.userId, first.userId]);
+    const queryData = picker.buildQueryData();
+    const result = picker.processTreeLocally(tree, queryData, latest);
+    const filtered = JSON.stringify(queryData.users) === JSON.stringify([first.userId, second.userId]) &&
+        result.data.messageCount === first.messageCount + second.messageCount &&
+        document.getElementById('selectedUserChips').innerHTML.includes(`data-user-id="${second.userId}"`);
+    suite.addTestResult('Users - Picker Feeds Query', pickerLoaded && filtered,
+        `Picked @${first.userName} and @${second.userName}: ${result.data.messageCount} messages analyzed`);
+}
@@ -0,0 +1,66 @@
+/**
+ * User Profile Tests
+ * A member's topics, activity, threads, partners and focus across versions
+ */
+
+import { buildThreads } from '../lib/conversation-threads.js';
+import { buildUserDirectory } from '../lib/user-directory.js';
+import { buildUserProfile, compareUserFocus } from '../lib/user-profile.js';
+
+export default async function testUserProfile(suite) {
+    const latest = suite.testVersions[suite.testVersions.length - 1];
+    const tree = await suite.fetchTestTree(latest);
+    const messages = Object.values(tree.messages);
+    const [busiest] = buildUserDirectory(tree);
+    const profile = buildUserProfile(tree, busiest.userId);
+    const own = messages.filter(message => String(message.fromUserId) === busiest.userId);
+    const activityTotal = profile.activity.totals.reduce((sum, count) => sum + count, 0);
+    const topicTotal = profile.topics.reduce((sum, topic) => sum + topic.messageCount, 0);
+    suite.addTestResult('Profile - Messages And Topics',
+        profile.messageCount === own.length && activityTotal === own.length && topicTotal <= own.length &&
+        profile.topics[0].name === busiest.topics[0].name && buildUserProfile(tree, 'no-such-user') === null,
+        `@${profile.userName}: ${profile.messageCount} messages, ${profile.topics.length} topics, led by "${profile.topics[0].name}"`);
+    
+    const threads = buildThreads(tree, { users: [busiest.userId] });
+    const started = threads.filter(thread => String(thread.root.userId) === busiest.userId).length;
+    const byId = new Map(messages.map(message => [String(message.id), message]));
+    const repliesTo = own.filter(message => {
+        const parent = byId.get(String(message.replyToMessageId));
+        return parent && String(parent.fromUserId) !== busiest.userId;
+    }).length;
+    const partnersOk = profile.partners.reduce((sum, partner) => sum + partner.repliesTo, 0) === repliesTo &&
+        profile.partners.every(partner => partner.userId !== busiest.userId);
+    suite.addTestResult('Profile - Threads And Partners',
+        profile.threads.startedCount === started && profile.threads.joinedCount === threads.length - started && partnersOk,
+        `${profile.threads.startedCount} threads started, ${profile.threads.joinedCount} replied in, ` +
+        `top partner ${profile.partners[0] ? `@${profile.partners[0].userName} (${profile.partners[0].total})` : 'none'}`);
+    
+    const versionProfiles = [];
+    for (const version of suite.testVersions) {
+        versionProfiles.push({ version, profile: buildUserProfile(await suite.fetchTestTree(version), busiest.userId) });
+    }
+    const focus = compareUserFocus(versionProfiles);
+    const shiftsOk = focus.shifts.every(shift => shift.shares.length === suite.testVersions.length &&
+        Math.abs(shift.change - (shift.to - shift.from)) < 0.002);
+    suite.addTestResult('Profile - Focus Across Versions',
+        focus.versions.length === suite.testVersions.length && focus.shifts.length > 0 && shiftsOk &&
+        compareUserFocus(versionProfiles.slice(0, 1)) === null,
+        focus.versions.map(row => `${row.version}: ${row.messageCount} msgs, ${row.topTopic || 'none'}`).join('; '));
+    
+    const viewer = new suite.interface.constructor({
+        dataSource: suite.interface.dataSource,
+        datasetConfig: { datasets: suite.interface.datasetRegistry.list() },
+        queryState: null
+    });
+    await viewer.ready;
+    await viewer.handleDatasetChange(String(suite.testChannel));
+    viewer.setSelectedVersions(suite.testVersions);
+    await viewer.openUserProfile(busiest.userId);
+    const html = document.getElementById('userProfileContent').innerHTML;
+    const rendered = viewer.userProfile.versionProfiles.length === suite.testVersions.length &&
+        html.includes(`@${profile.userName}`) && html.includes('Focus across versions') && html.includes('<svg') &&
+        (profile.partners.length === 0 || html.includes(`data-profile-user-id="${profile.partners[0].userId}"`));
+    viewer.closeUserProfile();
+    suite.addTestResult('Profile - Panel', rendered && viewer.userProfile === null,
+        `Rendered ${html.length} characters for @${profile.userName} across ${suite.testVersions.length} versions`);
+}
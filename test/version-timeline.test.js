@@ -0,0 +1,55 @@
+/**
+ * Version Timeline Tests
+ * Per-version series and large version selections
+ */
+
+import { SILENT_LOGGER } from '../lib/semantic-engine.js';
+import { computeMultiVersionDelta } from '../lib/version-delta.js';
+import { LocalTreeDataSource } from '../lib/data-sources.js';
+import { buildVersionTimeline } from '../lib/version-timeline.js';
+import { renderLineChart } from '../lib/charts.js';
+
+export default async function testVersionTimeline(suite) {
+    // Five versions: the fixtures plus two later copies, more than fit side by side
+    const trees = [];
+    for (const v of suite.testVersions) {
+        trees.push(await suite.fetchTestTree(v));
+    }
+    const versions = [...suite.testVersions, 1757700000, 1757800000];
+    const documents = versions.map((version, index) => ({ channelId: '77', version, tree: trees[Math.min(index, trees.length - 1)] }));
+    
+    const interface5 = new suite.interface.constructor({
+        dataSource: new LocalTreeDataSource(documents, { logger: SILENT_LOGGER }),
+        datasetConfig: { datasets: [{ channelId: '77', name: 'Timeline Test' }] },
+        queryState: null
+    });
+    await interface5.ready;
+    await interface5.handleDatasetChange('77');
+    const defaultsOk = interface5.selectedVersions.length === 3 && interface5.selectedVersions[2] === versions[versions.length - 1];
+    
+    interface5.setSelectedVersions([...versions].reverse().concat(versions[0]));
+    const selectionOk = JSON.stringify(interface5.selectedVersions) === JSON.stringify(versions) &&
+        (document.getElementById('versionList').innerHTML.match(/checked/g) || []).length === versions.length;
+    suite.addTestResult('Timeline - Any Number of Versions', defaultsOk && selectionOk, `Defaults ${interface5.selectedVersions.length === versions.length ? 'replaced by' : 'kept'} a ${versions.length}-version selection`);
+    
+    await interface5.executeQuery();
+    const columns = document.getElementById('versionColumns').innerHTML;
+    const oneColumn = (columns.match(/class="version-column"/g) || []).length === 1 && columns.includes(`Version ${versions[versions.length - 1]}`);
+    const allLoaded = interface5.resultsCache.length === versions.length && interface5.resultsCache.every(Boolean);
+    suite.addTestResult('Timeline - Large Selection', oneColumn && allLoaded, `${interface5.resultsCache.filter(Boolean).length} versions analyzed, latest shown in a single column`);
+    
+    const deltaHtml = document.getElementById('deltaContent').innerHTML;
+    const charted = deltaHtml.includes('📈 Timeline') && (deltaHtml.match(/<polyline/g) || []).length >= 4;
+    suite.addTestResult('Timeline - Charts', charted, `${(deltaHtml.match(/<polyline/g) || []).length} lines across the timeline charts`);
+    
+    interface5.setSelectedVersions(versions.slice(0, 2));
+    await interface5.executeQuery();
+    const sideBySide = (document.getElementById('versionColumns').innerHTML.match(/class="version-column"/g) || []).length === 2;
+    
+    const delta = computeMultiVersionDelta(interface5.resultsCache);
+    const timeline = buildVersionTimeline(delta);
+    const seriesOk = timeline.totals[0].values.join() === delta.rows.map(row => row.messageCount).join() &&
+        timeline.topics.every(topic => topic.values.length === delta.versions.length);
+    const escaped = !renderLineChart({ labels: ['a'], series: [{ name: '<b>x</b>', values: [1] }] }).includes('<b>');
+    suite.addTestResult('Timeline - Small Selection & Series', sideBySide && seriesOk && escaped, `Two versions side by side; ${timeline.topics.length} topic series`);
+}